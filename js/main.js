@@ -10,656 +10,9438 @@ const APP_CONFIG = {
         maxVisiblePages: 5
     },
     shipping: {
-        pickup: 0,
-        standard: 150,
-        handDelivery: 350
+        kennel: { name: 'Atlanta, GA', postalCode: '30301' },
+        // Zone-priced methods take their rate from the buyer's zone; a null rate means unavailable there
+        methods: {
+            pickup: { label: 'Local Pickup', rate: 0, requiresZone: false },
+            standard: { label: 'Standard Shipping', requiresZone: true, crateFee: 0 },
+            flightNanny: { label: 'Flight Nanny', requiresZone: true, crateFee: 75 }, // Airline-approved in-cabin carrier
+            handDelivery: { label: 'Hand Delivery', requiresZone: true, crateFee: 0 }
+        },
+        // Distance bands from the kennel, matched by three-digit ZIP prefix (approximate)
+        zones: [
+            {
+                id: 'local',
+                label: 'Local',
+                maxMiles: 50,
+                prefixes: ['300-303', '305-306', '311'],
+                rates: { standard: 100, flightNanny: null, handDelivery: 150 }
+            },
+            {
+                id: 'regional',
+                label: 'Regional',
+                maxMiles: 300,
+                prefixes: ['270-299', '304', '307-324', '326', '350-385', '398-399'],
+                rates: { standard: 150, flightNanny: 450, handDelivery: 350 }
+            },
+            {
+                id: 'extended',
+                label: 'Extended',
+                maxMiles: 800,
+                prefixes: ['197-268', '325', '327-349', '386-397', '400-479', '600-629', '630-658', '700-729'],
+                rates: { standard: 250, flightNanny: 550, handDelivery: 650 }
+            },
+            {
+                id: 'national',
+                label: 'National',
+                maxMiles: null,
+                prefixes: [], // Everything else
+                rates: { standard: 350, flightNanny: 650, handDelivery: null }
+            }
+        ]
+    },
+    pricing: {
+        deposit: {
+            amount: 300, // Applied to the total; see Terms and Conditions
+            refundable: false
+        },
+        salesTax: {
+            // State base rates; keep in line with the kennel's actual tax obligations
+            rates: {
+                AL: 0.04,
+                FL: 0.06,
+                GA: 0.04,
+                NC: 0.0475,
+                SC: 0.06,
+                TN: 0.07
+            },
+            taxShipping: false
+        },
+        paymentPlans: [
+            { id: 'full', label: 'Pay balance at pickup', installments: 1, fee: 0 },
+            { id: 'two-month', label: '2 monthly installments', installments: 2, intervalDays: 30, fee: 0 },
+            { id: 'three-month', label: '3 monthly installments', installments: 3, intervalDays: 30, fee: 25 }
+        ]
     },
+    // Optional checkout extras; maxQuantity turns the checkbox into a quantity field
+    addOns: [
+        {
+            id: 'starter-kit',
+            label: 'Puppy Starter Kit',
+            description: 'Two weeks of food, collar, leash, bowls and chew toys',
+            price: 149,
+            taxable: true
+        },
+        {
+            id: 'crate',
+            label: 'Home Crate',
+            description: 'Wire crate with divider, sized for your puppy as an adult',
+            price: 120,
+            taxable: true
+        },
+        {
+            id: 'microchip',
+            label: 'Microchip Registration',
+            description: 'Lifetime registration with a national recovery database',
+            price: 45,
+            taxable: false
+        },
+        {
+            id: 'health-guarantee',
+            label: 'Extended Health Guarantee',
+            description: 'Extends the genetic health guarantee from 1 to 3 years',
+            price: 199,
+            taxable: false
+        },
+        {
+            id: 'training',
+            label: 'Training Session',
+            description: 'One-hour private session with our trainer (in person or video call)',
+            price: 75,
+            taxable: false,
+            maxQuantity: 6
+        }
+    ],
+    // A puppy is in a range from reaching its min age until it reaches its max, so each
+    // range starts where the one before ends whatever unit the bounds are counted in
     ageRanges: {
-        '8-12 weeks': { min: 8, max: 12, unit: 'weeks' },
-        '3-6 months': { min: 12, max: 24, unit: 'weeks' } // 3-6 months in weeks
+        '8-12 weeks': { min: { value: 8, unit: 'weeks' }, max: { value: 3, unit: 'months' } },
+        '3-6 months': { min: { value: 3, unit: 'months' }, max: { value: 7, unit: 'months' } }
+    },
+    age: {
+        minGoHomeWeeks: 8, // Puppies are ready to go home once this old
+        weeksDisplayLimit: 16 // Ages below this are shown in weeks, above in months
+    },
+    statuses: {
+        available: { label: 'Available', badgeClass: 'bg-success' },
+        reserved: { label: 'Reserved', badgeClass: 'bg-warning text-dark' },
+        sold: { label: 'Sold', badgeClass: 'bg-secondary' }
+    },
+    health: {
+        // Core puppy series; each dose is due this many weeks after birth
+        coreVaccines: [
+            { name: 'DHPP', doseWeeks: [6, 9, 12, 16] },
+            { name: 'Rabies', doseWeeks: [16] }
+        ],
+        graceDays: 3, // A dose counts as missed this many days after it was due
+        vaccinationStatuses: {
+            complete: { label: 'Fully vaccinated', textClass: 'text-success', vaccinated: true },
+            current: { label: 'Up to date for age', textClass: 'text-success', vaccinated: true },
+            overdue: { label: 'Vaccination due', textClass: 'text-warning', vaccinated: false },
+            unknown: { label: 'Records pending', textClass: 'text-muted', vaccinated: false }
+        },
+        recordTypes: {
+            vaccine: { label: 'Vaccination', icon: 'fa-syringe' },
+            deworming: { label: 'Deworming', icon: 'fa-capsules' },
+            vetCheck: { label: 'Vet check', icon: 'fa-stethoscope' }
+        }
+    },
+    gallery: {
+        swipeThreshold: 50 // Minimum horizontal swipe distance in pixels
+    },
+    images: {
+        placeholder: './images/placeholder.svg', // Also served by the service worker for photos it can't fetch
+        manifestUrl: './images/optimized/manifest.json', // Written by scripts/build-images.js
+        // Rendered widths for srcset selection, following the Bootstrap grid columns
+        sizes: {
+            card: '(min-width: 1200px) 356px, (min-width: 992px) 296px, (min-width: 768px) 336px, 100vw',
+            summary: '(min-width: 1200px) 451px, (min-width: 992px) 376px, 100vw'
+        }
+    },
+    priceFilter: {
+        step: 100 // Slider bounds are rounded out to this increment
+    },
+    search: {
+        debounceWait: 300
+    },
+    favorites: {
+        storageKey: 'pawsTails.favorites',
+        compareStorageKey: 'pawsTails.compare',
+        compareLimit: 4
+    },
+    catalog: {
+        url: './data/puppies.json',
+        cacheKey: 'pawsTails.catalog',
+        genders: ['Male', 'Female'],
+        adminParam: 'admin' // ?admin=1 shows catalog validation problems on the page
+    },
+    parents: {
+        url: './data/parents.json',
+        cacheKey: 'pawsTails.parents',
+        pedigreeGenerations: 3 // Parents, grandparents, great-grandparents
+    },
+    litters: {
+        url: './data/litters.json',
+        cacheKey: 'pawsTails.litters'
+    },
+    testimonials: {
+        url: './data/testimonials.json',
+        cacheKey: 'pawsTails.testimonials',
+        referencePrefix: 'TS',
+        eligibleStatuses: ['completed'], // Only families whose puppy has gone home can post a review
+        breedSectionLimit: 3, // Reviews shown on puppy and order pages
+        maxLength: 1000
+    },
+    waitlist: {
+        referencePrefix: 'WL'
+    },
+    orderForm: {
+        draftKeyPrefix: 'pawsTails.orderDraft.', // Followed by the puppy ID
+        autosaveWait: 500
+    },
+    screening: {
+        // Questions added to the application's household and experience steps.
+        // `breeds` asks a question only for those breeds; `showIf` only after one of
+        // the listed answers to another field. Labels come from the screening.* messages.
+        questions: [
+            { name: 'fencedYard', step: 'household', options: ['yes-6ft', 'yes-4ft', 'no'], required: true },
+            { name: 'youngestChild', step: 'household', options: ['none', 'under-5', '5-12', '13-17'], required: true },
+            { name: 'petTypes', step: 'household', options: ['none', 'dogs', 'cats', 'dogs-and-cats', 'other'], required: true },
+            {
+                name: 'sameSexDog',
+                step: 'household',
+                options: ['yes', 'no'],
+                required: true,
+                breeds: ['Cane Corso', 'American Bully', 'Staffy'], // Same-sex aggression is common in these breeds
+                showIf: { name: 'petTypes', values: ['dogs', 'dogs-and-cats'] }
+            },
+            { name: 'hoursAlone', step: 'household', options: ['home', 'under-4', '4-8', 'over-8'], required: true },
+            { name: 'airConditioning', step: 'household', options: ['yes', 'no'], required: true, breeds: ['French Bulldog'] },
+            { name: 'trainingPlan', step: 'experience', options: ['professional', 'classes', 'at-home', 'none'], required: true },
+            { name: 'guardianExperience', step: 'experience', options: ['guardian', 'large-breed', 'none'], required: true, breeds: ['Cane Corso'] },
+            { name: 'socializationPlan', step: 'experience', type: 'textarea', required: true, breeds: ['Cane Corso', 'American Bully'] },
+            { name: 'vetName', step: 'experience', type: 'text', required: true },
+            { name: 'vetPhone', step: 'experience', type: 'tel', required: true }
+        ],
+        scoring: {
+            // Points per answer, by field name; answers not listed score 0
+            points: {
+                homeType: { house: 2, farm: 2, townhouse: 1, apartment: -1 },
+                homeOwnership: { own: 1 },
+                breedExperience: { 'same-breed': 3, 'other-breeds': 1, 'first-dog': -2 },
+                fencedYard: { 'yes-6ft': 3, 'yes-4ft': 1, no: -2 },
+                youngestChild: { 'under-5': -1 },
+                sameSexDog: { yes: -2 },
+                hoursAlone: { home: 2, 'under-4': 1, 'over-8': -2 },
+                airConditioning: { yes: 1, no: -3 },
+                trainingPlan: { professional: 3, classes: 2, none: -3 },
+                guardianExperience: { guardian: 3, 'large-breed': 1, none: -1 }
+            },
+            // Answers that make an application high risk (the last level) whatever its score
+            redFlags: [
+                { name: 'trainingPlan', values: ['none'], breeds: ['Cane Corso', 'American Bully'] },
+                { name: 'fencedYard', values: ['no'], breeds: ['Cane Corso'] },
+                { name: 'airConditioning', values: ['no'] }
+            ],
+            // Checked in order; the first level whose minimum the score reaches applies
+            riskLevels: [
+                { id: 'low', minScore: 8, label: 'Low risk', badgeClass: 'bg-success' },
+                { id: 'medium', minScore: 3, label: 'Needs review', badgeClass: 'bg-warning text-dark' },
+                { id: 'high', minScore: -Infinity, label: 'High risk', badgeClass: 'bg-danger' }
+            ]
+        }
+    },
+    submission: {
+        adapter: 'mailto', // 'formspree', 'endpoint', 'mailto' or 'mock' (localhost only)
+        referencePrefix: 'PT',
+        formspree: {
+            formId: 'YOUR_FORM_ID'
+        },
+        endpoint: {
+            url: '/api/orders',
+            headers: {}
+        },
+        mailto: {
+            address: 'dscutecanecorsopuppies@gmail.com'
+        },
+        mock: { // Sends nothing, so it refuses to run anywhere but a local dev server
+            delay: 800,
+            failureRate: 0 // Raise to exercise the error state locally
+        },
+        retry: {
+            attempts: 3,
+            delay: 1000, // Doubles after each failed attempt
+            retryStatuses: [408, 429, 500, 502, 503, 504]
+        }
+    },
+    i18n: {
+        defaultLocale: 'en',
+        storageKey: 'pawsTails.locale',
+        urlParam: 'lang', // ?lang=es opens a shared link in Spanish
+        messagesUrl: './data/i18n/{locale}.json',
+        cacheKeyPrefix: 'pawsTails.messages.',
+        locales: {
+            en: { label: 'English', intl: 'en-US' },
+            es: { label: 'Español', intl: 'es-US' }
+        }
+    },
+    currency: {
+        base: 'USD', // Catalog prices and submitted orders always use the base currency
+        storageKey: 'pawsTails.currency',
+        // Static display rates per 1 USD; update by hand, conversions are estimates only
+        rates: {
+            USD: 1,
+            CAD: 1.37,
+            MXN: 18.4,
+            EUR: 0.92
+        }
+    },
+    offline: {
+        serviceWorkerUrl: './sw.js',
+        queueKey: 'pawsTails.offlineQueue', // Applications waiting for a connection
+        failedKey: 'pawsTails.failedSubmissions' // Queued applications the server rejected
+    },
+    applications: {
+        // Applicants and the breeder use different browsers, so the store lives on a server
+        // they both reach. `npm start` runs scripts/applications-server.js, a stand-in that
+        // keeps applications in data/applications.json. On a host without that server, point
+        // endpoint.url at your own backend, or set this to null to turn tracking, the admin
+        // inbox and verified reviews off.
+        adapter: 'endpoint',
+        endpoint: {
+            url: '/api/applications', // GET lists, PUT {url}/{reference} replaces one
+            headers: {}
+        },
+        statuses: {
+            new: { label: 'New', badgeClass: 'bg-primary' },
+            review: { label: 'Under review', badgeClass: 'bg-info text-dark' },
+            approved: { label: 'Approved', badgeClass: 'bg-success' },
+            deposit: { label: 'Deposit received', badgeClass: 'bg-success' },
+            completed: { label: 'Completed', badgeClass: 'bg-dark' },
+            declined: { label: 'Declined', badgeClass: 'bg-secondary' }
+        },
+        openStatuses: ['new', 'review'], // Still waiting on a decision
+        reservingStatuses: ['approved', 'deposit', 'completed'] // Hold the puppy for this applicant
+    },
+    admin: {
+        // The console stays disabled until this is set to the SHA-256 (hex) of a passphrase
+        // of your own, from `echo -n 'your passphrase' | shasum -a 256`. The hash is public
+        // like the rest of this file, so pick a long passphrase. This only keeps visitors out
+        // of the editor UI; the endpoint backend must do its own authentication.
+        passphraseHash: null,
+        sessionKey: 'pawsTails.adminSession', // sessionStorage, so closing the tab locks the console
+        imageIndexUrl: './data/images.json', // Written by scripts/build-image-index.js
+        // Breed folders photos are picked from or uploaded to, keyed by breed
+        imageFolders: {
+            'Cane Corso': 'Corso',
+            'American Bully': 'Bully',
+            'Staffy': 'Staffy',
+            'French Bulldog': 'frenchie'
+        },
+        storage: {
+            adapter: 'local', // 'local', 'file' or 'endpoint'
+            local: {
+                storageKey: 'pawsTails.catalogDraft' // Publish by exporting over data/puppies.json
+            },
+            file: {
+                suggestedName: 'puppies.json' // Pick data/puppies.json on first save to write it in place
+            },
+            endpoint: {
+                url: '/api/puppies', // GET returns the catalog array, PUT replaces it
+                uploadUrl: '/api/images', // POST multipart { file, folder }, responds { path }
+                headers: {}
+            }
+        }
+    }
+};
+
+// Safe Templating Module
+const Html = {
+    // Fragments produced by safe()/raw(); anything else is treated as text
+    fragments: new WeakSet(),
+    ENTITIES: {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    },
+
+    /**
+     * Tagged template that escapes every interpolated value unless it is already a fragment
+     * @param {string[]} strings - Literal template parts
+     * @param {...*} values - Interpolated values
+     * @returns {Object} Safe HTML fragment
+     */
+    safe(strings, ...values) {
+        const markup = strings.reduce((result, string, index) =>
+            result + string + (index < values.length ? this.toMarkup(values[index]) : ''), '');
+        
+        return this.raw(markup);
+    },
+
+    /**
+     * Mark trusted markup as safe; never pass catalog or form values here
+     * @param {string} markup - Trusted HTML
+     * @returns {Object} Safe HTML fragment
+     */
+    raw(markup) {
+        const fragment = Object.freeze({ toString: () => markup });
+        this.fragments.add(fragment);
+        return fragment;
+    },
+
+    /**
+     * Convert an interpolated value to markup
+     * @param {*} value - Fragment, array of values or plain value
+     * @returns {string} Markup with plain values escaped
+     */
+    toMarkup(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (Array.isArray(value)) return value.map(item => this.toMarkup(item)).join('');
+        if (this.isSafe(value)) return value.toString();
+        
+        return this.escape(value);
+    },
+
+    /**
+     * Check whether a value is a safe fragment
+     * @param {*} value - Value to check
+     * @returns {boolean} True for fragments built by safe()/raw()
+     */
+    isSafe(value) {
+        return typeof value === 'object' && value !== null && this.fragments.has(value);
+    },
+
+    /**
+     * Escape a value for use in element content or quoted attributes
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped text
+     */
+    escape(value) {
+        return String(value).replace(/[&<>"'`]/g, character => this.ENTITIES[character]);
+    },
+
+    /**
+     * Replace an element's content with a safe fragment
+     * @param {HTMLElement} element - Target element
+     * @param {Object|Object[]} fragment - Fragment or list of fragments
+     * @throws {TypeError} When given a plain string or other unescaped value
+     */
+    render(element, fragment) {
+        const fragments = Array.isArray(fragment) ? fragment : [fragment];
+        if (!fragments.every(item => this.isSafe(item))) {
+            throw new TypeError('Html.render expects fragments built with Html.safe');
+        }
+        
+        element.innerHTML = this.toMarkup(fragments);
+    }
+};
+
+// Internationalization Module
+const I18n = {
+    locale: 'en',
+    currency: 'USD',
+    messages: {},
+    loadPromise: null,
+
+    /**
+     * Resolve the language and display currency, then load their message catalogs.
+     * English is always loaded as the fallback for missing translations.
+     * @returns {Promise<Object>} Loaded messages keyed by locale
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.locale = this.resolveLocale();
+            this.currency = this.resolveCurrency();
+            document.documentElement.lang = this.locale;
+            
+            const locales = [...new Set([APP_CONFIG.i18n.defaultLocale, this.locale])];
+            this.loadPromise = Promise.all(locales.map(locale => this.fetchMessages(locale)
+                .catch(error => {
+                    console.warn(`⚠️ Could not load ${locale} messages, trying cached copy:`, error);
+                    return this.loadFromCache(locale);
+                })
+                .catch(error => {
+                    console.warn(`⚠️ ${locale} messages unavailable:`, error);
+                    return {};
+                })
+                .then(messages => {
+                    this.messages[locale] = messages;
+                })
+            )).then(() => this.messages);
+        }
+        
+        return this.loadPromise;
+    },
+
+    /**
+     * Fetch a message catalog and cache it for offline use
+     * @param {string} locale - Locale code
+     * @returns {Promise<Object>} Messages keyed by message key
+     */
+    async fetchMessages(locale) {
+        const response = await fetch(APP_CONFIG.i18n.messagesUrl.replace('{locale}', locale), { cache: 'no-cache' });
+        
+        if (!response.ok) {
+            throw new Error(`Messages request failed with status ${response.status}`);
+        }
+        
+        const messages = await response.json();
+        Utils.writeStorage(`${APP_CONFIG.i18n.cacheKeyPrefix}${locale}`, messages);
+        
+        console.log(`🌐 Messages loaded: ${locale}`);
+        return messages;
+    },
+
+    /**
+     * Load the last cached message catalog
+     * @param {string} locale - Locale code
+     * @returns {Object} Cached messages
+     * @throws {Error} When nothing is cached
+     */
+    loadFromCache(locale) {
+        const messages = Utils.readStorage(`${APP_CONFIG.i18n.cacheKeyPrefix}${locale}`);
+        if (!messages) throw new Error(`No cached ${locale} messages`);
+        return messages;
+    },
+
+    /**
+     * Pick the language from ?lang=, the saved choice or the browser, in that order
+     * @returns {string} Supported locale code
+     */
+    resolveLocale() {
+        const { locales, storageKey, urlParam, defaultLocale } = APP_CONFIG.i18n;
+        const fromUrl = Utils.getUrlParam(urlParam);
+        
+        if (locales[fromUrl]) {
+            Utils.writeStorage(storageKey, fromUrl);
+            return fromUrl;
+        }
+        
+        const saved = Utils.readStorage(storageKey);
+        if (locales[saved]) return saved;
+        
+        const browser = String(navigator.language || '').split('-')[0];
+        return locales[browser] ? browser : defaultLocale;
+    },
+
+    /**
+     * Get the saved display currency, defaulting to the base currency
+     * @returns {string} Currency code from APP_CONFIG.currency.rates
+     */
+    resolveCurrency() {
+        const saved = Utils.readStorage(APP_CONFIG.currency.storageKey);
+        return APP_CONFIG.currency.rates[saved] ? saved : APP_CONFIG.currency.base;
+    },
+
+    /**
+     * Save a language choice and reload so every page section re-renders in it
+     * @param {string} locale - Locale code
+     */
+    setLocale(locale) {
+        if (!APP_CONFIG.i18n.locales[locale]) return;
+        
+        Utils.writeStorage(APP_CONFIG.i18n.storageKey, locale);
+        Utils.setUrlParams({ [APP_CONFIG.i18n.urlParam]: null }, true);
+        window.location.reload();
+    },
+
+    /**
+     * Save a display currency and reload so every price re-renders in it
+     * @param {string} currency - Currency code
+     */
+    setCurrency(currency) {
+        if (!APP_CONFIG.currency.rates[currency]) return;
+        
+        Utils.writeStorage(APP_CONFIG.currency.storageKey, currency);
+        window.location.reload();
+    },
+
+    /**
+     * Get the Intl locale for the active language
+     * @returns {string} BCP 47 locale, e.g. "es-US"
+     */
+    getIntlLocale() {
+        return APP_CONFIG.i18n.locales[this.locale].intl;
+    },
+
+    /**
+     * Look up a message, falling back to English
+     * @param {string} key - Message key
+     * @param {number} count - Selects the plural form when the message has several
+     * @returns {string|undefined} Message template
+     */
+    lookup(key, count) {
+        for (const locale of [this.locale, APP_CONFIG.i18n.defaultLocale]) {
+            const message = this.messages[locale] && this.messages[locale][key];
+            if (message === undefined) continue;
+            if (typeof message === 'string') return message;
+            
+            const form = new Intl.PluralRules(this.getIntlLocale()).select(count);
+            return message[form] !== undefined ? message[form] : message.other;
+        }
+        
+        return undefined;
+    },
+
+    /**
+     * Replace {name} placeholders in a message template
+     * @param {string} template - Message template
+     * @param {Object} params - Placeholder values
+     * @returns {string} Message
+     */
+    interpolate(template, params) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    },
+
+    /**
+     * Translate a message as plain text
+     * @param {string} key - Message key
+     * @param {Object} params - Placeholder values; count also selects the plural form
+     * @param {string} fallback - Text to use when no catalog has the key, e.g. a config label
+     * @returns {string} Translated text
+     */
+    t(key, params = {}, fallback) {
+        const template = this.lookup(key, params.count);
+        if (template === undefined) return fallback !== undefined ? fallback : key;
+        
+        return this.interpolate(template, params);
+    },
+
+    /**
+     * Translate a message that contains markup; placeholder values are escaped
+     * @param {string} key - Message key
+     * @param {Object} params - Placeholder values or fragments
+     * @returns {Object} Safe HTML fragment
+     */
+    html(key, params = {}) {
+        const template = this.lookup(key, params.count);
+        if (template === undefined) return Html.safe`${key}`;
+        
+        const escaped = {};
+        Object.entries(params).forEach(([name, value]) => {
+            escaped[name] = Html.toMarkup(value);
+        });
+        
+        // Catalog templates are trusted like the rest of the site's markup
+        return Html.raw(this.interpolate(template, escaped));
+    },
+
+    /**
+     * Format a number for the active language
+     * @param {number} value - Number
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.getIntlLocale(), options).format(value);
+    },
+
+    /**
+     * Format a date for the active language
+     * @param {Date} date - Date
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted date
+     */
+    formatDate(date, options = { month: 'short', day: 'numeric', year: 'numeric' }) {
+        return new Intl.DateTimeFormat(this.getIntlLocale(), options).format(date);
+    },
+
+    /**
+     * Check whether prices are being shown in a currency other than the base
+     * @returns {boolean} True when converting
+     */
+    isConverting() {
+        return this.currency !== APP_CONFIG.currency.base;
+    },
+
+    /**
+     * Format a base-currency amount, converted to the display currency by default
+     * @param {number} amount - Amount in the base currency
+     * @param {Object} options - { convert: false } keeps the base currency, e.g. for orders
+     * @returns {string} Formatted amount
+     */
+    formatCurrency(amount, { convert = true } = {}) {
+        const currency = convert ? this.currency : APP_CONFIG.currency.base;
+        const rate = APP_CONFIG.currency.rates[currency];
+        
+        return this.formatNumber(amount * rate, { style: 'currency', currency });
+    },
+
+    /**
+     * Translate static page text marked with data-i18n (text) and
+     * data-i18n-attr ("attribute:key;attribute:key")
+     * @param {ParentNode} root - Subtree to translate
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n, {}, element.textContent);
+        });
+        
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                element.setAttribute(attribute, this.t(key, {}, element.getAttribute(attribute)));
+            });
+        });
+    },
+
+    /**
+     * Render the language and currency pickers into the navbar
+     */
+    renderSwitcher() {
+        const container = document.getElementById('locale-switcher');
+        if (!container) return;
+        
+        Html.render(container, Html.safe`
+            <div class="d-flex gap-2 py-2 py-lg-0">
+                <select class="form-select form-select-sm" id="language-select" aria-label="${this.t('switcher.language')}">
+                    ${Object.entries(APP_CONFIG.i18n.locales).map(([code, locale]) => Html.safe`
+                        <option value="${code}" ${code === this.locale ? 'selected' : ''}>${locale.label}</option>
+                    `)}
+                </select>
+                <select class="form-select form-select-sm" id="currency-select" aria-label="${this.t('switcher.currency')}">
+                    ${Object.keys(APP_CONFIG.currency.rates).map(code => Html.safe`
+                        <option value="${code}" ${code === this.currency ? 'selected' : ''}>${code}</option>
+                    `)}
+                </select>
+            </div>
+        `);
+        
+        document.getElementById('language-select').addEventListener('change', (e) => this.setLocale(e.target.value));
+        document.getElementById('currency-select').addEventListener('change', (e) => this.setCurrency(e.target.value));
     }
 };
 
 // Utility Functions Module
 const Utils = {
+    // Average Gregorian month, used only to convert legacy age strings
+    DAYS_PER_MONTH: 365.25 / 12,
+    MS_PER_DAY: 24 * 60 * 60 * 1000,
+
     /**
-     * Parse age string to weeks for consistent comparison
+     * Parse legacy age string into a value and unit
      * @param {string} ageString - Age in format "X weeks" or "X months"
-     * @returns {number} Age in weeks
+     * @returns {Object|null} { value, unit } with unit 'weeks' or 'months'
      */
-    parseAgeToWeeks(ageString) {
-        if (!ageString || typeof ageString !== 'string') return 0;
+    parseAge(ageString) {
+        if (!ageString || typeof ageString !== 'string') return null;
         
         const parts = ageString.trim().toLowerCase().split(' ');
-        if (parts.length < 2) return 0;
+        if (parts.length < 2) return null;
         
         const value = parseInt(parts[0]);
         const unit = parts[1];
         
-        if (isNaN(value)) return 0;
+        if (isNaN(value)) return null;
         
         if (unit.includes('week')) {
-            return value;
+            return { value, unit: 'weeks' };
         } else if (unit.includes('month')) {
-            return value * 4; // Approximate: 1 month = 4 weeks
+            return { value, unit: 'months' };
         }
         
-        return 0;
+        return null;
     },
 
     /**
-     * Debounce function to limit function calls
-     * @param {Function} func - Function to debounce
-     * @param {number} wait - Wait time in milliseconds
-     * @returns {Function} Debounced function
+     * Parse age string to weeks for consistent comparison
+     * @param {string} ageString - Age in format "X weeks" or "X months"
+     * @returns {number} Age in completed weeks
      */
-    debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
+    parseAgeToWeeks(ageString) {
+        const age = this.parseAge(ageString);
+        if (!age) return 0;
+        
+        return age.unit === 'weeks' ? age.value : Math.floor(age.value * this.DAYS_PER_MONTH / 7);
     },
 
     /**
-     * Get URL parameters
-     * @param {string} param - Parameter name
-     * @returns {string|null} Parameter value
+     * Parse an ISO date (YYYY-MM-DD) as a local calendar date
+     * @param {string} value - Date string
+     * @returns {Date|null} Date at local midnight, or null if invalid
      */
-    getUrlParam(param) {
-        const urlParams = new URLSearchParams(window.location.search);
-        return urlParams.get(param);
+    parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+        if (!match) return null;
+        
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return isNaN(date.getTime()) ? null : date;
+    },
+
+    /**
+     * Format a date as a local ISO calendar date, the form parseDate() reads
+     * @param {Date} date - Date
+     * @returns {string} Date string (YYYY-MM-DD)
+     */
+    toDateString(date) {
+        return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+            .map(part => String(part).padStart(2, '0'))
+            .join('-');
+    },
+
+    /**
+     * Get a date's local midnight, so day differences ignore the time of day
+     * @param {Date} date - Date
+     * @returns {Date} Start of that day
+     */
+    startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    },
+
+    /**
+     * Count whole calendar months between two dates
+     * @param {Date} from - Earlier date
+     * @param {Date} to - Later date
+     * @returns {number} Completed months
+     */
+    monthsBetween(from, to) {
+        let months = (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+        if (to.getDate() < from.getDate()) months--;
+        return Math.max(0, months);
+    },
+
+    /**
+     * Get a puppy's age in days from birthDate, falling back to the legacy age string
+     * @param {Object} puppy - Puppy object
+     * @param {Date} now - Reference date
+     * @returns {number} Age in days
+     */
+    getAgeInDays(puppy, now = new Date()) {
+        const birthDate = this.parseDate(puppy.birthDate);
+        
+        if (birthDate) {
+            return Math.max(0, Math.round((this.startOfDay(now) - birthDate) / this.MS_PER_DAY));
+        }
+        
+        const age = this.parseAge(puppy.age);
+        if (!age) return 0;
+        
+        return age.unit === 'weeks' ? age.value * 7 : Math.round(age.value * this.DAYS_PER_MONTH);
+    },
+
+    /**
+     * Get a puppy's age in completed weeks or calendar months
+     * @param {Object} puppy - Puppy object
+     * @param {string} unit - 'weeks' or 'months'
+     * @param {Date} now - Reference date
+     * @returns {number} Completed units of age
+     */
+    getAgeIn(puppy, unit, now = new Date()) {
+        const birthDate = this.parseDate(puppy.birthDate);
+        
+        if (birthDate) {
+            return unit === 'months' ?
+                this.monthsBetween(birthDate, this.startOfDay(now)) :
+                Math.floor(this.getAgeInDays(puppy, now) / 7);
+        }
+        
+        // Legacy strings already in the requested unit are used as-is
+        const age = this.parseAge(puppy.age);
+        if (!age) return 0;
+        if (age.unit === unit) return age.value;
+        
+        return unit === 'months' ?
+            Math.floor(age.value * 7 / this.DAYS_PER_MONTH) :
+            Math.floor(age.value * this.DAYS_PER_MONTH / 7);
+    },
+
+    /**
+     * Check whether a puppy has reached an age
+     * @param {Object} puppy - Puppy object
+     * @param {Object} age - { value, unit } with unit 'weeks' or 'months'
+     * @param {Date} now - Reference date
+     * @returns {boolean} True once the puppy is at least that old
+     */
+    hasReachedAge(puppy, age, now = new Date()) {
+        return this.getAgeIn(puppy, age.unit, now) >= age.value;
+    },
+
+    /**
+     * Format a puppy's current age for display
+     * @param {Object} puppy - Puppy object
+     * @param {Date} now - Reference date
+     * @returns {string} Age such as "11 weeks" or "4 months"
+     */
+    formatAge(puppy, now = new Date()) {
+        if (!this.parseDate(puppy.birthDate)) return puppy.age || '';
+        
+        const weeks = this.getAgeIn(puppy, 'weeks', now);
+        
+        if (weeks < APP_CONFIG.age.weeksDisplayLimit) {
+            return I18n.t('age.weeks', { count: weeks });
+        }
+        
+        const months = this.getAgeIn(puppy, 'months', now);
+        return I18n.t('age.months', { count: months });
+    },
+
+    /**
+     * Get the date a puppy reaches the minimum go-home age
+     * @param {Object} puppy - Puppy object
+     * @returns {Date|null} Ready date, or null without a birthDate
+     */
+    getReadyDate(puppy) {
+        const birthDate = this.parseDate(puppy.birthDate);
+        if (!birthDate) return null;
+        
+        const readyDate = new Date(birthDate);
+        readyDate.setDate(readyDate.getDate() + APP_CONFIG.age.minGoHomeWeeks * 7);
+        return readyDate;
+    },
+
+    /**
+     * Describe when a puppy can go home
+     * @param {Object} puppy - Puppy object
+     * @param {Date} now - Reference date
+     * @returns {string} "Now", a date, or empty when unknown
+     */
+    formatReadyDate(puppy, now = new Date()) {
+        const readyDate = this.getReadyDate(puppy);
+        
+        if (!readyDate) {
+            return this.getAgeIn(puppy, 'weeks', now) >= APP_CONFIG.age.minGoHomeWeeks ? I18n.t('age.readyNow') : '';
+        }
+        
+        return readyDate <= now ? I18n.t('age.readyNow') : this.formatDate(readyDate);
+    },
+
+    /**
+     * Format a date for display
+     * @param {Date} date - Date
+     * @returns {string} Date such as "Oct 19, 2026"
+     */
+    formatDate(date) {
+        return I18n.formatDate(date);
+    },
+
+    /**
+     * Collect named form control values
+     * @param {HTMLFormElement} form - Form element
+     * @returns {Object} Field name → value; checkboxes map to booleans
+     */
+    getFormValues(form) {
+        const values = {};
+        
+        Array.from(form.elements).forEach(element => {
+            if (!element.name || element.type === 'hidden') return;
+            
+            if (element.type === 'checkbox') {
+                values[element.name] = element.checked;
+            } else if (element.type === 'radio') {
+                if (element.checked) values[element.name] = element.value;
+            } else {
+                values[element.name] = element.value;
+            }
+        });
+        
+        return values;
+    },
+
+    /**
+     * Fill named form controls from a values object
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} values - Field name → value
+     */
+    setFormValues(form, values) {
+        Array.from(form.elements).forEach(element => {
+            if (!element.name || element.type === 'hidden' || !(element.name in values)) return;
+            
+            const value = values[element.name];
+            
+            if (element.type === 'checkbox') {
+                element.checked = Boolean(value);
+            } else if (element.type === 'radio') {
+                element.checked = element.value === value;
+            } else {
+                element.value = value;
+            }
+        });
+    },
+
+    /**
+     * Read a JSON value from localStorage
+     * @param {string} key - Storage key
+     * @returns {*} Parsed value, or null if missing, unreadable or storage is unavailable
+     */
+    readStorage(key) {
+        try {
+            const value = window.localStorage.getItem(key);
+            return value === null ? null : JSON.parse(value);
+        } catch (error) {
+            console.warn('⚠️ Could not read from localStorage:', key, error);
+            return null;
+        }
+    },
+
+    /**
+     * Write a JSON value to localStorage
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store; null removes the key
+     * @returns {boolean} Whether the value was stored
+     */
+    writeStorage(key, value) {
+        try {
+            if (value === null) {
+                window.localStorage.removeItem(key);
+            } else {
+                window.localStorage.setItem(key, JSON.stringify(value));
+            }
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Could not write to localStorage:', key, error);
+            return false;
+        }
+    },
+
+    /**
+     * Debounce function to limit function calls
+     * @param {Function} func - Function to debounce
+     * @param {number} wait - Wait time in milliseconds
+     * @returns {Function} Debounced function
+     */
+    debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    },
+
+    /**
+     * Get URL parameters
+     * @param {string} param - Parameter name
+     * @returns {string|null} Parameter value
+     */
+    getUrlParam(param) {
+        const urlParams = new URLSearchParams(window.location.search);
+        return urlParams.get(param);
+    },
+
+    /**
+     * Write parameters to the URL query string without reloading
+     * @param {Object} params - Parameter values; null, undefined or '' removes the parameter
+     * @param {boolean} replace - Replace the current history entry instead of pushing a new one
+     * @returns {boolean} Whether the URL changed
+     */
+    setUrlParams(params, replace = false) {
+        const url = new URL(window.location.href);
+        
+        Object.entries(params).forEach(([key, value]) => {
+            if (value === null || value === undefined || value === '') {
+                url.searchParams.delete(key);
+            } else {
+                url.searchParams.set(key, value);
+            }
+        });
+        
+        if (url.search === window.location.search) return false;
+        
+        const method = replace ? 'replaceState' : 'pushState';
+        window.history[method](null, '', `${url.pathname}${url.search}${url.hash}`);
+        return true;
+    },
+
+    /**
+     * Format price with currency symbol in the display currency
+     * @param {number} price - Price in the base currency
+     * @param {Object} options - { convert: false } keeps the base currency
+     * @returns {string} Formatted price
+     */
+    formatPrice(price, options) {
+        return I18n.formatCurrency(price, options);
+    },
+
+    /**
+     * Get all photos for a puppy, falling back to the single image field
+     * @param {Object} puppy - Puppy object
+     * @returns {Array<string>} Image paths
+     */
+    getPuppyImages(puppy) {
+        if (Array.isArray(puppy.images) && puppy.images.length > 0) {
+            return puppy.images;
+        }
+        return puppy.image ? [puppy.image] : [];
+    },
+
+    /**
+     * Get the photo shown for a puppy on cards, summaries and comparisons
+     * @param {Object} puppy - Puppy object
+     * @returns {string} First photo, or the placeholder when the listing has none
+     */
+    getCoverImage(puppy) {
+        return this.getPuppyImages(puppy)[0] || APP_CONFIG.images.placeholder;
+    },
+
+    /**
+     * Get a puppy's listing status, treating missing or unknown values as available
+     * @param {Object} puppy - Puppy object
+     * @returns {string} Status key from APP_CONFIG.statuses
+     */
+    getPuppyStatus(puppy) {
+        const status = String(puppy.status || '').trim().toLowerCase();
+        return APP_CONFIG.statuses[status] ? status : 'available';
+    },
+
+    /**
+     * Check if a puppy can still be adopted
+     * @param {Object} puppy - Puppy object
+     * @returns {boolean} Whether the puppy is available
+     */
+    isPuppyAvailable(puppy) {
+        return this.getPuppyStatus(puppy) === 'available';
+    },
+
+    /**
+     * Build status badge HTML for reserved and sold puppies
+     * @param {Object} puppy - Puppy object
+     * @returns {Object} Badge HTML fragment, empty for available puppies
+     */
+    getStatusBadge(puppy) {
+        const status = this.getPuppyStatus(puppy);
+        if (status === 'available') return '';
+        
+        return Html.safe`<span class="badge ${APP_CONFIG.statuses[status].badgeClass} status-badge">${this.getStatusLabel(status)}</span>`;
+    },
+
+    /**
+     * Get the translated label for a listing status
+     * @param {string} status - Status key from APP_CONFIG.statuses
+     * @returns {string} Status label
+     */
+    getStatusLabel(status) {
+        return I18n.t(`status.${status}`, {}, APP_CONFIG.statuses[status].label);
+    },
+
+    /**
+     * Get the translated label for a catalog gender value
+     * @param {string} gender - Gender as stored in the catalog
+     * @returns {string} Gender label
+     */
+    formatGender(gender) {
+        return gender ? I18n.t(`gender.${gender}`, {}, gender) : '';
+    }
+};
+
+// Data Feed Module
+const FeedLoader = {
+    /**
+     * Load a JSON array feed and validate its records, falling back to the last good
+     * copy cached in localStorage when the request fails
+     * @param {Object} feed - { name, url, cacheKey, validateRecord }
+     * @returns {Promise<Object>} { valid, invalid, source: 'network' or 'cache', savedAt }
+     */
+    async load(feed) {
+        let loaded;
+        
+        try {
+            const records = await this.fetchRecords(feed);
+            Utils.writeStorage(feed.cacheKey, { savedAt: new Date().toISOString(), records });
+            loaded = { records, source: 'network', savedAt: null };
+        } catch (error) {
+            console.warn(`⚠️ Could not load the ${feed.name} feed, trying cached copy:`, error);
+            loaded = this.loadFromCache(feed, error);
+        }
+        
+        const { valid, invalid } = this.validate(loaded.records, feed);
+        
+        if (invalid.length > 0) {
+            console.warn(`⚠️ ${invalid.length} invalid record(s) skipped from the ${feed.name} feed:`, invalid);
+        }
+        return { valid, invalid, source: loaded.source, savedAt: loaded.savedAt };
+    },
+
+    /**
+     * Fetch a feed as-is, including records the site would skip
+     * @param {Object} feed - { name, url }
+     * @returns {Promise<Array>} Raw records
+     */
+    async fetchRecords(feed) {
+        const response = await fetch(feed.url, { cache: 'no-cache' });
+        
+        if (!response.ok) {
+            throw new Error(`The ${feed.name} request failed with status ${response.status}`);
+        }
+        
+        const records = await response.json();
+        if (!Array.isArray(records)) {
+            throw new Error(`The ${feed.name} feed must be a JSON array`);
+        }
+        return records;
+    },
+
+    /**
+     * Use the last good copy saved in localStorage
+     * @param {Object} feed - { cacheKey }
+     * @param {Error} fetchError - Error from the network attempt, rethrown without a cached copy
+     * @returns {Object} { records, source: 'cache', savedAt }
+     */
+    loadFromCache(feed, fetchError) {
+        const cached = Utils.readStorage(feed.cacheKey);
+        
+        if (!cached || !Array.isArray(cached.records)) {
+            throw fetchError;
+        }
+        
+        return { records: cached.records, source: 'cache', savedAt: cached.savedAt ? new Date(cached.savedAt) : null };
+    },
+
+    /**
+     * Validate records one by one; IDs must be unique across the feed
+     * @param {Array} records - Raw records
+     * @param {Object} feed - { validateRecord }, which returns a record's error messages
+     * @returns {Object} { valid: Array, invalid: Array<{ index, id, errors }> }
+     */
+    validate(records, feed) {
+        const valid = [];
+        const invalid = [];
+        const seenIds = new Set();
+        
+        records.forEach((record, index) => {
+            const errors = feed.validateRecord(record);
+            
+            if (errors.length === 0) {
+                if (seenIds.has(record.id)) {
+                    errors.push(`duplicate id "${record.id}"`);
+                }
+                seenIds.add(record.id);
+            }
+            
+            if (errors.length > 0) {
+                invalid.push({ index, id: record && record.id, errors });
+            } else {
+                valid.push(record);
+            }
+        });
+        
+        return { valid, invalid };
+    }
+};
+
+// Catalog Module
+const CatalogManager = {
+    puppies: [],
+    invalidRecords: [],
+    source: null, // 'network' or 'cache'
+    cachedAt: null,
+    loadPromise: null,
+    
+    /**
+     * Load the puppy catalog once per page, falling back to the last good cached copy
+     * @returns {Promise<Array>} Valid puppy records
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = FeedLoader.load(this.getFeed())
+                .then(({ valid, invalid, source, savedAt }) => {
+                    this.puppies = valid;
+                    this.invalidRecords = invalid;
+                    this.source = source;
+                    this.cachedAt = savedAt;
+                    
+                    console.log(`📦 Catalog loaded${source === 'cache' ? ' from cache' : ''}: ${this.puppies.length} puppies`);
+                    return this.puppies;
+                })
+                .catch(error => {
+                    // Allow a later retry after a complete failure
+                    this.loadPromise = null;
+                    throw error;
+                });
+        }
+        
+        return this.loadPromise;
+    },
+
+    /**
+     * Describe the catalog feed for FeedLoader
+     * @returns {Object} { name, url, cacheKey, validateRecord }
+     */
+    getFeed() {
+        return {
+            name: 'catalog',
+            url: APP_CONFIG.catalog.url,
+            cacheKey: APP_CONFIG.catalog.cacheKey,
+            validateRecord: record => this.validateRecord(record)
+        };
+    },
+
+    /**
+     * Validate catalog records against the listing schema
+     * @param {Array} records - Raw catalog records
+     * @returns {Object} { valid: Array, invalid: Array<{ index, id, errors }> }
+     */
+    validate(records) {
+        return FeedLoader.validate(records, this.getFeed());
+    },
+
+    /**
+     * Validate a single catalog record
+     * @param {Object} record - Raw catalog record
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validateRecord(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['record is not an object'];
+        }
+        
+        const errors = [];
+        const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+        
+        ['id', 'name', 'breed'].forEach(field => {
+            if (!isNonEmptyString(record[field])) errors.push(`missing ${field}`);
+        });
+        
+        if (typeof record.price !== 'number' || !isFinite(record.price) || record.price < 0) {
+            errors.push('price must be a non-negative number');
+        }
+        
+        if (!APP_CONFIG.catalog.genders.includes(record.gender)) {
+            errors.push(`unknown gender "${record.gender}"`);
+        }
+        
+        if (record.status !== undefined && !APP_CONFIG.statuses[String(record.status).toLowerCase()]) {
+            errors.push(`unknown status "${record.status}"`);
+        }
+        
+        if (record.birthDate !== undefined && !Utils.parseDate(record.birthDate)) {
+            errors.push(`invalid birthDate "${record.birthDate}"`);
+        }
+        
+        if (record.images !== undefined &&
+            (!Array.isArray(record.images) || !record.images.every(isNonEmptyString))) {
+            errors.push('images must be a list of paths');
+        }
+        
+        ['sireId', 'damId'].forEach(field => {
+            if (record[field] !== undefined && !isNonEmptyString(record[field])) errors.push(`invalid ${field}`);
+        });
+        
+        if (record.health !== undefined) {
+            errors.push(...HealthManager.validate(record.health));
+        }
+        
+        return errors;
+    },
+
+    /**
+     * Find a puppy by ID
+     * @param {string} id - Puppy ID
+     * @returns {Object|undefined} Puppy
+     */
+    findById(id) {
+        return this.puppies.find(p => p.id === id);
+    },
+
+    /**
+     * Render a loading indicator into a container
+     * @param {HTMLElement} container - Target container
+     */
+    renderLoading(container) {
+        if (!container) return;
+        
+        Html.render(container, Html.safe`
+            <div class="col-12 text-center py-5">
+                <div class="spinner-border text-primary" role="status">
+                    <span class="visually-hidden">${I18n.t('common.loading')}</span>
+                </div>
+                <p class="text-muted mt-3">${I18n.t('catalog.loading')}</p>
+            </div>
+        `);
+    },
+
+    /**
+     * Render a catalog load failure into a container
+     * @param {HTMLElement} container - Target container
+     */
+    renderLoadError(container) {
+        if (!container) return;
+        
+        Html.render(container, Html.safe`
+            <div class="col-12 text-center">
+                <div class="card p-5 shadow-sm border-0">
+                    <i class="fas fa-exclamation-circle fa-3x text-danger mb-3"></i>
+                    <h2>${I18n.t('catalog.loadError')}</h2>
+                    <p class="text-muted">${I18n.t('common.checkConnection')}</p>
+                    <div class="mt-4">
+                        <button type="button" class="btn btn-primary btn-lg catalog-retry">
+                            <i class="fas fa-redo me-2"></i>${I18n.t('common.tryAgain')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `);
+        
+        container.querySelector('.catalog-retry').addEventListener('click', () => window.location.reload());
+    },
+
+    /**
+     * Show catalog notices above a container: a stale-cache warning for
+     * everyone, and invalid records when the admin URL flag is set
+     * @param {HTMLElement} container - Element the notices are inserted before
+     */
+    renderNotices(container) {
+        if (!container || !container.parentNode) return;
+        
+        const notices = [];
+        
+        if (this.source === 'cache') {
+            const message = this.cachedAt ?
+                I18n.t('catalog.staleSince', { date: Utils.formatDate(this.cachedAt) }) :
+                I18n.t('catalog.stale');
+            notices.push(Html.safe`
+                <div class="alert alert-warning">
+                    <i class="fas fa-wifi me-2"></i>
+                    ${message}
+                </div>
+            `);
+        }
+        
+        if (this.invalidRecords.length > 0 && Utils.getUrlParam(APP_CONFIG.catalog.adminParam) === '1') {
+            notices.push(Html.safe`
+                <div class="alert alert-danger">
+                    <h5 class="alert-heading"><i class="fas fa-bug me-2"></i>${this.invalidRecords.length} catalog record(s) skipped</h5>
+                    <ul class="mb-0">
+                        ${this.invalidRecords.map(record => Html.safe`
+                            <li><strong>#${record.index}${record.id ? ` (${record.id})` : ''}:</strong> ${record.errors.join(', ')}</li>
+                        `)}
+                    </ul>
+                </div>
+            `);
+        }
+        
+        if (notices.length === 0) return;
+        
+        const wrapper = document.createElement('div');
+        wrapper.className = 'catalog-notices';
+        Html.render(wrapper, notices);
+        container.parentNode.insertBefore(wrapper, container);
+    }
+};
+
+// Upcoming Litters Module
+const LitterManager = {
+    litters: [],
+    loadPromise: null,
+
+    /**
+     * Load upcoming litters once per page, falling back to the last cached copy
+     * @returns {Promise<Array>} Valid litter records, soonest first
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = FeedLoader.load(this.getFeed())
+                .then(({ valid }) => {
+                    this.litters = valid.sort((a, b) => Utils.parseDate(a.expectedDate) - Utils.parseDate(b.expectedDate));
+                    
+                    console.log(`🐣 Upcoming litters loaded: ${this.litters.length}`);
+                    return this.litters;
+                })
+                .catch(error => {
+                    this.loadPromise = null;
+                    throw error;
+                });
+        }
+        
+        return this.loadPromise;
+    },
+
+    /**
+     * Describe the litters feed for FeedLoader
+     * @returns {Object} { name, url, cacheKey, validateRecord }
+     */
+    getFeed() {
+        return {
+            name: 'litters',
+            url: APP_CONFIG.litters.url,
+            cacheKey: APP_CONFIG.litters.cacheKey,
+            validateRecord: record => this.validateRecord(record)
+        };
+    },
+
+    /**
+     * Validate a single litter record
+     * @param {Object} record - Raw litter record
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validateRecord(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['record is not an object'];
+        }
+        
+        const errors = [];
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        
+        ['id', 'breed', 'sire', 'dam'].forEach(field => {
+            if (typeof record[field] !== 'string' || record[field].trim() === '') errors.push(`missing ${field}`);
+        });
+        
+        if (!Utils.parseDate(record.expectedDate)) {
+            errors.push(`invalid expectedDate "${record.expectedDate}"`);
+        }
+        
+        if (!isCount(record.expectedCount) || record.expectedCount === 0) {
+            errors.push('expectedCount must be a positive whole number');
+        }
+        
+        if (record.reservations !== undefined && !isCount(record.reservations)) {
+            errors.push('reservations must be a whole number');
+        }
+        
+        if (typeof record.deposit !== 'number' || !isFinite(record.deposit) || record.deposit < 0) {
+            errors.push('deposit must be a non-negative number');
+        }
+        
+        return errors;
+    },
+
+    /**
+     * Find a litter by ID
+     * @param {string} id - Litter ID
+     * @returns {Object|undefined} Litter
+     */
+    findById(id) {
+        return this.litters.find(litter => litter.id === id);
+    },
+
+    /**
+     * Count puppies in a litter not yet spoken for by a deposit
+     * @param {Object} litter - Litter record
+     * @returns {number} Open spots
+     */
+    getOpenSpots(litter) {
+        return Math.max(litter.expectedCount - (litter.reservations || 0), 0);
+    },
+
+    /**
+     * Format a litter's expected whelping date
+     * @param {Object} litter - Litter record
+     * @returns {string} Formatted date
+     */
+    formatExpectedDate(litter) {
+        return Utils.formatDate(Utils.parseDate(litter.expectedDate));
+    }
+};
+
+// Testimonials Module
+const TestimonialManager = {
+    testimonials: [],
+    loadPromise: null,
+
+    /**
+     * Load published testimonials once per page, falling back to the last cached copy
+     * @returns {Promise<Array>} Valid testimonials, newest first
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = FeedLoader.load(this.getFeed())
+                .then(({ valid }) => {
+                    this.testimonials = valid.sort((a, b) => Utils.parseDate(b.date) - Utils.parseDate(a.date));
+                    
+                    console.log(`💬 Testimonials loaded: ${this.testimonials.length}`);
+                    return this.testimonials;
+                })
+                .catch(error => {
+                    this.loadPromise = null;
+                    throw error;
+                });
+        }
+        
+        return this.loadPromise;
+    },
+
+    /**
+     * Describe the testimonials feed for FeedLoader
+     * @returns {Object} { name, url, cacheKey, validateRecord }
+     */
+    getFeed() {
+        return {
+            name: 'testimonials',
+            url: APP_CONFIG.testimonials.url,
+            cacheKey: APP_CONFIG.testimonials.cacheKey,
+            validateRecord: record => this.validateRecord(record)
+        };
+    },
+
+    /**
+     * Fetch the published feed as-is, including records the site would skip
+     * @returns {Promise<Array>} Raw testimonial records
+     */
+    fetchPublished() {
+        return FeedLoader.fetchRecords(this.getFeed());
+    },
+
+    /**
+     * Validate a single testimonial record
+     * @param {Object} record - Raw testimonial record
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validateRecord(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['record is not an object'];
+        }
+        
+        const errors = [];
+        
+        ['id', 'author', 'breed', 'text'].forEach(field => {
+            if (typeof record[field] !== 'string' || record[field].trim() === '') errors.push(`missing ${field}`);
+        });
+        
+        if (!Number.isInteger(record.rating) || record.rating < 1 || record.rating > 5) {
+            errors.push('rating must be a whole number from 1 to 5');
+        }
+        
+        if (!Utils.parseDate(record.date)) {
+            errors.push(`invalid date "${record.date}"`);
+        }
+        
+        if (record.photo != null && typeof record.photo !== 'string') {
+            errors.push('photo must be an image path');
+        }
+        
+        return errors;
+    },
+
+    /**
+     * Get testimonials for a breed
+     * @param {string} breed - Breed name, or 'all'
+     * @returns {Array} Matching testimonials, newest first
+     */
+    filterByBreed(breed) {
+        return !breed || breed === 'all' ?
+            this.testimonials :
+            this.testimonials.filter(testimonial => testimonial.breed === breed);
+    },
+
+    /**
+     * Count testimonials per breed
+     * @returns {Array<Object>} { breed, count }, alphabetical
+     */
+    getBreedCounts() {
+        const counts = {};
+        this.testimonials.forEach(testimonial => {
+            counts[testimonial.breed] = (counts[testimonial.breed] || 0) + 1;
+        });
+        
+        return Object.keys(counts).sort().map(breed => ({ breed, count: counts[breed] }));
+    },
+
+    /**
+     * Average the ratings of a set of testimonials
+     * @param {Array} testimonials - Testimonials
+     * @returns {number|null} Average to one decimal, or null when empty
+     */
+    getAverageRating(testimonials) {
+        if (testimonials.length === 0) return null;
+        
+        const total = testimonials.reduce((sum, testimonial) => sum + testimonial.rating, 0);
+        return Math.round((total / testimonials.length) * 10) / 10;
+    },
+
+    /**
+     * Generate star icons for a rating, rounded to the nearest half star
+     * @param {number} rating - Rating from 1 to 5
+     * @returns {Object} Stars HTML fragment
+     */
+    generateStars(rating) {
+        const halves = Math.round(rating * 2);
+        const stars = [1, 2, 3, 4, 5].map(star => {
+            if (halves >= star * 2) return 'fas fa-star';
+            return halves === star * 2 - 1 ? 'fas fa-star-half-alt' : 'far fa-star';
+        });
+        
+        return Html.safe`
+            <span class="text-warning text-nowrap" role="img" aria-label="${I18n.t('testimonials.stars', { rating: I18n.formatNumber(rating) })}">
+                ${stars.map(icon => Html.safe`<i class="${icon}"></i>`)}
+            </span>
+        `;
+    },
+
+    /**
+     * Generate a testimonial card
+     * @param {Object} testimonial - Testimonial record
+     * @param {string} className - Column classes
+     * @returns {Object} Card HTML fragment
+     */
+    generateCard(testimonial, className = 'col-lg-4 col-md-6') {
+        const adopted = testimonial.puppyName ?
+            I18n.t('testimonials.adoptedNamed', { breed: testimonial.breed, name: testimonial.puppyName }) :
+            I18n.t('testimonials.adopted', { breed: testimonial.breed });
+        
+        return Html.safe`
+            <div class="${className}">
+                <div class="card h-100 shadow-sm testimonial-card">
+                    ${testimonial.photo ? ImageManager.picture(testimonial.photo, {
+                        alt: testimonial.puppyName || testimonial.breed,
+                        className: 'card-img-top',
+                        style: 'height: 200px; object-fit: cover;',
+                        sizes: APP_CONFIG.images.sizes.card
+                    }) : ''}
+                    <div class="card-body">
+                        <div class="mb-2">${this.generateStars(testimonial.rating)}</div>
+                        <p class="fst-italic mb-0">"${testimonial.text}"</p>
+                    </div>
+                    <div class="card-footer bg-white border-0">
+                        <strong>${testimonial.author}</strong>
+                        <small class="d-block text-muted">${adopted}</small>
+                        <small class="d-block text-muted">
+                            ${testimonial.location ? Html.safe`<i class="fas fa-map-marker-alt me-1"></i>${testimonial.location} • ` : ''}
+                            ${Utils.formatDate(Utils.parseDate(testimonial.date))}
+                        </small>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Generate the latest testimonials for a breed, for puppy and order pages
+     * @param {string} breed - Breed name
+     * @param {string} className - Section column classes
+     * @returns {Object|string} Section HTML fragment, or empty when the breed has none
+     */
+    generateBreedSection(breed, className = 'col-12 mt-4') {
+        const testimonials = this.filterByBreed(breed);
+        if (testimonials.length === 0) return '';
+        
+        const average = this.getAverageRating(testimonials);
+        
+        return Html.safe`
+            <div class="${className}" id="breed-testimonials">
+                <div class="d-flex flex-wrap align-items-center gap-2 mb-3">
+                    <h3 class="mb-0 me-2"><i class="fas fa-comments me-2"></i>${I18n.t('testimonials.breedTitle', { breed })}</h3>
+                    ${this.generateStars(average)}
+                    <span class="text-muted small">${I18n.t('testimonials.averageShort', { rating: I18n.formatNumber(average), count: testimonials.length })}</span>
+                </div>
+                <div class="row g-4">
+                    ${testimonials.slice(0, APP_CONFIG.testimonials.breedSectionLimit).map(testimonial => this.generateCard(testimonial))}
+                </div>
+                <div class="mt-3">
+                    <a href="testimonials.html?breed=${encodeURIComponent(breed)}">
+                        ${I18n.t('testimonials.readAll', { breed })}<i class="fas fa-arrow-right ms-2"></i>
+                    </a>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Build a testimonial submission for the breeder to moderate
+     * @param {Object} values - Form values
+     * @param {Object} order - The applicant's stored order
+     * @returns {Object} Testimonial payload
+     */
+    buildPayload(values, order) {
+        const reference = SubmissionManager.generateReference(APP_CONFIG.testimonials.referencePrefix);
+        const contact = order.application.contact;
+        
+        return {
+            type: 'testimonial',
+            reference,
+            submittedAt: new Date().toISOString(),
+            locale: I18n.locale,
+            orderReference: order.reference,
+            puppy: order.puppy,
+            application: {
+                contact: { firstName: contact.firstName, lastName: contact.lastName, email: contact.email }
+            },
+            // Ready to add to data/testimonials.json once approved
+            testimonial: {
+                id: reference.toLowerCase(),
+                author: values.author.trim(),
+                location: values.location.trim(),
+                breed: order.puppy.breed,
+                puppyName: order.puppy.name,
+                rating: Number(values.rating),
+                photo: null,
+                date: Utils.toDateString(new Date()),
+                text: values.text.trim()
+            }
+        };
+    }
+};
+
+// Pedigree Module
+const PedigreeManager = {
+    parents: [],
+    loadPromise: null,
+
+    /**
+     * Load the parents dataset once per page, falling back to the last cached copy
+     * @returns {Promise<Array>} Valid parent records
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = FeedLoader.load(this.getFeed())
+                .then(({ valid }) => {
+                    this.parents = valid;
+                    
+                    console.log(`🧬 Parents loaded: ${this.parents.length}`);
+                    return this.parents;
+                })
+                .catch(error => {
+                    this.loadPromise = null;
+                    throw error;
+                });
+        }
+        
+        return this.loadPromise;
+    },
+
+    /**
+     * Describe the parents feed for FeedLoader
+     * @returns {Object} { name, url, cacheKey, validateRecord }
+     */
+    getFeed() {
+        return {
+            name: 'parents',
+            url: APP_CONFIG.parents.url,
+            cacheKey: APP_CONFIG.parents.cacheKey,
+            validateRecord: record => this.validateRecord(record)
+        };
+    },
+
+    /**
+     * Validate a single parent record
+     * @param {Object} record - Raw parent record
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validateRecord(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['record is not an object'];
+        }
+        
+        const errors = [];
+        const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+        
+        ['id', 'name', 'breed'].forEach(field => {
+            if (!isNonEmptyString(record[field])) errors.push(`missing ${field}`);
+        });
+        
+        if (!APP_CONFIG.catalog.genders.includes(record.sex)) {
+            errors.push(`unknown sex "${record.sex}"`);
+        }
+        
+        ['registration', 'color', 'sireId', 'damId'].forEach(field => {
+            if (record[field] !== undefined && !isNonEmptyString(record[field])) errors.push(`invalid ${field}`);
+        });
+        
+        if (record.healthTests !== undefined &&
+            (!Array.isArray(record.healthTests) ||
+             !record.healthTests.every(test => test && isNonEmptyString(test.name) && isNonEmptyString(test.result)))) {
+            errors.push('healthTests must be a list of { name, result }');
+        }
+        
+        if (record.images !== undefined &&
+            (!Array.isArray(record.images) || !record.images.every(isNonEmptyString))) {
+            errors.push('images must be a list of paths');
+        }
+        
+        return errors;
+    },
+
+    /**
+     * Find a parent by ID
+     * @param {string} id - Parent ID
+     * @returns {Object|undefined} Parent
+     */
+    findById(id) {
+        return id ? this.parents.find(parent => parent.id === id) : undefined;
+    },
+
+    /**
+     * Get a puppy's (or parent's) sire and dam
+     * @param {Object} animal - Puppy or parent record with sireId/damId
+     * @returns {Object} { sire, dam }, either may be undefined
+     */
+    getParents(animal) {
+        return {
+            sire: animal ? this.findById(animal.sireId) : undefined,
+            dam: animal ? this.findById(animal.damId) : undefined
+        };
+    },
+
+    /**
+     * Collect ancestors generation by generation, sire before dam.
+     * Generation n holds 2^n slots; unknown ancestors are null.
+     * @param {Object} puppy - Puppy
+     * @param {number} generations - Number of generations
+     * @returns {Array<Array<Object|null>>} Ancestors per generation
+     */
+    getAncestors(puppy, generations = APP_CONFIG.parents.pedigreeGenerations) {
+        const tree = [];
+        let current = [puppy];
+        
+        for (let i = 0; i < generations; i++) {
+            current = current.flatMap(animal => {
+                const { sire, dam } = this.getParents(animal);
+                return [sire || null, dam || null];
+            });
+            tree.push(current);
+        }
+        
+        return tree;
+    },
+
+    /**
+     * Format a puppy's parents as "Sire × Dam"
+     * @param {Object} puppy - Puppy
+     * @returns {string} Parent names, empty when neither is known
+     */
+    formatParents(puppy) {
+        const { sire, dam } = this.getParents(puppy);
+        if (!sire && !dam) return '';
+        
+        const unknown = I18n.t('pedigree.unknown');
+        return `${sire ? sire.name : unknown} × ${dam ? dam.name : unknown}`;
+    }
+};
+
+// Health Records Module
+const HealthManager = {
+    /**
+     * Validate a puppy's structured health record
+     * @param {Object} health - { microchip, records, vetChecks }
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validate(health) {
+        if (!health || typeof health !== 'object' || Array.isArray(health)) {
+            return ['health must be an object'];
+        }
+        
+        const errors = [];
+        const types = APP_CONFIG.health.recordTypes;
+        
+        if (health.microchip !== undefined && !/^\d{9,15}$/.test(String(health.microchip))) {
+            errors.push(`invalid microchip "${health.microchip}"`);
+        }
+        
+        ['records', 'vetChecks'].forEach(field => {
+            if (health[field] !== undefined && !Array.isArray(health[field])) errors.push(`health.${field} must be a list`);
+        });
+        
+        (Array.isArray(health.records) ? health.records : []).forEach((record, index) => {
+            if (!record || !types[record.type] || record.type === 'vetCheck') {
+                errors.push(`health record #${index} has unknown type "${record && record.type}"`);
+            } else if (typeof record.name !== 'string' || !Utils.parseDate(record.date)) {
+                errors.push(`health record #${index} needs a name and date`);
+            } else if (record.nextDue !== undefined && !Utils.parseDate(record.nextDue)) {
+                errors.push(`health record #${index} has invalid nextDue "${record.nextDue}"`);
+            }
+        });
+        
+        (Array.isArray(health.vetChecks) ? health.vetChecks : []).forEach((check, index) => {
+            if (!check || !Utils.parseDate(check.date) || typeof check.result !== 'string') {
+                errors.push(`vet check #${index} needs a date and result`);
+            }
+        });
+        
+        return errors;
+    },
+
+    /**
+     * Get a puppy's vaccine or deworming records, oldest first
+     * @param {Object} puppy - Puppy
+     * @param {string} type - 'vaccine' or 'deworming'
+     * @returns {Array<Object>} Records
+     */
+    getRecords(puppy, type) {
+        const records = (puppy.health && puppy.health.records) || [];
+        return records
+            .filter(record => record.type === type)
+            .sort((a, b) => Utils.parseDate(a.date) - Utils.parseDate(b.date));
+    },
+
+    /**
+     * Work out vaccination status from the records and the core schedule:
+     * complete (series finished), current (every dose due for the puppy's age given),
+     * overdue, or unknown (no structured records)
+     * @param {Object} puppy - Puppy
+     * @param {Date} now - Current date
+     * @returns {string} Key of APP_CONFIG.health.vaccinationStatuses
+     */
+    getVaccinationStatus(puppy, now = new Date()) {
+        if (!puppy.health || !Array.isArray(puppy.health.records)) return 'unknown';
+        
+        const { coreVaccines, graceDays } = APP_CONFIG.health;
+        const ageInDays = Utils.getAgeInDays(puppy, now);
+        const vaccines = this.getRecords(puppy, 'vaccine');
+        let isComplete = true;
+        
+        for (const vaccine of coreVaccines) {
+            const given = vaccines.filter(record => record.name === vaccine.name).length;
+            const due = vaccine.doseWeeks.filter(weeks => ageInDays >= weeks * 7 + graceDays).length;
+            
+            if (given < due) return 'overdue';
+            if (given < vaccine.doseWeeks.length) isComplete = false;
+        }
+        
+        return isComplete ? 'complete' : 'current';
+    },
+
+    /**
+     * Check whether a puppy has every core vaccination due for its age
+     * @param {Object} puppy - Puppy
+     * @returns {boolean} Whether the puppy counts as fully vaccinated
+     */
+    isFullyVaccinated(puppy) {
+        return APP_CONFIG.health.vaccinationStatuses[this.getVaccinationStatus(puppy)].vaccinated;
+    },
+
+    /**
+     * Get the vaccination label for cards and details; listings without
+     * structured records keep showing their free-text note
+     * @param {Object} puppy - Puppy
+     * @returns {Object} { label, textClass }
+     */
+    getVaccinationSummary(puppy) {
+        const status = this.getVaccinationStatus(puppy);
+        
+        if (status === 'unknown' && puppy.vaccinations) {
+            return { label: puppy.vaccinations, textClass: 'text-success' };
+        }
+        
+        const config = APP_CONFIG.health.vaccinationStatuses[status];
+        return { ...config, label: this.getStatusLabel(status) };
+    },
+
+    /**
+     * Get the translated label for a vaccination status
+     * @param {string} status - Key from APP_CONFIG.health.vaccinationStatuses
+     * @returns {string} Status label
+     */
+    getStatusLabel(status) {
+        return I18n.t(`vaccination.${status}`, {}, APP_CONFIG.health.vaccinationStatuses[status].label);
+    },
+
+    /**
+     * Get the translated label for a health record type
+     * @param {string} type - Key from APP_CONFIG.health.recordTypes
+     * @returns {string} Record type label
+     */
+    getTypeLabel(type) {
+        return I18n.t(`healthRecord.${type}`, {}, APP_CONFIG.health.recordTypes[type].label);
+    },
+
+    /**
+     * Build the health timeline: past treatments and vet checks, then upcoming due dates
+     * @param {Object} puppy - Puppy
+     * @param {Date} now - Current date
+     * @returns {Array<Object>} Entries: { date, type, title, detail, upcoming }
+     */
+    getTimeline(puppy, now = new Date()) {
+        const health = puppy.health || {};
+        const today = Utils.startOfDay(now);
+        const entries = [];
+        const latestByName = {};
+        
+        (health.records || []).forEach(record => {
+            entries.push({
+                date: Utils.parseDate(record.date),
+                type: record.type,
+                title: record.name,
+                detail: this.getTypeLabel(record.type),
+                upcoming: false
+            });
+            
+            const key = `${record.type}:${record.name}`;
+            if (!latestByName[key] || record.date > latestByName[key].date) latestByName[key] = record;
+        });
+        
+        (health.vetChecks || []).forEach(check => {
+            entries.push({
+                date: Utils.parseDate(check.date),
+                type: 'vetCheck',
+                title: `${this.getTypeLabel('vetCheck')}: ${check.result}`,
+                detail: [check.vet, check.notes].filter(Boolean).join(' — '),
+                upcoming: false
+            });
+        });
+        
+        // Only the latest treatment of each kind sets the next due date
+        Object.values(latestByName).forEach(record => {
+            const nextDue = Utils.parseDate(record.nextDue);
+            if (!nextDue || nextDue < today) return;
+            
+            entries.push({
+                date: nextDue,
+                type: record.type,
+                title: I18n.t('health.due', { name: record.name }),
+                detail: I18n.t('health.next', { type: this.getTypeLabel(record.type).toLowerCase() }),
+                upcoming: true
+            });
+        });
+        
+        return entries.sort((a, b) => a.date - b.date);
+    },
+
+    /**
+     * Summarize a puppy's health record as a certificate attached to orders
+     * @param {Object} puppy - Puppy
+     * @param {Date} now - Issue date
+     * @returns {Object} Health certificate
+     */
+    buildCertificate(puppy, now = new Date()) {
+        const health = puppy.health || {};
+        const toEntry = record => ({ name: record.name, date: record.date, nextDue: record.nextDue || null });
+        
+        return {
+            puppyId: puppy.id,
+            name: puppy.name,
+            breed: puppy.breed,
+            gender: puppy.gender,
+            birthDate: puppy.birthDate || null,
+            microchip: health.microchip || null,
+            vaccinationStatus: this.getVaccinationStatus(puppy, now),
+            vaccinations: this.getRecords(puppy, 'vaccine').map(toEntry),
+            deworming: this.getRecords(puppy, 'deworming').map(toEntry),
+            vetChecks: (health.vetChecks || []).map(check => ({ ...check })),
+            issuedAt: now.toISOString()
+        };
+    },
+
+    /**
+     * Generate printable certificate HTML
+     * @param {Object} certificate - Certificate from buildCertificate
+     * @returns {Object} Certificate HTML fragment
+     */
+    generateCertificateHtml(certificate) {
+        const formatDay = value => value ? Utils.formatDate(Utils.parseDate(value)) : '—';
+        const table = (title, rows, columns) => Html.safe`
+            <h5 class="mt-4">${title}</h5>
+            ${rows.length > 0 ? Html.safe`
+            <table class="table table-sm table-bordered">
+                <thead><tr>${columns.map(([label]) => Html.safe`<th scope="col">${label}</th>`)}</tr></thead>
+                <tbody>
+                    ${rows.map(row => Html.safe`<tr>${columns.map(([, render]) => Html.safe`<td>${render(row)}</td>`)}</tr>`)}
+                </tbody>
+            </table>` : Html.safe`<p class="text-muted">${I18n.t('certificate.none')}</p>`}
+        `;
+        
+        return Html.safe`
+            <div class="health-certificate">
+                <h2 class="mb-1">${I18n.t('certificate.title')}</h2>
+                <p class="text-muted">${I18n.t('certificate.issued', { date: Utils.formatDate(new Date(certificate.issuedAt)) })}</p>
+                <dl class="row">
+                    <dt class="col-4">${I18n.t('certificate.name')}</dt><dd class="col-8">${certificate.name} (${certificate.puppyId})</dd>
+                    <dt class="col-4">${I18n.t('certificate.breed')}</dt><dd class="col-8">${certificate.breed}, ${Utils.formatGender(certificate.gender)}</dd>
+                    <dt class="col-4">${I18n.t('certificate.birthDate')}</dt><dd class="col-8">${formatDay(certificate.birthDate)}</dd>
+                    <dt class="col-4">${I18n.t('health.microchip')}</dt><dd class="col-8">${certificate.microchip || I18n.t('health.noMicrochip')}</dd>
+                    <dt class="col-4">${I18n.t('certificate.vaccinationStatus')}</dt>
+                    <dd class="col-8">${this.getStatusLabel(certificate.vaccinationStatus)}</dd>
+                </dl>
+                ${table(I18n.t('certificate.vaccinations'), certificate.vaccinations, [
+                    [I18n.t('certificate.vaccine'), row => row.name], [I18n.t('certificate.given'), row => formatDay(row.date)],
+                    [I18n.t('certificate.nextDue'), row => formatDay(row.nextDue)]
+                ])}
+                ${table(I18n.t('certificate.deworming'), certificate.deworming, [
+                    [I18n.t('certificate.treatment'), row => row.name], [I18n.t('certificate.given'), row => formatDay(row.date)],
+                    [I18n.t('certificate.nextDue'), row => formatDay(row.nextDue)]
+                ])}
+                ${table(I18n.t('certificate.vetChecks'), certificate.vetChecks, [
+                    [I18n.t('certificate.date'), row => formatDay(row.date)], [I18n.t('certificate.vet'), row => row.vet || '—'],
+                    [I18n.t('certificate.result'), row => row.result], [I18n.t('certificate.notes'), row => row.notes || '—']
+                ])}
+            </div>
+        `;
+    },
+
+    /**
+     * Print a certificate on its own, hiding the rest of the page
+     * @param {Object} certificate - Certificate from buildCertificate
+     */
+    printCertificate(certificate) {
+        let printArea = document.getElementById('print-certificate');
+        
+        if (!printArea) {
+            printArea = document.createElement('div');
+            printArea.id = 'print-certificate';
+            printArea.className = 'container py-4';
+            document.body.appendChild(printArea);
+        }
+        
+        Html.render(printArea, this.generateCertificateHtml(certificate));
+        document.body.classList.add('printing-certificate');
+        window.addEventListener('afterprint', () => document.body.classList.remove('printing-certificate'), { once: true });
+        window.print();
+    }
+};
+
+// Responsive Images Module
+const ImageManager = {
+    manifest: {},
+    loadPromise: null,
+
+    /**
+     * Load the image manifest once per page; without it photos render as plain images
+     * @returns {Promise<Object>} Manifest entries keyed by image path
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchManifest()
+                .catch(error => {
+                    console.warn('⚠️ Image manifest unavailable, using original photos:', error);
+                    return this.manifest;
+                });
+        }
+        
+        return this.loadPromise;
+    },
+
+    /**
+     * Fetch the manifest produced by the image build
+     * @returns {Promise<Object>} Manifest entries
+     */
+    async fetchManifest() {
+        const response = await fetch(APP_CONFIG.images.manifestUrl, { cache: 'no-cache' });
+        
+        if (!response.ok) {
+            throw new Error(`Image manifest request failed with status ${response.status}`);
+        }
+        
+        const manifest = await response.json();
+        this.manifest = manifest.images || {};
+        
+        console.log(`🖼️ Image manifest loaded: ${Object.keys(this.manifest).length} photos`);
+        return this.manifest;
+    },
+
+    /**
+     * Find the build output for a catalog image
+     * @param {string} src - Image path as written in the catalog
+     * @returns {Object|null} Manifest entry
+     */
+    getEntry(src) {
+        if (!src) return null;
+        return this.manifest[String(src).replace(/^\.\//, '')] || null;
+    },
+
+    /**
+     * Render a lazily loaded photo, with AVIF/WebP sources and a blurred preview when built
+     * @param {string} src - Original image path
+     * @param {Object} options - { alt, className, style, sizes, loading }
+     * @returns {Object} Picture or image HTML fragment
+     */
+    picture(src, { alt = '', className = '', style = '', sizes = '100vw', loading = 'lazy' } = {}) {
+        const entry = this.getEntry(src);
+        const placeholder = APP_CONFIG.images.placeholder;
+        
+        if (!entry) {
+            return Html.safe`
+                <img src="${src}" class="${className}" alt="${alt}" style="${style}" loading="${loading}" decoding="async"
+                     onerror="this.onerror = null; this.src = '${placeholder}'">
+            `;
+        }
+        
+        // Paths are URI-encoded because srcset splits on whitespace; on error the <source>s
+        // are dropped too, otherwise the browser keeps picking them
+        return Html.safe`
+            <picture class="d-block">
+                ${Object.entries(entry.variants).map(([format, variants]) => Html.safe`
+                    <source type="image/${format}" sizes="${sizes}"
+                            srcset="${variants.map(variant => `${encodeURI(variant.src)} ${variant.width}w`).join(', ')}">
+                `)}
+                <img src="${src}" class="${className}" alt="${alt}" width="${entry.width}" height="${entry.height}"
+                     style="${style} background: center / cover no-repeat url('${entry.placeholder}');"
+                     loading="${loading}" decoding="async"
+                     onerror="this.onerror = null; this.parentNode.querySelectorAll('source').forEach(source => source.remove()); this.src = '${placeholder}'">
+            </picture>
+        `;
+    }
+};
+
+// Favorites Module
+const FavoritesManager = {
+    /**
+     * Get favorited puppy IDs
+     * @returns {Array<string>} Puppy IDs
+     */
+    getFavorites() {
+        return Utils.readStorage(APP_CONFIG.favorites.storageKey) || [];
+    },
+
+    /**
+     * Check whether a puppy is a favorite
+     * @param {string} id - Puppy ID
+     * @returns {boolean} Whether the puppy is favorited
+     */
+    isFavorite(id) {
+        return this.getFavorites().includes(id);
+    },
+
+    /**
+     * Add or remove a favorite
+     * @param {string} id - Puppy ID
+     * @returns {boolean} Whether the puppy is now a favorite
+     */
+    toggleFavorite(id) {
+        const favorites = this.getFavorites();
+        const isFavorite = !favorites.includes(id);
+        
+        Utils.writeStorage(
+            APP_CONFIG.favorites.storageKey,
+            isFavorite ? [...favorites, id] : favorites.filter(favoriteId => favoriteId !== id)
+        );
+        
+        return isFavorite;
+    },
+
+    /**
+     * Get puppy IDs selected for comparison, in the order they were added
+     * @returns {Array<string>} Puppy IDs
+     */
+    getCompareList() {
+        return Utils.readStorage(APP_CONFIG.favorites.compareStorageKey) || [];
+    },
+
+    /**
+     * Check whether a puppy is selected for comparison
+     * @param {string} id - Puppy ID
+     * @returns {boolean} Whether the puppy is being compared
+     */
+    isCompared(id) {
+        return this.getCompareList().includes(id);
+    },
+
+    /**
+     * Add or remove a puppy from the comparison, up to the configured limit
+     * @param {string} id - Puppy ID
+     * @returns {Object} { compared, limitReached }
+     */
+    toggleCompare(id) {
+        const list = this.getCompareList();
+        
+        if (list.includes(id)) {
+            Utils.writeStorage(APP_CONFIG.favorites.compareStorageKey, list.filter(compareId => compareId !== id));
+            return { compared: false, limitReached: false };
+        }
+        
+        if (list.length >= APP_CONFIG.favorites.compareLimit) {
+            return { compared: false, limitReached: true };
+        }
+        
+        Utils.writeStorage(APP_CONFIG.favorites.compareStorageKey, [...list, id]);
+        return { compared: true, limitReached: false };
+    },
+
+    /**
+     * Empty the comparison
+     */
+    clearCompare() {
+        Utils.writeStorage(APP_CONFIG.favorites.compareStorageKey, []);
+    }
+};
+
+// Filtering Module
+const FilterManager = {
+    // Filter name → select element ID; filter names double as URL parameter names
+    filterElements: {
+        breed: 'breed-filter',
+        age: 'age-filter',
+        gender: 'gender-filter',
+        minPrice: 'price-min-filter',
+        maxPrice: 'price-max-filter',
+        q: 'search-filter',
+        includeSold: 'include-sold-filter',
+        vaccinated: 'vaccinated-filter',
+        favorites: 'favorites-filter',
+        sort: 'sort-filter'
+    },
+    
+    // Filters whose value is a list of selected options (checkbox groups)
+    multiValueFilters: ['breed'],
+    
+    // Price defaults are replaced with the catalog's bounds by setPriceBounds()
+    defaults: {
+        breed: [],
+        age: 'all',
+        gender: 'all',
+        minPrice: '',
+        maxPrice: '',
+        q: '',
+        includeSold: '',
+        vaccinated: '',
+        favorites: '',
+        sort: 'featured'
+    },
+    
+    // Sort key → comparator; 'featured' keeps catalog order
+    sorters: {
+        'featured': () => 0,
+        'price-asc': (a, b) => a.price - b.price,
+        'price-desc': (a, b) => b.price - a.price,
+        'age-asc': (a, b) => Utils.getAgeInDays(a) - Utils.getAgeInDays(b),
+        'age-desc': (a, b) => Utils.getAgeInDays(b) - Utils.getAgeInDays(a),
+        'newest': (a, b, catalog) => FilterManager.getListingTime(b, catalog) - FilterManager.getListingTime(a, catalog)
+    },
+    
+    /**
+     * Apply all active filters to puppies array, then sort the result
+     * @param {Array} puppies - Array of puppy objects
+     * @returns {Array} Filtered and sorted puppies array
+     */
+    applyFilters(puppies) {
+        const filters = this.getActiveFilters();
+        const filtered = puppies.filter(puppy => this.matchesFilters(puppy, filters));
+        
+        return this.sortPuppies(filtered, filters.sort, puppies);
+    },
+
+    /**
+     * Check a puppy against every filter, optionally ignoring one of them
+     * @param {Object} puppy - Puppy object
+     * @param {Object} filters - Filter values
+     * @param {string|null} except - Filter name to skip
+     * @returns {boolean} Match result
+     */
+    matchesFilters(puppy, filters, except = null) {
+        const checks = {
+            breed: () => this.matchesBreedFilter(puppy, filters.breed),
+            age: () => this.matchesAgeFilter(puppy, filters.age),
+            gender: () => this.matchesGenderFilter(puppy, filters.gender),
+            price: () => this.matchesPriceFilter(puppy, filters.minPrice, filters.maxPrice),
+            q: () => this.matchesSearchFilter(puppy, filters.q),
+            includeSold: () => this.matchesStatusFilter(puppy, filters.includeSold),
+            vaccinated: () => this.matchesVaccinatedFilter(puppy, filters.vaccinated),
+            favorites: () => this.matchesFavoritesFilter(puppy, filters.favorites)
+        };
+        
+        return Object.entries(checks).every(([name, check]) => name === except || check());
+    },
+
+    /**
+     * Count how many puppies each option would yield, given the other active filters
+     * @param {Array} puppies - Array of puppy objects
+     * @param {string} name - Filter name (breed, age or gender)
+     * @param {Array<string>} values - Option values to count
+     * @returns {Object} Option value → match count
+     */
+    countOptionMatches(puppies, name, values) {
+        const filters = this.getActiveFilters();
+        const pool = puppies.filter(puppy => this.matchesFilters(puppy, filters, name));
+        const matchers = {
+            breed: (puppy, value) => this.matchesBreedFilter(puppy, [value]),
+            age: (puppy, value) => this.matchesAgeFilter(puppy, value),
+            gender: (puppy, value) => this.matchesGenderFilter(puppy, value)
+        };
+        const counts = {};
+        
+        values.forEach(value => {
+            counts[value] = pool.filter(puppy => matchers[name](puppy, value)).length;
+        });
+        
+        return counts;
+    },
+
+    /**
+     * Sort puppies by the given sort key
+     * @param {Array} puppies - Puppies to sort
+     * @param {string} sortKey - Key into FilterManager.sorters
+     * @param {Array} catalog - Full catalog, used to rank listings without a date
+     * @returns {Array} New sorted array
+     */
+    sortPuppies(puppies, sortKey, catalog = puppies) {
+        const comparator = this.sorters[sortKey] || this.sorters.featured;
+        
+        return [...puppies].sort((a, b) => comparator(a, b, catalog));
+    },
+
+    /**
+     * Get listing timestamp for "newest" sorting; listings without a
+     * listedDate rank by catalog position, later entries being newer
+     * @param {Object} puppy - Puppy object
+     * @param {Array} catalog - Full catalog
+     * @returns {number} Sortable timestamp
+     */
+    getListingTime(puppy, catalog) {
+        const listed = Date.parse(puppy.listedDate);
+        if (!isNaN(listed)) return listed;
+        
+        return catalog.indexOf(puppy);
+    },
+
+    /**
+     * Update the price slider bounds and defaults
+     * @param {number} min - Lowest selectable price
+     * @param {number} max - Highest selectable price
+     */
+    setPriceBounds(min, max) {
+        this.defaults.minPrice = String(min);
+        this.defaults.maxPrice = String(max);
+        
+        [this.filterElements.minPrice, this.filterElements.maxPrice].forEach(elementId => {
+            const element = document.getElementById(elementId);
+            if (!element) return;
+            
+            element.min = min;
+            element.max = max;
+            element.step = APP_CONFIG.priceFilter.step;
+        });
+    },
+
+    /**
+     * Get current filter values from DOM
+     * @returns {Object} Filter values
+     */
+    getActiveFilters() {
+        const filters = {};
+        
+        Object.entries(this.filterElements).forEach(([name, elementId]) => {
+            filters[name] = this.getFilterValue(elementId, this.defaults[name]);
+        });
+        
+        return filters;
+    },
+
+    /**
+     * Set filter controls to the given values, falling back to defaults for unknown values
+     * @param {Object} filters - Filter values keyed by filter name
+     */
+    setActiveFilters(filters) {
+        Object.entries(this.filterElements).forEach(([name, elementId]) => {
+            const element = document.getElementById(elementId);
+            if (!element) return;
+            
+            const value = filters[name];
+            
+            if (this.multiValueFilters.includes(name)) {
+                const selected = Array.isArray(value) ? value : [];
+                element.querySelectorAll('input[type="checkbox"]').forEach(input => {
+                    input.checked = selected.includes(input.value);
+                });
+            } else if (element.type === 'checkbox') {
+                element.checked = value === element.value;
+            } else if (element.tagName === 'SELECT') {
+                const isKnownOption = Array.from(element.options).some(option => option.value === value);
+                element.value = isKnownOption ? value : this.defaults[name];
+            } else {
+                element.value = value === undefined || value === null ? this.defaults[name] : value;
+            }
+        });
+    },
+
+    /**
+     * Reset all filter controls to their defaults
+     */
+    resetFilters() {
+        this.setActiveFilters(this.defaults);
+    },
+
+    /**
+     * Read filter values from the URL query string
+     * @returns {Object} Filter values, defaults where a parameter is missing
+     */
+    getFiltersFromUrl() {
+        const filters = {};
+        
+        Object.keys(this.filterElements).forEach(name => {
+            const value = Utils.getUrlParam(name);
+            
+            if (this.multiValueFilters.includes(name)) {
+                filters[name] = (value || '').split(',').filter(item => item && item !== 'all');
+            } else {
+                filters[name] = value || this.defaults[name];
+            }
+        });
+        
+        return filters;
+    },
+
+    /**
+     * Convert filter values to URL parameters, dropping defaults to keep URLs short
+     * @param {Object} filters - Filter values
+     * @returns {Object} URL parameters (null for defaults)
+     */
+    toUrlParams(filters) {
+        const params = {};
+        
+        Object.keys(this.filterElements).forEach(name => {
+            const value = filters[name];
+            
+            if (Array.isArray(value)) {
+                params[name] = value.length > 0 ? value.join(',') : null;
+            } else {
+                params[name] = value === this.defaults[name] ? null : value;
+            }
+        });
+        
+        return params;
+    },
+
+    /**
+     * Get filter value from a select, input or checkbox group element
+     * @param {string} elementId - Element ID
+     * @param {string|Array} fallback - Value to use when the element is missing
+     * @returns {string|Array<string>} Filter value; checked values for checkbox groups
+     */
+    getFilterValue(elementId, fallback = 'all') {
+        const element = document.getElementById(elementId);
+        if (!element) return fallback;
+        
+        if (element.dataset.filterType === 'multi') {
+            return Array.from(element.querySelectorAll('input[type="checkbox"]:checked'))
+                .map(input => input.value);
+        }
+        
+        if (element.type === 'checkbox') {
+            return element.checked ? element.value : '';
+        }
+        
+        return element.value;
+    },
+
+    /**
+     * Check if puppy matches breed filter
+     * @param {Object} puppy - Puppy object
+     * @param {string|Array<string>} breedFilter - Selected breed(s); empty or 'all' matches any
+     * @returns {boolean} Match result
+     */
+    matchesBreedFilter(puppy, breedFilter) {
+        const breeds = Array.isArray(breedFilter) ? breedFilter : [breedFilter];
+        return breeds.length === 0 || breeds.includes('all') || breeds.includes(puppy.breed);
+    },
+
+    /**
+     * Check if puppy matches age filter
+     * @param {Object} puppy - Puppy object
+     * @param {string} ageFilter - Selected age filter
+     * @returns {boolean} Match result
+     */
+    matchesAgeFilter(puppy, ageFilter) {
+        if (ageFilter === 'all') return true;
+        
+        const ageRange = APP_CONFIG.ageRanges[ageFilter];
+        
+        if (!ageRange) return true;
+        
+        return Utils.hasReachedAge(puppy, ageRange.min) && !Utils.hasReachedAge(puppy, ageRange.max);
+    },
+
+    /**
+     * Check if puppy matches gender filter
+     * @param {Object} puppy - Puppy object
+     * @param {string} genderFilter - Selected gender filter
+     * @returns {boolean} Match result
+     */
+    matchesGenderFilter(puppy, genderFilter) {
+        return genderFilter === 'all' || puppy.gender === genderFilter;
+    },
+
+    /**
+     * Check if puppy price falls within the selected range
+     * @param {Object} puppy - Puppy object
+     * @param {string} minPrice - Lower bound, empty for none
+     * @param {string} maxPrice - Upper bound, empty for none
+     * @returns {boolean} Match result
+     */
+    matchesPriceFilter(puppy, minPrice, maxPrice) {
+        const min = parseFloat(minPrice);
+        const max = parseFloat(maxPrice);
+        
+        if (!isNaN(min) && puppy.price < min) return false;
+        if (!isNaN(max) && puppy.price > max) return false;
+        
+        return true;
+    },
+
+    /**
+     * Check if every search term appears in the puppy's name or description
+     * @param {Object} puppy - Puppy object
+     * @param {string} query - Free-text search query
+     * @returns {boolean} Match result
+     */
+    matchesSearchFilter(puppy, query) {
+        const terms = (query || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return true;
+        
+        const haystack = `${puppy.name || ''} ${puppy.description || ''}`.toLowerCase();
+        return terms.every(term => haystack.includes(term));
+    },
+
+    /**
+     * Check if puppy should be listed given the "include sold" toggle
+     * @param {Object} puppy - Puppy object
+     * @param {string} includeSold - 'true' when sold puppies are shown
+     * @returns {boolean} Match result
+     */
+    matchesStatusFilter(puppy, includeSold) {
+        return includeSold === 'true' || Utils.getPuppyStatus(puppy) !== 'sold';
+    },
+
+    /**
+     * Check if puppy matches the fully vaccinated filter
+     * @param {Object} puppy - Puppy object
+     * @param {string} vaccinated - 'true' to show only puppies with every vaccination due for their age
+     * @returns {boolean} Whether puppy matches
+     */
+    matchesVaccinatedFilter(puppy, vaccinated) {
+        return vaccinated !== 'true' || HealthManager.isFullyVaccinated(puppy);
+    },
+
+    /**
+     * Check if puppy matches the favorites filter
+     * @param {Object} puppy - Puppy object
+     * @param {string} favorites - 'true' to show only favorited puppies
+     * @returns {boolean} Whether puppy matches
+     */
+    matchesFavoritesFilter(puppy, favorites) {
+        return favorites !== 'true' || FavoritesManager.isFavorite(puppy.id);
+    },
+
+    /**
+     * Find available puppies most similar to the given one
+     * Same breed weighs most, then gender, then closeness in price
+     * @param {Array} puppies - Array of puppy objects
+     * @param {Object} puppy - Puppy to compare against
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Array} Similar available puppies
+     */
+    findSimilarPuppies(puppies, puppy, limit = 3) {
+        const score = candidate => (candidate.breed === puppy.breed ? 2 : 0) +
+                                   (candidate.gender === puppy.gender ? 1 : 0);
+        
+        return puppies
+            .filter(candidate => candidate.id !== puppy.id && Utils.isPuppyAvailable(candidate))
+            .sort((a, b) => score(b) - score(a) ||
+                            Math.abs(a.price - puppy.price) - Math.abs(b.price - puppy.price))
+            .slice(0, limit);
+    }
+};
+
+// Pagination Module
+const PaginationManager = {
+    currentPage: 1,
+    
+    /**
+     * Render pagination controls
+     * @param {Array} items - Array of items to paginate
+     * @param {HTMLElement} container - Pagination container element
+     * @param {Function} onPageChange - Callback for page changes
+     */
+    render(items, container, onPageChange) {
+        if (!container) return;
+        
+        container.innerHTML = '';
+        const pageCount = this.getPageCount(items);
+        
+        if (pageCount <= 1) return;
+        
+        const pagination = document.createElement('nav');
+        pagination.setAttribute('aria-label', I18n.t('pagination.label'));
+        
+        const ul = document.createElement('ul');
+        ul.className = 'pagination justify-content-center';
+        
+        // Previous button
+        ul.appendChild(this.createPaginationItem(
+            '«', 
+            this.currentPage - 1, 
+            this.currentPage === 1, 
+            onPageChange,
+            I18n.t('pagination.previous')
+        ));
+        
+        // Page numbers
+        const startPage = Math.max(1, this.currentPage - 2);
+        const endPage = Math.min(pageCount, startPage + 4);
+        
+        for (let i = startPage; i <= endPage; i++) {
+            ul.appendChild(this.createPaginationItem(
+                i, 
+                i, 
+                false, 
+                onPageChange,
+                I18n.t('pagination.page', { page: i }),
+                i === this.currentPage
+            ));
+        }
+        
+        // Next button
+        ul.appendChild(this.createPaginationItem(
+            '»', 
+            this.currentPage + 1, 
+            this.currentPage === pageCount, 
+            onPageChange,
+            I18n.t('pagination.next')
+        ));
+        
+        pagination.appendChild(ul);
+        container.appendChild(pagination);
+    },
+
+    /**
+     * Create pagination item element
+     * @param {string} text - Display text
+     * @param {number} page - Page number
+     * @param {boolean} disabled - Whether item is disabled
+     * @param {Function} onPageChange - Click handler
+     * @param {string} ariaLabel - Accessibility label
+     * @param {boolean} active - Whether item is active
+     * @returns {HTMLElement} List item element
+     */
+    createPaginationItem(text, page, disabled, onPageChange, ariaLabel, active = false) {
+        const li = document.createElement('li');
+        li.className = `page-item ${disabled ? 'disabled' : ''} ${active ? 'active' : ''}`;
+        
+        const a = document.createElement('a');
+        a.className = 'page-link';
+        a.href = '#';
+        a.textContent = text;
+        a.setAttribute('aria-label', ariaLabel);
+        
+        if (!disabled) {
+            a.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.currentPage = page;
+                onPageChange(page);
+            });
+        }
+        
+        li.appendChild(a);
+        return li;
+    },
+
+    /**
+     * Get items for current page
+     * @param {Array} items - All items
+     * @param {number} page - Page number
+     * @returns {Array} Items for the page
+     */
+    getItemsForPage(items, page = this.currentPage) {
+        const start = (page - 1) * APP_CONFIG.pagination.itemsPerPage;
+        const end = start + APP_CONFIG.pagination.itemsPerPage;
+        return items.slice(start, end);
+    },
+
+    /**
+     * Get total number of pages
+     * @param {Array} items - All items
+     * @returns {number} Page count
+     */
+    getPageCount(items) {
+        return Math.ceil(items.length / APP_CONFIG.pagination.itemsPerPage);
+    },
+
+    /**
+     * Set current page, clamped to the available range
+     * @param {number} page - Requested page number
+     * @param {Array} items - All items
+     */
+    setPage(page, items) {
+        const pageCount = Math.max(1, this.getPageCount(items));
+        const requested = parseInt(page);
+        
+        this.currentPage = isNaN(requested) ? 1 : Math.min(Math.max(requested, 1), pageCount);
+    },
+
+    /**
+     * Reset to first page
+     */
+    reset() {
+        this.currentPage = 1;
+    }
+};
+
+// Shipping Calculator Module
+const ShippingCalculator = {
+    /**
+     * Normalize a US ZIP code to its five-digit form
+     * @param {string} value - ZIP or ZIP+4
+     * @returns {string|null} Five-digit ZIP, or null if invalid
+     */
+    normalizePostalCode(value) {
+        const match = /^\s*(\d{5})(?:-?\d{4})?\s*$/.exec(value || '');
+        return match ? match[1] : null;
+    },
+
+    /**
+     * Check if a three-digit ZIP prefix falls within a range such as "300-303" or "311"
+     * @param {number} prefix - First three digits of the ZIP
+     * @param {string} range - Prefix or inclusive prefix range
+     * @returns {boolean} Match result
+     */
+    matchesPrefixRange(prefix, range) {
+        const [start, end = start] = range.split('-').map(part => parseInt(part, 10));
+        return prefix >= start && prefix <= end;
+    },
+
+    /**
+     * Find the pricing zone for a ZIP code; zones without prefixes catch everything else
+     * @param {string} postalCode - ZIP code
+     * @returns {Object|null} Zone config, or null for an invalid ZIP
+     */
+    findZone(postalCode) {
+        const zip = this.normalizePostalCode(postalCode);
+        if (!zip) return null;
+        
+        const prefix = parseInt(zip.slice(0, 3), 10);
+        const zones = APP_CONFIG.shipping.zones;
+        
+        return zones.find(zone => (zone.prefixes || []).some(range => this.matchesPrefixRange(prefix, range))) ||
+               zones.find(zone => !zone.prefixes || zone.prefixes.length === 0) ||
+               null;
+    },
+
+    /**
+     * Quote a delivery method for a zone
+     * @param {string} method - Delivery method key
+     * @param {Object|null} zone - Zone config; pickup needs none
+     * @returns {Object} { available, rate, crateFee, total }
+     */
+    getQuote(method, zone) {
+        const methodConfig = APP_CONFIG.shipping.methods[method];
+        if (!methodConfig) return { available: false, rate: 0, crateFee: 0, total: 0 };
+        
+        const rate = methodConfig.requiresZone ?
+            (zone ? zone.rates[method] : null) :
+            methodConfig.rate;
+        
+        if (rate === null || rate === undefined) {
+            return { available: false, rate: 0, crateFee: 0, total: 0 };
+        }
+        
+        const crateFee = methodConfig.crateFee || 0;
+        return { available: true, rate, crateFee, total: rate + crateFee };
+    },
+
+    /**
+     * Describe a zone's distance band from the kennel
+     * @param {Object} zone - Zone config
+     * @returns {string} Description such as "Regional (up to ~300 miles from Atlanta, GA)"
+     */
+    describeZone(zone) {
+        const kennel = APP_CONFIG.shipping.kennel.name;
+        const label = this.getZoneLabel(zone);
+        return zone.maxMiles ?
+            I18n.t('shipping.zoneUpTo', { zone: label, miles: I18n.formatNumber(zone.maxMiles), kennel }) :
+            I18n.t('shipping.zoneOver', {
+                zone: label,
+                miles: I18n.formatNumber(APP_CONFIG.shipping.zones.reduce((max, z) => Math.max(max, z.maxMiles || 0), 0)),
+                kennel
+            });
+    },
+
+    /**
+     * Get the translated label for a shipping zone
+     * @param {Object} zone - Zone config
+     * @returns {string} Zone label
+     */
+    getZoneLabel(zone) {
+        return I18n.t(`shipping.zone.${zone.id}`, {}, zone.label);
+    },
+
+    /**
+     * Get the translated label for a delivery method
+     * @param {string} method - Delivery method key
+     * @returns {string} Method label
+     */
+    getMethodLabel(method) {
+        return I18n.t(`shipping.method.${method}`, {}, APP_CONFIG.shipping.methods[method].label);
+    }
+};
+
+// Pricing Module
+const PricingEngine = {
+    /**
+     * Calculate the full price breakdown for an order
+     * @param {Object} options - Order inputs
+     * @param {number} options.puppyPrice - Puppy price
+     * @param {number} options.shipping - Shipping cost including carrier fees
+     * @param {Array} options.addOns - Selected add-ons: { id, label, unitPrice, quantity, taxable }
+     * @param {string} options.state - Two-letter state code for sales tax
+     * @param {string} options.planId - Payment plan ID from APP_CONFIG.pricing.paymentPlans
+     * @param {Date} options.now - Date the deposit is paid
+     * @returns {Object} Price breakdown with deposit, balance and payment schedule
+     */
+    calculate({ puppyPrice, shipping = 0, addOns = [], state = '', planId = 'full', now = new Date() }) {
+        const config = APP_CONFIG.pricing;
+        const plan = config.paymentPlans.find(p => p.id === planId) || config.paymentPlans[0];
+        
+        const items = addOns.map(addOn => ({
+            ...addOn,
+            total: this.round(addOn.unitPrice * addOn.quantity)
+        }));
+        const addOnsTotal = this.sum(items.map(item => item.total));
+        const taxableAddOns = this.sum(items.filter(item => item.taxable !== false).map(item => item.total));
+        
+        const taxRate = this.getTaxRate(state);
+        const taxableAmount = puppyPrice + taxableAddOns + (config.salesTax.taxShipping ? shipping : 0);
+        const tax = this.round(taxableAmount * taxRate);
+        
+        const planFee = plan.fee || 0;
+        const subtotal = this.round(puppyPrice + addOnsTotal + shipping);
+        const total = this.round(subtotal + tax + planFee);
+        const deposit = Math.min(config.deposit.amount, total);
+        const balance = this.round(total - deposit);
+        
+        return {
+            puppyPrice,
+            addOns: items,
+            addOnsTotal,
+            shipping,
+            subtotal,
+            taxRate,
+            taxableAmount,
+            tax,
+            planFee,
+            total,
+            deposit,
+            depositRefundable: config.deposit.refundable,
+            balance,
+            plan: { id: plan.id, label: plan.label, installments: plan.installments },
+            schedule: this.buildSchedule(deposit, balance, plan, now)
+        };
+    },
+
+    /**
+     * Look up the sales tax rate for a state
+     * @param {string} state - Two-letter state code
+     * @returns {number} Rate as a fraction, 0 when the state isn't configured
+     */
+    getTaxRate(state) {
+        const rates = APP_CONFIG.pricing.salesTax.rates;
+        return rates[String(state || '').trim().toUpperCase()] || 0;
+    },
+
+    /**
+     * Build the payment schedule: deposit now, then the balance at pickup or in installments
+     * @param {number} deposit - Deposit due now
+     * @param {number} balance - Remaining balance
+     * @param {Object} plan - Payment plan config
+     * @param {Date} now - Date the deposit is paid
+     * @returns {Array<Object>} Payments: { type, label, dueDate (null = at pickup), amount }
+     */
+    buildSchedule(deposit, balance, plan, now) {
+        const schedule = [{ type: 'deposit', label: 'Deposit', dueDate: now, amount: deposit }];
+        
+        if (balance <= 0) return schedule;
+        
+        if (plan.installments <= 1) {
+            schedule.push({ type: 'balance', label: 'Balance at pickup', dueDate: null, amount: balance });
+            return schedule;
+        }
+        
+        // Equal installments in cents; the last one absorbs any rounding remainder
+        const balanceCents = Math.round(balance * 100);
+        const installmentCents = Math.floor(balanceCents / plan.installments);
+        
+        for (let i = 1; i <= plan.installments; i++) {
+            const dueDate = new Date(now);
+            dueDate.setDate(dueDate.getDate() + plan.intervalDays * i);
+            
+            const cents = i === plan.installments ?
+                balanceCents - installmentCents * (plan.installments - 1) :
+                installmentCents;
+            
+            schedule.push({
+                type: 'installment',
+                number: i,
+                of: plan.installments,
+                label: `Installment ${i} of ${plan.installments}`,
+                dueDate,
+                amount: cents / 100
+            });
+        }
+        
+        return schedule;
+    },
+
+    /**
+     * Get the translated label for a payment schedule entry; the English label stays in the payload
+     * @param {Object} payment - Schedule entry from buildSchedule
+     * @returns {string} Payment label
+     */
+    getPaymentLabel(payment) {
+        return I18n.t(`pricing.payment.${payment.type}`, { number: payment.number, of: payment.of }, payment.label);
+    },
+
+    /**
+     * Get the translated label for a payment plan
+     * @param {Object} plan - Plan config from APP_CONFIG.pricing.paymentPlans
+     * @returns {string} Plan label
+     */
+    getPlanLabel(plan) {
+        return I18n.t(`pricing.plan.${plan.id}`, {}, plan.label);
+    },
+
+    /**
+     * Get the translated label or description for an add-on
+     * @param {Object} addOn - Add-on config or selected item with an id
+     * @param {string} field - 'label' or 'description'
+     * @returns {string} Translated text
+     */
+    getAddOnText(addOn, field = 'label') {
+        const config = APP_CONFIG.addOns.find(item => item.id === addOn.id) || addOn;
+        return I18n.t(`addOn.${addOn.id}.${field}`, {}, config[field]);
+    },
+
+    /**
+     * Round to whole cents
+     * @param {number} amount - Amount
+     * @returns {number} Rounded amount
+     */
+    round(amount) {
+        return Math.round(amount * 100) / 100;
+    },
+
+    /**
+     * Sum amounts, rounded to whole cents
+     * @param {Array<number>} amounts - Amounts
+     * @returns {number} Total
+     */
+    sum(amounts) {
+        return this.round(amounts.reduce((total, amount) => total + amount, 0));
+    }
+};
+
+// Applicant Screening Module
+const ScreeningManager = {
+    /**
+     * Get the screening questions asked for a breed, optionally in one wizard step
+     * @param {string} breed - Puppy breed
+     * @param {string} step - Wizard step key, e.g. "household"; omit for all steps
+     * @returns {Array<Object>} Question configs from APP_CONFIG.screening.questions
+     */
+    getQuestions(breed, step) {
+        return APP_CONFIG.screening.questions.filter(question =>
+            (!step || question.step === step) &&
+            (!question.breeds || question.breeds.includes(breed)));
+    },
+
+    /**
+     * Check whether a question is asked given the answers so far
+     * @param {Object} question - Question config
+     * @param {string} breed - Puppy breed
+     * @param {Object} values - Field name → answer
+     * @returns {boolean} True when the applicant sees the question
+     */
+    isAsked(question, breed, values) {
+        if (question.breeds && !question.breeds.includes(breed)) return false;
+        return !question.showIf || question.showIf.values.includes(values[question.showIf.name]);
+    },
+
+    /**
+     * Score an application and work out its risk level
+     * @param {Object} values - Field name → answer, across every step
+     * @param {string} breed - Puppy breed
+     * @returns {Object} { score, maxScore, risk, flags: Array<{ name, value }> }
+     */
+    evaluate(values, breed) {
+        const { points, redFlags, riskLevels } = APP_CONFIG.screening.scoring;
+        const questions = APP_CONFIG.screening.questions;
+        
+        // Fields that aren't screening questions (e.g. homeType) are always asked
+        const isScored = name => {
+            const question = questions.find(q => q.name === name);
+            return !question || this.isAsked(question, breed, values);
+        };
+        
+        let score = 0;
+        let maxScore = 0;
+        Object.entries(points).forEach(([name, answers]) => {
+            if (!isScored(name)) return;
+            
+            score += answers[values[name]] || 0;
+            maxScore += Math.max(0, ...Object.values(answers));
+        });
+        
+        const flags = redFlags
+            .filter(flag => (!flag.breeds || flag.breeds.includes(breed)) && isScored(flag.name) &&
+                flag.values.includes(values[flag.name]))
+            .map(flag => ({ name: flag.name, value: values[flag.name] }));
+        
+        const level = flags.length > 0 ?
+            riskLevels[riskLevels.length - 1] :
+            riskLevels.find(riskLevel => score >= riskLevel.minScore) || riskLevels[riskLevels.length - 1];
+        
+        return { score, maxScore, risk: level.id, flags };
+    },
+
+    /**
+     * Get a risk level's config
+     * @param {string} risk - Risk level ID
+     * @returns {Object|undefined} Entry from APP_CONFIG.screening.scoring.riskLevels
+     */
+    getRiskLevel(risk) {
+        return APP_CONFIG.screening.scoring.riskLevels.find(level => level.id === risk);
+    },
+
+    /**
+     * Build the risk badge for a screening result
+     * @param {Object} screening - Result from evaluate()
+     * @returns {Object|string} Badge HTML fragment, or empty when unscreened
+     */
+    getRiskBadge(screening) {
+        const level = screening && this.getRiskLevel(screening.risk);
+        if (!level) return '';
+        
+        return Html.safe`<span class="badge ${level.badgeClass}">${level.label} · ${screening.score}/${screening.maxScore}</span>`;
+    },
+
+    /**
+     * Generate the form fields for a step's screening questions
+     * @param {Object} puppy - Puppy being applied for
+     * @param {string} step - Wizard step key
+     * @returns {Array<Object>} Field HTML fragments
+     */
+    generateQuestions(puppy, step) {
+        return this.getQuestions(puppy.breed, step).map(question => this.generateQuestion(question, puppy));
+    },
+
+    /**
+     * Generate one screening question. Conditional questions start hidden and
+     * disabled, so they are neither validated nor submitted until asked.
+     * @param {Object} question - Question config
+     * @param {Object} puppy - Puppy being applied for
+     * @returns {Object} Field HTML fragment
+     */
+    generateQuestion(question, puppy) {
+        const key = `screening.${question.name}`;
+        const params = { name: puppy.name, breed: puppy.breed };
+        const hidden = Boolean(question.showIf);
+        const help = I18n.t(`${key}Help`, params, '');
+        let control;
+        
+        switch (question.type) {
+            case 'textarea':
+                control = Html.safe`
+                    <textarea class="form-control" name="${question.name}" id="${question.name}" rows="2"
+                              placeholder="${I18n.t(`${key}Placeholder`, params, '')}"
+                              ${question.required ? 'required' : ''} ${hidden ? 'disabled' : ''}></textarea>`;
+                break;
+            
+            case 'text':
+            case 'tel':
+                control = Html.safe`
+                    <input type="${question.type}" class="form-control" name="${question.name}" id="${question.name}"
+                           ${question.required ? 'required' : ''} ${hidden ? 'disabled' : ''}>`;
+                break;
+            
+            default:
+                control = Html.safe`
+                    <select class="form-select" name="${question.name}" id="${question.name}"
+                            ${question.required ? 'required' : ''} ${hidden ? 'disabled' : ''}>
+                        <option value="">${I18n.t('common.select')}</option>
+                        ${question.options.map(option => Html.safe`
+                        <option value="${option}">${I18n.t(`${key}.${option}`, params, option)}</option>`)}
+                    </select>`;
+        }
+        
+        return Html.safe`
+            <div class="${question.type === 'textarea' ? 'col-12' : 'col-md-6'} ${hidden ? 'd-none' : ''}" data-screening="${question.name}">
+                <label for="${question.name}" class="form-label">${I18n.t(key, params)}${question.required ? ' *' : ''}</label>
+                ${control}
+                ${help ? Html.safe`<div class="form-text">${help}</div>` : ''}
+                <div class="invalid-feedback">${I18n.t('screening.required')}</div>
+            </div>
+        `;
+    },
+
+    /**
+     * Show or hide conditional questions to match the answers in a form
+     * @param {HTMLFormElement} form - Application form
+     * @param {string} breed - Puppy breed
+     */
+    updateVisibility(form, breed) {
+        const values = Utils.getFormValues(form);
+        
+        this.getQuestions(breed).filter(question => question.showIf).forEach(question => {
+            const wrapper = form.querySelector(`[data-screening="${question.name}"]`);
+            if (!wrapper) return;
+            
+            const isAsked = this.isAsked(question, breed, values);
+            wrapper.classList.toggle('d-none', !isAsked);
+            wrapper.querySelectorAll('input, select, textarea').forEach(field => {
+                field.disabled = !isAsked;
+            });
+        });
+    }
+};
+
+// Order Submission Module
+const SubmissionManager = {
+    /**
+     * Transport adapters, selected by APP_CONFIG.submission.adapter.
+     * Each receives the order payload and resolves to { reference, via, delivered }.
+     */
+    adapters: {
+        formspree: {
+            async submit(payload, config) {
+                const response = await SubmissionManager.fetchWithRetry(
+                    `https://formspree.io/f/${config.formspree.formId}`,
+                    SubmissionManager.buildJsonRequest(payload)
+                );
+                await SubmissionManager.assertOk(response);
+                return { reference: payload.reference, via: 'formspree', delivered: true };
+            }
+        },
+        
+        endpoint: {
+            async submit(payload, config) {
+                const response = await SubmissionManager.fetchWithRetry(
+                    config.endpoint.url,
+                    SubmissionManager.buildJsonRequest(payload, config.endpoint.headers)
+                );
+                await SubmissionManager.assertOk(response);
+                
+                // The server may assign its own reference number and, for waitlist signups, a queue position
+                const body = await response.json().catch(() => ({}));
+                return {
+                    reference: body.reference || payload.reference,
+                    via: 'endpoint',
+                    delivered: true,
+                    ...(Number.isInteger(body.queuePosition) && body.queuePosition > 0 ? { queuePosition: body.queuePosition } : {})
+                };
+            }
+        },
+        
+        mailto: {
+            worksOffline: true, // Hands off to the email app, which keeps its own outbox
+            recordsFirst: true, // The draft leaves out the screening result, so the store keeps it
+            
+            async submit(payload, config) {
+                window.location.href = SubmissionManager.buildMailtoUrl(payload, config.mailto.address);
+                return { reference: payload.reference, via: 'mailto', delivered: false };
+            }
+        },
+        
+        mock: {
+            async submit(payload, config) {
+                // A deployed site must never tell an applicant a submission went through when it didn't
+                if (!SubmissionManager.isLocalHost()) {
+                    throw new Error('The mock submission adapter only runs on localhost; configure a real transport');
+                }
+                
+                await SubmissionManager.wait(config.mock.delay);
+                
+                if (Math.random() < config.mock.failureRate) {
+                    throw new Error('Mock submission failure');
+                }
+                
+                console.log('🧪 Mock submission accepted:', payload.reference);
+                return { reference: payload.reference, via: 'mock', delivered: true };
+            }
+        }
+    },
+
+    /**
+     * Check whether the site is served from this machine, where the mock adapter may run
+     * @returns {boolean} True on localhost
+     */
+    isLocalHost() {
+        return ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+    },
+
+    /**
+     * Submit a payload, queueing it for later when the browser is offline
+     * @param {Object} payload - Order, waitlist or testimonial payload
+     * @returns {Promise<Object>} Submission result; { queued: true } when held for later
+     */
+    async submit(payload) {
+        const adapter = this.adapters[APP_CONFIG.submission.adapter];
+        
+        if (adapter && !adapter.worksOffline && OfflineQueue.isOffline()) {
+            return OfflineQueue.enqueue(payload);
+        }
+        
+        try {
+            return await this.send(payload);
+        } catch (error) {
+            // The connection dropped while sending; keep the payload instead of failing
+            if (adapter && !adapter.worksOffline && OfflineQueue.isOffline()) {
+                return OfflineQueue.enqueue(payload);
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * Send a payload through the configured adapter and keep a copy in the applications
+     * store, when one is configured, for the inbox and tracking page. Delivered submissions
+     * are stored once sent. A mailto draft is stored before it opens, since the draft the
+     * applicant sees leaves out the screening result the breeder needs.
+     * @param {Object} payload - Order, waitlist or testimonial payload
+     * @returns {Promise<Object>} Submission result; recorded is true when the store holds it
+     */
+    async send(payload) {
+        const config = APP_CONFIG.submission;
+        const adapter = this.adapters[config.adapter];
+        
+        if (!adapter) {
+            throw new Error(`Unknown submission adapter "${config.adapter}"`);
+        }
+        
+        if (adapter.recordsFirst) {
+            const recorded = ApplicationStore.isEnabled() && await this.record({ ...payload, via: config.adapter });
+            return { ...await adapter.submit(payload, config), recorded };
+        }
+        
+        const result = await adapter.submit(payload, config);
+        
+        // Stored under the reference the applicant is shown, which the endpoint may assign
+        const recorded = result.delivered && ApplicationStore.isEnabled() &&
+            await this.record({ ...payload, reference: result.reference, via: result.via });
+        return { ...result, recorded };
+    },
+
+    /**
+     * Store a submission's copy; the submission itself goes ahead either way, so a failure here only warns
+     * @param {Object} payload - Submission payload
+     * @returns {Promise<boolean>} True when stored
+     */
+    async record(payload) {
+        try {
+            await ApplicationStore.add(payload);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Submission not recorded:', payload.reference, error);
+            return false;
+        }
+    },
+
+    /**
+     * Generate a human-friendly order reference, e.g. PT-261019-K3F9
+     * @param {string} prefix - Reference prefix
+     * @returns {string} Order reference
+     */
+    generateReference(prefix = APP_CONFIG.submission.referencePrefix) {
+        const now = new Date();
+        const date = [now.getFullYear() % 100, now.getMonth() + 1, now.getDate()]
+            .map(part => String(part).padStart(2, '0'))
+            .join('');
+        const suffix = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, '0');
+        
+        return `${prefix}-${date}-${suffix}`;
+    },
+
+    /**
+     * Build fetch options for a JSON POST
+     * @param {Object} payload - Request body
+     * @param {Object} headers - Extra headers
+     * @returns {Object} Fetch options
+     */
+    buildJsonRequest(payload, headers = {}) {
+        return {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                ...headers
+            },
+            body: JSON.stringify(payload)
+        };
+    },
+
+    /**
+     * Fetch with exponential backoff on network errors and retryable statuses
+     * @param {string} url - Request URL
+     * @param {Object} options - Fetch options
+     * @returns {Promise<Response>} Final response
+     */
+    async fetchWithRetry(url, options) {
+        const { attempts, delay, retryStatuses } = APP_CONFIG.submission.retry;
+        let lastError;
+        
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            try {
+                const response = await fetch(url, options);
+                
+                if (!retryStatuses.includes(response.status) || attempt === attempts) {
+                    return response;
+                }
+                
+                lastError = new Error(`Request failed with status ${response.status}`);
+            } catch (error) {
+                lastError = error;
+            }
+            
+            if (attempt < attempts) {
+                console.warn(`⚠️ Submission attempt ${attempt} failed, retrying:`, lastError);
+                await this.wait(delay * Math.pow(2, attempt - 1));
+            }
+        }
+        
+        throw lastError;
+    },
+
+    /**
+     * Throw if a response is not successful; the error carries the HTTP status
+     * @param {Response} response - Fetch response
+     */
+    async assertOk(response) {
+        if (response.ok) return;
+        
+        const body = await response.json().catch(() => ({}));
+        const error = new Error(body.error || `Request failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    },
+
+    /**
+     * Build a mailto: URL containing a plain-text copy of an order, waitlist signup or testimonial
+     * @param {Object} payload - Order, waitlist or testimonial payload
+     * @param {string} address - Recipient email address
+     * @returns {string} mailto URL
+     */
+    buildMailtoUrl(payload, address) {
+        let subject;
+        
+        switch (payload.type) {
+            case 'waitlist':
+                subject = `Waitlist Signup ${payload.reference} - ${payload.application.preferences.breed}`;
+                break;
+            
+            case 'testimonial':
+                subject = `Testimonial ${payload.reference} - ${payload.puppy.name}`;
+                break;
+            
+            default:
+                subject = `Adoption Application ${payload.reference} - ${payload.puppy.name}`;
+        }
+        
+        const lines = [`Reference: ${payload.reference}`];
+        
+        if (payload.orderReference) {
+            lines.push(`Order: ${payload.orderReference}`);
+        }
+        
+        if (payload.puppy) {
+            lines.push(`Puppy: ${payload.puppy.name} (${payload.puppy.id}), ${payload.puppy.breed}`);
+        }
+        if (payload.litter) {
+            lines.push(`Litter: ${payload.litter.sire} x ${payload.litter.dam} (${payload.litter.id}), expected ${payload.litter.expectedDate}`);
+        }
+        lines.push('');
+        
+        Object.entries(payload.application).forEach(([section, fields]) => {
+            lines.push(section.toUpperCase());
+            Object.entries(fields).forEach(([name, value]) => lines.push(`${name}: ${value}`));
+            lines.push('');
+        });
+        
+        if (payload.testimonial) {
+            lines.push('TESTIMONIAL');
+            Object.entries(payload.testimonial).forEach(([name, value]) => lines.push(`${name}: ${value}`));
+        }
+        
+        if (payload.pricing) {
+            if (payload.pricing.addOns.length > 0) {
+                lines.push('ADD-ONS');
+                payload.pricing.addOns.forEach(item => {
+                    lines.push(`${item.label} x ${item.quantity}: ${Utils.formatPrice(item.total, { convert: false })}`);
+                });
+                lines.push('');
+            }
+            
+            lines.push(`Total: ${Utils.formatPrice(payload.pricing.total, { convert: false })}`);
+            lines.push(`Deposit due now: ${Utils.formatPrice(payload.pricing.deposit, { convert: false })}`);
+            lines.push(`Payment plan: ${payload.pricing.plan.label}`);
+        }
+        
+        // The screening score stays out: the applicant sees and edits this draft before sending it
+        return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(lines.join('\n'))}`;
+    },
+
+    /**
+     * Resolve after a delay
+     * @param {number} ms - Delay in milliseconds
+     * @returns {Promise<void>}
+     */
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+};
+
+// Offline Support Module
+const OfflineQueue = {
+    isFlushing: false,
+
+    /**
+     * Register the service worker and send anything queued while offline
+     */
+    init() {
+        this.registerServiceWorker();
+        window.addEventListener('online', () => this.flush());
+        
+        if (!this.isOffline()) {
+            this.flush();
+        }
+    },
+
+    /**
+     * Register the service worker that precaches pages and caches photos
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        navigator.serviceWorker.register(APP_CONFIG.offline.serviceWorkerUrl)
+            .then(registration => console.log('📦 Service worker registered:', registration.scope))
+            .catch(error => console.warn('⚠️ Service worker registration failed:', error));
+    },
+
+    /**
+     * Check whether the browser reports no connection
+     * @returns {boolean} True when offline
+     */
+    isOffline() {
+        return navigator.onLine === false;
+    },
+
+    /**
+     * Get payloads waiting to be sent
+     * @returns {Object[]} Queued payloads, oldest first
+     */
+    getQueue() {
+        return Utils.readStorage(APP_CONFIG.offline.queueKey) || [];
+    },
+
+    /**
+     * Hold a payload until the connection returns
+     * @param {Object} payload - Order or waitlist payload
+     * @returns {Object} Submission result for the queued payload
+     */
+    enqueue(payload) {
+        const queue = this.getQueue().filter(item => item.reference !== payload.reference);
+        queue.push(payload);
+        
+        if (!Utils.writeStorage(APP_CONFIG.offline.queueKey, queue)) {
+            throw new Error('Could not save the application for sending later');
+        }
+        
+        console.log('📥 Offline, queued for sending later:', payload.reference);
+        return { reference: payload.reference, via: 'queue', delivered: false, queued: true };
+    },
+
+    /**
+     * Send queued payloads in order. A connection or server error stops the flush so
+     * the rest are retried later; a payload the server rejects is set aside instead.
+     * @returns {Promise<number>} Number of payloads sent
+     */
+    async flush() {
+        if (this.isFlushing) return 0;
+        
+        this.isFlushing = true;
+        let sent = 0;
+        const failed = [];
+        
+        try {
+            for (const payload of this.getQueue()) {
+                try {
+                    await SubmissionManager.send(payload);
+                    sent++;
+                } catch (error) {
+                    if (this.isRetryable(error)) throw error;
+                    
+                    console.error('❌ Queued submission rejected:', payload.reference, error);
+                    this.markFailed(payload, error);
+                    failed.push(payload);
+                }
+                
+                Utils.writeStorage(APP_CONFIG.offline.queueKey,
+                    this.getQueue().filter(item => item.reference !== payload.reference));
+            }
+        } catch (error) {
+            console.warn('⚠️ Queued submissions will be retried later:', error);
+        } finally {
+            this.isFlushing = false;
+        }
+        
+        if (sent > 0) {
+            console.log(`📤 Sent ${sent} queued submission(s)`);
+        }
+        if (failed.length > 0) {
+            this.notifyFailed(failed);
+        }
+        return sent;
+    },
+
+    /**
+     * Check whether a failed send is worth retrying later
+     * @param {Error} error - Error from SubmissionManager.send
+     * @returns {boolean} True for connection errors and retryable HTTP statuses
+     */
+    isRetryable(error) {
+        return !error.status || APP_CONFIG.submission.retry.retryStatuses.includes(error.status);
+    },
+
+    /**
+     * Keep a rejected payload on this device so its details aren't lost
+     * @param {Object} payload - Rejected payload
+     * @param {Error} error - Rejection error
+     */
+    markFailed(payload, error) {
+        const failed = Utils.readStorage(APP_CONFIG.offline.failedKey) || [];
+        failed.push({ ...payload, failedAt: new Date().toISOString(), error: error.message });
+        Utils.writeStorage(APP_CONFIG.offline.failedKey, failed);
+    },
+
+    /**
+     * Tell the visitor which saved submissions could not be sent
+     * @param {Object[]} payloads - Rejected payloads
+     */
+    notifyFailed(payloads) {
+        const notice = document.createElement('div');
+        notice.className = 'position-fixed bottom-0 start-50 translate-middle-x p-3';
+        notice.style.zIndex = 1080;
+        
+        Html.render(notice, Html.safe`
+            <div class="alert alert-danger alert-dismissible shadow mb-0" role="alert">
+                <i class="fas fa-exclamation-triangle me-2"></i>
+                ${I18n.t('offline.failed', {
+                    count: payloads.length,
+                    references: payloads.map(payload => payload.reference).join(', ')
+                })}
+                <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="${I18n.t('common.close')}"></button>
+            </div>
+        `);
+        document.body.appendChild(notice);
+    }
+};
+
+// Waitlist Module
+const WaitlistManager = {
+    /**
+     * Build the waitlist payload sent through SubmissionManager
+     * @param {Object} values - Form values: name, email, phone, breed, gender, notes
+     * @param {Object|null} litter - Chosen litter, or null for any upcoming litter
+     * @returns {Object} Waitlist payload
+     */
+    buildPayload(values, litter) {
+        const breed = litter ? litter.breed : values.breed;
+        
+        return {
+            type: 'waitlist',
+            reference: SubmissionManager.generateReference(APP_CONFIG.waitlist.referencePrefix),
+            submittedAt: new Date().toISOString(),
+            litter: litter ? {
+                id: litter.id,
+                breed: litter.breed,
+                sire: litter.sire,
+                dam: litter.dam,
+                expectedDate: litter.expectedDate,
+                deposit: litter.deposit
+            } : null,
+            application: {
+                contact: { name: values.name, email: values.email, phone: values.phone },
+                preferences: { breed, gender: values.gender, notes: values.notes }
+            }
+        };
+    },
+
+    /**
+     * Send a signup. A position the endpoint assigns wins; otherwise it is counted from
+     * the signups in the shared applications store, which every browser sees alike.
+     * @param {Object} values - Form values
+     * @param {Object|null} litter - Chosen litter
+     * @returns {Promise<Object>} { payload, result }; result.queuePosition when the place is known
+     */
+    async join(values, litter) {
+        const payload = this.buildPayload(values, litter);
+        const result = await SubmissionManager.submit(payload);
+        
+        if (!result.queuePosition && result.recorded) {
+            const queuePosition = await this.getQueuePosition(payload);
+            if (queuePosition) result.queuePosition = queuePosition;
+        }
+        
+        console.log('📝 Waitlist signup sent:', result.reference);
+        return { payload, result };
+    },
+
+    /**
+     * Count a stored signup's place in its queue: the chosen litter's, or the breed's for
+     * signups open to any litter. Each family holds one place, from their first signup.
+     * @param {Object} payload - Stored waitlist payload
+     * @returns {Promise<number|null>} 1-based position, or null when the store can't be read
+     */
+    async getQueuePosition(payload) {
+        const emailOf = entry => ApplicationStore.getApplicantEmail(entry).trim().toLowerCase();
+        const isSameQueue = entry => payload.litter ?
+            Boolean(entry.litter) && entry.litter.id === payload.litter.id :
+            !entry.litter && entry.application.preferences.breed === payload.application.preferences.breed;
+        
+        try {
+            const entries = (await ApplicationStore.list()).filter(entry =>
+                entry.type === 'waitlist' && entry.status !== 'declined' && isSameQueue(entry));
+            const position = [...new Set(entries.map(emailOf))].indexOf(emailOf(payload)) + 1;
+            
+            return position > 0 ? position : null;
+        } catch (error) {
+            console.warn('⚠️ Waitlist position unavailable:', error);
+            return null;
+        }
+    }
+};
+
+// Catalog Storage Module (admin console)
+const CatalogStore = {
+    fileHandle: null, // Catalog file picked on first save with the 'file' adapter
+
+    /**
+     * Storage adapters, selected by APP_CONFIG.admin.storage.adapter.
+     * load() resolves to saved records, or null to start from the published catalog;
+     * save() resolves to { via, savedAt, published }.
+     */
+    adapters: {
+        local: {
+            async load(config) {
+                const draft = Utils.readStorage(config.local.storageKey);
+                return draft && Array.isArray(draft.records) ? draft.records : null;
+            },
+            
+            async save(records, config) {
+                const savedAt = new Date().toISOString();
+                
+                if (!Utils.writeStorage(config.local.storageKey, { savedAt, records })) {
+                    throw new Error('Could not save the draft in this browser');
+                }
+                return { via: 'local', savedAt, published: false };
+            },
+            
+            async discard(config) {
+                Utils.writeStorage(config.local.storageKey, null);
+            }
+        },
+        
+        file: {
+            // File handles don't survive a reload, so editing starts from the published catalog
+            async load() {
+                return null;
+            },
+            
+            async save(records, config) {
+                if (!CatalogStore.fileHandle) {
+                    if (typeof window.showSaveFilePicker !== 'function') {
+                        throw new Error('This browser cannot write files directly; use Export JSON instead');
+                    }
+                    CatalogStore.fileHandle = await window.showSaveFilePicker({
+                        suggestedName: config.file.suggestedName,
+                        types: [{ description: 'Puppy catalog', accept: { 'application/json': ['.json'] } }]
+                    });
+                }
+                
+                const writable = await CatalogStore.fileHandle.createWritable();
+                await writable.write(CatalogStore.serialize(records));
+                await writable.close();
+                return { via: 'file', savedAt: new Date().toISOString(), published: true };
+            }
+        },
+        
+        endpoint: {
+            async load(config) {
+                const response = await fetch(config.endpoint.url, {
+                    cache: 'no-cache',
+                    headers: { 'Accept': 'application/json', ...config.endpoint.headers }
+                });
+                await SubmissionManager.assertOk(response);
+                return response.json();
+            },
+            
+            async save(records, config) {
+                const response = await SubmissionManager.fetchWithRetry(config.endpoint.url, {
+                    ...SubmissionManager.buildJsonRequest(records, config.endpoint.headers),
+                    method: 'PUT'
+                });
+                await SubmissionManager.assertOk(response);
+                return { via: 'endpoint', savedAt: new Date().toISOString(), published: true };
+            },
+            
+            async upload(file, folder, config) {
+                const body = new FormData();
+                body.append('file', file);
+                body.append('folder', folder);
+                
+                const response = await fetch(config.endpoint.uploadUrl, {
+                    method: 'POST',
+                    headers: config.endpoint.headers,
+                    body
+                });
+                await SubmissionManager.assertOk(response);
+                
+                const result = await response.json();
+                if (!result.path) {
+                    throw new Error('Upload response did not include a path');
+                }
+                return result.path;
+            }
+        }
+    },
+
+    /**
+     * Get the configured storage adapter
+     * @returns {Object} Adapter
+     */
+    getAdapter() {
+        const name = APP_CONFIG.admin.storage.adapter;
+        const adapter = this.adapters[name];
+        
+        if (!adapter) {
+            throw new Error(`Unknown catalog storage adapter "${name}"`);
+        }
+        return adapter;
+    },
+
+    /**
+     * Load the records to edit: the adapter's saved copy, or the published catalog
+     * @returns {Promise<Object>} { records, source: 'saved' | 'published' }
+     */
+    async load() {
+        const saved = await this.getAdapter().load(APP_CONFIG.admin.storage);
+        
+        if (saved) {
+            if (!Array.isArray(saved)) {
+                throw new Error('Saved catalog must be a JSON array');
+            }
+            return { records: saved, source: 'saved' };
+        }
+        
+        return { records: await this.fetchPublished(), source: 'published' };
+    },
+
+    /**
+     * Fetch the published catalog as-is, including records the site would skip
+     * @returns {Promise<Array>} Raw catalog records
+     */
+    fetchPublished() {
+        return FeedLoader.fetchRecords(CatalogManager.getFeed());
+    },
+
+    /**
+     * Save records through the configured adapter
+     * @param {Array} records - Catalog records, in listing order
+     * @returns {Promise<Object>} { via, savedAt, published }
+     */
+    save(records) {
+        return this.getAdapter().save(records, APP_CONFIG.admin.storage);
+    },
+
+    /**
+     * Check whether the adapter keeps an unpublished draft that can be thrown away
+     * @returns {boolean} True for draft-based adapters
+     */
+    canDiscard() {
+        return typeof this.getAdapter().discard === 'function';
+    },
+
+    /**
+     * Throw away the adapter's saved draft
+     * @returns {Promise<void>}
+     */
+    async discard() {
+        if (this.canDiscard()) {
+            await this.getAdapter().discard(APP_CONFIG.admin.storage);
+        }
+    },
+
+    /**
+     * Store an uploaded photo. Adapters without uploads only record where the
+     * file belongs; the breeder copies it into that folder before publishing.
+     * @param {File} file - Selected image file
+     * @param {string} folder - Breed folder, e.g. "Corso"
+     * @returns {Promise<Object>} { path, uploaded }
+     */
+    async upload(file, folder) {
+        const adapter = this.getAdapter();
+        
+        if (typeof adapter.upload === 'function') {
+            return { path: await adapter.upload(file, folder, APP_CONFIG.admin.storage), uploaded: true };
+        }
+        
+        return { path: `./${folder}/${file.name}`, uploaded: false };
+    },
+
+    /**
+     * Format records the way data/puppies.json is written
+     * @param {Array} records - Catalog records
+     * @returns {string} JSON text
+     */
+    serialize(records) {
+        return JSON.stringify(records, null, 4) + '\n';
+    },
+
+    /**
+     * Download records as a JSON file
+     * @param {Array} records - Catalog records
+     * @param {string} filename - Download name
+     */
+    download(records, filename = 'puppies.json') {
+        const url = URL.createObjectURL(new Blob([this.serialize(records)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    /**
+     * Read catalog records from a JSON file chosen by the breeder
+     * @param {File} file - JSON file
+     * @returns {Promise<Array>} Raw catalog records
+     */
+    async readFile(file) {
+        let records;
+        
+        try {
+            records = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error(`${file.name} is not valid JSON`);
+        }
+        
+        if (!Array.isArray(records)) {
+            throw new Error(`${file.name} must contain a JSON array of puppies`);
+        }
+        return records;
+    },
+
+    /**
+     * Suggest an unused ID for a new listing, reusing the breed's existing prefix (e.g. "cc09")
+     * @param {string} breed - Breed name
+     * @param {Array} records - Current catalog records
+     * @returns {string} Puppy ID
+     */
+    suggestId(breed, records) {
+        const pattern = /^([a-z]+)(\d+)$/;
+        const sameBreed = records
+            .filter(record => record && record.breed === breed && pattern.test(record.id))
+            .map(record => record.id.match(pattern));
+        const words = String(breed || 'puppy').toLowerCase().split(/\s+/).filter(Boolean);
+        const prefix = sameBreed.length > 0 ? sameBreed[0][1] :
+            (words.length > 1 ? words.map(word => word[0]).join('') : words[0].slice(0, 2));
+        const ids = new Set(records.map(record => record && record.id));
+        let number = sameBreed.reduce((max, match) => Math.max(max, Number(match[2])), 0) + 1;
+        
+        while (ids.has(`${prefix}${String(number).padStart(2, '0')}`)) number++;
+        return `${prefix}${String(number).padStart(2, '0')}`;
+    }
+};
+
+// Applications Store Module
+const ApplicationStore = {
+    /**
+     * Storage adapters, selected by APP_CONFIG.applications.adapter.
+     * list() resolves to every stored application; put() stores one, replacing any
+     * earlier copy with the same reference.
+     */
+    adapters: {
+        endpoint: {
+            async list(config) {
+                const response = await fetch(config.endpoint.url, {
+                    cache: 'no-cache',
+                    headers: { 'Accept': 'application/json', ...config.endpoint.headers }
+                });
+                await SubmissionManager.assertOk(response);
+                return response.json();
+            },
+            
+            async put(application, config) {
+                const response = await SubmissionManager.fetchWithRetry(
+                    `${config.endpoint.url}/${encodeURIComponent(application.reference)}`,
+                    { ...SubmissionManager.buildJsonRequest(application, config.endpoint.headers), method: 'PUT' }
+                );
+                await SubmissionManager.assertOk(response);
+                return application;
+            },
+            
+            // The server checks the email, so applicants never download other applications
+            async find(reference, email, config) {
+                const response = await fetch(
+                    `${config.endpoint.url}/${encodeURIComponent(reference)}?email=${encodeURIComponent(email)}`,
+                    { cache: 'no-cache', headers: { 'Accept': 'application/json', ...config.endpoint.headers } }
+                );
+                if (response.status === 404) return null;
+                
+                await SubmissionManager.assertOk(response);
+                return response.json();
+            }
+        }
+    },
+
+    /**
+     * Check whether a shared applications store is configured
+     * @returns {boolean} True when tracking, the inbox and verified reviews can be used
+     */
+    isEnabled() {
+        return Boolean(APP_CONFIG.applications.adapter);
+    },
+
+    /**
+     * Get the configured storage adapter
+     * @returns {Object} Adapter
+     */
+    getAdapter() {
+        const name = APP_CONFIG.applications.adapter;
+        const adapter = this.adapters[name];
+        
+        if (!name) {
+            throw new Error('No applications store is configured');
+        }
+        if (!adapter) {
+            throw new Error(`Unknown applications storage adapter "${name}"`);
+        }
+        return adapter;
+    },
+
+    /**
+     * Load every stored submission, oldest first
+     * @returns {Promise<Array<Object>>} Applications and waitlist signups with tracking fields filled in
+     */
+    async list() {
+        const records = await this.getAdapter().list(APP_CONFIG.applications);
+        
+        if (!Array.isArray(records)) {
+            throw new Error('Applications feed must be a JSON array');
+        }
+        
+        return records
+            .filter(record => record && typeof record === 'object' && record.reference)
+            .map(record => this.normalize(record))
+            .sort((a, b) => String(a.submittedAt).localeCompare(String(b.submittedAt)));
+    },
+
+    /**
+     * Find an applicant's own application by reference and email, both case-insensitive
+     * @param {string} reference - Order reference
+     * @param {string} email - Email given on the application
+     * @returns {Promise<Object|null>} Application, or null when nothing matches
+     */
+    async lookup(reference, email) {
+        const adapter = this.getAdapter();
+        const wantedReference = String(reference).trim().toUpperCase();
+        const wantedEmail = String(email).trim().toLowerCase();
+        
+        if (typeof adapter.find === 'function') {
+            const record = await adapter.find(wantedReference, wantedEmail, APP_CONFIG.applications);
+            return record ? this.normalize(record) : null;
+        }
+        
+        const applications = await this.list();
+        return applications.find(application =>
+            application.reference.toUpperCase() === wantedReference &&
+            this.getApplicantEmail(application).trim().toLowerCase() === wantedEmail) || null;
+    },
+
+    /**
+     * Fill in the tracking fields a stored submission may be missing
+     * @param {Object} record - Stored submission
+     * @returns {Object} Application with status, history, notes and messages
+     */
+    normalize(record) {
+        const status = APP_CONFIG.applications.statuses[record.status] ? record.status : 'new';
+        
+        return {
+            ...record,
+            status,
+            history: Array.isArray(record.history) ? record.history : [{ status, at: record.submittedAt }],
+            notes: Array.isArray(record.notes) ? record.notes : [], // Private to the breeder
+            messages: Array.isArray(record.messages) ? record.messages : [] // Shown to the applicant
+        };
+    },
+
+    /**
+     * Store a newly submitted application or waitlist signup
+     * @param {Object} payload - Submission payload
+     * @returns {Promise<Object>} Stored application
+     */
+    add(payload) {
+        return this.getAdapter().put(this.normalize(payload), APP_CONFIG.applications);
+    },
+
+    /**
+     * Save changes to an application
+     * @param {Object} application - Stored application
+     * @param {Object} changes - Fields to replace
+     * @returns {Promise<Object>} Updated application
+     */
+    update(application, changes) {
+        return this.getAdapter().put({
+            ...application,
+            ...changes,
+            updatedAt: new Date().toISOString()
+        }, APP_CONFIG.applications);
+    },
+
+    /**
+     * Move an application to a new status. When an order starts holding the puppy,
+     * the puppy's other open applicants get a message saying so.
+     * @param {Object} application - Stored application
+     * @param {string} status - Key from APP_CONFIG.applications.statuses
+     * @param {Array<Object>} applications - Every stored application, to find the other applicants
+     * @returns {Promise<Object>} { application, notified: Array<Object> }
+     */
+    async setStatus(application, status, applications = []) {
+        const { statuses, reservingStatuses } = APP_CONFIG.applications;
+        
+        if (!statuses[status]) {
+            throw new Error(`Unknown application status "${status}"`);
+        }
+        
+        const updated = await this.update(application, {
+            status,
+            history: [...application.history, { status, at: new Date().toISOString() }]
+        });
+        
+        const startsReserving = application.type === 'order' &&
+            reservingStatuses.includes(status) && !reservingStatuses.includes(application.status);
+        const notified = startsReserving ? await this.notifyOtherApplicants(updated, applications) : [];
+        
+        return { application: updated, notified };
+    },
+
+    /**
+     * Tell the puppy's other open applicants that it has been reserved
+     * @param {Object} application - Application holding the puppy
+     * @param {Array<Object>} applications - Every stored application
+     * @returns {Promise<Array<Object>>} Updated applications that were notified
+     */
+    async notifyOtherApplicants(application, applications) {
+        const others = this.getOpenApplications(applications, application.puppy && application.puppy.id)
+            .filter(other => other.reference !== application.reference);
+        const puppyName = application.puppy.name;
+        const notified = [];
+        
+        for (const other of others) {
+            notified.push(await this.addMessage(other, {
+                kind: 'reserved-elsewhere',
+                params: { name: puppyName },
+                text: `${puppyName} has been reserved by another family. We'll keep your application on file and let you know about similar puppies and upcoming litters.`
+            }));
+        }
+        
+        if (notified.length > 0) {
+            console.log(`📣 Notified ${notified.length} other applicant(s) that ${puppyName} is reserved`);
+        }
+        return notified;
+    },
+
+    /**
+     * Get orders for a puppy that are still waiting on a decision
+     * @param {Array<Object>} applications - Stored applications
+     * @param {string} puppyId - Puppy ID
+     * @returns {Array<Object>} Open applications
+     */
+    getOpenApplications(applications, puppyId) {
+        return applications.filter(application =>
+            application.type === 'order' && application.puppy && application.puppy.id === puppyId &&
+            APP_CONFIG.applications.openStatuses.includes(application.status));
+    },
+
+    /**
+     * Add a private breeder note
+     * @param {Object} application - Stored application
+     * @param {string} text - Note text
+     * @returns {Promise<Object>} Updated application
+     */
+    addNote(application, text) {
+        return this.update(application, {
+            notes: [...application.notes, { text, at: new Date().toISOString() }]
+        });
+    },
+
+    /**
+     * Add a message the applicant sees when tracking their application
+     * @param {Object} application - Stored application
+     * @param {Object} message - { text, kind, params }
+     * @returns {Promise<Object>} Updated application
+     */
+    addMessage(application, message) {
+        return this.update(application, {
+            messages: [...application.messages, { kind: 'message', ...message, at: new Date().toISOString() }]
+        });
+    },
+
+    /**
+     * Get the applicant's display name
+     * @param {Object} application - Stored application
+     * @returns {string} Full name, or the reference when missing
+     */
+    getApplicantName(application) {
+        const contact = (application.application && application.application.contact) || {};
+        return [contact.firstName, contact.lastName].filter(Boolean).join(' ') || application.reference;
+    },
+
+    /**
+     * Get the applicant's email address
+     * @param {Object} application - Stored application
+     * @returns {string} Email, empty when missing
+     */
+    getApplicantEmail(application) {
+        const contact = (application.application && application.application.contact) || {};
+        return contact.email || '';
+    },
+
+    /**
+     * Get the translated label for an application status
+     * @param {string} status - Key from APP_CONFIG.applications.statuses
+     * @returns {string} Status label
+     */
+    getStatusLabel(status) {
+        const config = APP_CONFIG.applications.statuses[status] || APP_CONFIG.applications.statuses.new;
+        return I18n.t(`application.status.${status}`, {}, config.label);
+    },
+
+    /**
+     * Build status badge HTML
+     * @param {string} status - Key from APP_CONFIG.applications.statuses
+     * @returns {Object} Badge HTML fragment
+     */
+    getStatusBadge(status) {
+        const config = APP_CONFIG.applications.statuses[status] || APP_CONFIG.applications.statuses.new;
+        return Html.safe`<span class="badge ${config.badgeClass}">${this.getStatusLabel(status)}</span>`;
+    }
+};
+
+// Available Puppies Page Module
+const AvailablePage = {
+    elements: {},
+    filteredPuppies: [],
+    compareExpanded: false,
+    
+    /**
+     * Initialize the available puppies page
+     */
+    async init() {
+        this.cacheElements();
+        CatalogManager.renderLoading(this.elements.puppyGrid);
+        
+        try {
+            await CatalogManager.load();
+        } catch (error) {
+            console.error('❌ Error loading catalog:', error);
+            CatalogManager.renderLoadError(this.elements.puppyGrid);
+            return;
+        }
+        
+        // Lineage is optional; listings render without it
+        await PedigreeManager.load().catch(error => console.warn('⚠️ Pedigrees unavailable:', error));
+        
+        // Optimized photos are optional; without a manifest the originals are used
+        await ImageManager.load();
+        
+        CatalogManager.renderNotices(this.elements.puppyGrid);
+        this.buildFilterControls();
+        this.configurePriceRange();
+        this.restoreStateFromUrl();
+        this.updateUrl(true);
+        this.bindEvents();
+        this.updateFavoritesCount();
+        this.renderCompareDrawer();
+        await this.initLitters();
+        
+        console.log('🐕 Available puppies page initialized');
+    },
+
+    /**
+     * Load and show upcoming litters; the page works without them
+     */
+    async initLitters() {
+        try {
+            await LitterManager.load();
+        } catch (error) {
+            console.warn('⚠️ Upcoming litters unavailable:', error);
+            return;
+        }
+        
+        this.renderLitters();
+    },
+
+    /**
+     * Cache DOM elements for performance
+     */
+    cacheElements() {
+        this.elements = {
+            puppyGrid: document.getElementById('puppy-grid'),
+            paginationContainer: document.getElementById('pagination-container'),
+            filterButton: document.getElementById('btn-filter'),
+            breedFilter: document.getElementById('breed-filter'),
+            breedFilterToggle: document.getElementById('breed-filter-toggle'),
+            breedFilterOptions: document.getElementById('breed-filter-options'),
+            ageFilter: document.getElementById('age-filter'),
+            genderFilter: document.getElementById('gender-filter'),
+            sortFilter: document.getElementById('sort-filter'),
+            includeSoldFilter: document.getElementById('include-sold-filter'),
+            vaccinatedFilter: document.getElementById('vaccinated-filter'),
+            favoritesFilter: document.getElementById('favorites-filter'),
+            favoritesCount: document.getElementById('favorites-count'),
+            compareDrawer: document.getElementById('compare-drawer'),
+            searchFilter: document.getElementById('search-filter'),
+            priceMinFilter: document.getElementById('price-min-filter'),
+            priceMaxFilter: document.getElementById('price-max-filter'),
+            priceRangeLabel: document.getElementById('price-range-label'),
+            litterSection: document.getElementById('upcoming-litters'),
+            litterGrid: document.getElementById('litter-grid'),
+            waitlistSection: document.getElementById('waitlist-signup'),
+            waitlistContent: document.getElementById('waitlist-content')
+        };
+    },
+
+    /**
+     * Build breed, age and gender filter options from the catalog
+     */
+    buildFilterControls() {
+        this.filterOptions = {
+            breed: this.getUniqueValues('breed'),
+            age: Object.keys(APP_CONFIG.ageRanges),
+            gender: this.getUniqueValues('gender')
+        };
+        
+        const { breedFilterOptions, ageFilter, genderFilter } = this.elements;
+        
+        if (breedFilterOptions) {
+            Html.render(breedFilterOptions, this.filterOptions.breed.map((breed, index) => Html.safe`
+                <div class="form-check">
+                    <input class="form-check-input" type="checkbox" value="${breed}" id="breed-option-${index}">
+                    <label class="form-check-label w-100" for="breed-option-${index}">${breed}</label>
+                </div>
+            `));
+        }
+        
+        this.buildSelectOptions(ageFilter, this.filterOptions.age, 'age');
+        this.buildSelectOptions(genderFilter, this.filterOptions.gender, 'gender');
+    },
+
+    /**
+     * Replace a select's options, keeping its leading "all" option
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Array<string>} values - Option values
+     * @param {string} name - Filter name used to label the options
+     */
+    buildSelectOptions(select, values, name) {
+        if (!select) return;
+        
+        const allOption = select.querySelector('option[value="all"]');
+        select.innerHTML = '';
+        if (allOption) select.appendChild(allOption);
+        
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = this.getOptionLabel(name, value);
+            select.appendChild(option);
+        });
+    },
+
+    /**
+     * Get the display label for an age range or gender filter option
+     * @param {string} name - 'age' or 'gender'
+     * @param {string} value - Option value as used in the URL
+     * @returns {string} Translated label
+     */
+    getOptionLabel(name, value) {
+        return name === 'gender' ? Utils.formatGender(value) : I18n.t(`ageRange.${value}`, {}, value);
+    },
+
+    /**
+     * Get distinct values of a puppy field in catalog order
+     * @param {string} field - Puppy field name
+     * @returns {Array<string>} Unique non-empty values
+     */
+    getUniqueValues(field) {
+        return [...new Set(CatalogManager.puppies.map(p => p[field]).filter(Boolean))];
+    },
+
+    /**
+     * Refresh option counts and disable options that would yield no results
+     */
+    renderFilterOptions() {
+        if (!this.filterOptions) return;
+        
+        const { breedFilter, breedFilterToggle, ageFilter, genderFilter } = this.elements;
+        
+        if (breedFilter) {
+            const counts = FilterManager.countOptionMatches(CatalogManager.puppies, 'breed', this.filterOptions.breed);
+            
+            breedFilter.querySelectorAll('input[type="checkbox"]').forEach(input => {
+                const label = breedFilter.querySelector(`label[for="${input.id}"]`);
+                label.textContent = `${input.value} (${I18n.formatNumber(counts[input.value])})`;
+                input.disabled = counts[input.value] === 0 && !input.checked;
+            });
+        }
+        
+        if (breedFilterToggle) {
+            const selected = FilterManager.getFilterValue('breed-filter', []);
+            breedFilterToggle.textContent = selected.length === 0 ? I18n.t('filters.allBreeds') :
+                selected.length === 1 ? selected[0] : I18n.t('filters.breedCount', { count: selected.length });
+        }
+        
+        [[ageFilter, 'age'], [genderFilter, 'gender']].forEach(([select, name]) => {
+            if (!select) return;
+            
+            const counts = FilterManager.countOptionMatches(CatalogManager.puppies, name, this.filterOptions[name]);
+            
+            Array.from(select.options).forEach(option => {
+                if (option.value === 'all') return;
+                option.textContent = `${this.getOptionLabel(name, option.value)} (${I18n.formatNumber(counts[option.value])})`;
+                option.disabled = counts[option.value] === 0 && !option.selected;
+            });
+        });
+    },
+
+    /**
+     * Set price slider bounds from the cheapest and most expensive puppies
+     */
+    configurePriceRange() {
+        const prices = CatalogManager.puppies.map(p => p.price).filter(price => typeof price === 'number');
+        if (prices.length === 0) return;
+        
+        const step = APP_CONFIG.priceFilter.step;
+        const min = Math.floor(Math.min(...prices) / step) * step;
+        const max = Math.ceil(Math.max(...prices) / step) * step;
+        
+        FilterManager.setPriceBounds(min, max);
+    },
+
+    /**
+     * Keep the two price sliders from crossing and refresh the range label
+     * @param {HTMLElement} changed - Slider that was just moved
+     */
+    syncPriceRange(changed) {
+        const { priceMinFilter, priceMaxFilter, priceRangeLabel } = this.elements;
+        if (!priceMinFilter || !priceMaxFilter) return;
+        
+        const min = parseFloat(priceMinFilter.value);
+        const max = parseFloat(priceMaxFilter.value);
+        
+        if (min > max) {
+            if (changed === priceMinFilter) {
+                priceMaxFilter.value = min;
+            } else {
+                priceMinFilter.value = max;
+            }
+        }
+        
+        if (priceRangeLabel) {
+            priceRangeLabel.textContent = `${Utils.formatPrice(parseFloat(priceMinFilter.value))} – ${Utils.formatPrice(parseFloat(priceMaxFilter.value))}`;
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        if (this.elements.filterButton) {
+            this.elements.filterButton.addEventListener('click', () => this.applyFilters());
+        }
+        
+        // Auto-filter on select change with debouncing
+        const autoFilter = Utils.debounce(() => this.applyFilters(), APP_CONFIG.search.debounceWait);
+        
+        [this.elements.breedFilter, this.elements.ageFilter, this.elements.genderFilter,
+         this.elements.sortFilter, this.elements.includeSoldFilter, this.elements.vaccinatedFilter,
+         this.elements.favoritesFilter]
+            .forEach(element => {
+                if (element) {
+                    element.addEventListener('change', autoFilter);
+                }
+            });
+        
+        // Text search and price sliders filter as the user types or drags, updating
+        // the current history entry so Back doesn't step through every keystroke
+        const liveFilter = Utils.debounce(() => this.applyFilters(true), APP_CONFIG.search.debounceWait);
+        
+        if (this.elements.searchFilter) {
+            this.elements.searchFilter.addEventListener('input', liveFilter);
+        }
+        
+        [this.elements.priceMinFilter, this.elements.priceMaxFilter]
+            .forEach(element => {
+                if (element) {
+                    element.addEventListener('input', () => {
+                        this.syncPriceRange(element);
+                        liveFilter();
+                    });
+                }
+            });
+        
+        // Back/Forward walks through previous filter states
+        window.addEventListener('popstate', () => this.restoreStateFromUrl());
+    },
+
+    /**
+     * Apply filters and re-render
+     * @param {boolean} replace - Replace the current history entry instead of pushing
+     */
+    applyFilters(replace = false) {
+        try {
+            this.filteredPuppies = FilterManager.applyFilters(CatalogManager.puppies);
+            PaginationManager.reset();
+            this.render();
+            this.updateUrl(replace);
+            
+            console.log(`🔍 Filters applied: ${this.filteredPuppies.length} puppies match criteria`);
+        } catch (error) {
+            console.error('❌ Error applying filters:', error);
+        }
+    },
+
+    /**
+     * Restore filters and page number from the URL and re-render
+     */
+    restoreStateFromUrl() {
+        try {
+            FilterManager.setActiveFilters(FilterManager.getFiltersFromUrl());
+            this.syncPriceRange();
+            this.filteredPuppies = FilterManager.applyFilters(CatalogManager.puppies);
+            PaginationManager.setPage(Utils.getUrlParam('page'), this.filteredPuppies);
+            this.render();
+        } catch (error) {
+            console.error('❌ Error restoring filters from URL:', error);
+        }
+    },
+
+    /**
+     * Serialize current filters and page number to the URL
+     * @param {boolean} replace - Replace the current history entry instead of pushing
+     */
+    updateUrl(replace = false) {
+        const page = PaginationManager.currentPage;
+        
+        Utils.setUrlParams({
+            ...FilterManager.toUrlParams(FilterManager.getActiveFilters()),
+            page: page > 1 ? page : null
+        }, replace);
+    },
+
+    /**
+     * Reset all filters to their defaults without reloading the page
+     */
+    resetFilters() {
+        FilterManager.resetFilters();
+        this.syncPriceRange();
+        this.applyFilters();
+    },
+
+    /**
+     * Render the current page
+     */
+    render() {
+        this.renderFilterOptions();
+        this.renderPuppyGrid();
+        this.renderPagination();
+    },
+
+    /**
+     * Render puppy cards grid
+     */
+    renderPuppyGrid() {
+        if (!this.elements.puppyGrid) return;
+        
+        this.elements.puppyGrid.innerHTML = '';
+        
+        if (this.filteredPuppies.length === 0) {
+            this.renderNoResults();
+            return;
+        }
+        
+        const paginatedPuppies = PaginationManager.getItemsForPage(this.filteredPuppies);
+        
+        paginatedPuppies.forEach(puppy => {
+            const card = this.createPuppyCard(puppy);
+            this.elements.puppyGrid.appendChild(card);
+        });
+    },
+
+    /**
+     * Render no results message
+     */
+    renderNoResults() {
+        const noResults = document.createElement('div');
+        noResults.className = 'col-12 text-center py-5';
+        Html.render(noResults, Html.safe`
+            <div class="card border-0 shadow-sm">
+                <div class="card-body p-5">
+                    <i class="fas fa-search fa-3x text-muted mb-3"></i>
+                    <h3>${I18n.t('noResults.title')}</h3>
+                    <p class="text-muted">${I18n.t('noResults.text')}</p>
+                    <div class="d-flex justify-content-center gap-2 flex-wrap">
+                        <button class="btn btn-primary" type="button" data-action="clear-filters">${I18n.t('noResults.clear')}</button>
+                        <button class="btn btn-outline-primary" type="button" data-action="join-waitlist">
+                            <i class="fas fa-clipboard-list me-2"></i>${I18n.t('waitlist.join')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `);
+        noResults.querySelector('[data-action="clear-filters"]')
+            .addEventListener('click', () => this.resetFilters());
+        noResults.querySelector('[data-action="join-waitlist"]')
+            .addEventListener('click', () => this.openWaitlist(this.getWaitlistPreferences()));
+        this.elements.puppyGrid.appendChild(noResults);
+    },
+
+    /**
+     * Create puppy card element
+     * @param {Object} puppy - Puppy data
+     * @returns {HTMLElement} Card element
+     */
+    createPuppyCard(puppy) {
+        const card = document.createElement('div');
+        const detailUrl = `Puppy.html?puppyId=${encodeURIComponent(puppy.id)}`;
+        const photoCount = Utils.getPuppyImages(puppy).length;
+        const status = Utils.getPuppyStatus(puppy);
+        const readyDate = Utils.formatReadyDate(puppy);
+        const parents = PedigreeManager.formatParents(puppy);
+        const vaccination = HealthManager.getVaccinationSummary(puppy);
+        const isFavorite = FavoritesManager.isFavorite(puppy.id);
+        card.className = 'col-lg-4 col-md-6 mb-4';
+        Html.render(card, Html.safe`
+            <div class="card puppy-card puppy-card-${status} h-100 shadow-sm border-0">
+                <div class="position-relative">
+                    <a href="${detailUrl}">
+                        ${ImageManager.picture(Utils.getCoverImage(puppy), {
+                            alt: puppy.name,
+                            className: 'card-img-top',
+                            style: 'height: 250px; object-fit: cover;',
+                            sizes: APP_CONFIG.images.sizes.card
+                        })}
+                    </a>
+                    <div class="position-absolute top-0 end-0 m-2">
+                        <span class="badge bg-primary">${puppy.breed}</span>
+                    </div>
+                    <div class="position-absolute top-0 start-0 m-2">
+                        ${Utils.getStatusBadge(puppy)}
+                    </div>
+                    <button type="button" class="btn btn-light btn-sm rounded-circle shadow-sm position-absolute bottom-0 end-0 m-2 favorite-toggle"
+                            data-action="favorite" aria-pressed="${isFavorite}" aria-label="${I18n.t(isFavorite ? 'favorites.remove' : 'favorites.add')}">
+                        <i class="${isFavorite ? 'fas' : 'far'} fa-heart text-danger"></i>
+                    </button>
+                    ${photoCount > 1 ? Html.safe`
+                    <div class="position-absolute bottom-0 start-0 m-2">
+                        <span class="badge bg-dark bg-opacity-75"><i class="fas fa-camera me-1"></i>${photoCount}</span>
+                    </div>` : ''}
+                </div>
+                <div class="card-body d-flex flex-column">
+                    <h5 class="card-title">
+                        <a href="${detailUrl}" class="text-reset text-decoration-none">${puppy.name}</a>
+                    </h5>
+                    <p class="card-text text-muted">
+                        <i class="fas fa-venus-mars me-1"></i>${Utils.formatGender(puppy.gender)} • 
+                        <i class="fas fa-birthday-cake me-1"></i>${Utils.formatAge(puppy)}
+                    </p>
+                    ${parents ? Html.safe`
+                    <p class="card-text small mb-2"><i class="fas fa-sitemap me-1"></i>${I18n.t('puppy.parents')}: ${parents}</p>` : ''}
+                    <p class="card-text flex-grow-1">${puppy.description}</p>
+                    <div class="mt-3">
+                        <div class="d-flex justify-content-between align-items-center mb-2">
+                            <strong>${I18n.t('puppy.price')}:</strong>
+                            <span class="h5 text-primary mb-0">${Utils.formatPrice(puppy.price)}</span>
+                        </div>
+                        <div class="d-flex justify-content-between align-items-center mb-3">
+                            <span><i class="fas fa-syringe me-1"></i>${I18n.t('puppy.vaccinations')}:</span>
+                            <span class="${vaccination.textClass}">${vaccination.label}</span>
+                        </div>
+                        ${readyDate ? Html.safe`
+                        <div class="d-flex justify-content-between align-items-center mb-3">
+                            <span><i class="fas fa-home me-1"></i>${I18n.t('puppy.readyToGoHome')}:</span>
+                            <span>${readyDate}</span>
+                        </div>` : ''}
+                    </div>
+                    <div class="d-flex gap-2 mt-auto">
+                        <a href="${detailUrl}" class="btn btn-outline-primary flex-fill">
+                            <i class="fas fa-images me-2"></i>${I18n.t('card.details')}
+                        </a>
+                        ${status === 'available' ? Html.safe`
+                        <a href="Orders.html?puppyId=${encodeURIComponent(puppy.id)}" class="btn btn-primary flex-fill">
+                            <i class="fas fa-heart me-2"></i>${I18n.t('card.adopt')}
+                        </a>` : Html.safe`
+                        <button type="button" class="btn btn-secondary flex-fill" disabled>
+                            ${Utils.getStatusLabel(status)}
+                        </button>`}
+                    </div>
+                    <div class="form-check mt-3 mb-0">
+                        <input class="form-check-input" type="checkbox" id="compare-${puppy.id}" data-compare-id="${puppy.id}"
+                               ${FavoritesManager.isCompared(puppy.id) ? 'checked' : ''}>
+                        <label class="form-check-label small" for="compare-${puppy.id}">${I18n.t('compare.checkbox')}</label>
+                    </div>
+                </div>
+            </div>
+        `);
+        
+        const favoriteButton = card.querySelector('[data-action="favorite"]');
+        favoriteButton.addEventListener('click', () => this.toggleFavorite(puppy.id, favoriteButton));
+        card.querySelector('[data-compare-id]').addEventListener('change', () => this.toggleCompare(puppy.id));
+        return card;
+    },
+
+    /**
+     * Toggle a favorite from its card's heart button
+     * @param {string} puppyId - Puppy ID
+     * @param {HTMLElement} button - Heart button
+     */
+    toggleFavorite(puppyId, button) {
+        const isFavorite = FavoritesManager.toggleFavorite(puppyId);
+        
+        button.setAttribute('aria-pressed', String(isFavorite));
+        button.setAttribute('aria-label', I18n.t(isFavorite ? 'favorites.remove' : 'favorites.add'));
+        button.querySelector('i').className = `${isFavorite ? 'fas' : 'far'} fa-heart text-danger`;
+        this.updateFavoritesCount();
+        
+        // An unfavorited puppy drops out of the favorites view
+        if (FilterManager.getActiveFilters().favorites === 'true') {
+            this.applyFilters();
+        }
+    },
+
+    /**
+     * Show the number of favorites next to the favorites filter
+     */
+    updateFavoritesCount() {
+        if (this.elements.favoritesCount) {
+            this.elements.favoritesCount.textContent = FavoritesManager.getFavorites().length;
+        }
+    },
+
+    /**
+     * Add or remove a puppy from the compare drawer
+     * @param {string} puppyId - Puppy ID
+     */
+    toggleCompare(puppyId) {
+        const { compared, limitReached } = FavoritesManager.toggleCompare(puppyId);
+        
+        if (compared) this.compareExpanded = false;
+        this.renderCompareDrawer(limitReached);
+        this.syncCompareCheckboxes();
+    },
+
+    /**
+     * Match card compare checkboxes to the stored comparison
+     */
+    syncCompareCheckboxes() {
+        document.querySelectorAll('[data-compare-id]').forEach(input => {
+            input.checked = FavoritesManager.isCompared(input.dataset.compareId);
+        });
+    },
+
+    /**
+     * Render the compare drawer: a bar of selected puppies that expands into a side-by-side table
+     * @param {boolean} limitReached - Whether the last selection was refused for being over the limit
+     */
+    renderCompareDrawer(limitReached = false) {
+        const drawer = this.elements.compareDrawer;
+        if (!drawer) return;
+        
+        const puppies = FavoritesManager.getCompareList()
+            .map(id => CatalogManager.findById(id))
+            .filter(Boolean);
+        const limit = APP_CONFIG.favorites.compareLimit;
+        
+        drawer.classList.toggle('d-none', puppies.length === 0);
+        if (puppies.length === 0) {
+            this.compareExpanded = false;
+            drawer.innerHTML = '';
+            return;
+        }
+        
+        Html.render(drawer, Html.safe`
+            <div class="container py-2">
+                ${this.compareExpanded ? this.generateCompareTable(puppies) : ''}
+                <div class="d-flex align-items-center gap-2 flex-wrap">
+                    <strong class="me-2">${I18n.t('compare.title', { count: puppies.length, limit })}</strong>
+                    ${puppies.map(puppy => Html.safe`
+                        <span class="badge rounded-pill bg-light text-dark border">
+                            ${puppy.name}
+                            <button type="button" class="btn-close ms-1" style="font-size: 0.6rem;"
+                                    data-compare-remove="${puppy.id}" aria-label="${I18n.t('compare.remove', { name: puppy.name })}"></button>
+                        </span>
+                    `)}
+                    ${limitReached ? Html.safe`<span class="small text-danger">${I18n.t('compare.limit', { limit })}</span>` : ''}
+                    <div class="ms-auto d-flex gap-2">
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-compare-action="clear">${I18n.t('compare.clear')}</button>
+                        <button type="button" class="btn btn-sm btn-primary" data-compare-action="toggle" ${puppies.length < 2 && !this.compareExpanded ? 'disabled' : ''}>
+                            ${I18n.t(this.compareExpanded ? 'compare.hide' : 'compare.show')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `);
+        
+        drawer.querySelectorAll('[data-compare-remove]').forEach(button => {
+            button.addEventListener('click', () => this.toggleCompare(button.dataset.compareRemove));
+        });
+        drawer.querySelector('[data-compare-action="clear"]').addEventListener('click', () => {
+            FavoritesManager.clearCompare();
+            this.renderCompareDrawer();
+            this.syncCompareCheckboxes();
+        });
+        drawer.querySelector('[data-compare-action="toggle"]').addEventListener('click', () => {
+            this.compareExpanded = !this.compareExpanded;
+            this.renderCompareDrawer();
+        });
+    },
+
+    /**
+     * Generate the side-by-side comparison table
+     * @param {Array} puppies - Puppies being compared
+     * @returns {Object} Table HTML fragment
+     */
+    generateCompareTable(puppies) {
+        const rows = [
+            [I18n.t('puppy.breed'), puppy => puppy.breed],
+            [I18n.t('puppy.age'), puppy => Utils.formatAge(puppy)],
+            [I18n.t('puppy.gender'), puppy => Utils.formatGender(puppy.gender)],
+            [I18n.t('puppy.price'), puppy => Utils.formatPrice(puppy.price)],
+            [I18n.t('puppy.temperament'), puppy => Html.safe`<span class="small">${puppy.description}</span>`],
+            [I18n.t('puppy.vaccinations'), puppy => {
+                const vaccination = HealthManager.getVaccinationSummary(puppy);
+                return Html.safe`<span class="${vaccination.textClass}">${vaccination.label}</span>`;
+            }],
+            [I18n.t('puppy.parents'), puppy => PedigreeManager.formatParents(puppy) || Html.safe`<span class="text-muted">—</span>`],
+            [I18n.t('puppy.status'), puppy => Utils.getStatusBadge(puppy)]
+        ];
+        
+        return Html.safe`
+            <div class="compare-table table-responsive mb-2">
+                <table class="table table-sm align-middle mb-0">
+                    <thead>
+                        <tr>
+                            <th scope="col"></th>
+                            ${puppies.map(puppy => Html.safe`
+                                <th scope="col" class="text-center">
+                                    <img src="${Utils.getCoverImage(puppy)}" alt="${puppy.name}" class="rounded mb-1" style="width: 80px; height: 80px; object-fit: cover;"
+                                         onerror="this.onerror = null; this.src = '${APP_CONFIG.images.placeholder}'">
+                                    <div><a href="Puppy.html?puppyId=${encodeURIComponent(puppy.id)}">${puppy.name}</a></div>
+                                </th>
+                            `)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(([label, render]) => Html.safe`
+                            <tr>
+                                <th scope="row">${label}</th>
+                                ${puppies.map(puppy => Html.safe`<td class="text-center">${render(puppy)}</td>`)}
+                            </tr>
+                        `)}
+                        <tr>
+                            <th scope="row"></th>
+                            ${puppies.map(puppy => Html.safe`
+                                <td class="text-center">
+                                    ${Utils.isPuppyAvailable(puppy) ? Html.safe`
+                                    <a href="Orders.html?puppyId=${encodeURIComponent(puppy.id)}" class="btn btn-sm btn-primary">
+                                        <i class="fas fa-heart me-1"></i>${I18n.t('compare.adopt')}
+                                    </a>` : Html.safe`
+                                    <button type="button" class="btn btn-sm btn-secondary" disabled>
+                                        ${Utils.getStatusLabel(Utils.getPuppyStatus(puppy))}
+                                    </button>`}
+                                </td>
+                            `)}
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Render upcoming litter cards, hiding the section when there are none
+     */
+    renderLitters() {
+        const { litterSection, litterGrid } = this.elements;
+        if (!litterSection || !litterGrid) return;
+        
+        litterSection.classList.toggle('d-none', LitterManager.litters.length === 0);
+        litterGrid.innerHTML = '';
+        LitterManager.litters.forEach(litter => litterGrid.appendChild(this.createLitterCard(litter)));
+    },
+
+    /**
+     * Create upcoming litter card element
+     * @param {Object} litter - Litter data
+     * @returns {HTMLElement} Card element
+     */
+    createLitterCard(litter) {
+        const card = document.createElement('div');
+        const openSpots = LitterManager.getOpenSpots(litter);
+        card.className = 'col-lg-3 col-md-6';
+        Html.render(card, Html.safe`
+            <div class="card litter-card h-100 shadow-sm border-0">
+                ${litter.image ? Html.safe`
+                <img src="${litter.image}" class="card-img-top" alt="${I18n.t('litter.damAlt', { dam: litter.dam })}"
+                     style="height: 180px; object-fit: cover;"
+                     onerror="this.onerror = null; this.src = '${APP_CONFIG.images.placeholder}'">` : ''}
+                <div class="card-body d-flex flex-column">
+                    <span class="badge bg-primary align-self-start mb-2">${litter.breed}</span>
+                    <h5 class="card-title">${litter.sire} × ${litter.dam}</h5>
+                    ${litter.description ? Html.safe`<p class="card-text small text-muted">${litter.description}</p>` : ''}
+                    <ul class="list-unstyled small mb-3">
+                        <li><i class="fas fa-calendar-alt me-2"></i>${I18n.t('litter.expected', { date: LitterManager.formatExpectedDate(litter) })}</li>
+                        <li><i class="fas fa-paw me-2"></i>${I18n.t('litter.count', { count: litter.expectedCount })}</li>
+                        <li><i class="fas fa-clipboard-list me-2"></i>${I18n.t('litter.reserved', { reserved: litter.reservations || 0, count: litter.expectedCount })}</li>
+                        <li><i class="fas fa-dollar-sign me-2"></i>${I18n.t('litter.deposit', { amount: Utils.formatPrice(litter.deposit) })}</li>
+                    </ul>
+                    <button type="button" class="btn ${openSpots > 0 ? 'btn-primary' : 'btn-outline-primary'} mt-auto" data-litter-id="${litter.id}">
+                        <i class="fas fa-clipboard-list me-2"></i>${I18n.t(openSpots > 0 ? 'litter.join' : 'litter.joinBackup')}
+                    </button>
+                </div>
+            </div>
+        `);
+        card.querySelector('[data-litter-id]').addEventListener('click', () => this.openWaitlist({ litterId: litter.id }));
+        return card;
+    },
+
+    /**
+     * Derive waitlist preferences from the active filters
+     * @returns {Object} { breed, gender }
+     */
+    getWaitlistPreferences() {
+        const filters = FilterManager.getActiveFilters();
+        
+        return {
+            breed: filters.breed.length === 1 ? filters.breed[0] : '',
+            gender: filters.gender !== 'all' ? filters.gender : ''
+        };
+    },
+
+    /**
+     * Show the waitlist form, prefilled, and scroll to it
+     * @param {Object} prefill - { litterId, breed, gender }
+     */
+    openWaitlist(prefill = {}) {
+        const { waitlistSection, waitlistContent } = this.elements;
+        if (!waitlistSection || !waitlistContent) return;
+        
+        waitlistSection.classList.remove('d-none');
+        this.renderWaitlistForm(prefill);
+        waitlistSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
+
+    /**
+     * Render the waitlist signup form
+     * @param {Object} prefill - { litterId, breed, gender }
+     */
+    renderWaitlistForm(prefill) {
+        const breeds = [...new Set([
+            ...this.getUniqueValues('breed'),
+            ...LitterManager.litters.map(litter => litter.breed)
+        ])].sort();
+        
+        Html.render(this.elements.waitlistContent, Html.safe`
+            <div class="card shadow-sm border-0">
+                <div class="card-body p-4">
+                    <h2 class="h3 mb-1"><i class="fas fa-clipboard-list me-2"></i>${I18n.t('waitlist.join')}</h2>
+                    <p class="text-muted">${I18n.t('waitlist.intro')}</p>
+                    <form id="waitlistForm" novalidate>
+                        <div class="row g-3">
+                            <div class="col-12">
+                                <label for="waitlistLitter" class="form-label">${I18n.t('waitlist.litter')}</label>
+                                <select class="form-select" name="litterId" id="waitlistLitter">
+                                    <option value="">${I18n.t('waitlist.anyLitter')}</option>
+                                    ${LitterManager.litters.map(litter => Html.safe`
+                                        <option value="${litter.id}">${I18n.t('waitlist.litterOption', {
+                                            breed: litter.breed,
+                                            parents: `${litter.sire} × ${litter.dam}`,
+                                            date: LitterManager.formatExpectedDate(litter)
+                                        })}</option>
+                                    `)}
+                                </select>
+                            </div>
+                            <div class="col-md-6">
+                                <label for="waitlistBreed" class="form-label">${I18n.t('waitlist.breed')} *</label>
+                                <select class="form-select" name="breed" id="waitlistBreed" required>
+                                    <option value="">${I18n.t('waitlist.chooseBreed')}</option>
+                                    ${breeds.map(breed => Html.safe`<option value="${breed}">${breed}</option>`)}
+                                </select>
+                                <div class="invalid-feedback">${I18n.t('waitlist.breedRequired')}</div>
+                            </div>
+                            <div class="col-md-6">
+                                <label for="waitlistGender" class="form-label">${I18n.t('waitlist.gender')}</label>
+                                <select class="form-select" name="gender" id="waitlistGender">
+                                    <option value="">${I18n.t('waitlist.noPreference')}</option>
+                                    ${APP_CONFIG.catalog.genders.map(gender => Html.safe`<option value="${gender}">${Utils.formatGender(gender)}</option>`)}
+                                </select>
+                            </div>
+                            <div class="col-md-6">
+                                <label for="waitlistName" class="form-label">${I18n.t('form.fullName')} *</label>
+                                <input type="text" class="form-control" name="name" id="waitlistName" autocomplete="name" required>
+                                <div class="invalid-feedback">${I18n.t('form.nameRequired')}</div>
+                            </div>
+                            <div class="col-md-6">
+                                <label for="waitlistEmail" class="form-label">${I18n.t('form.email')} *</label>
+                                <input type="email" class="form-control" name="email" id="waitlistEmail" autocomplete="email" required>
+                                <div class="invalid-feedback">${I18n.t('form.emailRequired')}</div>
+                            </div>
+                            <div class="col-md-6">
+                                <label for="waitlistPhone" class="form-label">${I18n.t('form.phone')}</label>
+                                <input type="tel" class="form-control" name="phone" id="waitlistPhone" autocomplete="tel">
+                            </div>
+                            <div class="col-12">
+                                <label for="waitlistNotes" class="form-label">${I18n.t('waitlist.notes')}</label>
+                                <textarea class="form-control" name="notes" id="waitlistNotes" rows="2"></textarea>
+                            </div>
+                        </div>
+                        <p class="small text-muted mt-3 mb-0" id="waitlistQueueInfo"></p>
+                        <div id="waitlistError"></div>
+                        <button type="submit" class="btn btn-primary btn-lg mt-3" id="waitlistSubmit">
+                            <i class="fas fa-paper-plane me-2"></i>${I18n.t('waitlist.submit')}
+                        </button>
+                    </form>
+                </div>
+            </div>
+        `);
+        
+        const form = document.getElementById('waitlistForm');
+        const litterSelect = document.getElementById('waitlistLitter');
+        const breedSelect = document.getElementById('waitlistBreed');
+        
+        litterSelect.value = LitterManager.findById(prefill.litterId) ? prefill.litterId : '';
+        breedSelect.value = breeds.includes(prefill.breed) ? prefill.breed : '';
+        document.getElementById('waitlistGender').value = prefill.gender || '';
+        
+        // A litter decides the breed
+        const syncLitter = () => {
+            const litter = LitterManager.findById(litterSelect.value);
+            if (litter) breedSelect.value = litter.breed;
+            breedSelect.disabled = Boolean(litter);
+            this.updateWaitlistQueueInfo();
+        };
+        litterSelect.addEventListener('change', syncLitter);
+        breedSelect.addEventListener('change', () => this.updateWaitlistQueueInfo());
+        form.addEventListener('submit', (e) => this.handleWaitlistSubmit(e));
+        syncLitter();
+    },
+
+    /**
+     * Show how many of the chosen litter's puppies already have a deposit
+     */
+    updateWaitlistQueueInfo() {
+        const info = document.getElementById('waitlistQueueInfo');
+        if (!info) return;
+        
+        const litter = LitterManager.findById(document.getElementById('waitlistLitter').value);
+        
+        if (!litter) {
+            info.textContent = '';
+            return;
+        }
+        
+        const key = LitterManager.getOpenSpots(litter) === 0 ? 'litter.reservedWithBackup' : 'litter.reservedSentence';
+        Html.render(info, Html.safe`<i class="fas fa-list-ol me-1"></i>${I18n.t(key, {
+            reserved: litter.reservations || 0,
+            count: litter.expectedCount
+        })}`);
+    },
+
+    /**
+     * Validate and send a waitlist signup
+     * @param {Event} e - Submit event
+     */
+    async handleWaitlistSubmit(e) {
+        e.preventDefault();
+        
+        const form = e.target;
+        const submitButton = document.getElementById('waitlistSubmit');
+        
+        form.classList.add('was-validated');
+        if (!form.checkValidity() || submitButton.disabled) return;
+        
+        // Disabled selects are left out of the form values
+        const values = { ...Utils.getFormValues(form), breed: document.getElementById('waitlistBreed').value };
+        const litter = LitterManager.findById(values.litterId) || null;
+        
+        submitButton.disabled = true;
+        document.getElementById('waitlistError').innerHTML = '';
+        
+        try {
+            const { payload, result } = await WaitlistManager.join(values, litter);
+            this.renderWaitlistConfirmation(payload, result);
+        } catch (error) {
+            console.error('❌ Waitlist signup failed:', error);
+            this.renderWaitlistError(WaitlistManager.buildPayload(values, litter));
+            submitButton.disabled = false;
+        }
+    },
+
+    /**
+     * Show a waitlist failure with an email fallback; the form keeps its values
+     * @param {Object} payload - Waitlist payload that failed to send
+     */
+    renderWaitlistError(payload) {
+        Html.render(document.getElementById('waitlistError'), Html.safe`
+            <div class="alert alert-danger mt-3" role="alert">
+                <i class="fas fa-exclamation-circle me-2"></i>${I18n.html('waitlist.error', {
+                    url: SubmissionManager.buildMailtoUrl(payload, APP_CONFIG.submission.mailto.address)
+                })}
+            </div>
+        `);
+    },
+
+    /**
+     * Replace the waitlist form with a confirmation
+     * @param {Object} payload - Submitted waitlist payload
+     * @param {Object} result - Submission result
+     */
+    renderWaitlistConfirmation(payload, result) {
+        const { litter } = payload;
+        const email = payload.application.contact.email;
+        const queueName = litter ?
+            I18n.t('waitlist.litterQueue', { parents: `${litter.sire} × ${litter.dam}` }) :
+            I18n.t('waitlist.breedQueue', { breed: payload.application.preferences.breed });
+        
+        Html.render(this.elements.waitlistContent, Html.safe`
+            <div class="card p-5 shadow-sm border-0 text-center">
+                <i class="fas fa-check-circle fa-3x text-success mb-3"></i>
+                <h2>${I18n.t('waitlist.confirmTitle')}</h2>
+                <p class="text-muted">
+                    ${result.queuePosition ?
+                        I18n.html('waitlist.confirmText', { position: result.queuePosition, queue: queueName, email }) :
+                        I18n.html('waitlist.confirmTextUnranked', { queue: queueName, email })}
+                </p>
+                ${litter ? Html.safe`<p class="small">${I18n.t('waitlist.confirmDeposit', { amount: Utils.formatPrice(litter.deposit) })}</p>` : ''}
+                ${result.queued ? Html.safe`<p class="small text-warning-emphasis"><i class="fas fa-wifi me-1"></i>${I18n.t('waitlist.queued')}</p>` : ''}
+                ${result.via === 'mailto' ? Html.safe`<p class="small text-warning-emphasis"><i class="fas fa-envelope me-1"></i>${I18n.t('waitlist.mailto')}</p>` : ''}
+                <div class="bg-light rounded p-3 my-3">
+                    <div class="small text-muted">${I18n.t('waitlist.reference')}</div>
+                    <div class="h3 mb-0 font-monospace" id="waitlistReference">${result.reference}</div>
+                </div>
+            </div>
+        `);
+    },
+
+    /**
+     * Render pagination controls
+     */
+    renderPagination() {
+        PaginationManager.render(
+            this.filteredPuppies, 
+            this.elements.paginationContainer, 
+            () => {
+                this.render();
+                this.updateUrl();
+                window.scrollTo({ top: 0, behavior: 'smooth' });
+            }
+        );
+    }
+};
+
+// Puppy Detail Page Module
+const PuppyPage = {
+    selectedPuppy: null,
+    images: [],
+    currentIndex: 0,
+    touchStartX: null,
+    elements: {},
+    
+    /**
+     * Initialize the puppy detail page
+     */
+    async init() {
+        this.cacheElements();
+        CatalogManager.renderLoading(this.elements.puppyDetail);
+        
+        try {
+            await CatalogManager.load();
+        } catch (error) {
+            console.error('❌ Error loading catalog:', error);
+            CatalogManager.renderLoadError(this.elements.puppyDetail);
+            return;
+        }
+        
+        // Lineage is optional; listings render without it
+        await PedigreeManager.load().catch(error => console.warn('⚠️ Pedigrees unavailable:', error));
+        
+        // Reviews from families with the same breed are optional too
+        await TestimonialManager.load().catch(error => console.warn('⚠️ Testimonials unavailable:', error));
+        
+        CatalogManager.renderNotices(this.elements.puppyDetail);
+        this.loadPuppyData();
+        this.render();
+        
+        console.log('🐶 Puppy detail page initialized');
+    },
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            puppyDetail: document.getElementById('puppy-detail')
+        };
+    },
+
+    /**
+     * Load puppy data from URL parameter
+     */
+    loadPuppyData() {
+        const puppyId = Utils.getUrlParam('puppyId');
+        this.selectedPuppy = CatalogManager.findById(puppyId);
+        
+        if (!this.selectedPuppy) {
+            console.warn('⚠️ No puppy found for ID:', puppyId);
+            return;
+        }
+        
+        this.images = Utils.getPuppyImages(this.selectedPuppy);
+        this.currentIndex = 0;
+    },
+
+    /**
+     * Render puppy detail content
+     */
+    render() {
+        if (!this.elements.puppyDetail) return;
+        
+        if (this.selectedPuppy) {
+            this.renderPuppyDetail();
+        } else {
+            this.renderPuppyNotFound();
+        }
+    },
+
+    /**
+     * Render "puppy not found" state
+     */
+    renderPuppyNotFound() {
+        Html.render(this.elements.puppyDetail, Html.safe`
+            <div class="col-12 text-center">
+                <div class="card p-5 shadow-sm border-0">
+                    <i class="fas fa-exclamation-triangle fa-3x text-warning mb-3"></i>
+                    <h2>${I18n.t('puppy.notFound')}</h2>
+                    <p class="text-muted">${I18n.t('puppy.notFoundText')}</p>
+                    <div class="mt-4">
+                        <a href="Available.html" class="btn btn-primary btn-lg">
+                            <i class="fas fa-search me-2"></i>${I18n.t('common.viewAvailable')}
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `);
+    },
+
+    /**
+     * Render gallery, details and lightbox
+     */
+    renderPuppyDetail() {
+        const puppy = this.selectedPuppy;
+        
+        document.title = `${puppy.name} | Paws & Tails`;
+        Html.render(this.elements.puppyDetail, Html.safe`
+            <div class="col-lg-7 mb-4">
+                ${this.generateGallery(puppy)}
+            </div>
+            <div class="col-lg-5">
+                ${this.generateDetails(puppy)}
+            </div>
+            ${this.generateHealth(puppy)}
+            ${this.generatePedigree(puppy)}
+            ${TestimonialManager.generateBreedSection(puppy.breed)}
+            ${this.generateLightbox(puppy)}
+        `);
+        
+        Object.assign(this.elements, {
+            galleryStage: document.getElementById('gallery-stage'),
+            mainImage: document.getElementById('gallery-main-image'),
+            counter: document.getElementById('gallery-counter'),
+            thumbnails: document.querySelectorAll('.gallery-thumbnail'),
+            lightbox: document.getElementById('gallery-lightbox'),
+            lightboxImage: document.getElementById('lightbox-image')
+        });
+        
+        this.setupGalleryInteractions();
+        this.showImage(this.currentIndex);
+        
+        const printButton = document.getElementById('print-health-certificate');
+        if (printButton) {
+            printButton.addEventListener('click', () => HealthManager.printCertificate(HealthManager.buildCertificate(puppy)));
+        }
+    },
+
+    /**
+     * Generate gallery HTML
+     * @param {Object} puppy - Selected puppy
+     * @returns {Object} Gallery HTML fragment
+     */
+    generateGallery(puppy) {
+        const hasMultiple = this.images.length > 1;
+        
+        return Html.safe`
+            <div class="card shadow-sm border-0 puppy-gallery">
+                <div class="gallery-stage position-relative" id="gallery-stage">
+                    <img id="gallery-main-image" class="gallery-main-image card-img-top" 
+                         src="${this.images[0]}" alt="${puppy.name}" role="button" tabindex="0"
+                         title="${I18n.t('gallery.fullSize')}"
+                         onerror="this.onerror = null; this.src = '${APP_CONFIG.images.placeholder}'">
+                    ${hasMultiple ? Html.safe`
+                    <button type="button" class="gallery-nav gallery-prev" data-gallery-action="prev" aria-label="${I18n.t('gallery.previous')}">
+                        <i class="fas fa-chevron-left"></i>
+                    </button>
+                    <button type="button" class="gallery-nav gallery-next" data-gallery-action="next" aria-label="${I18n.t('gallery.next')}">
+                        <i class="fas fa-chevron-right"></i>
+                    </button>
+                    <span class="badge bg-dark bg-opacity-75 position-absolute bottom-0 end-0 m-2" id="gallery-counter"></span>
+                    ` : ''}
+                </div>
+                ${hasMultiple ? Html.safe`
+                <div class="card-body gallery-thumbnails d-flex gap-2 overflow-auto">
+                    ${this.images.map((src, index) => Html.safe`
+                        <button type="button" class="gallery-thumbnail p-0 border-0" data-index="${index}" 
+                                aria-label="${I18n.t('gallery.show', { number: index + 1 })}">
+                            <img src="${src}" alt="${I18n.t('gallery.photoAlt', { name: puppy.name, number: index + 1 })}" loading="lazy">
+                        </button>
+                    `)}
+                </div>
+                ` : ''}
+            </div>
+        `;
+    },
+
+    /**
+     * Generate puppy details HTML
+     * @param {Object} puppy - Selected puppy
+     * @returns {Object} Details HTML fragment
+     */
+    generateDetails(puppy) {
+        const readyDate = Utils.formatReadyDate(puppy);
+        const vaccination = HealthManager.getVaccinationSummary(puppy);
+        
+        return Html.safe`
+            <div class="card shadow-sm border-0 position-sticky" style="top: 100px;">
+                <div class="card-body p-4">
+                    <span class="badge bg-primary mb-2">${puppy.breed}</span>
+                    ${Utils.getStatusBadge(puppy)}
+                    <h2 class="card-title">${puppy.name}</h2>
+                    <p class="text-muted">
+                        <i class="fas fa-venus-mars me-1"></i>${Utils.formatGender(puppy.gender)} • 
+                        <i class="fas fa-birthday-cake me-1"></i>${Utils.formatAge(puppy)}
+                    </p>
+                    <p>${puppy.description}</p>
+                    <hr>
+                    <div class="d-flex justify-content-between align-items-center mb-2">
+                        <strong>${I18n.t('puppy.price')}:</strong>
+                        <span class="h4 text-primary mb-0">${Utils.formatPrice(puppy.price)}</span>
+                    </div>
+                    <div class="d-flex justify-content-between align-items-center mb-2">
+                        <span><i class="fas fa-syringe me-1"></i>${I18n.t('puppy.vaccinations')}:</span>
+                        <span class="${vaccination.textClass}">${vaccination.label}</span>
+                    </div>
+                    ${readyDate ? Html.safe`
+                    <div class="d-flex justify-content-between align-items-center mb-2">
+                        <span><i class="fas fa-home me-1"></i>${I18n.t('puppy.readyToGoHome')}:</span>
+                        <span>${readyDate}</span>
+                    </div>` : ''}
+                    <div class="d-grid gap-2 mt-4">
+                        ${Utils.isPuppyAvailable(puppy) ? Html.safe`
+                        <a href="Orders.html?puppyId=${encodeURIComponent(puppy.id)}" class="btn btn-primary btn-lg">
+                            <i class="fas fa-heart me-2"></i>${I18n.t('card.adopt')}
+                        </a>` : Html.safe`
+                        <button type="button" class="btn btn-secondary btn-lg" disabled>
+                            ${Utils.getStatusLabel(Utils.getPuppyStatus(puppy))}
+                        </button>`}
+                        <a href="Available.html" class="btn btn-outline-secondary">
+                            <i class="fas fa-arrow-left me-2"></i>${I18n.t('puppy.back')}
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Generate the health section: microchip, vaccination status and a timeline of treatments
+     * @param {Object} puppy - Selected puppy
+     * @returns {Object} Health HTML fragment, empty when the listing has no structured records
+     */
+    generateHealth(puppy) {
+        if (!puppy.health) return '';
+        
+        const vaccination = HealthManager.getVaccinationSummary(puppy);
+        const timeline = HealthManager.getTimeline(puppy);
+        const types = APP_CONFIG.health.recordTypes;
+        
+        return Html.safe`
+            <div class="col-12 mt-4" id="puppy-health">
+                <div class="d-flex justify-content-between align-items-center flex-wrap gap-2 mb-3">
+                    <h3 class="mb-0"><i class="fas fa-heartbeat me-2"></i>${I18n.t('health.title')}</h3>
+                    <button type="button" class="btn btn-outline-secondary" id="print-health-certificate">
+                        <i class="fas fa-print me-2"></i>${I18n.t('health.print')}
+                    </button>
+                </div>
+                <div class="card shadow-sm border-0">
+                    <div class="card-body p-4">
+                        <div class="d-flex flex-wrap gap-4 mb-4">
+                            <div><span class="text-muted">${I18n.t('puppy.vaccinations')}:</span> <strong class="${vaccination.textClass}">${vaccination.label}</strong></div>
+                            <div><span class="text-muted">${I18n.t('health.microchip')}:</span> <strong>${puppy.health.microchip || I18n.t('health.noMicrochip')}</strong></div>
+                        </div>
+                        ${timeline.length > 0 ? Html.safe`
+                        <ul class="health-timeline list-unstyled mb-0">
+                            ${timeline.map(entry => Html.safe`
+                                <li class="health-timeline-item${entry.upcoming ? ' upcoming' : ''}">
+                                    <div class="small text-muted">${Utils.formatDate(entry.date)}${entry.upcoming ? ` • ${I18n.t('health.upcoming')}` : ''}</div>
+                                    <div class="fw-semibold"><i class="fas ${types[entry.type].icon} me-2"></i>${entry.title}</div>
+                                    ${entry.detail ? Html.safe`<div class="small">${entry.detail}</div>` : ''}
+                                </li>
+                            `)}
+                        </ul>` : Html.safe`<p class="text-muted mb-0">${I18n.t('health.empty')}</p>`}
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Generate the parents and pedigree section
+     * @param {Object} puppy - Selected puppy
+     * @returns {Object} Pedigree HTML fragment, empty when no parents are on record
+     */
+    generatePedigree(puppy) {
+        const { sire, dam } = PedigreeManager.getParents(puppy);
+        if (!sire && !dam) return '';
+        
+        return Html.safe`
+            <div class="col-12 mt-4" id="puppy-pedigree">
+                <h3 class="mb-3"><i class="fas fa-sitemap me-2"></i>${I18n.t('pedigree.title')}</h3>
+                <div class="row g-4 mb-4">
+                    ${this.generateParentCard(sire, 'sire')}
+                    ${this.generateParentCard(dam, 'dam')}
+                </div>
+                <div class="card shadow-sm border-0">
+                    <div class="card-body p-0 table-responsive">
+                        ${this.generatePedigreeTree(puppy)}
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Generate a parent profile card
+     * @param {Object|undefined} parent - Parent record
+     * @param {string} role - 'sire' or 'dam'
+     * @returns {Object} Parent card HTML fragment
+     */
+    generateParentCard(parent, role) {
+        const roleLabel = I18n.t(`pedigree.${role}`);
+        
+        if (!parent) {
+            return Html.safe`
+                <div class="col-md-6">
+                    <div class="card h-100 shadow-sm border-0">
+                        <div class="card-body text-muted"><strong>${roleLabel}:</strong> ${I18n.t('pedigree.notOnRecord')}</div>
+                    </div>
+                </div>
+            `;
+        }
+        
+        const photo = parent.images && parent.images[0];
+        
+        return Html.safe`
+            <div class="col-md-6">
+                <div class="card parent-card h-100 shadow-sm border-0">
+                    <div class="row g-0 h-100">
+                        ${photo ? Html.safe`
+                        <div class="col-4">
+                            <img src="${photo}" class="img-fluid rounded-start h-100" alt="${I18n.t(`pedigree.${role}Alt`, { name: parent.name })}"
+                                 style="object-fit: cover;" loading="lazy"
+                                 onerror="this.onerror = null; this.src = '${APP_CONFIG.images.placeholder}'">
+                        </div>` : ''}
+                        <div class="${photo ? 'col-8' : 'col-12'}">
+                            <div class="card-body">
+                                <div class="small text-muted text-uppercase">${roleLabel}</div>
+                                <h5 class="card-title mb-1">${parent.name}</h5>
+                                <p class="small text-muted mb-2">
+                                    ${parent.registration ? Html.safe`<i class="fas fa-id-card me-1"></i>${parent.registration}` : ''}
+                                    ${parent.color ? ` • ${parent.color}` : ''}
+                                </p>
+                                ${parent.healthTests && parent.healthTests.length > 0 ? Html.safe`
+                                <ul class="list-unstyled small mb-0">
+                                    ${parent.healthTests.map(test => Html.safe`
+                                        <li><i class="fas fa-notes-medical me-1 text-success"></i>${test.name}: ${test.result}</li>
+                                    `)}
+                                </ul>` : Html.safe`<p class="small text-muted mb-0">${I18n.t('pedigree.noHealthTests')}</p>`}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Generate the pedigree as a bracket table: one column per generation,
+     * each ancestor spanning the rows of its own parents
+     * @param {Object} puppy - Selected puppy
+     * @returns {Object} Pedigree table HTML fragment
+     */
+    generatePedigreeTree(puppy) {
+        const generations = PedigreeManager.getAncestors(puppy);
+        const rowCount = 2 ** generations.length;
+        const titles = ['pedigree.parents', 'pedigree.grandparents', 'pedigree.greatGrandparents'];
+        const rows = [];
+        
+        for (let row = 0; row < rowCount; row++) {
+            const cells = generations.map((ancestors, generation) => {
+                const span = rowCount / ancestors.length;
+                if (row % span !== 0) return '';
+                
+                const ancestor = ancestors[row / span];
+                const role = I18n.t((row / span) % 2 === 0 ? 'pedigree.sire' : 'pedigree.dam');
+                
+                return Html.safe`
+                    <td rowspan="${span}" class="pedigree-cell align-middle">
+                        <div class="small text-muted">${role}</div>
+                        ${ancestor ? Html.safe`
+                        <div class="fw-semibold">${ancestor.name}</div>
+                        ${ancestor.registration ? Html.safe`<div class="small text-muted">${ancestor.registration}</div>` : ''}
+                        ${ancestor.color ? Html.safe`<div class="small">${ancestor.color}</div>` : ''}
+                        ` : Html.safe`<div class="text-muted">${I18n.t('pedigree.unknown')}</div>`}
+                    </td>
+                `;
+            });
+            
+            rows.push(Html.safe`<tr>${cells}</tr>`);
+        }
+        
+        return Html.safe`
+            <table class="table table-bordered pedigree-tree mb-0">
+                <thead class="table-light">
+                    <tr>${generations.map((_, index) => Html.safe`<th scope="col">${titles[index] ? I18n.t(titles[index]) : I18n.t('pedigree.generation', { number: index + 1 })}</th>`)}</tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Generate full-size lightbox HTML
+     * @param {Object} puppy - Selected puppy
+     * @returns {Object} Lightbox HTML fragment
+     */
+    generateLightbox(puppy) {
+        const hasMultiple = this.images.length > 1;
+        
+        return Html.safe`
+            <div class="gallery-lightbox d-none" id="gallery-lightbox" role="dialog" 
+                 aria-modal="true" aria-label="${I18n.t('gallery.lightbox', { name: puppy.name })}">
+                <button type="button" class="btn-close btn-close-white gallery-lightbox-close" 
+                        data-gallery-action="close" aria-label="${I18n.t('common.close')}"></button>
+                ${hasMultiple ? Html.safe`
+                <button type="button" class="gallery-nav gallery-prev" data-gallery-action="prev" aria-label="${I18n.t('gallery.previous')}">
+                    <i class="fas fa-chevron-left"></i>
+                </button>
+                ` : ''}
+                <img id="lightbox-image" class="gallery-lightbox-image" src="${this.images[0]}" alt="${puppy.name}">
+                ${hasMultiple ? Html.safe`
+                <button type="button" class="gallery-nav gallery-next" data-gallery-action="next" aria-label="${I18n.t('gallery.next')}">
+                    <i class="fas fa-chevron-right"></i>
+                </button>
+                ` : ''}
+            </div>
+        `;
+    },
+
+    /**
+     * Setup gallery clicks, swipe gestures and keyboard navigation
+     */
+    setupGalleryInteractions() {
+        const { galleryStage, mainImage, thumbnails, lightbox } = this.elements;
+        const actions = {
+            prev: () => this.showPrevious(),
+            next: () => this.showNext(),
+            close: () => this.closeLightbox()
+        };
+        
+        this.elements.puppyDetail.querySelectorAll('[data-gallery-action]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                actions[button.dataset.galleryAction]();
+            });
+        });
+        
+        thumbnails.forEach(thumbnail => {
+            thumbnail.addEventListener('click', () => this.showImage(parseInt(thumbnail.dataset.index)));
+        });
+        
+        if (mainImage) {
+            mainImage.addEventListener('click', () => this.openLightbox());
+        }
+        
+        if (lightbox) {
+            // Clicking the backdrop (not the photo) closes the lightbox
+            lightbox.addEventListener('click', (e) => {
+                if (e.target === lightbox) this.closeLightbox();
+            });
+        }
+        
+        [galleryStage, lightbox].forEach(element => {
+            if (!element) return;
+            element.addEventListener('touchstart', (e) => {
+                this.touchStartX = e.changedTouches[0].clientX;
+            }, { passive: true });
+            element.addEventListener('touchend', (e) => {
+                this.handleSwipe(e.changedTouches[0].clientX);
+            });
+        });
+        
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    },
+
+    /**
+     * Navigate on horizontal swipe
+     * @param {number} touchEndX - X coordinate where the touch ended
+     */
+    handleSwipe(touchEndX) {
+        if (this.touchStartX === null) return;
+        
+        const distance = touchEndX - this.touchStartX;
+        this.touchStartX = null;
+        
+        if (Math.abs(distance) < APP_CONFIG.gallery.swipeThreshold) return;
+        
+        if (distance < 0) {
+            this.showNext();
+        } else {
+            this.showPrevious();
+        }
+    },
+
+    /**
+     * Handle keyboard navigation
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        const target = e.target;
+        if (target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+        
+        switch (e.key) {
+            case 'ArrowLeft':
+                this.showPrevious();
+                break;
+            case 'ArrowRight':
+                this.showNext();
+                break;
+            case 'Escape':
+                this.closeLightbox();
+                break;
+            case 'Enter':
+                if (target === this.elements.mainImage) this.openLightbox();
+                break;
+        }
+    },
+
+    /**
+     * Show image at index, wrapping around at either end
+     * @param {number} index - Image index
+     */
+    showImage(index) {
+        const count = this.images.length;
+        if (count === 0) return;
+        
+        this.currentIndex = ((index % count) + count) % count;
+        const src = this.images[this.currentIndex];
+        const { mainImage, counter, thumbnails, lightboxImage } = this.elements;
+        
+        if (mainImage) mainImage.src = src;
+        if (lightboxImage) lightboxImage.src = src;
+        if (counter) counter.textContent = I18n.t('gallery.counter', { number: this.currentIndex + 1, count });
+        
+        thumbnails.forEach((thumbnail, i) => {
+            const isActive = i === this.currentIndex;
+            thumbnail.classList.toggle('active', isActive);
+            thumbnail.setAttribute('aria-current', isActive ? 'true' : 'false');
+        });
+    },
+
+    /**
+     * Show next image
+     */
+    showNext() {
+        this.showImage(this.currentIndex + 1);
+    },
+
+    /**
+     * Show previous image
+     */
+    showPrevious() {
+        this.showImage(this.currentIndex - 1);
+    },
+
+    /**
+     * Open full-size lightbox
+     */
+    openLightbox() {
+        const { lightbox } = this.elements;
+        if (!lightbox) return;
+        
+        lightbox.classList.remove('d-none');
+        document.body.classList.add('overflow-hidden');
+        lightbox.querySelector('[data-gallery-action="close"]').focus();
+    },
+
+    /**
+     * Close full-size lightbox
+     */
+    closeLightbox() {
+        const { lightbox, mainImage } = this.elements;
+        if (!lightbox || lightbox.classList.contains('d-none')) return;
+        
+        lightbox.classList.add('d-none');
+        document.body.classList.remove('overflow-hidden');
+        if (mainImage) mainImage.focus();
+    }
+};
+
+// Order Page Module
+const OrderPage = {
+    selectedPuppy: null,
+    elements: {},
+    currentStep: 0,
+    isSubmitted: false,
+    // Step keys name the sections of the submitted application
+    wizardSteps: [
+        { key: 'contact', title: 'Contact', icon: 'fa-user' },
+        { key: 'household', title: 'Home & Household', icon: 'fa-home' },
+        { key: 'experience', title: 'Experience', icon: 'fa-paw' },
+        { key: 'delivery', title: 'Delivery', icon: 'fa-shipping-fast' },
+        { key: 'review', title: 'Review', icon: 'fa-clipboard-check' }
+    ],
+    
+    /**
+     * Initialize the order page
+     */
+    async init() {
+        this.cacheElements();
+        this.renderDepositTerms();
+        CatalogManager.renderLoading(this.elements.orderContent);
+        
+        try {
+            await CatalogManager.load();
+        } catch (error) {
+            console.error('❌ Error loading catalog:', error);
+            CatalogManager.renderLoadError(this.elements.orderContent);
+            return;
+        }
+        
+        // Lineage is optional; listings render without it
+        await PedigreeManager.load().catch(error => console.warn('⚠️ Pedigrees unavailable:', error));
+        
+        // Reviews from families with the same breed are optional too
+        await TestimonialManager.load().catch(error => console.warn('⚠️ Testimonials unavailable:', error));
+        
+        // Optimized photos are optional; without a manifest the originals are used
+        await ImageManager.load();
+        
+        CatalogManager.renderNotices(this.elements.orderContent);
+        this.loadPuppyData();
+        this.render();
+        
+        console.log('📋 Order page initialized');
+    },
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            orderContent: document.getElementById('order-content'),
+            depositTerms: document.getElementById('termsDepositText')
+        };
+    },
+
+    /**
+     * Fill the configured deposit into the terms modal, in the display currency
+     */
+    renderDepositTerms() {
+        if (!this.elements.depositTerms) return;
+        
+        this.elements.depositTerms.textContent = I18n.t('terms.deposit.text', {
+            amount: Utils.formatPrice(APP_CONFIG.pricing.deposit.amount)
+        }, this.elements.depositTerms.textContent);
+    },
+
+    /**
+     * Load puppy data from URL parameter
+     */
+    loadPuppyData() {
+        const puppyId = Utils.getUrlParam('puppyId');
+        this.selectedPuppy = CatalogManager.findById(puppyId);
+        
+        if (!this.selectedPuppy) {
+            console.warn('⚠️ No puppy found for ID:', puppyId);
+        } else if (!Utils.isPuppyAvailable(this.selectedPuppy)) {
+            console.warn('⚠️ Puppy is not available for adoption:', puppyId);
+        }
+    },
+
+    /**
+     * Render order page content
+     */
+    render() {
+        if (!this.elements.orderContent) return;
+        
+        if (!this.selectedPuppy) {
+            this.renderNoPuppySelected();
+        } else if (!Utils.isPuppyAvailable(this.selectedPuppy)) {
+            this.renderPuppyUnavailable();
+        } else {
+            this.renderOrderForm();
+        }
+    },
+
+    /**
+     * Render "puppy no longer available" state with similar available puppies
+     */
+    renderPuppyUnavailable() {
+        const puppy = this.selectedPuppy;
+        const status = Utils.getPuppyStatus(puppy);
+        const suggestions = FilterManager.findSimilarPuppies(CatalogManager.puppies, puppy);
+        
+        Html.render(this.elements.orderContent, Html.safe`
+            <div class="col-12 text-center mb-4">
+                <div class="card p-5 shadow-sm border-0">
+                    <i class="fas fa-heart-broken fa-3x text-warning mb-3"></i>
+                    <h2>${I18n.t(`order.unavailable.${status}`, { name: puppy.name })}</h2>
+                    <p class="text-muted">
+                        ${I18n.t(`order.unavailableText.${status}`, { name: puppy.name })}
+                        ${suggestions.length > 0 ? I18n.t('order.suggestions') : ''}
+                    </p>
+                    <div class="mt-3">
+                        <a href="Available.html" class="btn btn-primary btn-lg">
+                            <i class="fas fa-search me-2"></i>${I18n.t('common.viewAvailable')}
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `);
+        
+        suggestions.forEach(suggestion => {
+            this.elements.orderContent.appendChild(AvailablePage.createPuppyCard(suggestion));
+        });
+    },
+
+    /**
+     * Render "no puppy selected" state
+     */
+    renderNoPuppySelected() {
+        Html.render(this.elements.orderContent, Html.safe`
+            <div class="col-12 text-center">
+                <div class="card p-5 shadow-sm border-0">
+                    <i class="fas fa-exclamation-triangle fa-3x text-warning mb-3"></i>
+                    <h2>${I18n.t('order.noPuppy')}</h2>
+                    <p class="text-muted">${I18n.t('order.noPuppyText')}</p>
+                    <div class="mt-4">
+                        <a href="Available.html" class="btn btn-primary btn-lg">
+                            <i class="fas fa-search me-2"></i>${I18n.t('common.viewAvailable')}
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `);
+    },
+
+    /**
+     * Render order form
+     */
+    renderOrderForm() {
+        const puppy = this.selectedPuppy;
+        
+        Html.render(this.elements.orderContent, Html.safe`
+            <div class="col-lg-7">
+                <div class="card shadow-sm border-0 mb-4">
+                    <div class="card-header bg-primary text-white">
+                        <h3 class="mb-0"><i class="fas fa-user me-2"></i>${I18n.t('order.yourInformation')}</h3>
+                    </div>
+                    <div class="card-body p-4">
+                        ${this.generateOrderForm(puppy)}
+                    </div>
+                </div>
+            </div>
+            <div class="col-lg-5">
+                ${this.generateOrderSummary(puppy)}
+            </div>
+            ${TestimonialManager.generateBreedSection(puppy.breed)}
+        `);
+        
+        this.setupFormInteractions();
+    },
+
+    /**
+     * Generate order form HTML
+     * @param {Object} puppy - Selected puppy
+     * @returns {Object} Form HTML fragment
+     */
+    generateOrderForm(puppy) {
+        return Html.safe`
+            <form id="adoptionForm" novalidate>
+                <input type="hidden" name="puppy_name" value="${puppy.name}">
+                <input type="hidden" name="puppy_id" value="${puppy.id}">
+                <input type="hidden" name="puppy_price" value="${puppy.price}">
+                
+                <div id="draftNotice"></div>
+                ${this.generateWizardProgress()}
+                
+                <fieldset class="wizard-step" data-step="0">
+                    <h5 class="mb-3"><i class="fas fa-user me-2"></i>${I18n.t('order.personal')}</h5>
+                    <div class="row g-3">
+                        <div class="col-md-6">
+                            <label for="firstName" class="form-label">${I18n.t('order.firstName')} *</label>
+                            <input type="text" class="form-control" name="firstName" id="firstName" required>
+                            <div class="invalid-feedback">${I18n.t('order.firstNameRequired')}</div>
+                        </div>
+                        <div class="col-md-6">
+                            <label for="lastName" class="form-label">${I18n.t('order.lastName')} *</label>
+                            <input type="text" class="form-control" name="lastName" id="lastName" required>
+                            <div class="invalid-feedback">${I18n.t('order.lastNameRequired')}</div>
+                        </div>
+                        <div class="col-md-6">
+                            <label for="email" class="form-label">${I18n.t('form.email')} *</label>
+                            <input type="email" class="form-control" name="email" id="email" required>
+                            <div class="invalid-feedback">${I18n.t('form.emailRequired')}</div>
+                        </div>
+                        <div class="col-md-6">
+                            <label for="phone" class="form-label">${I18n.t('order.phone')} *</label>
+                            <input type="tel" class="form-control" name="phone" id="phone" required>
+                            <div class="invalid-feedback">${I18n.t('order.phoneRequired')}</div>
+                        </div>
+                        <div class="col-12">
+                            <label for="address" class="form-label">${I18n.t('order.address')} *</label>
+                            <input type="text" class="form-control" name="address" id="address" required>
+                            <div class="invalid-feedback">${I18n.t('order.addressRequired')}</div>
+                        </div>
+                        <div class="col-md-5">
+                            <label for="city" class="form-label">${I18n.t('order.city')} *</label>
+                            <input type="text" class="form-control" name="city" id="city" required>
+                            <div class="invalid-feedback">${I18n.t('order.cityRequired')}</div>
+                        </div>
+                        <div class="col-md-3">
+                            <label for="state" class="form-label">${I18n.t('order.state')} *</label>
+                            <input type="text" class="form-control text-uppercase" name="state" id="state" 
+                                   maxlength="2" pattern="[A-Za-z]{2}" placeholder="GA" required>
+                            <div class="invalid-feedback">${I18n.t('order.stateRequired')}</div>
+                        </div>
+                        <div class="col-md-4">
+                            <label for="postalCode" class="form-label">${I18n.t('order.postalCode')} *</label>
+                            <input type="text" class="form-control" name="postalCode" id="postalCode" 
+                                   inputmode="numeric" pattern="\\s*\\d{5}(-?\\d{4})?\\s*" required>
+                            <div class="invalid-feedback">${I18n.t('order.postalCodeRequired')}</div>
+                        </div>
+                    </div>
+                </fieldset>
+
+                <fieldset class="wizard-step d-none" data-step="1">
+                    <h5 class="mb-3"><i class="fas fa-home me-2"></i>${I18n.t('wizard.household')}</h5>
+                    <div class="row g-3">
+                        <div class="col-md-6">
+                            <label for="homeType" class="form-label">${I18n.t('order.homeType')} *</label>
+                            <select class="form-select" name="homeType" id="homeType" required>
+                                <option value="">${I18n.t('order.selectHomeType')}</option>
+                                <option value="house">${I18n.t('order.home.house')}</option>
+                                <option value="townhouse">${I18n.t('order.home.townhouse')}</option>
+                                <option value="apartment">${I18n.t('order.home.apartment')}</option>
+                                <option value="farm">${I18n.t('order.home.farm')}</option>
+                            </select>
+                            <div class="invalid-feedback">${I18n.t('order.homeTypeRequired')}</div>
+                        </div>
+                        <div class="col-md-6">
+                            <label for="homeOwnership" class="form-label">${I18n.t('order.homeOwnership')} *</label>
+                            <select class="form-select" name="homeOwnership" id="homeOwnership" required>
+                                <option value="">${I18n.t('common.select')}</option>
+                                <option value="own">${I18n.t('order.ownership.own')}</option>
+                                <option value="rent">${I18n.t('order.ownership.rent')}</option>
+                            </select>
+                            <div class="invalid-feedback">${I18n.t('order.homeOwnershipRequired')}</div>
+                        </div>
+                        <div class="col-md-6">
+                            <label for="householdSize" class="form-label">${I18n.t('order.householdSize')} *</label>
+                            <input type="number" class="form-control" name="householdSize" id="householdSize" min="1" required>
+                            <div class="invalid-feedback">${I18n.t('order.householdSizeRequired')}</div>
+                        </div>
+                        <div class="col-12">
+                            <label for="otherPets" class="form-label">${I18n.t('order.otherPets')}</label>
+                            <textarea class="form-control" name="otherPets" id="otherPets" rows="2" 
+                                      placeholder="${I18n.t('order.otherPetsPlaceholder')}"></textarea>
+                        </div>
+                        ${ScreeningManager.generateQuestions(puppy, 'household')}
+                    </div>
+                </fieldset>
+
+                <fieldset class="wizard-step d-none" data-step="2">
+                    <h5 class="mb-3"><i class="fas fa-paw me-2"></i>${I18n.t('wizard.experience')}</h5>
+                    <div class="row g-3">
+                        <div class="col-12">
+                            <label for="breedExperience" class="form-label">${I18n.t('order.breedExperience')} *</label>
+                            <select class="form-select" name="breedExperience" id="breedExperience" required>
+                                <option value="">${I18n.t('common.select')}</option>
+                                <option value="first-dog">${I18n.t('order.experience.firstDog')}</option>
+                                <option value="other-breeds">${I18n.t('order.experience.otherBreeds', { breed: puppy.breed })}</option>
+                                <option value="same-breed">${I18n.t('order.experience.sameBreed', { breed: puppy.breed })}</option>
+                            </select>
+                            <div class="invalid-feedback">${I18n.t('order.breedExperienceRequired')}</div>
+                        </div>
+                        <div class="col-12">
+                            <label for="experience" class="form-label">${I18n.t('order.experience')} *</label>
+                            <textarea class="form-control" name="experience" id="experience" rows="3" 
+                                      placeholder="${I18n.t('order.experiencePlaceholder')}" required></textarea>
+                            <div class="invalid-feedback">${I18n.t('order.experienceRequired')}</div>
+                        </div>
+                        ${ScreeningManager.generateQuestions(puppy, 'experience')}
+                    </div>
+                </fieldset>
+
+                <fieldset class="wizard-step d-none" data-step="3">
+                    <h5 class="mb-3"><i class="fas fa-shipping-fast me-2"></i>${I18n.t('order.adoptionDetails')}</h5>
+                    <div class="row g-3">
+                        <div class="col-md-6">
+                            <label for="deliveryOption" class="form-label">${I18n.t('order.deliveryOption')} *</label>
+                            <select class="form-select" name="deliveryOption" id="deliveryOption" required>
+                                <option value="">${I18n.t('order.selectDelivery')}</option>
+                                ${Object.keys(APP_CONFIG.shipping.methods).map(method => Html.safe`
+                                    <option value="${method}">${ShippingCalculator.getMethodLabel(method)}</option>
+                                `)}
+                            </select>
+                            <div class="invalid-feedback">${I18n.t('order.deliveryRequired')}</div>
+                            <div class="form-text" id="shippingZoneInfo"></div>
+                        </div>
+                        <div class="col-md-6">
+                            <label for="preferredDate" class="form-label">${I18n.t('order.preferredDate')}</label>
+                            <input type="date" class="form-control" name="preferredDate" id="preferredDate">
+                        </div>
+                        <div class="col-12">
+                            <label for="notes" class="form-label">${I18n.t('order.notes')}</label>
+                            <textarea class="form-control" name="notes" id="notes" rows="2"></textarea>
+                        </div>
+                    </div>
+                    
+                    <div class="mt-4">
+                        <h5 class="mb-3"><i class="fas fa-gift me-2"></i>${I18n.t('order.addOns')} <small class="text-muted">${I18n.t('order.optional')}</small></h5>
+                        <div class="list-group" id="addOnOptions">
+                            ${APP_CONFIG.addOns.map(addOn => this.generateAddOnOption(addOn))}
+                        </div>
+                    </div>
+
+                    <div class="mt-4">
+                        <h5 class="mb-3"><i class="fas fa-credit-card me-2"></i>${I18n.t('order.paymentMethod')}</h5>
+                        <div class="mb-3">
+                            <label for="paymentPlan" class="form-label">${I18n.t('order.paymentPlan')}</label>
+                            <select class="form-select" name="paymentPlan" id="paymentPlan">
+                                ${APP_CONFIG.pricing.paymentPlans.map(plan => Html.safe`
+                                    <option value="${plan.id}">${PricingEngine.getPlanLabel(plan)}${plan.fee ? ` ${I18n.t('order.planFeeNote', { amount: Utils.formatPrice(plan.fee) })}` : ''}</option>
+                                `)}
+                            </select>
+                            <div class="form-text">
+                                ${I18n.t(APP_CONFIG.pricing.deposit.refundable ? 'order.depositRefundable' : 'order.depositNonRefundable', {
+                                    amount: Utils.formatPrice(APP_CONFIG.pricing.deposit.amount)
+                                })}
+                            </div>
+                        </div>
+                        <div class="alert alert-info">
+                            <i class="fas fa-info-circle me-2"></i>
+                            ${I18n.t('order.paymentInstructions')}
+                        </div>
+                    </div>
+                </fieldset>
+
+                <fieldset class="wizard-step d-none" data-step="4">
+                    <h5 class="mb-3"><i class="fas fa-clipboard-check me-2"></i>${I18n.t('order.reviewTitle')}</h5>
+                    <div id="applicationReview" class="mb-4"></div>
+
+                    <div class="form-check mb-4">
+                        <input class="form-check-input" type="checkbox" id="termsCheck" required>
+                        <label class="form-check-label" for="termsCheck">
+                            ${I18n.html('order.terms')} *
+                        </label>
+                        <div class="invalid-feedback">${I18n.t('order.termsRequired')}</div>
+                    </div>
+                </fieldset>
+
+                <div id="submissionError"></div>
+
+                <div class="d-flex justify-content-between gap-2 mt-4">
+                    <button type="button" class="btn btn-outline-secondary btn-lg d-none" id="wizardBack">
+                        <i class="fas fa-arrow-left me-2"></i>${I18n.t('wizard.back')}
+                    </button>
+                    <button type="button" class="btn btn-primary btn-lg ms-auto" id="wizardNext">
+                        ${I18n.t('wizard.next')}<i class="fas fa-arrow-right ms-2"></i>
+                    </button>
+                    <button type="submit" class="btn btn-primary btn-lg ms-auto d-none" id="wizardSubmit">
+                        <i class="fas fa-paper-plane me-2"></i>${I18n.t('order.submit')}
+                    </button>
+                </div>
+            </form>
+        `;
+    },
+
+    /**
+     * Generate one add-on row: a checkbox, or a quantity field when the add-on has a maxQuantity
+     * @param {Object} addOn - Add-on config
+     * @returns {Object} Add-on HTML fragment
+     */
+    generateAddOnOption(addOn) {
+        const fieldId = `addOn-${addOn.id}`;
+        const control = addOn.maxQuantity ? Html.safe`
+            <input type="number" class="form-control form-control-sm" style="width: 5rem;"
+                   name="${fieldId}" id="${fieldId}" data-add-on="${addOn.id}"
+                   min="0" max="${addOn.maxQuantity}" step="1" value="0">
+        ` : Html.safe`
+            <input class="form-check-input mt-0" type="checkbox" name="${fieldId}" id="${fieldId}" data-add-on="${addOn.id}">
+        `;
+        
+        return Html.safe`
+            <div class="list-group-item d-flex align-items-center gap-3">
+                ${control}
+                <label for="${fieldId}" class="flex-grow-1 mb-0">
+                    <span class="fw-semibold">${PricingEngine.getAddOnText(addOn)}</span>
+                    <span class="d-block small text-muted">${PricingEngine.getAddOnText(addOn, 'description')}</span>
+                </label>
+                <span class="text-nowrap">${addOn.maxQuantity ? I18n.t('order.each', { amount: Utils.formatPrice(addOn.price) }) : Utils.formatPrice(addOn.price)}</span>
+            </div>
+        `;
+    },
+
+    /**
+     * Generate wizard progress indicator HTML
+     * @returns {Object} Progress HTML fragment
+     */
+    generateWizardProgress() {
+        return Html.safe`
+            <div class="wizard-progress mb-4">
+                <div class="progress" style="height: 6px;">
+                    <div class="progress-bar" id="wizardProgressBar" role="progressbar" 
+                         aria-valuemin="0" aria-valuemax="${this.wizardSteps.length}"></div>
+                </div>
+                <ol class="wizard-step-labels list-unstyled d-flex justify-content-between mt-2 mb-0">
+                    ${this.wizardSteps.map((step, index) => Html.safe`
+                        <li class="wizard-step-label small text-muted" data-step="${index}">
+                            <i class="fas ${step.icon} me-1"></i><span class="d-none d-md-inline">${this.getStepTitle(step)}</span>
+                        </li>
+                    `)}
+                </ol>
+            </div>
+        `;
+    },
+
+    /**
+     * Get the translated title of a wizard step
+     * @param {Object} step - Entry from wizardSteps
+     * @returns {string} Step title
+     */
+    getStepTitle(step) {
+        return I18n.t(`wizard.${step.key}`, {}, step.title);
+    },
+
+    /**
+     * Generate order summary HTML
+     * @param {Object} puppy - Selected puppy
+     * @returns {Object} Summary HTML fragment
+     */
+    generateOrderSummary(puppy) {
+        return Html.safe`
+            <div class="card shadow-sm border-0 order-summary-card position-sticky" style="top: 20px;">
+                ${ImageManager.picture(Utils.getCoverImage(puppy), {
+                    alt: puppy.name,
+                    className: 'card-img-top',
+                    style: 'height: 250px; object-fit: cover;',
+                    sizes: APP_CONFIG.images.sizes.summary
+                })}
+                <div class="card-body p-4">
+                    <h3 class="card-title">${puppy.name}</h3>
+                    <p class="text-muted">
+                        <i class="fas fa-dog me-1"></i>${puppy.breed} • 
+                        <i class="fas fa-venus-mars me-1"></i>${Utils.formatGender(puppy.gender)} • 
+                        <i class="fas fa-birthday-cake me-1"></i>${Utils.formatAge(puppy)}
+                    </p>
+                    ${PedigreeManager.formatParents(puppy) ? Html.safe`
+                    <p class="small mb-1"><i class="fas fa-sitemap me-1"></i>${I18n.t('puppy.parents')}: ${PedigreeManager.formatParents(puppy)}</p>
+                    ` : ''}
+                    ${Utils.formatReadyDate(puppy) ? Html.safe`
+                    <p class="small mb-0"><i class="fas fa-home me-1"></i>${I18n.t('puppy.readyToGoHome')}: ${Utils.formatReadyDate(puppy)}</p>
+                    ` : ''}
+                    <hr>
+                    <div class="d-flex justify-content-between mb-2">
+                        <span>${I18n.t('summary.puppyPrice')}:</span>
+                        <span id="summaryPuppyPrice">${Utils.formatPrice(puppy.price)}</span>
+                    </div>
+                    <div class="d-flex justify-content-between mb-2">
+                        <span>${I18n.t('summary.shipping')}<span id="summaryShippingZone" class="text-muted small"></span>:</span>
+                        <span id="summaryShipping">${Utils.formatPrice(0)}</span>
+                    </div>
+                    <div class="d-flex justify-content-between mb-2 d-none" id="summaryCrateFeeRow">
+                        <span>${I18n.t('summary.crateFee')}:</span>
+                        <span id="summaryCrateFee">${Utils.formatPrice(0)}</span>
+                    </div>
+                    <div id="summaryAddOns"></div>
+                    <div class="d-flex justify-content-between mb-2 d-none" id="summaryTaxRow">
+                        <span>${I18n.t('summary.tax')}<span id="summaryTaxRate" class="text-muted small"></span>:</span>
+                        <span id="summaryTax">${Utils.formatPrice(0)}</span>
+                    </div>
+                    <div class="d-flex justify-content-between mb-2 d-none" id="summaryPlanFeeRow">
+                        <span>${I18n.t('summary.planFee')}:</span>
+                        <span id="summaryPlanFee">${Utils.formatPrice(0)}</span>
+                    </div>
+                    <hr>
+                    <div class="d-flex justify-content-between fw-bold h5">
+                        <span>${I18n.t('summary.total')}:</span>
+                        <span id="summaryTotal">${Utils.formatPrice(puppy.price)}</span>
+                    </div>
+                    <div class="d-flex justify-content-between mb-2">
+                        <span>${I18n.t('summary.deposit')}<span class="text-muted small">${APP_CONFIG.pricing.deposit.refundable ? '' : ` ${I18n.t('summary.nonRefundable')}`}</span>:</span>
+                        <span id="summaryDeposit">${Utils.formatPrice(0)}</span>
+                    </div>
+                    <ul class="list-unstyled small text-muted mb-0" id="summarySchedule"></ul>
+                    ${I18n.isConverting() ? Html.safe`
+                    <p class="small text-muted mt-3 mb-0" id="summaryCurrencyNote">
+                        <i class="fas fa-exchange-alt me-1"></i>${I18n.t('summary.currencyNote', { currency: I18n.currency, base: APP_CONFIG.currency.base })}
+                    </p>` : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Setup form interactions and calculations
+     */
+    setupFormInteractions() {
+        const deliveryOption = document.getElementById('deliveryOption');
+        const summaryShipping = document.getElementById('summaryShipping');
+        const summaryTotal = document.getElementById('summaryTotal');
+        const form = document.getElementById('adoptionForm');
+        
+        if (deliveryOption && summaryShipping && summaryTotal) {
+            deliveryOption.addEventListener('change', () => this.updateSummaryTotals());
+        }
+        
+        // Re-quote delivery as the address changes
+        const postalCode = document.getElementById('postalCode');
+        if (postalCode) {
+            postalCode.addEventListener('input', () => this.updateDeliveryOptions());
+        }
+        
+        // Sales tax follows the state; the plan changes fees and the schedule
+        ['state', 'paymentPlan'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) field.addEventListener('input', () => this.updateSummaryTotals());
+        });
+        
+        const addOnOptions = document.getElementById('addOnOptions');
+        if (addOnOptions) {
+            addOnOptions.addEventListener('change', () => this.updateSummaryTotals());
+            addOnOptions.addEventListener('input', () => this.updateSummaryTotals());
+        }
+        
+        if (form) {
+            this.elements.form = form;
+            form.addEventListener('submit', (e) => this.handleFormSubmit(e));
+            
+            document.getElementById('wizardNext').addEventListener('click', () => this.goToNextStep());
+            document.getElementById('wizardBack').addEventListener('click', () => this.showStep(this.currentStep - 1));
+            
+            // Conditional screening questions follow the answers they depend on
+            form.addEventListener('change', () => ScreeningManager.updateVisibility(form, this.selectedPuppy.breed));
+            
+            // Autosave the draft as the applicant types
+            const autosave = Utils.debounce(() => this.saveDraft(), APP_CONFIG.orderForm.autosaveWait);
+            form.addEventListener('input', autosave);
+            form.addEventListener('change', autosave);
+            
+            this.updateDeliveryOptions();
+            this.restoreDraft();
+        }
+    },
+
+    /**
+     * Update shipping, tax, deposit and payment schedule in the order summary
+     */
+    updateSummaryTotals() {
+        const deliveryOption = document.getElementById('deliveryOption');
+        const summaryShipping = document.getElementById('summaryShipping');
+        const summaryTotal = document.getElementById('summaryTotal');
+        if (!deliveryOption || !summaryShipping || !summaryTotal) return;
+        
+        const quote = this.getShippingQuote(deliveryOption.value);
+        const pricing = this.calculatePricing();
+        const zone = this.getShippingZone();
+        
+        summaryShipping.textContent = Utils.formatPrice(quote.rate);
+        document.getElementById('summaryShippingZone').textContent = zone && quote.available ? ` (${ShippingCalculator.getZoneLabel(zone)})` : '';
+        document.getElementById('summaryCrateFee').textContent = Utils.formatPrice(quote.crateFee);
+        document.getElementById('summaryCrateFeeRow').classList.toggle('d-none', quote.crateFee === 0);
+        
+        Html.render(document.getElementById('summaryAddOns'), pricing.addOns.map(item => Html.safe`
+            <div class="d-flex justify-content-between mb-2">
+                <span>${PricingEngine.getAddOnText(item)}${item.quantity > 1 ? ` × ${item.quantity}` : ''}:</span>
+                <span>${Utils.formatPrice(item.total)}</span>
+            </div>
+        `));
+        document.getElementById('summaryTax').textContent = Utils.formatPrice(pricing.tax);
+        document.getElementById('summaryTaxRate').textContent = pricing.taxRate > 0 ?
+            ` (${document.getElementById('state').value.toUpperCase()} ${I18n.formatNumber(pricing.taxRate, { style: 'percent', maximumFractionDigits: 3 })})` : '';
+        document.getElementById('summaryTaxRow').classList.toggle('d-none', pricing.tax === 0);
+        document.getElementById('summaryPlanFee').textContent = Utils.formatPrice(pricing.planFee);
+        document.getElementById('summaryPlanFeeRow').classList.toggle('d-none', pricing.planFee === 0);
+        
+        summaryTotal.textContent = Utils.formatPrice(pricing.total);
+        document.getElementById('summaryDeposit').textContent = Utils.formatPrice(pricing.deposit);
+        Html.render(document.getElementById('summarySchedule'), pricing.schedule.slice(1).map(payment => Html.safe`
+            <li class="d-flex justify-content-between">
+                <span>${PricingEngine.getPaymentLabel(payment)}${payment.dueDate ? ` · ${Utils.formatDate(payment.dueDate)}` : ''}</span>
+                <span>${Utils.formatPrice(payment.amount)}</span>
+            </li>
+        `));
+    },
+
+    /**
+     * Price the order from the current form values
+     * @returns {Object} Price breakdown from PricingEngine.calculate
+     */
+    calculatePricing() {
+        const deliveryOption = document.getElementById('deliveryOption');
+        const state = document.getElementById('state');
+        const paymentPlan = document.getElementById('paymentPlan');
+        
+        return PricingEngine.calculate({
+            puppyPrice: this.selectedPuppy.price,
+            shipping: deliveryOption ? this.getShippingCost(deliveryOption.value) : 0,
+            addOns: this.getSelectedAddOns(),
+            state: state ? state.value : '',
+            planId: paymentPlan ? paymentPlan.value : undefined
+        });
+    },
+
+    /**
+     * Read the chosen add-ons from the form
+     * @returns {Array<Object>} Selected add-ons: { id, label, unitPrice, quantity, taxable }
+     */
+    getSelectedAddOns() {
+        return APP_CONFIG.addOns.map(addOn => {
+            const field = document.getElementById(`addOn-${addOn.id}`);
+            let quantity = 0;
+            
+            if (field && field.type === 'checkbox') {
+                quantity = field.checked ? 1 : 0;
+            } else if (field) {
+                quantity = Math.min(Math.max(parseInt(field.value, 10) || 0, 0), addOn.maxQuantity);
+            }
+            
+            return {
+                id: addOn.id,
+                label: addOn.label,
+                unitPrice: addOn.price,
+                quantity,
+                taxable: addOn.taxable
+            };
+        }).filter(item => item.quantity > 0);
+    },
+
+    /**
+     * Get the shipping zone for the entered ZIP code
+     * @returns {Object|null} Zone config
+     */
+    getShippingZone() {
+        const postalCode = document.getElementById('postalCode');
+        return postalCode ? ShippingCalculator.findZone(postalCode.value) : null;
+    },
+
+    /**
+     * Price each delivery option for the entered ZIP code, disabling ones the zone doesn't offer
+     */
+    updateDeliveryOptions() {
+        const deliveryOption = document.getElementById('deliveryOption');
+        const zoneInfo = document.getElementById('shippingZoneInfo');
+        if (!deliveryOption) return;
+        
+        const zone = this.getShippingZone();
+        
+        Array.from(deliveryOption.options).forEach(option => {
+            if (!APP_CONFIG.shipping.methods[option.value]) return;
+            
+            const quote = ShippingCalculator.getQuote(option.value, zone);
+            const label = ShippingCalculator.getMethodLabel(option.value);
+            option.disabled = !quote.available;
+            
+            if (quote.available) {
+                const crateNote = quote.crateFee > 0 ? ` ${I18n.t('delivery.carrier', { amount: Utils.formatPrice(quote.crateFee) })}` : '';
+                option.textContent = `${label} (${Utils.formatPrice(quote.rate)}${crateNote})`;
+            } else {
+                option.textContent = `${label} (${I18n.t(zone ? 'delivery.unavailable' : 'delivery.enterZip')})`;
+            }
+        });
+        
+        // A selection the new zone doesn't offer must be chosen again
+        if (deliveryOption.selectedOptions[0] && deliveryOption.selectedOptions[0].disabled) {
+            deliveryOption.value = '';
+        }
+        
+        if (zoneInfo) {
+            zoneInfo.textContent = zone ?
+                I18n.t('delivery.zone', { zone: ShippingCalculator.describeZone(zone) }) :
+                I18n.t('delivery.zonePrompt');
+        }
+        
+        this.updateSummaryTotals();
+    },
+
+    /**
+     * Get the fieldset for a wizard step
+     * @param {number} index - Step index
+     * @returns {HTMLElement|null} Step fieldset
+     */
+    getStepElement(index) {
+        return this.elements.form.querySelector(`.wizard-step[data-step="${index}"]`);
+    },
+
+    /**
+     * Show a wizard step and update the progress indicator and buttons
+     * @param {number} index - Step index
+     */
+    showStep(index) {
+        const lastStep = this.wizardSteps.length - 1;
+        this.currentStep = Math.min(Math.max(index, 0), lastStep);
+        
+        this.elements.form.querySelectorAll('.wizard-step').forEach(step => {
+            step.classList.toggle('d-none', Number(step.dataset.step) !== this.currentStep);
+        });
+        
+        if (this.currentStep === lastStep) {
+            this.renderReview();
+        }
+        
+        const progressBar = document.getElementById('wizardProgressBar');
+        progressBar.style.width = `${((this.currentStep + 1) / this.wizardSteps.length) * 100}%`;
+        progressBar.setAttribute('aria-valuenow', this.currentStep + 1);
+        
+        this.elements.form.querySelectorAll('.wizard-step-label').forEach(label => {
+            const step = Number(label.dataset.step);
+            label.classList.toggle('active', step === this.currentStep);
+            label.classList.toggle('complete', step < this.currentStep);
+        });
+        
+        document.getElementById('wizardBack').classList.toggle('d-none', this.currentStep === 0);
+        document.getElementById('wizardNext').classList.toggle('d-none', this.currentStep === lastStep);
+        document.getElementById('wizardSubmit').classList.toggle('d-none', this.currentStep !== lastStep);
+    },
+
+    /**
+     * Validate the current step and advance when it passes
+     */
+    goToNextStep() {
+        if (!this.validateStep(this.currentStep)) return;
+        
+        this.showStep(this.currentStep + 1);
+        this.saveDraft();
+        
+        const firstField = this.getStepElement(this.currentStep).querySelector('input, select, textarea');
+        if (firstField) firstField.focus();
+    },
+
+    /**
+     * Check whether every field in a step is valid, without showing feedback
+     * @param {number} index - Step index
+     * @returns {boolean} Validity
+     */
+    isStepValid(index) {
+        const step = this.getStepElement(index);
+        return Array.from(step.querySelectorAll('input, select, textarea'))
+            .every(field => field.checkValidity());
+    },
+
+    /**
+     * Validate a step, showing feedback and focusing the first invalid field
+     * @param {number} index - Step index
+     * @returns {boolean} Validity
+     */
+    validateStep(index) {
+        if (this.isStepValid(index)) return true;
+        
+        const step = this.getStepElement(index);
+        step.classList.add('was-validated');
+        
+        // Focus on first invalid field
+        const firstInvalid = step.querySelector(':invalid');
+        if (firstInvalid) {
+            firstInvalid.focus();
+        }
+        
+        return false;
+    },
+
+    /**
+     * Render the review step from the values entered in earlier steps
+     */
+    renderReview() {
+        const review = document.getElementById('applicationReview');
+        if (!review) return;
+        
+        const form = this.elements.form;
+        const sections = this.wizardSteps.slice(0, -1).map((stepInfo, index) => {
+            const rows = Array.from(this.getStepElement(index).querySelectorAll('input, select, textarea'))
+                .filter(field => field.name && field.type !== 'hidden' && !field.dataset.addOn && !field.disabled)
+                .map(field => {
+                    const label = form.querySelector(`label[for="${field.id}"]`);
+                    const value = field.tagName === 'SELECT' ?
+                        (field.value ? field.options[field.selectedIndex].text : '') : field.value;
+                    
+                    return Html.safe`
+                        <dt class="col-sm-5">${label ? label.textContent.replace('*', '').trim() : field.name}</dt>
+                        <dd class="col-sm-7">${value || Html.safe`<span class="text-muted">—</span>`}</dd>
+                    `;
+                });
+            
+            return Html.safe`
+                <div class="border rounded p-3 mb-3">
+                    <div class="d-flex justify-content-between align-items-center mb-2">
+                        <h6 class="mb-0"><i class="fas ${stepInfo.icon} me-2"></i>${this.getStepTitle(stepInfo)}</h6>
+                        <button type="button" class="btn btn-sm btn-link" data-edit-step="${index}">${I18n.t('review.edit')}</button>
+                    </div>
+                    <dl class="row mb-0 small">${rows}${stepInfo.key === 'delivery' ? this.generateAddOnsReview() : ''}</dl>
+                </div>
+            `;
+        });
+        
+        Html.render(review, sections);
+        review.querySelectorAll('[data-edit-step]').forEach(button => {
+            button.addEventListener('click', () => this.showStep(Number(button.dataset.editStep)));
+        });
+    },
+
+    /**
+     * Generate the review rows listing the chosen add-ons
+     * @returns {Object} Review rows HTML fragment
+     */
+    generateAddOnsReview() {
+        const addOns = this.getSelectedAddOns();
+        const value = addOns.length > 0 ?
+            addOns.map(item => `${PricingEngine.getAddOnText(item)}${item.quantity > 1 ? ` × ${item.quantity}` : ''}`).join(', ') :
+            Html.safe`<span class="text-muted">${I18n.t('review.none')}</span>`;
+        
+        return Html.safe`
+            <dt class="col-sm-5">${I18n.t('order.addOns')}</dt>
+            <dd class="col-sm-7">${value}</dd>
+        `;
+    },
+
+    /**
+     * Get the localStorage key for this puppy's draft
+     * @returns {string} Storage key
+     */
+    getDraftKey() {
+        return `${APP_CONFIG.orderForm.draftKeyPrefix}${this.selectedPuppy.id}`;
+    },
+
+    /**
+     * Save entered values and the current step as a draft
+     */
+    saveDraft() {
+        if (!this.elements.form || this.isSubmitted) return;
+        
+        Utils.writeStorage(this.getDraftKey(), {
+            savedAt: new Date().toISOString(),
+            step: this.currentStep,
+            values: Utils.getFormValues(this.elements.form)
+        });
+    },
+
+    /**
+     * Remove this puppy's saved draft
+     */
+    clearDraft() {
+        Utils.writeStorage(this.getDraftKey(), null);
+    },
+
+    /**
+     * Restore a saved draft, if any, and offer to start over
+     */
+    restoreDraft() {
+        const draft = Utils.readStorage(this.getDraftKey());
+        const notice = document.getElementById('draftNotice');
+        
+        if (!draft || !draft.values) {
+            this.showStep(0);
+            return;
+        }
+        
+        Utils.setFormValues(this.elements.form, draft.values);
+        ScreeningManager.updateVisibility(this.elements.form, this.selectedPuppy.breed);
+        this.updateDeliveryOptions();
+        
+        // Never skip past a step that no longer validates
+        const firstInvalidStep = this.wizardSteps.findIndex((_, index) => !this.isStepValid(index));
+        const step = firstInvalidStep === -1 ? draft.step : Math.min(draft.step, firstInvalidStep);
+        this.showStep(step || 0);
+        
+        if (notice) {
+            const message = draft.savedAt ?
+                I18n.t('draft.restoredSince', { date: Utils.formatDate(new Date(draft.savedAt)) }) :
+                I18n.t('draft.restored');
+            Html.render(notice, Html.safe`
+                <div class="alert alert-info d-flex justify-content-between align-items-center">
+                    <span><i class="fas fa-save me-2"></i>${message}</span>
+                    <button type="button" class="btn btn-sm btn-outline-primary" id="draftStartOver">${I18n.t('draft.startOver')}</button>
+                </div>
+            `);
+            document.getElementById('draftStartOver').addEventListener('click', () => this.startOver());
+        }
+        
+        console.log('💾 Restored application draft for', this.selectedPuppy.id);
+    },
+
+    /**
+     * Discard the draft and reset the form to the first step
+     */
+    startOver() {
+        this.clearDraft();
+        this.elements.form.reset();
+        this.elements.form.querySelectorAll('.was-validated').forEach(step => step.classList.remove('was-validated'));
+        document.getElementById('draftNotice').innerHTML = '';
+        ScreeningManager.updateVisibility(this.elements.form, this.selectedPuppy.breed);
+        this.updateDeliveryOptions();
+        this.showStep(0);
+    },
+
+    /**
+     * Quote a delivery option for the entered ZIP code
+     * @param {string} option - Delivery option
+     * @returns {Object} { available, rate, crateFee, total }
+     */
+    getShippingQuote(option) {
+        return ShippingCalculator.getQuote(option, this.getShippingZone());
+    },
+
+    /**
+     * Get shipping cost for delivery option, including any travel carrier fee
+     * @param {string} option - Delivery option
+     * @returns {number} Shipping cost
+     */
+    getShippingCost(option) {
+        return this.getShippingQuote(option).total;
+    },
+
+    /**
+     * Handle form submission
+     * @param {Event} e - Submit event
+     */
+    async handleFormSubmit(e) {
+        e.preventDefault();
+        
+        // Enter in an earlier step advances instead of submitting
+        if (this.currentStep < this.wizardSteps.length - 1) {
+            this.goToNextStep();
+            return;
+        }
+        
+        // Final review: every step must still be valid
+        const invalidStep = this.wizardSteps.findIndex((_, index) => !this.isStepValid(index));
+        
+        if (invalidStep !== -1) {
+            e.stopPropagation();
+            this.showStep(invalidStep);
+            this.validateStep(invalidStep);
+            return;
+        }
+        
+        if (this.isSubmitting) return;
+        
+        const payload = this.buildOrderPayload();
+        this.setSubmitting(true);
+        
+        try {
+            const result = await SubmissionManager.submit(payload);
+            
+            this.isSubmitted = true;
+            this.clearDraft();
+            this.renderConfirmation(payload, result);
+            
+            console.log('📨 Form submitted successfully:', result.reference);
+        } catch (error) {
+            console.error('❌ Error submitting application:', error);
+            this.renderSubmissionError(payload);
+        } finally {
+            this.setSubmitting(false);
+        }
+    },
+
+    /**
+     * Build the structured order payload from the form
+     * @returns {Object} Order payload
+     */
+    buildOrderPayload() {
+        const puppy = this.selectedPuppy;
+        const deliveryOption = document.getElementById('deliveryOption').value;
+        const quote = this.getShippingQuote(deliveryOption);
+        const zone = this.getShippingZone();
+        const application = {};
+        
+        this.wizardSteps.slice(0, -1).forEach((step, index) => {
+            application[step.key] = this.getStepValues(index);
+        });
+        
+        return {
+            type: 'order',
+            reference: SubmissionManager.generateReference(),
+            submittedAt: new Date().toISOString(),
+            currency: APP_CONFIG.currency.base,
+            locale: I18n.locale,
+            puppy: {
+                id: puppy.id,
+                name: puppy.name,
+                breed: puppy.breed,
+                price: puppy.price,
+                sireId: puppy.sireId || null,
+                damId: puppy.damId || null
+            },
+            application,
+            shipping: {
+                method: deliveryOption,
+                zone: zone ? zone.id : null,
+                rate: quote.rate,
+                crateFee: quote.crateFee
+            },
+            pricing: this.calculatePricing(),
+            screening: ScreeningManager.evaluate(Object.assign({}, ...Object.values(application)), puppy.breed),
+            healthCertificate: HealthManager.buildCertificate(puppy)
+        };
+    },
+
+    /**
+     * Collect named field values from one wizard step
+     * @param {number} index - Step index
+     * @returns {Object} Field name → value
+     */
+    getStepValues(index) {
+        const values = {};
+        const formValues = Utils.getFormValues(this.elements.form);
+        
+        // Add-ons are itemized in the pricing breakdown instead; skipped questions are left out
+        this.getStepElement(index).querySelectorAll('[name]:not([data-add-on]):not(:disabled)').forEach(field => {
+            if (field.name in formValues) values[field.name] = formValues[field.name];
+        });
+        
+        return values;
+    },
+
+    /**
+     * Toggle the in-flight state of the submit button
+     * @param {boolean} isSubmitting - Whether a submission is in progress
+     */
+    setSubmitting(isSubmitting) {
+        this.isSubmitting = isSubmitting;
+        
+        const submitButton = document.getElementById('wizardSubmit');
+        const backButton = document.getElementById('wizardBack');
+        if (!submitButton) return;
+        
+        submitButton.disabled = isSubmitting;
+        if (backButton) backButton.disabled = isSubmitting;
+        Html.render(submitButton, isSubmitting ?
+            Html.safe`<span class="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>${I18n.t('order.submitting')}` :
+            Html.safe`<i class="fas fa-paper-plane me-2"></i>${I18n.t('order.submit')}`);
+        
+        if (isSubmitting) {
+            document.getElementById('submissionError').innerHTML = '';
+        }
+    },
+
+    /**
+     * Show a submission failure above the wizard buttons; the form keeps its values
+     * @param {Object} payload - Order payload that failed to send
+     */
+    renderSubmissionError(payload) {
+        const container = document.getElementById('submissionError');
+        if (!container) return;
+        
+        Html.render(container, Html.safe`
+            <div class="alert alert-danger mt-3" role="alert">
+                <h6 class="alert-heading"><i class="fas fa-exclamation-circle me-2"></i>${I18n.t('order.errorTitle')}</h6>
+                <p class="mb-2">${I18n.t('order.errorText')}</p>
+                <p class="mb-0 small">
+                    ${I18n.html('order.errorMailto', { url: SubmissionManager.buildMailtoUrl(payload, APP_CONFIG.submission.mailto.address) })}
+                </p>
+            </div>
+        `);
+        container.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    },
+
+    /**
+     * Replace the form with a confirmation screen
+     * @param {Object} payload - Submitted order payload
+     * @param {Object} result - Submission result
+     */
+    renderConfirmation(payload, result) {
+        const puppy = this.selectedPuppy;
+        const email = payload.application.contact.email;
+        let message = I18n.t('confirmation.mailtoText', { name: puppy.name });
+        let heading = I18n.t('confirmation.mailto');
+        // Only a sent order held in the shared store can be looked up from the applicant's side;
+        // a mailto draft is stored for the breeder but may never be sent
+        const canTrack = result.delivered && result.recorded && ApplicationStore.isEnabled();
+        
+        if (result.delivered) {
+            message = I18n.html('confirmation.deliveredText', { name: puppy.name, email });
+            heading = I18n.t('confirmation.delivered');
+        } else if (result.queued) {
+            message = I18n.t('confirmation.queuedText', { name: puppy.name });
+            heading = I18n.t('confirmation.queued');
+        }
+        
+        Html.render(this.elements.orderContent, Html.safe`
+            <div class="col-lg-8 mx-auto text-center">
+                <div class="card p-5 shadow-sm border-0">
+                    <i class="fas fa-check-circle fa-3x text-success mb-3"></i>
+                    <h2>${heading}</h2>
+                    <p class="text-muted">${message}</p>
+                    <div class="bg-light rounded p-3 my-3">
+                        <div class="small text-muted">${I18n.t('confirmation.reference')}</div>
+                        <div class="h3 mb-0 font-monospace" id="orderReference">${result.reference}</div>
+                    </div>
+                    <p class="small text-muted">${I18n.t('confirmation.keepReference')}</p>
+                    <div class="mt-3 d-flex justify-content-center flex-wrap gap-2">
+                        <button type="button" class="btn btn-outline-secondary btn-lg" id="printHealthCertificate">
+                            <i class="fas fa-print me-2"></i>${I18n.t('health.print')}
+                        </button>
+                        ${canTrack ? Html.safe`
+                        <a href="track.html?ref=${encodeURIComponent(result.reference)}" class="btn btn-outline-primary btn-lg">
+                            <i class="fas fa-clipboard-list me-2"></i>${I18n.t('confirmation.track')}
+                        </a>
+                        ` : ''}
+                        <a href="Available.html" class="btn btn-primary btn-lg">
+                            <i class="fas fa-search me-2"></i>${I18n.t('confirmation.browse')}
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `);
+        document.getElementById('printHealthCertificate')
+            .addEventListener('click', () => HealthManager.printCertificate(payload.healthCertificate));
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+};
+
+// Application Tracking Page Module
+const TrackingPage = {
+    elements: {},
+    // Order an application moves through; declined applications leave the track
+    progressSteps: [
+        { status: 'new', icon: 'fa-inbox' },
+        { status: 'review', icon: 'fa-search' },
+        { status: 'approved', icon: 'fa-thumbs-up' },
+        { status: 'deposit', icon: 'fa-hand-holding-usd' },
+        { status: 'completed', icon: 'fa-home' }
+    ],
+
+    /**
+     * Initialize the tracking page
+     */
+    async init() {
+        this.cacheElements();
+        
+        // Photos and go-home dates come from the catalog; tracking works without it
+        await CatalogManager.load().catch(error => console.warn('⚠️ Catalog unavailable:', error));
+        await ImageManager.load();
+        
+        if (ApplicationStore.isEnabled()) {
+            this.renderForm({ reference: Utils.getUrlParam('ref') || '', email: '' });
+        } else {
+            this.renderDisabled();
+        }
+        
+        console.log('🔎 Tracking page initialized');
+    },
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            trackContent: document.getElementById('track-content')
+        };
+    },
+
+    /**
+     * Explain that tracking is off until a shared applications store is configured
+     */
+    renderDisabled() {
+        if (!this.elements.trackContent) return;
+        
+        Html.render(this.elements.trackContent, Html.safe`
+            <div class="col-lg-8 mx-auto">
+                <div class="alert alert-info mb-0" role="status">
+                    <i class="fas fa-info-circle me-2"></i>${I18n.t('tracking.disabled')}
+                </div>
+            </div>
+        `);
+    },
+
+    /**
+     * Render the reference and email lookup form
+     * @param {Object} values - { reference, email } to prefill
+     */
+    renderForm(values) {
+        if (!this.elements.trackContent) return;
+        
+        Html.render(this.elements.trackContent, Html.safe`
+            <div class="col-lg-8 mx-auto">
+                <div class="card shadow-sm border-0 mb-4">
+                    <div class="card-body p-4">
+                        <form id="trackingForm" novalidate>
+                            <div class="row g-3 align-items-end">
+                                <div class="col-md-5">
+                                    <label for="trackReference" class="form-label">${I18n.t('tracking.reference')}</label>
+                                    <input type="text" class="form-control font-monospace" name="reference" id="trackReference"
+                                           placeholder="${I18n.t('tracking.referencePlaceholder')}" autocomplete="off" required>
+                                </div>
+                                <div class="col-md-4">
+                                    <label for="trackEmail" class="form-label">${I18n.t('tracking.email')}</label>
+                                    <input type="email" class="form-control" name="email" id="trackEmail" autocomplete="email" required>
+                                </div>
+                                <div class="col-md-3 d-grid">
+                                    <button type="submit" class="btn btn-primary" id="trackSubmit">
+                                        <i class="fas fa-search me-2"></i>${I18n.t('tracking.submit')}
+                                    </button>
+                                </div>
+                            </div>
+                            <div class="alert alert-warning mt-3 mb-0 d-none" id="trackError" role="alert"></div>
+                        </form>
+                    </div>
+                </div>
+                <div id="trackResult" aria-live="polite"></div>
+            </div>
+        `);
+        
+        const form = document.getElementById('trackingForm');
+        Utils.setFormValues(form, values);
+        form.addEventListener('submit', event => this.handleSubmit(event));
+    },
+
+    /**
+     * Look up the application entered in the form
+     * @param {Event} event - Submit event
+     */
+    async handleSubmit(event) {
+        event.preventDefault();
+        const { reference, email } = Utils.getFormValues(event.target);
+        
+        if (!reference.trim() || !email.trim()) {
+            this.showError(I18n.t('tracking.required'));
+            return;
+        }
+        
+        this.showError(null);
+        this.setChecking(true);
+        
+        try {
+            const application = await ApplicationStore.lookup(reference, email);
+            
+            // Reviews share the store but have nothing to track
+            if (application && application.type !== 'testimonial') {
+                this.renderResult(application);
+                console.log('🔎 Application found:', application.reference);
+            } else {
+                Html.render(document.getElementById('trackResult'), []);
+                this.showError(I18n.t('tracking.notFound'));
+            }
+        } catch (error) {
+            console.error('❌ Error looking up application:', error);
+            this.showError(I18n.t('tracking.unavailable'));
+        } finally {
+            this.setChecking(false);
+        }
+    },
+
+    /**
+     * Show or clear the lookup error
+     * @param {string|null} message - Error text, or null to hide it
+     */
+    showError(message) {
+        const alert = document.getElementById('trackError');
+        alert.textContent = message || '';
+        alert.classList.toggle('d-none', !message);
+    },
+
+    /**
+     * Toggle the in-flight state of the lookup button
+     * @param {boolean} isChecking - Whether a lookup is in progress
+     */
+    setChecking(isChecking) {
+        const button = document.getElementById('trackSubmit');
+        button.disabled = isChecking;
+        
+        Html.render(button, isChecking
+            ? Html.safe`<span class="spinner-border spinner-border-sm me-2" role="status"></span>${I18n.t('tracking.checking')}`
+            : Html.safe`<i class="fas fa-search me-2"></i>${I18n.t('tracking.submit')}`);
+    },
+
+    /**
+     * Render an application's status, payments, go-home date and messages
+     * @param {Object} application - Stored application
+     */
+    renderResult(application) {
+        const puppy = application.puppy || {};
+        const catalogPuppy = puppy.id ? CatalogManager.findById(puppy.id) : null;
+        const updatedAt = application.updatedAt ? new Date(application.updatedAt) : null;
+        
+        Html.render(document.getElementById('trackResult'), Html.safe`
+            <div class="card shadow-sm border-0 mb-4">
+                <div class="card-body p-4">
+                    <div class="d-flex align-items-center gap-3 mb-4">
+                        ${catalogPuppy && Utils.getPuppyImages(catalogPuppy).length > 0 ? ImageManager.picture(Utils.getCoverImage(catalogPuppy), {
+                            alt: catalogPuppy.name,
+                            className: 'rounded',
+                            style: 'width: 96px; height: 96px; object-fit: cover;',
+                            sizes: '96px'
+                        }) : ''}
+                        <div class="flex-grow-1">
+                            <h2 class="h4 mb-1">${puppy.name || I18n.t('page.track.heading')}</h2>
+                            <div class="small text-muted">
+                                ${puppy.breed ? Html.safe`<i class="fas fa-dog me-1"></i>${puppy.breed} • ` : ''}
+                                <span class="font-monospace">${application.reference}</span>
+                            </div>
+                            <div class="small text-muted">
+                                ${I18n.t('tracking.submitted', { date: Utils.formatDate(new Date(application.submittedAt)) })}
+                                ${updatedAt ? Html.safe` • ${I18n.t('tracking.updated', { date: Utils.formatDate(updatedAt) })}` : ''}
+                            </div>
+                        </div>
+                        <div>${ApplicationStore.getStatusBadge(application.status)}</div>
+                    </div>
+                    ${this.generateProgress(application)}
+                    <p class="mb-0">${I18n.t(`tracking.statusText.${application.status}`, { name: puppy.name })}</p>
+                </div>
+            </div>
+            ${application.status !== 'declined' ? Html.safe`
+            <div class="row g-4 mb-4">
+                <div class="col-md-7">
+                    ${this.generatePayments(application)}
+                </div>
+                <div class="col-md-5">
+                    ${this.generateGoHome(application, catalogPuppy)}
+                </div>
+            </div>
+            ` : ''}
+            ${this.generateMessages(application)}
+            <div class="text-center">
+                <a href="track.html" class="btn btn-outline-secondary">
+                    <i class="fas fa-redo me-2"></i>${I18n.t('tracking.another')}
+                </a>
+            </div>
+        `);
+    },
+
+    /**
+     * Generate the status progress indicator, or a notice for declined applications
+     * @param {Object} application - Stored application
+     * @returns {Object} Progress HTML fragment
+     */
+    generateProgress(application) {
+        if (application.status === 'declined') {
+            return Html.safe`
+                <div class="alert alert-secondary mb-3">
+                    <i class="fas fa-times-circle me-2"></i>${ApplicationStore.getStatusLabel('declined')}
+                </div>
+            `;
+        }
+        
+        const current = this.progressSteps.findIndex(step => step.status === application.status);
+        
+        return Html.safe`
+            <div class="wizard-progress mb-3">
+                <div class="progress" style="height: 6px;" role="progressbar" aria-label="${I18n.t('tracking.progress')}"
+                     aria-valuemin="0" aria-valuemax="${this.progressSteps.length}" aria-valuenow="${current + 1}">
+                    <div class="progress-bar" style="width: ${Math.round(((current + 1) / this.progressSteps.length) * 100)}%;"></div>
+                </div>
+                <ol class="wizard-step-labels list-unstyled d-flex justify-content-between mt-2 mb-0">
+                    ${this.progressSteps.map((step, index) => Html.safe`
+                        <li class="wizard-step-label small text-muted ${index < current ? 'complete' : ''} ${index === current ? 'active' : ''}">
+                            <i class="fas ${step.icon} me-1"></i><span class="d-none d-md-inline">${ApplicationStore.getStatusLabel(step.status)}</span>
+                        </li>
+                    `)}
+                </ol>
+            </div>
+        `;
+    },
+
+    /**
+     * Generate the payment milestones from the order's schedule
+     * @param {Object} application - Stored application
+     * @returns {Object} Payments HTML fragment
+     */
+    generatePayments(application) {
+        const schedule = (application.pricing && application.pricing.schedule) || [];
+        if (schedule.length === 0) return '';
+        
+        const paidAll = application.status === 'completed';
+        const paidDeposit = paidAll || application.status === 'deposit';
+        
+        return Html.safe`
+            <div class="card shadow-sm border-0 h-100">
+                <div class="card-body p-4">
+                    <h3 class="h5 mb-3"><i class="fas fa-receipt me-2"></i>${I18n.t('tracking.payments')}</h3>
+                    <ul class="list-group list-group-flush">
+                        ${schedule.map(payment => {
+                            const isPaid = paidAll || (paidDeposit && payment.type === 'deposit');
+                            
+                            return Html.safe`
+                                <li class="list-group-item px-0 d-flex justify-content-between align-items-center">
+                                    <div>
+                                        <div>${PricingEngine.getPaymentLabel(payment)}</div>
+                                        <div class="small ${isPaid ? 'text-success' : 'text-muted'}">
+                                            ${isPaid ? Html.safe`<i class="fas fa-check me-1"></i>${I18n.t('tracking.paid')}` :
+                                                payment.dueDate ? I18n.t('tracking.due', { date: Utils.formatDate(new Date(payment.dueDate)) }) :
+                                                I18n.t('tracking.dueAtPickup')}
+                                        </div>
+                                    </div>
+                                    <strong>${Utils.formatPrice(payment.amount)}</strong>
+                                </li>
+                            `;
+                        })}
+                    </ul>
+                    ${I18n.isConverting() ? Html.safe`
+                    <p class="small text-muted mt-2 mb-0">
+                        <i class="fas fa-exchange-alt me-1"></i>${I18n.t('summary.currencyNote', { currency: I18n.currency, base: APP_CONFIG.currency.base })}
+                    </p>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Work out when the puppy is expected to go home: the later of the day it
+     * is old enough to leave and the applicant's preferred date, never before today
+     * @param {Object} application - Stored application
+     * @param {Object|null} catalogPuppy - Puppy from the catalog
+     * @param {Date} now - Reference date
+     * @returns {Date|null} Expected date, or null when neither is known
+     */
+    getGoHomeDate(application, catalogPuppy, now = new Date()) {
+        const delivery = (application.application && application.application.delivery) || {};
+        const dates = [
+            catalogPuppy ? Utils.getReadyDate(catalogPuppy) : null,
+            Utils.parseDate(delivery.preferredDate)
+        ].filter(Boolean);
+        
+        if (dates.length === 0) return null;
+        
+        dates.push(Utils.startOfDay(now));
+        return new Date(Math.max(...dates.map(date => date.getTime())));
+    },
+
+    /**
+     * Generate the expected go-home date card
+     * @param {Object} application - Stored application
+     * @param {Object|null} catalogPuppy - Puppy from the catalog
+     * @returns {Object} Go-home HTML fragment
+     */
+    generateGoHome(application, catalogPuppy) {
+        const goHomeDate = this.getGoHomeDate(application, catalogPuppy);
+        const name = (application.puppy && application.puppy.name) || '';
+        let value = I18n.t('tracking.goHomeUnknown');
+        
+        if (application.status === 'completed') {
+            value = I18n.t('tracking.goneHome');
+        } else if (goHomeDate) {
+            value = Utils.formatDate(goHomeDate);
+        }
+        
+        return Html.safe`
+            <div class="card shadow-sm border-0 h-100">
+                <div class="card-body p-4">
+                    <h3 class="h5 mb-3"><i class="fas fa-home me-2"></i>${I18n.t('tracking.goHome')}</h3>
+                    <div class="h4 mb-2" id="trackGoHome">${value}</div>
+                    ${goHomeDate && application.status !== 'completed' ? Html.safe`
+                    <p class="small text-muted mb-0">${I18n.t('tracking.goHomeHint', { name })}</p>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Generate the breeder's messages to the applicant, newest first
+     * @param {Object} application - Stored application
+     * @returns {Object} Messages HTML fragment
+     */
+    generateMessages(application) {
+        const messages = [...application.messages].reverse();
+        
+        return Html.safe`
+            <div class="card shadow-sm border-0 mb-4">
+                <div class="card-body p-4">
+                    <h3 class="h5 mb-3"><i class="fas fa-envelope-open-text me-2"></i>${I18n.t('tracking.messages')}</h3>
+                    ${messages.length === 0 ? Html.safe`
+                    <p class="text-muted mb-0">${I18n.t('tracking.noMessages')}</p>
+                    ` : Html.safe`
+                    <ul class="list-unstyled mb-0">
+                        ${messages.map(message => Html.safe`
+                            <li class="border-start border-3 border-primary ps-3 mb-3">
+                                <div class="small text-muted">${Utils.formatDate(new Date(message.at))}</div>
+                                <div>${this.formatMessage(message)}</div>
+                            </li>
+                        `)}
+                    </ul>
+                    `}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Get a message's text, translating the ones the site writes itself
+     * @param {Object} message - { kind, params, text }
+     * @returns {string} Message text
+     */
+    formatMessage(message) {
+        switch (message.kind) {
+            case 'reserved-elsewhere':
+                return I18n.t('tracking.message.reservedElsewhere', message.params || {}, message.text);
+            
+            default:
+                return message.text;
+        }
+    }
+};
+
+// Testimonials Page Module
+const TestimonialsPage = {
+    filteredTestimonials: [],
+    breed: 'all',
+    elements: {},
+
+    /**
+     * Initialize the testimonials page
+     */
+    async init() {
+        this.cacheElements();
+        this.renderForm();
+        CatalogManager.renderLoading(this.elements.grid);
+        
+        try {
+            await TestimonialManager.load();
+        } catch (error) {
+            console.error('❌ Error loading testimonials:', error);
+            this.renderLoadError();
+            return;
+        }
+        
+        // Optimized photos are optional; without a manifest the originals are used
+        await ImageManager.load();
+        
+        const breed = Utils.getUrlParam('breed');
+        this.breed = TestimonialManager.getBreedCounts().some(entry => entry.breed === breed) ? breed : 'all';
+        this.renderFilter();
+        this.applyFilter();
+        
+        console.log('💬 Testimonials page initialized');
+    },
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            breedFilter: document.getElementById('testimonial-breed'),
+            summary: document.getElementById('testimonial-summary'),
+            grid: document.getElementById('testimonials-grid'),
+            paginationContainer: document.getElementById('testimonials-pagination'),
+            formContainer: document.getElementById('testimonial-form-container')
+        };
+    },
+
+    /**
+     * Render a testimonials load failure
+     */
+    renderLoadError() {
+        Html.render(this.elements.grid, Html.safe`
+            <div class="col-12 text-center">
+                <div class="card p-5 shadow-sm border-0">
+                    <i class="fas fa-exclamation-circle fa-3x text-danger mb-3"></i>
+                    <h2>${I18n.t('testimonials.loadError')}</h2>
+                    <p class="text-muted">${I18n.t('common.checkConnection')}</p>
+                </div>
+            </div>
+        `);
+    },
+
+    /**
+     * Build the breed filter options with per-breed counts
+     */
+    renderFilter() {
+        const select = this.elements.breedFilter;
+        if (!select) return;
+        
+        Html.render(select, [
+            Html.safe`<option value="all">${I18n.t('testimonials.allBreeds')} (${I18n.formatNumber(TestimonialManager.testimonials.length)})</option>`,
+            ...TestimonialManager.getBreedCounts().map(({ breed, count }) => Html.safe`
+                <option value="${breed}">${breed} (${I18n.formatNumber(count)})</option>
+            `)
+        ]);
+        select.value = this.breed;
+        select.addEventListener('change', () => {
+            this.breed = select.value;
+            this.applyFilter();
+            this.updateUrl();
+        });
+    },
+
+    /**
+     * Keep the chosen breed in the URL so filtered views can be shared
+     */
+    updateUrl() {
+        const url = new URL(window.location.href);
+        
+        if (this.breed === 'all') {
+            url.searchParams.delete('breed');
+        } else {
+            url.searchParams.set('breed', this.breed);
+        }
+        history.replaceState(null, '', url);
+    },
+
+    /**
+     * Filter by the chosen breed and show the first page
+     */
+    applyFilter() {
+        this.filteredTestimonials = TestimonialManager.filterByBreed(this.breed);
+        PaginationManager.reset();
+        this.renderSummary();
+        this.render();
+    },
+
+    /**
+     * Render the average rating of the filtered testimonials
+     */
+    renderSummary() {
+        if (!this.elements.summary) return;
+        
+        const average = TestimonialManager.getAverageRating(this.filteredTestimonials);
+        if (average === null) {
+            Html.render(this.elements.summary, []);
+            return;
+        }
+        
+        Html.render(this.elements.summary, Html.safe`
+            <span class="h4 mb-0 me-2">${I18n.formatNumber(average, { minimumFractionDigits: 1 })}</span>
+            ${TestimonialManager.generateStars(average)}
+            <span class="text-muted ms-2">${I18n.t('testimonials.average', { count: this.filteredTestimonials.length })}</span>
+        `);
+    },
+
+    /**
+     * Render the current page of testimonials and the pagination controls
+     */
+    render() {
+        const testimonials = PaginationManager.getItemsForPage(this.filteredTestimonials);
+        
+        Html.render(this.elements.grid, testimonials.length > 0 ?
+            testimonials.map(testimonial => TestimonialManager.generateCard(testimonial)) :
+            Html.safe`<div class="col-12 text-center text-muted py-5">${I18n.t('testimonials.none')}</div>`);
+        
+        PaginationManager.render(this.filteredTestimonials, this.elements.paginationContainer, () => {
+            this.render();
+            this.elements.grid.scrollIntoView({ behavior: 'smooth' });
+        });
+    },
+
+    /**
+     * Render the review form for families whose puppy has gone home
+     */
+    renderForm() {
+        const container = this.elements.formContainer;
+        if (!container) return;
+        
+        Html.render(container, Html.safe`
+            <div class="card shadow-sm border-0">
+                <div class="card-body p-4">
+                    <h2 class="h4"><i class="fas fa-pen me-2"></i>${I18n.t('testimonials.form.title')}</h2>
+                    <p class="text-muted">${I18n.t('testimonials.form.lead')}</p>
+                    <form id="testimonialForm" novalidate>
+                        <div class="row g-3">
+                            <div class="col-md-6">
+                                <label for="testimonialReference" class="form-label">${I18n.t('tracking.reference')} *</label>
+                                <input type="text" class="form-control font-monospace" name="reference" id="testimonialReference"
+                                       placeholder="${I18n.t('tracking.referencePlaceholder')}" autocomplete="off" required>
+                                <div class="invalid-feedback">${I18n.t('testimonials.form.referenceRequired')}</div>
+                            </div>
+                            <div class="col-md-6">
+                                <label for="testimonialEmail" class="form-label">${I18n.t('tracking.email')} *</label>
+                                <input type="email" class="form-control" name="email" id="testimonialEmail" autocomplete="email" required>
+                                <div class="invalid-feedback">${I18n.t('form.emailRequired')}</div>
+                            </div>
+                            <div class="col-md-6">
+                                <label for="testimonialAuthor" class="form-label">${I18n.t('testimonials.form.author')} *</label>
+                                <input type="text" class="form-control" name="author" id="testimonialAuthor" maxlength="80"
+                                       placeholder="${I18n.t('testimonials.form.authorPlaceholder')}" required>
+                                <div class="invalid-feedback">${I18n.t('testimonials.form.authorRequired')}</div>
+                            </div>
+                            <div class="col-md-6">
+                                <label for="testimonialLocation" class="form-label">${I18n.t('testimonials.form.location')}</label>
+                                <input type="text" class="form-control" name="location" id="testimonialLocation" maxlength="80"
+                                       placeholder="${I18n.t('testimonials.form.locationPlaceholder')}">
+                            </div>
+                            <div class="col-md-6">
+                                <label for="testimonialRating" class="form-label">${I18n.t('testimonials.form.rating')} *</label>
+                                <select class="form-select" name="rating" id="testimonialRating" required>
+                                    <option value="">${I18n.t('common.select')}</option>
+                                    ${[5, 4, 3, 2, 1].map(rating => Html.safe`
+                                    <option value="${rating}">${I18n.t('testimonials.stars', { rating })}</option>`)}
+                                </select>
+                                <div class="invalid-feedback">${I18n.t('testimonials.form.ratingRequired')}</div>
+                            </div>
+                            <div class="col-12">
+                                <label for="testimonialText" class="form-label">${I18n.t('testimonials.form.text')} *</label>
+                                <textarea class="form-control" name="text" id="testimonialText" rows="4"
+                                          maxlength="${APP_CONFIG.testimonials.maxLength}" required></textarea>
+                                <div class="invalid-feedback">${I18n.t('testimonials.form.textRequired')}</div>
+                            </div>
+                            <div class="col-12">
+                                <div class="form-check">
+                                    <input class="form-check-input" type="checkbox" name="consent" id="testimonialConsent" required>
+                                    <label class="form-check-label" for="testimonialConsent">${I18n.t('testimonials.form.consent')}</label>
+                                    <div class="invalid-feedback">${I18n.t('testimonials.form.consentRequired')}</div>
+                                </div>
+                            </div>
+                        </div>
+                        <div class="alert alert-warning mt-3 mb-0 d-none" id="testimonialError" role="alert"></div>
+                        <button type="submit" class="btn btn-primary mt-3" id="testimonialSubmit">
+                            <i class="fas fa-paper-plane me-2"></i>${I18n.t('testimonials.form.submit')}
+                        </button>
+                    </form>
+                </div>
+            </div>
+        `);
+        
+        document.getElementById('testimonialForm').addEventListener('submit', event => this.handleSubmit(event));
+    },
+
+    /**
+     * Check the applicant's order and send the review for moderation
+     * @param {Event} event - Submit event
+     */
+    async handleSubmit(event) {
+        event.preventDefault();
+        const form = event.target;
+        
+        if (!form.checkValidity()) {
+            form.classList.add('was-validated');
+            const firstInvalid = form.querySelector(':invalid');
+            if (firstInvalid) firstInvalid.focus();
+            return;
+        }
+        
+        const values = Utils.getFormValues(form);
+        this.showError(null);
+        this.setSubmitting(true);
+        
+        try {
+            // The shared store holds the status the breeder last set in the admin inbox
+            const order = await ApplicationStore.lookup(values.reference, values.email);
+            
+            if (!order || order.type !== 'order' || !APP_CONFIG.testimonials.eligibleStatuses.includes(order.status)) {
+                this.showError(I18n.t(order && order.type === 'order' ? 'testimonials.form.notYet' : 'tracking.notFound'));
+                return;
+            }
+            
+            const payload = TestimonialManager.buildPayload(values, order);
+            const result = await SubmissionManager.submit(payload);
+            this.renderThanks(result);
+            
+            console.log('💬 Testimonial sent for moderation:', result.reference);
+        } catch (error) {
+            console.error('❌ Error sending testimonial:', error);
+            this.showError(I18n.t('testimonials.form.error'));
+        } finally {
+            this.setSubmitting(false);
+        }
+    },
+
+    /**
+     * Show or clear the form error
+     * @param {string|null} message - Error text, or null to hide it
+     */
+    showError(message) {
+        const alert = document.getElementById('testimonialError');
+        if (!alert) return;
+        
+        alert.textContent = message || '';
+        alert.classList.toggle('d-none', !message);
+    },
+
+    /**
+     * Toggle the in-flight state of the submit button
+     * @param {boolean} isSubmitting - Whether a submission is in progress
+     */
+    setSubmitting(isSubmitting) {
+        const button = document.getElementById('testimonialSubmit');
+        if (!button) return;
+        
+        button.disabled = isSubmitting;
+        Html.render(button, isSubmitting
+            ? Html.safe`<span class="spinner-border spinner-border-sm me-2" role="status"></span>${I18n.t('order.submitting')}`
+            : Html.safe`<i class="fas fa-paper-plane me-2"></i>${I18n.t('testimonials.form.submit')}`);
+    },
+
+    /**
+     * Replace the form with a thank-you note
+     * @param {Object} result - Submission result
+     */
+    renderThanks(result) {
+        let message = 'testimonials.form.thanksText';
+        
+        if (result.queued) {
+            message = 'testimonials.form.thanksQueued';
+        } else if (result.via === 'mailto') {
+            message = 'testimonials.form.thanksMailto';
+        }
+        
+        Html.render(this.elements.formContainer, Html.safe`
+            <div class="card shadow-sm border-0 p-5 text-center">
+                <i class="fas fa-heart fa-3x text-danger mb-3"></i>
+                <h2 class="h4">${I18n.t('testimonials.form.thanks')}</h2>
+                <p class="text-muted mb-0">${I18n.t(message)}</p>
+            </div>
+        `);
+    }
+};
+
+// Admin Console Page Module (breeder-only, so its text is not translated)
+const AdminPage = {
+    records: [],
+    source: null, // 'saved' or 'published'
+    selectedIndex: null, // Record in the editor, -1 for a new listing
+    editorImages: [],
+    editorDirty: false,
+    hasUnsavedChanges: false,
+    imageIndex: {}, // Breed folder → image paths
+    imageFolder: null, // Folder shown in the picker
+    pendingUploads: {}, // Path → object URL for photos still to be copied into their folder
+    suggestedId: null,
+    activePanel: 'listings', // 'listings', 'inbox' or 'reviews'
+    elements: {},
+
+    // Where each storage adapter keeps the catalog
+    storageLabels: {
+        local: 'this browser (export to publish)',
+        file: 'the catalog file',
+        endpoint: 'the server'
+    },
+
+    /**
+     * Initialize the admin console page
+     */
+    async init() {
+        this.cacheElements();
+        
+        if (!this.isConfigured()) {
+            this.renderDisabled();
+            return;
+        }
+        
+        this.bindEvents();
+        
+        if (this.isUnlocked()) {
+            await this.open();
+        } else {
+            this.renderGate();
+        }
+    },
+
+    /**
+     * Cache DOM elements for performance
+     */
+    cacheElements() {
+        this.elements = {
+            content: document.getElementById('admin-content')
+        };
+    },
+
+    /**
+     * Bind delegated handlers for the console's buttons and file inputs
+     */
+    bindEvents() {
+        this.elements.content.addEventListener('click', event => {
+            const button = event.target.closest('[data-action]');
+            if (button && !button.disabled) this.handleAction(button.dataset);
+        });
+        
+        this.elements.content.addEventListener('change', event => {
+            if (event.target.id === 'admin-import') this.importFile(event.target);
+            if (event.target.id === 'admin-image-upload') this.uploadImages(event.target);
+            if (event.target.id === 'admin-image-folder') this.selectFolder(event.target.value);
+        });
+        
+        window.addEventListener('beforeunload', event => {
+            if (this.hasUnsavedChanges || this.editorDirty) {
+                event.preventDefault();
+                event.returnValue = '';
+            }
+        });
+    },
+
+    /**
+     * Hash a passphrase as lowercase SHA-256 hex
+     * @param {string} passphrase - Entered passphrase
+     * @returns {Promise<string>} Hex digest
+     */
+    async hashPassphrase(passphrase) {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new Error('The admin console needs an https or localhost connection');
+        }
+        
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(passphrase));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    },
+
+    /**
+     * Check whether the deployer has set a passphrase hash
+     * @returns {boolean} True when APP_CONFIG.admin.passphraseHash is a SHA-256 hex digest
+     */
+    isConfigured() {
+        return /^[0-9a-f]{64}$/.test(APP_CONFIG.admin.passphraseHash || '');
+    },
+
+    /**
+     * Check whether the console was unlocked earlier in this tab
+     * @returns {boolean} True when unlocked
+     */
+    isUnlocked() {
+        if (!this.isConfigured()) return false;
+        
+        try {
+            return window.sessionStorage.getItem(APP_CONFIG.admin.sessionKey) === APP_CONFIG.admin.passphraseHash;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Explain how to enable the console when no passphrase hash is set
+     */
+    renderDisabled() {
+        Html.render(this.elements.content, Html.safe`
+            <div class="row justify-content-center">
+                <div class="col-md-8 col-lg-6">
+                    <div class="card shadow-sm border-0 p-4">
+                        <h2 class="h4 mb-3"><i class="fas fa-lock me-2"></i>Admin console disabled</h2>
+                        <p>No passphrase has been set for this site. To enable the console, hash a passphrase of your own:</p>
+                        <pre class="bg-light p-2 rounded"><code>echo -n 'your passphrase' | shasum -a 256</code></pre>
+                        <p class="mb-0">and set <code>APP_CONFIG.admin.passphraseHash</code> in <code>js/main.js</code> to the result.</p>
+                    </div>
+                </div>
+            </div>
+        `);
+    },
+
+    /**
+     * Render the passphrase form
+     * @param {string} error - Message shown under the field
+     */
+    renderGate(error = '') {
+        Html.render(this.elements.content, Html.safe`
+            <div class="row justify-content-center">
+                <div class="col-md-6 col-lg-4">
+                    <div class="card shadow-sm border-0 p-4">
+                        <h2 class="h4 mb-3"><i class="fas fa-lock me-2"></i>Breeder sign-in</h2>
+                        <form id="admin-unlock-form" novalidate>
+                            <label for="admin-passphrase" class="form-label">Passphrase</label>
+                            <input type="password" class="form-control ${error ? 'is-invalid' : ''}" id="admin-passphrase"
+                                   name="passphrase" autocomplete="current-password" required>
+                            ${error ? Html.safe`<div class="invalid-feedback">${error}</div>` : ''}
+                            <button type="submit" class="btn btn-primary w-100 mt-3">
+                                <i class="fas fa-unlock me-2"></i>Unlock
+                            </button>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `);
+        
+        const form = document.getElementById('admin-unlock-form');
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.unlock(form.elements.passphrase.value);
+        });
+        form.elements.passphrase.focus();
+    },
+
+    /**
+     * Check the passphrase and open the console
+     * @param {string} passphrase - Entered passphrase
+     */
+    async unlock(passphrase) {
+        let hash;
+        
+        try {
+            hash = await this.hashPassphrase(passphrase);
+        } catch (error) {
+            this.renderGate(error.message);
+            return;
+        }
+        
+        if (!this.isConfigured() || hash !== APP_CONFIG.admin.passphraseHash) {
+            this.renderGate('That passphrase is not correct.');
+            return;
+        }
+        
+        try {
+            window.sessionStorage.setItem(APP_CONFIG.admin.sessionKey, hash);
+        } catch (error) {
+            console.warn('⚠️ Could not remember the admin session:', error);
+        }
+        
+        await this.open();
+    },
+
+    /**
+     * Lock the console, confirming first if changes would be lost
+     */
+    lock() {
+        if ((this.hasUnsavedChanges || this.editorDirty) &&
+            !window.confirm('Lock the console and lose your unsaved changes?')) {
+            return;
+        }
+        
+        try {
+            window.sessionStorage.removeItem(APP_CONFIG.admin.sessionKey);
+        } catch (error) {
+            console.warn('⚠️ Could not clear the admin session:', error);
+        }
+        
+        this.records = [];
+        this.hasUnsavedChanges = false;
+        this.editorDirty = false;
+        this.renderGate();
+    },
+
+    /**
+     * Load the catalog, lineage and photo index, then show the console
+     */
+    async open() {
+        CatalogManager.renderLoading(this.elements.content);
+        
+        try {
+            const { records, source } = await CatalogStore.load();
+            this.records = records;
+            this.source = source;
+        } catch (error) {
+            console.error('❌ Error loading catalog for editing:', error);
+            CatalogManager.renderLoadError(this.elements.content);
+            return;
+        }
+        
+        // Lineage only fills the sire/dam pickers and card preview
+        await PedigreeManager.load().catch(error => console.warn('⚠️ Pedigrees unavailable:', error));
+        await ImageManager.load();
+        await this.loadImageIndex();
+        await ApplicationInbox.load();
+        await TestimonialModeration.load();
+        
+        this.selectedIndex = null;
+        this.editorDirty = false;
+        this.hasUnsavedChanges = false;
+        this.renderConsole();
+        
+        console.log(`🛠️ Admin console opened: ${this.records.length} listings from the ${this.source} catalog`);
+    },
+
+    /**
+     * Load the breed folder photo index; the picker is empty without it
+     */
+    async loadImageIndex() {
+        try {
+            const response = await fetch(APP_CONFIG.admin.imageIndexUrl, { cache: 'no-cache' });
+            
+            if (!response.ok) {
+                throw new Error(`Image index request failed with status ${response.status}`);
+            }
+            
+            const index = await response.json();
+            this.imageIndex = index && index.folders ? index.folders : {};
+        } catch (error) {
+            console.warn('⚠️ Image index unavailable, run scripts/build-image-index.js:', error);
+            this.imageIndex = {};
+        }
+    },
+
+    /**
+     * Render the console layout
+     */
+    renderConsole() {
+        Html.render(this.elements.content, Html.safe`
+            <div class="d-flex align-items-end border-bottom mb-4">
+                <ul class="nav nav-tabs border-0" id="admin-tabs" role="tablist"></ul>
+                <button type="button" class="btn btn-sm btn-outline-dark ms-auto mb-2" data-action="lock">
+                    <i class="fas fa-lock me-2"></i>Lock
+                </button>
+            </div>
+            <div id="admin-messages" aria-live="polite"></div>
+            <div id="admin-listings-panel">
+                <div id="admin-toolbar"></div>
+                <div class="row g-4">
+                    <div class="col-lg-5">
+                        <div class="card shadow-sm border-0">
+                            <div class="card-header bg-white">
+                                <h2 class="h5 mb-0">Listings <span class="badge bg-secondary" id="admin-count"></span></h2>
+                            </div>
+                            <div class="list-group list-group-flush" id="admin-list"></div>
+                        </div>
+                    </div>
+                    <div class="col-lg-7" id="admin-editor"></div>
+                </div>
+            </div>
+            <div id="admin-inbox-panel"></div>
+            <div id="admin-reviews-panel"></div>
+        `);
+        
+        Object.assign(this.elements, {
+            tabs: document.getElementById('admin-tabs'),
+            messages: document.getElementById('admin-messages'),
+            listingsPanel: document.getElementById('admin-listings-panel'),
+            inboxPanel: document.getElementById('admin-inbox-panel'),
+            reviewsPanel: document.getElementById('admin-reviews-panel'),
+            toolbar: document.getElementById('admin-toolbar'),
+            count: document.getElementById('admin-count'),
+            list: document.getElementById('admin-list'),
+            editor: document.getElementById('admin-editor')
+        });
+        
+        this.renderToolbar();
+        this.renderList();
+        this.renderEditorPlaceholder();
+        ApplicationInbox.init(this.elements.inboxPanel);
+        TestimonialModeration.init(this.elements.reviewsPanel);
+        this.showPanel(this.activePanel);
+    },
+
+    /**
+     * Render the listings, applications and reviews tabs, with counts of undecided items
+     */
+    renderTabs() {
+        const openCount = ApplicationInbox.getOpenCount();
+        const pendingCount = TestimonialModeration.getPendingCount();
+        const tab = (panel, icon, label, badge) => Html.safe`
+            <li class="nav-item" role="presentation">
+                <button type="button" class="nav-link ${panel === this.activePanel ? 'active' : ''}" role="tab"
+                        data-action="show-panel" data-panel="${panel}" aria-selected="${panel === this.activePanel}">
+                    <i class="fas ${icon} me-2"></i>${label}${badge}
+                </button>
+            </li>
+        `;
+        
+        Html.render(this.elements.tabs, [
+            tab('listings', 'fa-dog', 'Listings', ''),
+            tab('inbox', 'fa-inbox', 'Applications', openCount > 0 ?
+                Html.safe` <span class="badge bg-primary">${openCount} open</span>` : ''),
+            tab('reviews', 'fa-comments', 'Reviews', pendingCount > 0 ?
+                Html.safe` <span class="badge bg-primary">${pendingCount} pending</span>` : '')
+        ]);
+    },
+
+    /**
+     * Generate the notice shown in place of a panel that needs the shared applications store
+     * @param {string} feature - What the panel would show, e.g. 'Applications'
+     * @returns {Object} Notice HTML fragment
+     */
+    generateStoreNotice(feature) {
+        return Html.safe`
+            <div class="card shadow-sm border-0 p-5 text-center text-muted">
+                <i class="fas fa-plug fa-3x mb-3"></i>
+                <p class="mb-1">${feature} need a shared applications store, and none is configured.</p>
+                <p class="small mb-0">
+                    Set APP_CONFIG.applications.adapter to 'endpoint' and run <code>npm start</code>, or your own
+                    server at ${APP_CONFIG.applications.endpoint.url}. Until then submissions arrive by email only.
+                </p>
+            </div>
+        `;
+    },
+
+    /**
+     * Switch between the listings editor, the applications inbox and review moderation
+     * @param {string} panel - 'listings', 'inbox' or 'reviews'
+     */
+    showPanel(panel) {
+        this.activePanel = panel;
+        this.elements.listingsPanel.classList.toggle('d-none', panel !== 'listings');
+        this.elements.inboxPanel.classList.toggle('d-none', panel !== 'inbox');
+        this.elements.reviewsPanel.classList.toggle('d-none', panel !== 'reviews');
+        this.renderTabs();
+    },
+
+    /**
+     * Run a toolbar, list or editor button action
+     * @param {DOMStringMap} data - The button's data attributes
+     */
+    handleAction({ action, index, path, panel }) {
+        const position = Number(index);
+        
+        switch (action) {
+            case 'new':
+                this.editRecord(-1);
+                break;
+            case 'edit':
+                this.editRecord(position);
+                break;
+            case 'move-up':
+                this.moveRecord(position, -1);
+                break;
+            case 'move-down':
+                this.moveRecord(position, 1);
+                break;
+            case 'mark-sold':
+                this.markSold(position);
+                break;
+            case 'delete':
+                this.deleteRecord(position);
+                break;
+            case 'cancel-edit':
+                this.closeEditor();
+                break;
+            case 'toggle-image':
+                this.toggleImage(path);
+                break;
+            case 'cover-image':
+                this.setCoverImage(path);
+                break;
+            case 'save':
+                this.save();
+                break;
+            case 'export':
+                this.exportCatalog();
+                break;
+            case 'discard':
+                this.discardDraft();
+                break;
+            case 'lock':
+                this.lock();
+                break;
+            case 'show-panel':
+                this.showPanel(panel);
+                break;
+        }
+    },
+
+    /**
+     * Render the action buttons and storage status
+     */
+    renderToolbar() {
+        const adapter = APP_CONFIG.admin.storage.adapter;
+        const invalidCount = CatalogManager.validate(this.records).invalid.length;
+        const pending = this.getPendingUploads();
+        
+        Html.render(this.elements.toolbar, Html.safe`
+            <div class="d-flex flex-wrap gap-2 align-items-center mb-2">
+                <button type="button" class="btn btn-primary" data-action="new">
+                    <i class="fas fa-plus me-2"></i>New puppy
+                </button>
+                <button type="button" class="btn btn-success" data-action="save" ${this.hasUnsavedChanges ? '' : 'disabled'}>
+                    <i class="fas fa-save me-2"></i>Save
+                </button>
+                <button type="button" class="btn btn-outline-secondary" data-action="export">
+                    <i class="fas fa-file-export me-2"></i>Export JSON
+                </button>
+                <label class="btn btn-outline-secondary mb-0">
+                    <i class="fas fa-file-import me-2"></i>Import JSON
+                    <input type="file" class="d-none" id="admin-import" accept="application/json,.json">
+                </label>
+                ${CatalogStore.canDiscard() && this.source === 'saved' ? Html.safe`
+                <button type="button" class="btn btn-outline-danger" data-action="discard">
+                    <i class="fas fa-undo me-2"></i>Discard draft
+                </button>` : ''}
+            </div>
+            <p class="small text-muted mb-3">
+                <i class="fas fa-database me-1"></i>Saving to ${this.storageLabels[adapter] || adapter} •
+                editing the ${this.source === 'saved' ? 'saved' : 'published'} catalog
+                ${this.hasUnsavedChanges ? Html.safe`<span class="badge bg-warning text-dark ms-2">Unsaved changes</span>` : ''}
+                ${invalidCount > 0 ? Html.safe`<span class="badge bg-danger ms-2">${invalidCount} listing(s) need fixing</span>` : ''}
+            </p>
+            ${pending.length > 0 ? Html.safe`
+            <div class="alert alert-info small">
+                <i class="fas fa-folder-open me-2"></i>Copy these uploaded photos into the site before publishing:
+                <ul class="mb-0 mt-1">
+                    ${pending.map(path => Html.safe`<li><code>${path.replace(/^\.\//, '')}</code></li>`)}
+                </ul>
+            </div>` : ''}
+        `);
+    },
+
+    /**
+     * Show a dismissible message above the active panel
+     * @param {string} type - Bootstrap alert type
+     * @param {string|Object} message - Message text or HTML fragment
+     */
+    showMessage(type, message) {
+        Html.render(this.elements.messages, Html.safe`
+            <div class="alert alert-${type} alert-dismissible fade show" role="alert">
+                ${message}
+                <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+            </div>
+        `);
+    },
+
+    /**
+     * Render the listing rows in catalog order, flagging invalid records
+     */
+    renderList() {
+        const errorsByIndex = new Map(CatalogManager.validate(this.records).invalid
+            .map(item => [item.index, item.errors]));
+        
+        this.elements.count.textContent = this.records.length;
+        Html.render(this.elements.list, this.records.length === 0 ? Html.safe`
+            <div class="list-group-item text-muted text-center py-4">No listings yet. Add your first puppy.</div>
+        ` : this.records.map((record, index) => this.generateListRow(record, index, errorsByIndex.get(index))));
+    },
+
+    /**
+     * Generate one listing row with its reorder, edit, sold and delete buttons
+     * @param {Object} record - Catalog record
+     * @param {number} index - Position in the catalog
+     * @param {Array<string>} errors - Validation errors, if any
+     * @returns {Object} Row HTML fragment
+     */
+    generateListRow(record, index, errors) {
+        const puppy = record && typeof record === 'object' ? record : {};
+        const status = Utils.getPuppyStatus(puppy);
+        const cover = Utils.getPuppyImages(puppy)[0];
+        const name = puppy.name || 'Untitled';
+        
+        return Html.safe`
+            <div class="list-group-item d-flex align-items-center gap-3 ${index === this.selectedIndex ? 'list-group-item-primary' : ''}">
+                <img src="${cover ? this.resolveImage(cover) : APP_CONFIG.images.placeholder}" class="rounded admin-thumb" alt=""
+                     loading="lazy" onerror="this.onerror = null; this.src = '${APP_CONFIG.images.placeholder}'">
+                <div class="flex-grow-1 text-truncate">
+                    <div class="fw-semibold text-truncate">${name} <small class="text-muted">${puppy.id || ''}</small></div>
+                    <div class="small text-muted">
+                        ${puppy.breed || '—'} •
+                        ${typeof puppy.price === 'number' ? Utils.formatPrice(puppy.price, { convert: false }) : '—'} •
+                        ${Utils.getStatusLabel(status)}
+                    </div>
+                    ${errors ? Html.safe`
+                    <div class="small text-danger text-wrap"><i class="fas fa-exclamation-triangle me-1"></i>${errors.join(', ')}</div>` : ''}
+                </div>
+                <div class="btn-group btn-group-sm flex-shrink-0" role="group" aria-label="Actions for ${name}">
+                    <button type="button" class="btn btn-outline-secondary" data-action="move-up" data-index="${index}"
+                            title="Move up" aria-label="Move ${name} up" ${index === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button type="button" class="btn btn-outline-secondary" data-action="move-down" data-index="${index}"
+                            title="Move down" aria-label="Move ${name} down" ${index === this.records.length - 1 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                    <button type="button" class="btn btn-outline-primary" data-action="edit" data-index="${index}"
+                            title="Edit" aria-label="Edit ${name}">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button type="button" class="btn btn-outline-success" data-action="mark-sold" data-index="${index}"
+                            title="Mark sold" aria-label="Mark ${name} sold" ${status === 'sold' ? 'disabled' : ''}>
+                        <i class="fas fa-check-circle"></i>
+                    </button>
+                    <button type="button" class="btn btn-outline-danger" data-action="delete" data-index="${index}"
+                            title="Delete" aria-label="Delete ${name}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Record a catalog change and refresh the list and toolbar
+     */
+    markChanged() {
+        this.hasUnsavedChanges = true;
+        this.renderToolbar();
+        this.renderList();
+    },
+
+    /**
+     * Swap a listing with its neighbour
+     * @param {number} index - Listing position
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveRecord(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.records.length) return;
+        
+        [this.records[index], this.records[target]] = [this.records[target], this.records[index]];
+        
+        if (this.selectedIndex === index) {
+            this.selectedIndex = target;
+        } else if (this.selectedIndex === target) {
+            this.selectedIndex = index;
+        }
+        
+        this.markChanged();
+    },
+
+    /**
+     * Mark a listing sold
+     * @param {number} index - Listing position
+     */
+    markSold(index) {
+        const record = this.records[index];
+        if (!record || typeof record !== 'object') return;
+        
+        this.records[index] = { ...record, status: 'sold' };
+        
+        // Keep the open editor in step without dropping its other edits
+        const form = document.getElementById('admin-editor-form');
+        if (this.selectedIndex === index && form) {
+            form.elements.status.value = 'sold';
+            this.updatePreview();
+        }
+        
+        this.markChanged();
+        this.showMessage('success', `${record.name} marked sold. Save to publish the change.`);
+    },
+
+    /**
+     * Delete a listing after confirmation
+     * @param {number} index - Listing position
+     */
+    deleteRecord(index) {
+        const record = this.records[index];
+        const name = (record && record.name) || 'this listing';
+        
+        if (!window.confirm(`Delete ${name}? The listing is removed from the catalog when you save.`)) return;
+        
+        this.records.splice(index, 1);
+        
+        if (this.selectedIndex === index) {
+            this.closeEditor(true);
+        } else if (this.selectedIndex > index) {
+            this.selectedIndex--;
+        }
+        
+        this.markChanged();
+        this.showMessage('success', `${name} deleted. Save to publish the change.`);
+    },
+
+    /**
+     * Check whether the open editor can be replaced
+     * @returns {boolean} True when there are no edits to lose, or the breeder confirms
+     */
+    confirmLeaveEditor() {
+        return !this.editorDirty || window.confirm('Discard the changes in the editor?');
+    },
+
+    /**
+     * Close the editor
+     * @param {boolean} force - Skip the unsaved-edits confirmation
+     */
+    closeEditor(force = false) {
+        if (!force && !this.confirmLeaveEditor()) return;
+        
+        this.selectedIndex = null;
+        this.editorImages = [];
+        this.editorDirty = false;
+        this.renderEditorPlaceholder();
+        this.renderList();
+    },
+
+    /**
+     * Render the empty editor prompt
+     */
+    renderEditorPlaceholder() {
+        Html.render(this.elements.editor, Html.safe`
+            <div class="card shadow-sm border-0 p-5 text-center text-muted">
+                <i class="fas fa-dog fa-3x mb-3"></i>
+                <p class="mb-0">Select a listing to edit it, or add a new puppy.</p>
+            </div>
+        `);
+    },
+
+    /**
+     * Open a listing, or a blank one, in the editor
+     * @param {number} index - Listing position, -1 for a new listing
+     */
+    editRecord(index) {
+        if (index === this.selectedIndex || !this.confirmLeaveEditor()) return;
+        
+        const record = index >= 0 ? this.records[index] : null;
+        this.selectedIndex = index;
+        this.editorImages = record ? [...Utils.getPuppyImages(record)] : [];
+        this.editorDirty = false;
+        this.imageFolder = this.getFolderForBreed(record && record.breed);
+        
+        this.renderEditor(record);
+        this.renderList();
+        this.elements.editor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
+
+    /**
+     * Get the known breeds: configured folders plus any in the catalog
+     * @returns {Array<string>} Breed names
+     */
+    getBreeds() {
+        const breeds = new Set(Object.keys(APP_CONFIG.admin.imageFolders));
+        this.records.forEach(record => {
+            if (record && record.breed) breeds.add(record.breed);
+        });
+        return Array.from(breeds).sort();
+    },
+
+    /**
+     * Get the photo folders: configured ones plus any in the image index
+     * @returns {Array<string>} Folder names
+     */
+    getFolders() {
+        return Array.from(new Set([...Object.values(APP_CONFIG.admin.imageFolders), ...Object.keys(this.imageIndex)]));
+    },
+
+    /**
+     * Pick the photo folder for a breed, keeping the current one for unknown breeds
+     * @param {string} breed - Breed name
+     * @returns {string} Folder name
+     */
+    getFolderForBreed(breed) {
+        return APP_CONFIG.admin.imageFolders[breed] || this.imageFolder || this.getFolders()[0];
+    },
+
+    /**
+     * Render the edit form and card preview for a listing
+     * @param {Object|null} record - Listing, or null for a new one
+     */
+    renderEditor(record) {
+        const isNew = !record;
+        const values = isNew ? { status: 'available', gender: APP_CONFIG.catalog.genders[0] } : { ...record };
+        const parents = PedigreeManager.parents;
+        
+        if (isNew) {
+            this.suggestedId = CatalogStore.suggestId('', this.records);
+            values.id = this.suggestedId;
+        }
+        
+        // IDs missing from parents.json stay selectable so editing doesn't drop them
+        const parentOptions = (sex, currentId) => [
+            ...(currentId && !parents.some(parent => parent.id === currentId) ?
+                [Html.safe`<option value="${currentId}">${currentId} (not in parents.json)</option>`] : []),
+            ...parents
+                .filter(parent => parent.sex === sex)
+                .map(parent => Html.safe`<option value="${parent.id}">${parent.name} (${parent.breed})</option>`)
+        ];
+        
+        Html.render(this.elements.editor, Html.safe`
+            <div class="card shadow-sm border-0 mb-4">
+                <div class="card-header bg-white d-flex justify-content-between align-items-center">
+                    <h2 class="h5 mb-0">${isNew ? 'New puppy' : `Edit ${record.name || record.id || 'listing'}`}</h2>
+                    <button type="button" class="btn-close" data-action="cancel-edit" aria-label="Close editor"></button>
+                </div>
+                <div class="card-body">
+                    <div id="admin-editor-errors"></div>
+                    <form id="admin-editor-form" novalidate>
+                        <div class="row g-3">
+                            <div class="col-md-6">
+                                <label for="admin-name" class="form-label">Name</label>
+                                <input type="text" class="form-control" id="admin-name" name="name" required>
+                            </div>
+                            <div class="col-md-6">
+                                <label for="admin-id" class="form-label">Listing ID</label>
+                                <input type="text" class="form-control" id="admin-id" name="id" required ${isNew ? '' : 'readonly'}>
+                                <div class="form-text">${isNew ? 'Lowercase letters, numbers and dashes.' : 'Used in links and favorites, so it can\'t change.'}</div>
+                            </div>
+                            <div class="col-md-6">
+                                <label for="admin-breed" class="form-label">Breed</label>
+                                <input type="text" class="form-control" id="admin-breed" name="breed" list="admin-breed-options" required>
+                                <datalist id="admin-breed-options">
+                                    ${this.getBreeds().map(breed => Html.safe`<option value="${breed}"></option>`)}
+                                </datalist>
+                            </div>
+                            <div class="col-md-3">
+                                <label for="admin-gender" class="form-label">Gender</label>
+                                <select class="form-select" id="admin-gender" name="gender">
+                                    ${APP_CONFIG.catalog.genders.map(gender => Html.safe`<option value="${gender}">${Utils.formatGender(gender)}</option>`)}
+                                </select>
+                            </div>
+                            <div class="col-md-3">
+                                <label for="admin-status" class="form-label">Status</label>
+                                <select class="form-select" id="admin-status" name="status">
+                                    ${Object.keys(APP_CONFIG.statuses).map(status => Html.safe`<option value="${status}">${Utils.getStatusLabel(status)}</option>`)}
+                                </select>
+                            </div>
+                            <div class="col-md-6">
+                                <label for="admin-birth-date" class="form-label">Birth date</label>
+                                <input type="date" class="form-control" id="admin-birth-date" name="birthDate">
+                            </div>
+                            <div class="col-md-6">
+                                <label for="admin-price" class="form-label">Price (${APP_CONFIG.currency.base})</label>
+                                <input type="number" class="form-control" id="admin-price" name="price" min="0" step="50" required>
+                            </div>
+                            <div class="col-md-6">
+                                <label for="admin-sire" class="form-label">Sire</label>
+                                <select class="form-select" id="admin-sire" name="sireId">
+                                    <option value="">Not listed</option>
+                                    ${parentOptions('Male', values.sireId)}
+                                </select>
+                            </div>
+                            <div class="col-md-6">
+                                <label for="admin-dam" class="form-label">Dam</label>
+                                <select class="form-select" id="admin-dam" name="damId">
+                                    <option value="">Not listed</option>
+                                    ${parentOptions('Female', values.damId)}
+                                </select>
+                            </div>
+                            <div class="col-12">
+                                <label for="admin-description" class="form-label">Description</label>
+                                <textarea class="form-control" id="admin-description" name="description" rows="3"></textarea>
+                            </div>
+                            <div class="col-12" id="admin-photos"></div>
+                        </div>
+                        <div class="d-flex gap-2 mt-4">
+                            <button type="submit" class="btn btn-primary">
+                                <i class="fas fa-check me-2"></i>${isNew ? 'Add listing' : 'Apply changes'}
+                            </button>
+                            <button type="button" class="btn btn-outline-secondary" data-action="cancel-edit">Cancel</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+            <div class="card shadow-sm border-0">
+                <div class="card-header bg-white">
+                    <h2 class="h5 mb-0">Card preview</h2>
+                </div>
+                <div class="card-body bg-light">
+                    <!-- Inert so the preview's favorite, compare and adopt controls do nothing -->
+                    <div class="row justify-content-center" id="admin-preview" inert></div>
+                </div>
+            </div>
+        `);
+        
+        const form = document.getElementById('admin-editor-form');
+        Utils.setFormValues(form, {
+            id: values.id || '',
+            name: values.name || '',
+            breed: values.breed || '',
+            gender: values.gender || '',
+            status: Utils.getPuppyStatus(values),
+            birthDate: values.birthDate || '',
+            price: typeof values.price === 'number' ? String(values.price) : '',
+            sireId: values.sireId || '',
+            damId: values.damId || '',
+            description: values.description || ''
+        });
+        
+        const refreshPreview = Utils.debounce(() => this.updatePreview(), APP_CONFIG.search.debounceWait);
+        form.addEventListener('input', event => {
+            this.editorDirty = true;
+            if (event.target.name === 'breed') this.handleBreedChange(event.target.value);
+            refreshPreview();
+        });
+        form.addEventListener('change', () => {
+            this.editorDirty = true;
+            refreshPreview();
+        });
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.applyEditor();
+        });
+        
+        this.renderPhotos();
+        this.updatePreview();
+    },
+
+    /**
+     * Follow a breed change: switch the photo folder and, for new listings, the suggested ID
+     * @param {string} breed - Entered breed
+     */
+    handleBreedChange(breed) {
+        const folder = APP_CONFIG.admin.imageFolders[breed];
+        if (folder && folder !== this.imageFolder) {
+            this.selectFolder(folder);
+        }
+        
+        const idField = document.getElementById('admin-id');
+        if (this.selectedIndex === -1 && idField && idField.value === this.suggestedId) {
+            this.suggestedId = CatalogStore.suggestId(breed, this.records);
+            idField.value = this.suggestedId;
+        }
+    },
+
+    /**
+     * Render the chosen photos and the breed folder picker
+     */
+    renderPhotos() {
+        const container = document.getElementById('admin-photos');
+        if (!container) return;
+        
+        Html.render(container, Html.safe`
+            <label class="form-label">Photos</label>
+            <div class="d-flex flex-wrap gap-2 mb-3">
+                ${this.editorImages.length === 0 ? Html.safe`
+                <p class="text-muted small mb-0">No photos yet. Pick some from a breed folder or upload new ones.</p>` : ''}
+                ${this.editorImages.map((path, index) => Html.safe`
+                <div class="position-relative">
+                    <img src="${this.resolveImage(path)}" class="rounded admin-photo" alt="" title="${path}"
+                         onerror="this.onerror = null; this.src = '${APP_CONFIG.images.placeholder}'">
+                    ${index === 0 ? Html.safe`
+                    <span class="badge bg-primary position-absolute bottom-0 start-0 m-1">Cover</span>` : Html.safe`
+                    <button type="button" class="btn btn-light btn-sm position-absolute bottom-0 start-0 m-1 py-0"
+                            data-action="cover-image" data-path="${path}">Make cover</button>`}
+                    <button type="button" class="btn btn-danger btn-sm position-absolute top-0 end-0 m-1 py-0"
+                            data-action="toggle-image" data-path="${path}" aria-label="Remove photo">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>`)}
+            </div>
+            <div class="row g-2 mb-2">
+                <div class="col-sm-6">
+                    <label for="admin-image-folder" class="form-label small">Breed folder</label>
+                    <select class="form-select form-select-sm" id="admin-image-folder">
+                        ${this.getFolders().map(folder => Html.safe`
+                        <option value="${folder}" ${folder === this.imageFolder ? 'selected' : ''}>${folder}</option>`)}
+                    </select>
+                </div>
+                <div class="col-sm-6">
+                    <label for="admin-image-upload" class="form-label small">Upload to this folder</label>
+                    <input type="file" class="form-control form-control-sm" id="admin-image-upload" accept="image/*" multiple>
+                </div>
+            </div>
+            <div class="admin-image-picker d-flex flex-wrap gap-2 border rounded p-2 bg-light" id="admin-image-picker"></div>
+        `);
+        
+        this.renderPicker();
+    },
+
+    /**
+     * Render the selected folder's photos as toggle buttons
+     */
+    renderPicker() {
+        const picker = document.getElementById('admin-image-picker');
+        if (!picker) return;
+        
+        const images = this.imageIndex[this.imageFolder] || [];
+        
+        Html.render(picker, images.length === 0 ? Html.safe`
+            <p class="text-muted small mb-0">
+                No photos listed for ${this.imageFolder}/. Upload one, or run <code>node scripts/build-image-index.js</code>
+                after adding photos to the folder.
+            </p>
+        ` : images.map(path => {
+            const selected = this.editorImages.includes(path);
+            return Html.safe`
+                <button type="button" class="btn p-0 admin-pick ${selected ? 'selected' : ''}" data-action="toggle-image"
+                        data-path="${path}" aria-pressed="${selected}" title="${path.split('/').pop()}">
+                    <img src="${this.resolveImage(path)}" class="rounded" alt="" loading="lazy">
+                </button>
+            `;
+        }));
+    },
+
+    /**
+     * Show another breed folder in the picker
+     * @param {string} folder - Folder name
+     */
+    selectFolder(folder) {
+        this.imageFolder = folder;
+        
+        const select = document.getElementById('admin-image-folder');
+        if (select) select.value = folder;
+        
+        this.renderPicker();
+    },
+
+    /**
+     * Add a photo to the listing, or remove it if already chosen
+     * @param {string} path - Image path
+     */
+    toggleImage(path) {
+        const index = this.editorImages.indexOf(path);
+        
+        if (index >= 0) {
+            this.editorImages.splice(index, 1);
+        } else {
+            this.editorImages.push(path);
+        }
+        
+        this.editorDirty = true;
+        this.renderPhotos();
+        this.updatePreview();
+    },
+
+    /**
+     * Make a chosen photo the listing's cover (first) photo
+     * @param {string} path - Image path
+     */
+    setCoverImage(path) {
+        this.editorImages = [path, ...this.editorImages.filter(image => image !== path)];
+        this.editorDirty = true;
+        this.renderPhotos();
+        this.updatePreview();
+    },
+
+    /**
+     * Upload photos into the selected folder and add them to the listing
+     * @param {HTMLInputElement} input - File input
+     */
+    async uploadImages(input) {
+        const files = Array.from(input.files || []);
+        const folder = this.imageFolder;
+        const failed = [];
+        
+        for (const file of files) {
+            if (!file.type.startsWith('image/')) {
+                failed.push(`${file.name} is not an image`);
+                continue;
+            }
+            
+            try {
+                const { path, uploaded } = await CatalogStore.upload(file, folder);
+                
+                if (!uploaded) {
+                    this.pendingUploads[path] = URL.createObjectURL(file);
+                }
+                
+                this.imageIndex[folder] = this.imageIndex[folder] || [];
+                if (!this.imageIndex[folder].includes(path)) this.imageIndex[folder].push(path);
+                if (!this.editorImages.includes(path)) this.editorImages.push(path);
+            } catch (error) {
+                console.error('❌ Photo upload failed:', file.name, error);
+                failed.push(`${file.name}: ${error.message}`);
+            }
+        }
+        
+        input.value = '';
+        this.editorDirty = true;
+        this.renderPhotos();
+        this.renderErrors(failed);
+        this.renderToolbar();
+        this.updatePreview();
+    },
+
+    /**
+     * Get a displayable URL for an image, using the local copy of photos not yet in their folder
+     * @param {string} path - Image path as written in the catalog
+     * @returns {string} Image URL
+     */
+    resolveImage(path) {
+        return this.pendingUploads[path] || path;
+    },
+
+    /**
+     * Get uploaded photos that still need copying into the site and are used by a listing
+     * @returns {Array<string>} Image paths
+     */
+    getPendingUploads() {
+        const used = new Set(this.records.flatMap(record =>
+            record && typeof record === 'object' ? Utils.getPuppyImages(record) : []));
+        this.editorImages.forEach(path => used.add(path));
+        
+        return Object.keys(this.pendingUploads).filter(path => used.has(path));
+    },
+
+    /**
+     * Build a catalog record from the edit form, keeping fields the form doesn't cover (e.g. health)
+     * @returns {Object} Catalog record
+     */
+    readEditorForm() {
+        const form = document.getElementById('admin-editor-form');
+        const values = Utils.getFormValues(form);
+        const existing = this.selectedIndex >= 0 ? this.records[this.selectedIndex] : null;
+        
+        // New listings get the same key order as data/puppies.json
+        const record = existing ? { ...existing } : {
+            id: '', name: '', breed: '', birthDate: '', gender: '', sireId: '', damId: '',
+            status: '', price: 0, description: '', image: '', images: []
+        };
+        
+        Object.assign(record, {
+            id: values.id.trim(),
+            name: values.name.trim(),
+            breed: values.breed.trim(),
+            gender: values.gender,
+            status: values.status,
+            price: values.price.trim() === '' ? NaN : Number(values.price),
+            description: values.description.trim()
+        });
+        
+        ['birthDate', 'sireId', 'damId'].forEach(field => {
+            if (values[field]) {
+                record[field] = values[field];
+            } else {
+                delete record[field];
+            }
+        });
+        
+        record.image = this.editorImages[0];
+        record.images = [...this.editorImages];
+        if (!record.image) delete record.image;
+        if (this.editorImages.length < 2) delete record.images;
+        
+        return record;
+    },
+
+    /**
+     * Validate an edited record against the catalog schema and the other listings
+     * @param {Object} record - Catalog record
+     * @returns {Array<string>} Error messages, empty when valid
+     */
+    validateEditorRecord(record) {
+        const errors = CatalogManager.validateRecord(record);
+        
+        if (record.id && !/^[a-z0-9-]+$/.test(record.id)) {
+            errors.push('ID may only use lowercase letters, numbers and dashes');
+        }
+        
+        if (this.records.some((other, index) => index !== this.selectedIndex && other && other.id === record.id)) {
+            errors.push(`another listing already uses the ID "${record.id}"`);
+        }
+        
+        if (!record.image) {
+            errors.push('add at least one photo');
+        }
+        
+        return errors;
+    },
+
+    /**
+     * Render editor errors above the form
+     * @param {Array<string>} errors - Error messages
+     */
+    renderErrors(errors) {
+        const container = document.getElementById('admin-editor-errors');
+        if (!container) return;
+        
+        Html.render(container, errors.length === 0 ? [] : Html.safe`
+            <div class="alert alert-danger">
+                <ul class="mb-0">
+                    ${errors.map(error => Html.safe`<li>${error}</li>`)}
+                </ul>
+            </div>
+        `);
+    },
+
+    /**
+     * Validate the edit form and write it into the catalog
+     */
+    applyEditor() {
+        const record = this.readEditorForm();
+        const errors = this.validateEditorRecord(record);
+        
+        this.renderErrors(errors);
+        if (errors.length > 0) return;
+        
+        const isNew = this.selectedIndex === -1;
+        
+        if (isNew) {
+            this.records.push(record);
+            this.selectedIndex = this.records.length - 1;
+        } else {
+            this.records[this.selectedIndex] = record;
+        }
+        
+        this.editorDirty = false;
+        this.renderEditor(record);
+        this.markChanged();
+        this.showMessage('success', `${record.name} ${isNew ? 'added' : 'updated'}. Save to publish the change.`);
     },
 
     /**
-     * Format price with currency symbol
-     * @param {number} price - Price to format
-     * @returns {string} Formatted price
+     * Render the edited listing with the Available page card renderer
      */
-    formatPrice(price) {
-        return `$${price.toFixed(2)}`;
-    }
-};
+    updatePreview() {
+        const container = document.getElementById('admin-preview');
+        if (!container) return;
+        
+        const record = this.readEditorForm();
+        const preview = {
+            ...record,
+            id: record.id || 'preview',
+            name: record.name || 'Puppy name',
+            price: isFinite(record.price) ? record.price : 0,
+            image: record.image ? this.resolveImage(record.image) : APP_CONFIG.images.placeholder,
+            images: record.images && record.images.map(path => this.resolveImage(path))
+        };
+        
+        try {
+            const card = AvailablePage.createPuppyCard(preview);
+            card.className = 'col-md-9 col-xl-7';
+            container.replaceChildren(card);
+        } catch (error) {
+            console.warn('⚠️ Card preview failed:', error);
+        }
+    },
 
-// Filtering Module
-const FilterManager = {
     /**
-     * Apply all active filters to puppies array
-     * @param {Array} puppies - Array of puppy objects
-     * @returns {Array} Filtered puppies array
+     * Check the whole catalog before it leaves the console
+     * @returns {boolean} True when every listing is valid
      */
-    applyFilters(puppies) {
-        const filters = this.getActiveFilters();
+    assertPublishable() {
+        const { invalid } = CatalogManager.validate(this.records);
         
-        return puppies.filter(puppy => {
-            return this.matchesBreedFilter(puppy, filters.breed) &&
-                   this.matchesAgeFilter(puppy, filters.age) &&
-                   this.matchesGenderFilter(puppy, filters.gender);
-        });
+        if (invalid.length > 0) {
+            this.showMessage('danger', `Fix the ${invalid.length} listing(s) marked in red first; the site would skip them.`);
+            return false;
+        }
+        return true;
     },
 
     /**
-     * Get current filter values from DOM
-     * @returns {Object} Filter values
+     * Save the catalog through the configured storage adapter
+     * @returns {Promise<Object|null>} Adapter result, or null when nothing was saved
      */
-    getActiveFilters() {
-        return {
-            breed: this.getFilterValue('breed-filter'),
-            age: this.getFilterValue('age-filter'),
-            gender: this.getFilterValue('gender-filter')
-        };
+    async save() {
+        if (!this.assertPublishable()) return null;
+        
+        const button = this.elements.toolbar.querySelector('[data-action="save"]');
+        button.disabled = true;
+        let result = null;
+        
+        try {
+            result = await CatalogStore.save(this.records);
+            this.hasUnsavedChanges = false;
+            this.source = 'saved';
+            this.showMessage('success', result.published ?
+                'Catalog saved and published.' :
+                'Draft saved in this browser. Export JSON and replace data/puppies.json with it to publish.');
+            console.log('💾 Catalog saved:', result);
+        } catch (error) {
+            // Cancelling the save-file dialog isn't a failure
+            if (error.name !== 'AbortError') {
+                console.error('❌ Catalog save failed:', error);
+                this.showMessage('danger', `Could not save the catalog: ${error.message}`);
+            }
+        }
+        
+        this.renderToolbar();
+        return result;
     },
 
     /**
-     * Get filter value from select element
-     * @param {string} elementId - Element ID
-     * @returns {string} Filter value
+     * Mark an available puppy reserved and save the catalog, e.g. after approving an application
+     * @param {string} puppyId - Puppy ID
+     * @returns {Promise<string|null>} 'published', 'draft', 'unsaved' when saving failed, or null if it wasn't available
      */
-    getFilterValue(elementId) {
-        const element = document.getElementById(elementId);
-        return element ? element.value : 'all';
+    async reservePuppy(puppyId) {
+        const index = this.records.findIndex(record => record && record.id === puppyId);
+        if (index === -1 || Utils.getPuppyStatus(this.records[index]) !== 'available') return null;
+        
+        this.records[index] = { ...this.records[index], status: 'reserved' };
+        
+        const form = document.getElementById('admin-editor-form');
+        if (this.selectedIndex === index && form) {
+            form.elements.status.value = 'reserved';
+            this.updatePreview();
+        }
+        
+        this.markChanged();
+        
+        const result = await this.save();
+        if (!result) return 'unsaved';
+        return result.published ? 'published' : 'draft';
     },
 
     /**
-     * Check if puppy matches breed filter
-     * @param {Object} puppy - Puppy object
-     * @param {string} breedFilter - Selected breed filter
-     * @returns {boolean} Match result
+     * Download the catalog as puppies.json
      */
-    matchesBreedFilter(puppy, breedFilter) {
-        return breedFilter === 'all' || puppy.breed === breedFilter;
+    exportCatalog() {
+        if (!this.assertPublishable()) return;
+        
+        CatalogStore.download(this.records);
+        this.showMessage('info', 'Downloaded puppies.json. Replace data/puppies.json with it to publish.');
     },
 
     /**
-     * Check if puppy matches age filter
-     * @param {Object} puppy - Puppy object
-     * @param {string} ageFilter - Selected age filter
-     * @returns {boolean} Match result
+     * Replace the working catalog with records from a JSON file
+     * @param {HTMLInputElement} input - File input
      */
-    matchesAgeFilter(puppy, ageFilter) {
-        if (ageFilter === 'all') return true;
+    async importFile(input) {
+        const file = input.files && input.files[0];
+        input.value = '';
+        if (!file) return;
         
-        const puppyAgeInWeeks = Utils.parseAgeToWeeks(puppy.age);
-        const ageRange = APP_CONFIG.ageRanges[ageFilter];
+        if ((this.hasUnsavedChanges || this.editorDirty) &&
+            !window.confirm('Replace your unsaved changes with the imported catalog?')) {
+            return;
+        }
         
-        if (!ageRange) return true;
+        try {
+            this.records = await CatalogStore.readFile(file);
+        } catch (error) {
+            this.showMessage('danger', error.message);
+            return;
+        }
         
-        return puppyAgeInWeeks >= ageRange.min && puppyAgeInWeeks <= ageRange.max;
+        this.closeEditor(true);
+        this.markChanged();
+        this.showMessage('info', `Imported ${this.records.length} listings from ${file.name}. Save to keep them.`);
     },
 
     /**
-     * Check if puppy matches gender filter
-     * @param {Object} puppy - Puppy object
-     * @param {string} genderFilter - Selected gender filter
-     * @returns {boolean} Match result
+     * Throw away the saved draft and reload the published catalog
      */
-    matchesGenderFilter(puppy, genderFilter) {
-        return genderFilter === 'all' || puppy.gender === genderFilter;
+    async discardDraft() {
+        if (!window.confirm('Discard the saved draft and go back to the published catalog?')) return;
+        
+        await CatalogStore.discard();
+        await this.open();
+        this.showMessage('info', 'Draft discarded. You are editing the published catalog.');
     }
 };
 
-// Pagination Module
-const PaginationManager = {
-    currentPage: 1,
-    
+// Application Inbox Module (admin console)
+const ApplicationInbox = {
+    applications: [],
+    filters: { status: 'all', puppyId: 'all', query: '' },
+    elements: {},
+
     /**
-     * Render pagination controls
-     * @param {Array} items - Array of items to paginate
-     * @param {HTMLElement} container - Pagination container element
-     * @param {Function} onPageChange - Callback for page changes
+     * Load stored applications; the listings editor works without them
      */
-    render(items, container, onPageChange) {
-        if (!container) return;
-        
-        container.innerHTML = '';
-        const pageCount = Math.ceil(items.length / APP_CONFIG.pagination.itemsPerPage);
-        
-        if (pageCount <= 1) return;
-        
-        const pagination = document.createElement('nav');
-        pagination.setAttribute('aria-label', 'Puppy pagination');
-        
-        const ul = document.createElement('ul');
-        ul.className = 'pagination justify-content-center';
-        
-        // Previous button
-        ul.appendChild(this.createPaginationItem(
-            '&laquo;', 
-            this.currentPage - 1, 
-            this.currentPage === 1, 
-            onPageChange,
-            'Previous'
-        ));
-        
-        // Page numbers
-        const startPage = Math.max(1, this.currentPage - 2);
-        const endPage = Math.min(pageCount, startPage + 4);
-        
-        for (let i = startPage; i <= endPage; i++) {
-            ul.appendChild(this.createPaginationItem(
-                i, 
-                i, 
-                false, 
-                onPageChange,
-                `Page ${i}`,
-                i === this.currentPage
-            ));
+    async load() {
+        if (!ApplicationStore.isEnabled()) {
+            this.applications = [];
+            return;
         }
         
-        // Next button
-        ul.appendChild(this.createPaginationItem(
-            '&raquo;', 
-            this.currentPage + 1, 
-            this.currentPage === pageCount, 
-            onPageChange,
-            'Next'
-        ));
-        
-        pagination.appendChild(ul);
-        container.appendChild(pagination);
+        try {
+            this.applications = (await ApplicationStore.list()).filter(application => application.type === 'order');
+        } catch (error) {
+            console.warn('⚠️ Applications unavailable:', error);
+            this.applications = [];
+        }
     },
 
     /**
-     * Create pagination item element
-     * @param {string} text - Display text
-     * @param {number} page - Page number
-     * @param {boolean} disabled - Whether item is disabled
-     * @param {Function} onPageChange - Click handler
-     * @param {string} ariaLabel - Accessibility label
-     * @param {boolean} active - Whether item is active
-     * @returns {HTMLElement} List item element
+     * Render the inbox into its admin console panel
+     * @param {HTMLElement} container - Panel element
      */
-    createPaginationItem(text, page, disabled, onPageChange, ariaLabel, active = false) {
-        const li = document.createElement('li');
-        li.className = `page-item ${disabled ? 'disabled' : ''} ${active ? 'active' : ''}`;
+    init(container) {
+        this.elements.container = container;
         
-        const a = document.createElement('a');
-        a.className = 'page-link';
-        a.href = '#';
-        a.innerHTML = text;
-        a.setAttribute('aria-label', ariaLabel);
-        
-        if (!disabled) {
-            a.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.currentPage = page;
-                onPageChange(page);
-            });
+        if (!ApplicationStore.isEnabled()) {
+            Html.render(container, AdminPage.generateStoreNotice('Applications'));
+            return;
         }
         
-        li.appendChild(a);
-        return li;
+        Html.render(container, Html.safe`
+            <div class="row g-2 mb-3">
+                <div class="col-md-4">
+                    <select class="form-select" id="inbox-status" aria-label="Filter by status"></select>
+                </div>
+                <div class="col-md-4">
+                    <select class="form-select" id="inbox-puppy" aria-label="Filter by puppy"></select>
+                </div>
+                <div class="col-md-4">
+                    <input type="search" class="form-control" id="inbox-search" placeholder="Search name, email or reference"
+                           aria-label="Search applications">
+                </div>
+            </div>
+            <div id="inbox-groups"></div>
+        `);
+        
+        this.elements.status = document.getElementById('inbox-status');
+        this.elements.puppy = document.getElementById('inbox-puppy');
+        this.elements.search = document.getElementById('inbox-search');
+        this.elements.groups = document.getElementById('inbox-groups');
+        this.elements.search.value = this.filters.query;
+        
+        this.elements.status.addEventListener('change', () => this.setFilter('status', this.elements.status.value));
+        this.elements.puppy.addEventListener('change', () => this.setFilter('puppyId', this.elements.puppy.value));
+        this.elements.search.addEventListener('input', Utils.debounce(() => {
+            this.setFilter('query', this.elements.search.value.trim());
+        }, APP_CONFIG.search.debounceWait));
+        this.elements.groups.addEventListener('submit', event => {
+            event.preventDefault();
+            this.handleForm(event.target);
+        });
+        
+        this.render();
     },
 
     /**
-     * Get items for current page
-     * @param {Array} items - All items
-     * @param {number} page - Page number
-     * @returns {Array} Items for the page
+     * Change one filter and re-render
+     * @param {string} name - Filter name
+     * @param {string} value - Filter value
      */
-    getItemsForPage(items, page = this.currentPage) {
-        const start = (page - 1) * APP_CONFIG.pagination.itemsPerPage;
-        const end = start + APP_CONFIG.pagination.itemsPerPage;
-        return items.slice(start, end);
+    setFilter(name, value) {
+        this.filters[name] = value;
+        this.render();
     },
 
     /**
-     * Reset to first page
+     * Count applications still waiting on a decision
+     * @returns {number} Open applications
      */
-    reset() {
-        this.currentPage = 1;
-    }
-};
+    getOpenCount() {
+        return this.applications.filter(application =>
+            APP_CONFIG.applications.openStatuses.includes(application.status)).length;
+    },
 
-// Available Puppies Page Module
-const AvailablePage = {
-    elements: {},
-    filteredPuppies: [],
-    
     /**
-     * Initialize the available puppies page
+     * Get applications matching the active filters
+     * @returns {Array<Object>} Applications
      */
-    init() {
-        this.cacheElements();
-        this.filteredPuppies = [...puppies];
-        this.bindEvents();
-        this.render();
+    getFilteredApplications() {
+        const { status, puppyId, query } = this.filters;
+        const needle = query.toLowerCase();
         
-        console.log('🐕 Available puppies page initialized');
+        return this.applications.filter(application => {
+            if (status !== 'all' && application.status !== status) return false;
+            if (puppyId !== 'all' && (!application.puppy || application.puppy.id !== puppyId)) return false;
+            if (!needle) return true;
+            
+            return [application.reference, ApplicationStore.getApplicantName(application), ApplicationStore.getApplicantEmail(application)]
+                .some(value => String(value).toLowerCase().includes(needle));
+        });
     },
 
     /**
-     * Cache DOM elements for performance
+     * Group applications by puppy, in catalog order with unlisted puppies last
+     * @param {Array<Object>} applications - Applications
+     * @returns {Array<Object>} Groups: { puppyId, puppy, record, applications }
      */
-    cacheElements() {
-        this.elements = {
-            puppyGrid: document.getElementById('puppy-grid'),
-            paginationContainer: document.getElementById('pagination-container'),
-            filterButton: document.getElementById('btn-filter'),
-            breedFilter: document.getElementById('breed-filter'),
-            ageFilter: document.getElementById('age-filter'),
-            genderFilter: document.getElementById('gender-filter')
+    groupByPuppy(applications) {
+        const groups = new Map();
+        
+        applications.forEach(application => {
+            const puppyId = application.puppy ? application.puppy.id : '';
+            if (!groups.has(puppyId)) {
+                groups.set(puppyId, {
+                    puppyId,
+                    puppy: application.puppy || { name: 'Unknown puppy' },
+                    record: AdminPage.records.find(record => record && record.id === puppyId) || null,
+                    applications: []
+                });
+            }
+            groups.get(puppyId).applications.push(application);
+        });
+        
+        const position = group => {
+            const index = AdminPage.records.indexOf(group.record);
+            return index === -1 ? Infinity : index;
         };
+        return Array.from(groups.values()).sort((a, b) => position(a) - position(b));
     },
 
     /**
-     * Bind event listeners
+     * Render the filter options and the grouped applications
      */
-    bindEvents() {
-        if (this.elements.filterButton) {
-            this.elements.filterButton.addEventListener('click', () => this.applyFilters());
-        }
+    render() {
+        const statuses = APP_CONFIG.applications.statuses;
+        const puppies = this.groupByPuppy(this.applications);
+        const countFor = status => this.applications.filter(application => application.status === status).length;
         
-        // Auto-filter on select change with debouncing
-        const autoFilter = Utils.debounce(() => this.applyFilters(), 300);
+        Html.render(this.elements.status, [
+            Html.safe`<option value="all">All statuses (${this.applications.length})</option>`,
+            ...Object.entries(statuses).map(([status, config]) => Html.safe`
+                <option value="${status}" ${status === this.filters.status ? 'selected' : ''}>${config.label} (${countFor(status)})</option>`)
+        ]);
+        Html.render(this.elements.puppy, [
+            Html.safe`<option value="all">All puppies</option>`,
+            ...puppies.map(group => Html.safe`
+                <option value="${group.puppyId}" ${group.puppyId === this.filters.puppyId ? 'selected' : ''}>
+                    ${group.puppy.name} (${group.applications.length})
+                </option>`)
+        ]);
         
-        [this.elements.breedFilter, this.elements.ageFilter, this.elements.genderFilter]
-            .forEach(element => {
-                if (element) {
-                    element.addEventListener('change', autoFilter);
-                }
-            });
+        this.renderGroups();
     },
 
     /**
-     * Apply filters and re-render
+     * Render the matching applications, keeping expanded ones open
      */
-    applyFilters() {
-        try {
-            this.filteredPuppies = FilterManager.applyFilters(puppies);
-            PaginationManager.reset();
-            this.render();
-            
-            console.log(`🔍 Filters applied: ${this.filteredPuppies.length} puppies match criteria`);
-        } catch (error) {
-            console.error('❌ Error applying filters:', error);
+    renderGroups() {
+        const open = new Set(Array.from(this.elements.groups.querySelectorAll('details[open]'))
+            .map(details => details.dataset.reference));
+        const groups = this.groupByPuppy(this.getFilteredApplications());
+        
+        if (groups.length === 0) {
+            Html.render(this.elements.groups, Html.safe`
+                <div class="card shadow-sm border-0 p-5 text-center text-muted">
+                    <i class="fas fa-inbox fa-3x mb-3"></i>
+                    <p class="mb-0">${this.applications.length === 0 ? 'No applications yet.' : 'No applications match these filters.'}</p>
+                </div>
+            `);
+            return;
         }
+        
+        Html.render(this.elements.groups, groups.map(group => Html.safe`
+            <div class="card shadow-sm border-0 mb-4">
+                <div class="card-header bg-white d-flex flex-wrap align-items-center gap-2">
+                    <h3 class="h6 mb-0">${group.puppy.name}</h3>
+                    <small class="text-muted">${group.puppy.breed || ''} ${group.puppyId ? `(${group.puppyId})` : ''}</small>
+                    ${group.record ? Utils.getStatusBadge(group.record) : Html.safe`<span class="badge bg-light text-dark">Not in catalog</span>`}
+                    <span class="badge bg-secondary ms-auto">${group.applications.length} application(s)</span>
+                </div>
+                <div class="list-group list-group-flush">
+                    ${group.applications.map(application => this.generateApplication(application, open.has(application.reference)))}
+                </div>
+            </div>
+        `));
     },
 
     /**
-     * Render the current page
-     */
-    render() {
-        this.renderPuppyGrid();
-        this.renderPagination();
-    },
-
-    /**
-     * Render puppy cards grid
+     * Generate one expandable application with its details, status, notes and messages
+     * @param {Object} application - Stored application
+     * @param {boolean} isOpen - Whether it starts expanded
+     * @returns {Object} Application HTML fragment
      */
-    renderPuppyGrid() {
-        if (!this.elements.puppyGrid) return;
-        
-        this.elements.puppyGrid.innerHTML = '';
-        
-        if (this.filteredPuppies.length === 0) {
-            this.renderNoResults();
-            return;
-        }
+    generateApplication(application, isOpen) {
+        const email = ApplicationStore.getApplicantEmail(application);
+        const pricing = application.pricing || {};
+        const statuses = APP_CONFIG.applications.statuses;
         
-        const paginatedPuppies = PaginationManager.getItemsForPage(this.filteredPuppies);
-        
-        paginatedPuppies.forEach(puppy => {
-            const card = this.createPuppyCard(puppy);
-            this.elements.puppyGrid.appendChild(card);
-        });
+        return Html.safe`
+            <details class="list-group-item" data-reference="${application.reference}" ${isOpen ? 'open' : ''}>
+                <summary class="d-flex flex-wrap align-items-center gap-2">
+                    <span class="fw-semibold">${ApplicationStore.getApplicantName(application)}</span>
+                    <span class="small text-muted">${email}</span>
+                    ${application.via === 'mailto' ? Html.safe`
+                    <span class="badge bg-light text-dark" title="Stored when the applicant's email draft opened; check your inbox for the email">
+                        <i class="fas fa-envelope me-1"></i>Email draft
+                    </span>` : ''}
+                    <span class="ms-auto">${ScreeningManager.getRiskBadge(application.screening)}</span>
+                    <span>${ApplicationStore.getStatusBadge(application.status)}</span>
+                    <small class="text-muted w-100">
+                        ${application.reference} • submitted ${Utils.formatDate(new Date(application.submittedAt))}
+                        ${typeof pricing.total === 'number' ? ` • total ${Utils.formatPrice(pricing.total, { convert: false })}` : ''}
+                        ${application.messages.length > 0 ? ` • ${application.messages.length} message(s) sent` : ''}
+                    </small>
+                </summary>
+                <div class="row g-4 pt-3">
+                    <div class="col-md-6">
+                        ${Object.entries(application.application || {}).map(([section, fields]) => Html.safe`
+                        <h4 class="h6 text-uppercase text-muted small mt-2">${this.formatSectionTitle(section)}</h4>
+                        <dl class="row small mb-2">
+                            ${Object.entries(fields).map(([name, value]) => Html.safe`
+                            <dt class="col-5 fw-normal text-muted">${this.formatFieldName(name)}</dt>
+                            <dd class="col-7 mb-1">${value === true ? 'Yes' : value === false ? 'No' : value || '—'}</dd>`)}
+                        </dl>`)}
+                        ${pricing.plan ? Html.safe`
+                        <p class="small mb-0">
+                            <strong>Payment plan:</strong> ${pricing.plan.label} •
+                            <strong>Deposit:</strong> ${Utils.formatPrice(pricing.deposit, { convert: false })}
+                        </p>` : ''}
+                        ${application.screening && application.screening.flags.length > 0 ? Html.safe`
+                        <div class="alert alert-danger small py-2 mt-2 mb-0">
+                            <strong><i class="fas fa-flag me-1"></i>Screening flags:</strong>
+                            ${application.screening.flags.map(flag => `${this.formatFieldName(flag.name)}: ${flag.value}`).join(', ')}
+                        </div>` : ''}
+                    </div>
+                    <div class="col-md-6">
+                        <form data-form="status" data-reference="${application.reference}" class="d-flex gap-2 mb-3">
+                            <select class="form-select form-select-sm" name="status" aria-label="Application status">
+                                ${Object.entries(statuses).map(([status, config]) => Html.safe`
+                                <option value="${status}" ${status === application.status ? 'selected' : ''}>${config.label}</option>`)}
+                            </select>
+                            <button type="submit" class="btn btn-sm btn-primary text-nowrap">Update status</button>
+                        </form>
+                        <ul class="list-unstyled small text-muted mb-3">
+                            ${application.history.map(entry => Html.safe`
+                            <li><i class="fas fa-history me-1"></i>${(statuses[entry.status] || {}).label || entry.status} • ${Utils.formatDate(new Date(entry.at))}</li>`)}
+                        </ul>
+                        ${this.generateThread('Private notes', application.notes, 'note', application.reference, 'Add note')}
+                        ${this.generateThread('Messages to applicant', application.messages, 'message', application.reference, 'Send message')}
+                    </div>
+                </div>
+            </details>
+        `;
     },
 
     /**
-     * Render no results message
+     * Generate a list of notes or messages with a form to add one
+     * @param {string} title - Heading
+     * @param {Array<Object>} entries - { text, at }
+     * @param {string} form - Form name handled by handleForm
+     * @param {string} reference - Application reference
+     * @param {string} buttonLabel - Submit button text
+     * @returns {Object} HTML fragment
      */
-    renderNoResults() {
-        const noResults = document.createElement('div');
-        noResults.className = 'col-12 text-center py-5';
-        noResults.innerHTML = `
-            <div class="card border-0 shadow-sm">
-                <div class="card-body p-5">
-                    <i class="fas fa-search fa-3x text-muted mb-3"></i>
-                    <h3>No Puppies Found</h3>
-                    <p class="text-muted">Try adjusting your filters to see more results.</p>
-                    <button class="btn btn-primary" onclick="location.reload()">Clear All Filters</button>
-                </div>
-            </div>
+    generateThread(title, entries, form, reference, buttonLabel) {
+        return Html.safe`
+            <h4 class="h6 small text-uppercase text-muted">${title}</h4>
+            ${entries.map(entry => Html.safe`
+            <div class="border-start border-3 ps-2 mb-2 small">
+                <div>${entry.text}</div>
+                <div class="text-muted">${Utils.formatDate(new Date(entry.at))}</div>
+            </div>`)}
+            <form data-form="${form}" data-reference="${reference}" class="mb-3">
+                <textarea class="form-control form-control-sm mb-2" name="text" rows="2" required aria-label="${title}"></textarea>
+                <button type="submit" class="btn btn-sm btn-outline-primary">${buttonLabel}</button>
+            </form>
         `;
-        this.elements.puppyGrid.appendChild(noResults);
     },
 
     /**
-     * Create puppy card element
-     * @param {Object} puppy - Puppy data
-     * @returns {HTMLElement} Card element
+     * Get an application form section's title from the order wizard
+     * @param {string} section - Wizard step key
+     * @returns {string} Section title
      */
-    createPuppyCard(puppy) {
-        const card = document.createElement('div');
-        card.className = 'col-lg-4 col-md-6 mb-4';
-        card.innerHTML = `
-            <div class="card puppy-card h-100 shadow-sm border-0">
-                <div class="position-relative">
-                    <img src="${puppy.image}" class="card-img-top" alt="${puppy.name}" 
-                         style="height: 250px; object-fit: cover;" 
-                         onerror="this.src='https://via.placeholder.com/300x250?text=Photo+Coming+Soon'">
-                    <div class="position-absolute top-0 end-0 m-2">
-                        <span class="badge bg-primary">${puppy.breed}</span>
-                    </div>
-                </div>
-                <div class="card-body d-flex flex-column">
-                    <h5 class="card-title">${puppy.name}</h5>
-                    <p class="card-text text-muted">
-                        <i class="fas fa-venus-mars me-1"></i>${puppy.gender} • 
-                        <i class="fas fa-birthday-cake me-1"></i>${puppy.age}
-                    </p>
-                    <p class="card-text flex-grow-1">${puppy.description}</p>
-                    <div class="mt-3">
-                        <div class="d-flex justify-content-between align-items-center mb-2">
-                            <strong>Price:</strong>
-                            <span class="h5 text-primary mb-0">${Utils.formatPrice(puppy.price)}</span>
-                        </div>
-                        <div class="d-flex justify-content-between align-items-center mb-3">
-                            <span><i class="fas fa-syringe me-1"></i>Vaccinations:</span>
-                            <span class="text-success">${puppy.vaccinations}</span>
-                        </div>
-                    </div>
-                    <a href="Orders.html?puppyId=${puppy.id}" class="btn btn-primary mt-auto">
-                        <i class="fas fa-heart me-2"></i>Adopt Me
-                    </a>
-                </div>
-            </div>
-        `;
-        return card;
+    formatSectionTitle(section) {
+        const step = OrderPage.wizardSteps.find(item => item.key === section);
+        return step ? step.title : this.formatFieldName(section);
     },
 
     /**
-     * Render pagination controls
+     * Turn a field name into a label, e.g. "homeOwnership" → "Home ownership"
+     * @param {string} name - Field name
+     * @returns {string} Label
      */
-    renderPagination() {
-        PaginationManager.render(
-            this.filteredPuppies, 
-            this.elements.paginationContainer, 
-            () => this.render()
-        );
-    }
-};
+    formatFieldName(name) {
+        const words = String(name).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    },
 
-// Order Page Module
-const OrderPage = {
-    selectedPuppy: null,
-    elements: {},
-    
     /**
-     * Initialize the order page
+     * Find a loaded application by reference
+     * @param {string} reference - Application reference
+     * @returns {Object|undefined} Application
      */
-    init() {
-        this.cacheElements();
-        this.loadPuppyData();
-        this.render();
-        
-        console.log('📋 Order page initialized');
+    findByReference(reference) {
+        return this.applications.find(application => application.reference === reference);
     },
 
     /**
-     * Cache DOM elements
+     * Replace loaded applications with updated copies
+     * @param {Array<Object>} updated - Updated applications
      */
-    cacheElements() {
-        this.elements = {
-            orderContent: document.getElementById('order-content')
-        };
+    replaceApplications(updated) {
+        updated.forEach(application => {
+            const index = this.applications.findIndex(item => item.reference === application.reference);
+            if (index !== -1) this.applications[index] = application;
+        });
     },
 
     /**
-     * Load puppy data from URL parameter
+     * Handle a status, note or message form
+     * @param {HTMLFormElement} form - Submitted form
      */
-    loadPuppyData() {
-        const puppyId = Utils.getUrlParam('puppyId');
-        this.selectedPuppy = puppies.find(p => p.id === puppyId);
+    async handleForm(form) {
+        const application = this.findByReference(form.dataset.reference);
+        if (!application) return;
         
-        if (!this.selectedPuppy) {
-            console.warn('⚠️ No puppy found for ID:', puppyId);
+        const values = Utils.getFormValues(form);
+        const button = form.querySelector('[type="submit"]');
+        button.disabled = true;
+        
+        try {
+            if (form.dataset.form === 'status') {
+                await this.changeStatus(application, values.status);
+            } else if (values.text.trim()) {
+                const updated = form.dataset.form === 'note' ?
+                    await ApplicationStore.addNote(application, values.text.trim()) :
+                    await ApplicationStore.addMessage(application, { text: values.text.trim() });
+                this.replaceApplications([updated]);
+            }
+        } catch (error) {
+            console.error('❌ Could not update application:', error);
+            AdminPage.showMessage('danger', `Could not update ${application.reference}: ${error.message}`);
         }
+        
+        button.disabled = false;
+        this.render();
+        AdminPage.renderTabs();
     },
 
     /**
-     * Render order page content
+     * Change an application's status; approving reserves the puppy and notifies the other applicants
+     * @param {Object} application - Stored application
+     * @param {string} status - New status key
      */
-    render() {
-        if (!this.elements.orderContent) return;
+    async changeStatus(application, status) {
+        if (status === application.status) return;
         
-        if (this.selectedPuppy) {
-            this.renderOrderForm();
-        } else {
-            this.renderNoPuppySelected();
+        const { reservingStatuses } = APP_CONFIG.applications;
+        const isReserving = reservingStatuses.includes(status) && !reservingStatuses.includes(application.status);
+        const name = ApplicationStore.getApplicantName(application);
+        const puppyName = application.puppy ? application.puppy.name : 'the puppy';
+        
+        if (isReserving) {
+            const others = ApplicationStore.getOpenApplications(this.applications, application.puppy && application.puppy.id)
+                .filter(other => other.reference !== application.reference);
+            const message = `Approve ${name} for ${puppyName}? ${puppyName} will be marked reserved` +
+                (others.length > 0 ? ` and ${others.length} other applicant(s) will be notified.` : '.');
+            if (!window.confirm(message)) return;
+        }
+        
+        const { application: updated, notified } = await ApplicationStore.setStatus(application, status, this.applications);
+        this.replaceApplications([updated, ...notified]);
+        
+        const label = APP_CONFIG.applications.statuses[status].label;
+        
+        if (!isReserving) {
+            AdminPage.showMessage('success', `${name} is now "${label}".`);
+            return;
         }
+        
+        const reserved = application.puppy ? await AdminPage.reservePuppy(application.puppy.id) : null;
+        const emails = notified.map(item => ApplicationStore.getApplicantEmail(item)).filter(Boolean);
+        
+        AdminPage.showMessage('success', Html.safe`
+            ${name} is now "${label}".
+            ${reserved === 'published' ? `${puppyName} is marked reserved.` : ''}
+            ${reserved === 'draft' ? `${puppyName} is marked reserved in the catalog draft; export it to publish.` : ''}
+            ${reserved === 'unsaved' ? `${puppyName} is marked reserved; save the catalog to publish it.` : ''}
+            ${notified.length > 0 ? Html.safe`
+            ${notified.length} other applicant(s) were sent a message.
+            <a href="${this.buildNotificationMailto(emails, puppyName)}" class="alert-link">Email them too</a>.` : ''}
+        `);
     },
 
     /**
-     * Render "no puppy selected" state
+     * Build a mailto: URL that BCCs applicants about a reserved puppy
+     * @param {Array<string>} emails - Applicant email addresses
+     * @param {string} puppyName - Reserved puppy's name
+     * @returns {string} mailto URL
      */
-    renderNoPuppySelected() {
-        this.elements.orderContent.innerHTML = `
-            <div class="col-12 text-center">
-                <div class="card p-5 shadow-sm border-0">
-                    <i class="fas fa-exclamation-triangle fa-3x text-warning mb-3"></i>
-                    <h2>No Puppy Selected</h2>
-                    <p class="text-muted">Please select a puppy from our available puppies page to begin the adoption process.</p>
-                    <div class="mt-4">
-                        <a href="Available.html" class="btn btn-primary btn-lg">
-                            <i class="fas fa-search me-2"></i>View Available Puppies
-                        </a>
-                    </div>
-                </div>
-            </div>
-        `;
-    },
+    buildNotificationMailto(emails, puppyName) {
+        const subject = `${puppyName} has been reserved`;
+        const body = [
+            'Hello,',
+            '',
+            `Thank you for applying for ${puppyName}. ${puppyName} has now been reserved by another family.`,
+            'We will keep your application on file and let you know about similar puppies and upcoming litters.',
+            '',
+            'Paws & Tails'
+        ].join('\n');
+        
+        return `mailto:?bcc=${encodeURIComponent(emails.join(','))}&subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    }
+};
+
+// Testimonial Moderation Module (admin console)
+const TestimonialModeration = {
+    submissions: [],
+    published: [],
+    elements: {},
 
     /**
-     * Render order form
+     * Load submitted reviews and the published feed; the console works without them
      */
-    renderOrderForm() {
-        const puppy = this.selectedPuppy;
+    async load() {
+        if (!ApplicationStore.isEnabled()) {
+            this.submissions = [];
+            return;
+        }
         
-        this.elements.orderContent.innerHTML = `
-            <div class="col-lg-7">
-                <div class="card shadow-sm border-0 mb-4">
-                    <div class="card-header bg-primary text-white">
-                        <h3 class="mb-0"><i class="fas fa-user me-2"></i>Your Information</h3>
-                    </div>
-                    <div class="card-body p-4">
-                        ${this.generateOrderForm(puppy)}
-                    </div>
-                </div>
-            </div>
-            <div class="col-lg-5">
-                ${this.generateOrderSummary(puppy)}
-            </div>
-        `;
+        try {
+            this.submissions = (await ApplicationStore.list()).filter(application => application.type === 'testimonial');
+        } catch (error) {
+            console.warn('⚠️ Testimonial submissions unavailable:', error);
+            this.submissions = [];
+        }
         
-        this.setupFormInteractions();
+        try {
+            this.published = await TestimonialManager.fetchPublished();
+        } catch (error) {
+            console.warn('⚠️ Published testimonials unavailable:', error);
+            this.published = [];
+        }
     },
 
     /**
-     * Generate order form HTML
-     * @param {Object} puppy - Selected puppy
-     * @returns {string} Form HTML
+     * Render the reviews into their admin console panel
+     * @param {HTMLElement} container - Panel element
      */
-    generateOrderForm(puppy) {
-        return `
-            <form id="adoptionForm" action="https://formspree.io/f/YOUR_FORM_ID" method="POST" novalidate>
-                <input type="hidden" name="puppy_name" value="${puppy.name}">
-                <input type="hidden" name="puppy_id" value="${puppy.id}">
-                <input type="hidden" name="puppy_price" value="${puppy.price}">
-                
-                <div class="mb-4">
-                    <h5 class="mb-3"><i class="fas fa-user me-2"></i>Personal Information</h5>
-                    <div class="row g-3">
-                        <div class="col-md-6">
-                            <label for="firstName" class="form-label">First Name *</label>
-                            <input type="text" class="form-control" name="firstName" id="firstName" required>
-                            <div class="invalid-feedback">Please provide your first name.</div>
-                        </div>
-                        <div class="col-md-6">
-                            <label for="lastName" class="form-label">Last Name *</label>
-                            <input type="text" class="form-control" name="lastName" id="lastName" required>
-                            <div class="invalid-feedback">Please provide your last name.</div>
-                        </div>
-                        <div class="col-md-6">
-                            <label for="email" class="form-label">Email *</label>
-                            <input type="email" class="form-control" name="email" id="email" required>
-                            <div class="invalid-feedback">Please provide a valid email address.</div>
-                        </div>
-                        <div class="col-md-6">
-                            <label for="phone" class="form-label">Phone Number *</label>
-                            <input type="tel" class="form-control" name="phone" id="phone" required>
-                            <div class="invalid-feedback">Please provide your phone number.</div>
-                        </div>
-                        <div class="col-12">
-                            <label for="address" class="form-label">Street Address *</label>
-                            <input type="text" class="form-control" name="address" id="address" required>
-                            <div class="invalid-feedback">Please provide your address.</div>
-                        </div>
-                    </div>
-                </div>
+    init(container) {
+        this.elements.container = container;
+        
+        if (!ApplicationStore.isEnabled()) {
+            Html.render(container, AdminPage.generateStoreNotice('Verified reviews'));
+            return;
+        }
+        
+        container.addEventListener('click', event => {
+            const button = event.target.closest('[data-review-action]');
+            if (!button || button.disabled) return;
+            
+            if (button.dataset.reviewAction === 'export') {
+                this.exportFeed();
+            } else {
+                this.moderate(button.dataset.reference, button.dataset.reviewAction);
+            }
+        });
+        
+        this.render();
+    },
 
-                <div class="mb-4">
-                    <h5 class="mb-3"><i class="fas fa-shipping-fast me-2"></i>Adoption Details</h5>
-                    <div class="row g-3">
-                        <div class="col-md-6">
-                            <label for="deliveryOption" class="form-label">Delivery Option *</label>
-                            <select class="form-select" name="deliveryOption" id="deliveryOption" required>
-                                <option value="">Select delivery option...</option>
-                                <option value="pickup">Local Pickup (${Utils.formatPrice(0)})</option>
-                                <option value="standard">Standard Shipping (${Utils.formatPrice(APP_CONFIG.shipping.standard)})</option>
-                                <option value="handDelivery">Hand Delivery (${Utils.formatPrice(APP_CONFIG.shipping.handDelivery)})</option>
-                            </select>
-                            <div class="invalid-feedback">Please select a delivery option.</div>
-                        </div>
-                        <div class="col-12">
-                            <label for="experience" class="form-label">Your Experience with Dogs *</label>
-                            <textarea class="form-control" name="experience" id="experience" rows="3" 
-                                      placeholder="Tell us about your experience with dogs..." required></textarea>
-                            <div class="invalid-feedback">Please describe your experience with dogs.</div>
-                        </div>
-                    </div>
-                </div>
-                
-                <div class="mb-4">
-                    <h5 class="mb-3"><i class="fas fa-credit-card me-2"></i>Payment Method</h5>
-                    <div class="alert alert-info">
-                        <i class="fas fa-info-circle me-2"></i>
-                        You will receive payment instructions via email after submitting your application.
-                    </div>
-                </div>
+    /**
+     * Count reviews still waiting on a decision
+     * @returns {number} Pending reviews
+     */
+    getPendingCount() {
+        return this.submissions.filter(submission =>
+            APP_CONFIG.applications.openStatuses.includes(submission.status)).length;
+    },
 
-                <div class="form-check mb-4">
-                    <input class="form-check-input" type="checkbox" id="termsCheck" required>
-                    <label class="form-check-label" for="termsCheck">
-                        I agree to the <a href="#" data-bs-toggle="modal" data-bs-target="#termsModal">Terms and Conditions</a> *
-                    </label>
-                    <div class="invalid-feedback">You must agree to the terms and conditions.</div>
-                </div>
+    /**
+     * Check whether an approved review is already in the published feed
+     * @param {Object} submission - Stored review
+     * @returns {boolean} True when published
+     */
+    isPublished(submission) {
+        return this.published.some(record => record && record.id === submission.testimonial.id);
+    },
 
-                <div class="d-grid">
-                    <button type="submit" class="btn btn-primary btn-lg">
-                        <i class="fas fa-paper-plane me-2"></i>Submit Application
-                    </button>
+    /**
+     * Render the review list, newest first
+     */
+    render() {
+        const submissions = [...this.submissions].sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+        const unpublished = this.submissions.filter(submission =>
+            submission.status === 'approved' && !this.isPublished(submission)).length;
+        
+        Html.render(this.elements.container, Html.safe`
+            <div class="d-flex flex-wrap align-items-center gap-2 mb-3">
+                <p class="text-muted small mb-0">
+                    Approved reviews go live once the exported testimonials.json replaces data/testimonials.json.
+                </p>
+                <button type="button" class="btn btn-sm btn-outline-primary ms-auto" data-review-action="export">
+                    <i class="fas fa-file-export me-2"></i>Export testimonials.json
+                    ${unpublished > 0 ? Html.safe` <span class="badge bg-primary">${unpublished} new</span>` : ''}
+                </button>
+            </div>
+            ${submissions.length === 0 ? Html.safe`
+            <div class="card shadow-sm border-0 p-5 text-center text-muted">
+                <i class="fas fa-comments fa-3x mb-3"></i>
+                <p class="mb-0">No reviews submitted yet.</p>
+            </div>` : Html.safe`
+            <div class="card shadow-sm border-0">
+                <div class="list-group list-group-flush">
+                    ${submissions.map(submission => this.generateSubmission(submission))}
                 </div>
-            </form>
-        `;
+            </div>`}
+        `);
     },
 
     /**
-     * Generate order summary HTML
-     * @param {Object} puppy - Selected puppy
-     * @returns {string} Summary HTML
+     * Generate one review with its approve and decline buttons
+     * @param {Object} submission - Stored review
+     * @returns {Object} Review HTML fragment
      */
-    generateOrderSummary(puppy) {
-        return `
-            <div class="card shadow-sm border-0 order-summary-card position-sticky" style="top: 20px;">
-                <img src="${puppy.image}" class="card-img-top" alt="${puppy.name}" 
-                     style="height: 250px; object-fit: cover;"
-                     onerror="this.src='https://via.placeholder.com/400x250?text=Photo+Coming+Soon'">
-                <div class="card-body p-4">
-                    <h3 class="card-title">${puppy.name}</h3>
-                    <p class="text-muted">
-                        <i class="fas fa-dog me-1"></i>${puppy.breed} • 
-                        <i class="fas fa-venus-mars me-1"></i>${puppy.gender} • 
-                        <i class="fas fa-birthday-cake me-1"></i>${puppy.age}
-                    </p>
-                    <hr>
-                    <div class="d-flex justify-content-between mb-2">
-                        <span>Puppy Price:</span>
-                        <span id="summaryPuppyPrice">${Utils.formatPrice(puppy.price)}</span>
-                    </div>
-                    <div class="d-flex justify-content-between mb-2">
-                        <span>Shipping:</span>
-                        <span id="summaryShipping">${Utils.formatPrice(0)}</span>
-                    </div>
-                    <hr>
-                    <div class="d-flex justify-content-between fw-bold h5">
-                        <span>Total:</span>
-                        <span id="summaryTotal">${Utils.formatPrice(puppy.price)}</span>
+    generateSubmission(submission) {
+        const testimonial = submission.testimonial;
+        const isPending = APP_CONFIG.applications.openStatuses.includes(submission.status);
+        let badge;
+        
+        switch (submission.status) {
+            case 'approved':
+                badge = this.isPublished(submission) ?
+                    Html.safe`<span class="badge bg-success">Published</span>` :
+                    Html.safe`<span class="badge bg-info text-dark">Approved, export to publish</span>`;
+                break;
+            
+            case 'declined':
+                badge = Html.safe`<span class="badge bg-secondary">Declined</span>`;
+                break;
+            
+            default:
+                badge = Html.safe`<span class="badge bg-primary">Pending</span>`;
+        }
+        
+        return Html.safe`
+            <div class="list-group-item py-3">
+                <div class="d-flex flex-wrap align-items-center gap-2 mb-2">
+                    ${TestimonialManager.generateStars(testimonial.rating)}
+                    <span class="fw-semibold">${testimonial.author}</span>
+                    <span class="small text-muted">${testimonial.location}</span>
+                    <span class="ms-auto">${badge}</span>
+                </div>
+                <p class="fst-italic mb-2">"${testimonial.text}"</p>
+                <div class="d-flex flex-wrap align-items-center gap-2">
+                    <small class="text-muted">
+                        ${testimonial.puppyName} (${testimonial.breed}) • order ${submission.orderReference} •
+                        ${ApplicationStore.getApplicantEmail(submission)} • submitted ${Utils.formatDate(new Date(submission.submittedAt))}
+                    </small>
+                    <div class="ms-auto d-flex gap-2">
+                        ${submission.status !== 'approved' ? Html.safe`
+                        <button type="button" class="btn btn-sm btn-success" data-review-action="approved" data-reference="${submission.reference}">
+                            <i class="fas fa-check me-1"></i>Approve
+                        </button>` : ''}
+                        ${isPending || submission.status === 'approved' ? Html.safe`
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-review-action="declined" data-reference="${submission.reference}">
+                            <i class="fas fa-times me-1"></i>Decline
+                        </button>` : ''}
                     </div>
                 </div>
             </div>
@@ -667,61 +9449,56 @@ const OrderPage = {
     },
 
     /**
-     * Setup form interactions and calculations
+     * Approve or decline a review
+     * @param {string} reference - Review reference
+     * @param {string} status - 'approved' or 'declined'
      */
-    setupFormInteractions() {
-        const deliveryOption = document.getElementById('deliveryOption');
-        const summaryShipping = document.getElementById('summaryShipping');
-        const summaryTotal = document.getElementById('summaryTotal');
-        const form = document.getElementById('adoptionForm');
+    async moderate(reference, status) {
+        const submission = this.submissions.find(item => item.reference === reference);
+        if (!submission || submission.status === status) return;
         
-        if (deliveryOption && summaryShipping && summaryTotal) {
-            deliveryOption.addEventListener('change', () => {
-                const shippingCost = this.getShippingCost(deliveryOption.value);
-                const total = this.selectedPuppy.price + shippingCost;
-                
-                summaryShipping.textContent = Utils.formatPrice(shippingCost);
-                summaryTotal.textContent = Utils.formatPrice(total);
-            });
+        try {
+            const { application: updated } = await ApplicationStore.setStatus(submission, status);
+            this.submissions[this.submissions.indexOf(submission)] = updated;
+            
+            AdminPage.showMessage('success', status === 'approved' ?
+                `${submission.testimonial.author}'s review is approved. Export testimonials.json to publish it.` :
+                `${submission.testimonial.author}'s review is declined${this.isPublished(submission) ?
+                    '. Export testimonials.json to take it off the site.' : '.'}`);
+        } catch (error) {
+            console.error('❌ Could not update review:', error);
+            AdminPage.showMessage('danger', `Could not update ${reference}: ${error.message}`);
         }
         
-        if (form) {
-            form.addEventListener('submit', (e) => this.handleFormSubmit(e));
-        }
+        this.render();
+        AdminPage.renderTabs();
     },
 
     /**
-     * Get shipping cost for delivery option
-     * @param {string} option - Delivery option
-     * @returns {number} Shipping cost
+     * Build the testimonials feed: published records, minus declined reviews,
+     * plus approved reviews not yet in it
+     * @returns {Array<Object>} Testimonial records
      */
-    getShippingCost(option) {
-        return APP_CONFIG.shipping[option] || 0;
+    getExportRecords() {
+        const declined = new Set(this.submissions
+            .filter(submission => submission.status === 'declined')
+            .map(submission => submission.testimonial.id));
+        const approved = this.submissions
+            .filter(submission => submission.status === 'approved' && !this.isPublished(submission))
+            .map(submission => submission.testimonial);
+        
+        return [...this.published.filter(record => !(record && declined.has(record.id))), ...approved];
     },
 
     /**
-     * Handle form submission
-     * @param {Event} e - Submit event
+     * Download the testimonials feed to replace data/testimonials.json
      */
-    handleFormSubmit(e) {
-        const form = e.target;
-        
-        if (!form.checkValidity()) {
-            e.preventDefault();
-            e.stopPropagation();
-            form.classList.add('was-validated');
-            
-            // Focus on first invalid field
-            const firstInvalid = form.querySelector(':invalid');
-            if (firstInvalid) {
-                firstInvalid.focus();
-            }
-            
-            return;
-        }
+    exportFeed() {
+        const records = this.getExportRecords();
+        CatalogStore.download(records, 'testimonials.json');
         
-        // Form is valid, you can add additional processing here
-        console.log('📨 Form submitted successfully');
+        AdminPage.showMessage('success', `Exported ${records.length} testimonials. Replace data/testimonials.json with the download to publish.`);
+        console.log(`💬 Testimonials exported: ${records.length}`);
     }
 };
 
@@ -730,17 +9507,40 @@ const PawsTailsApp = {
     /**
      * Initialize the application based on current page
      */
-    init() {
+    async init() {
         const pagePath = window.location.pathname.split("/").pop();
         
+        await I18n.load();
+        I18n.translatePage();
+        I18n.renderSwitcher();
+        
+        // After the messages load, so a rejected submission can be reported in the visitor's language
+        OfflineQueue.init();
+        
         try {
             switch (pagePath) {
                 case 'Available.html':
-                    AvailablePage.init();
+                    await AvailablePage.init();
+                    break;
+                    
+                case 'Puppy.html':
+                    await PuppyPage.init();
                     break;
                     
                 case 'Orders.html':
-                    OrderPage.init();
+                    await OrderPage.init();
+                    break;
+                    
+                case 'track.html':
+                    await TrackingPage.init();
+                    break;
+                    
+                case 'testimonials.html':
+                    await TestimonialsPage.init();
+                    break;
+                    
+                case 'admin.html':
+                    await AdminPage.init();
                     break;
                     
                 default:
@@ -759,5 +9559,5 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Export for testing purposes (if needed)
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { PawsTailsApp, Utils, FilterManager, PaginationManager };
+    module.exports = { PawsTailsApp, Html, I18n, Utils, CatalogManager, FilterManager, PaginationManager };
 }
\ No newline at end of file
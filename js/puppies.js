@@ -1,134 +0,0 @@
-const puppies = [
-    {
-        "id": "cc01",
-        "name": "Rocco",
-        "breed": "Cane Corso",
-        "age": "11 weeks",
-        "gender": "Male",
-        "price": 1500,
-        "description": "Playful and affectionate, Rocco has a very good temperament, good with kids and other pets too.",
-        "vaccinations": "Up to date",
-        "image": "./Corso/Business Suite_creation_855328826572794.jpeg"
-    },
-    {
-        "id": "cc02",
-        "name": "Kane",
-        "breed": "Cane Corso",
-        "age": "11 weeks",
-        "gender": "Male",
-        "price": 1500,
-        "description": "Sweet and gentle, Kane has a wonderful temperament and loves to play.",
-        "vaccinations": "Up to date",
-        "image": "./Corso/Business Suite_creation_848356240607671.jpeg"
-    },
-    {
-        "id": "cc03",
-        "name": "Jack",
-        "breed": "Cane Corso",
-        "age": "11 weeks",
-        "gender": "Male",
-        "price": 1500,
-        "description": "Playful and affectionate, Jack has a very good temperament, good with kids and other pets too. Amazing Silver color.",
-        "vaccinations": "Up to date",
-        "image": "./Corso/Business Suite_creation_1074296697363514.jpeg"
-    },
-    {
-        "id": "cc04",
-        "name": "Blake",
-        "breed": "Cane Corso",
-        "age": "11 weeks",
-        "gender": "Male",
-        "price": 1500,
-        "description": "Energetic and curious, Blake is always ready for an adventure.",
-        "vaccinations": "Up to date",
-        "image": "./Corso/ins_link_CA3PXN1BGax_1.jpg"
-    },
-    {
-        "id": "cc05",
-        "name": "Luna",
-        "breed": "Cane Corso",
-        "age": "11 weeks",
-        "gender": "Female",
-        "price": 1800,
-        "description": "Intelligent and elegant, Luna is quick to learn and loves attention.",
-        "vaccinations": "Up to date",
-        "image": "./Corso/luna.JPG"
-    },
-    {
-        "id": "cc06",
-        "name": "Miya",
-        "breed": "Cane Corso",
-        "age": "10 weeks",
-        "gender": "Female",
-        "price": 1800,
-        "description": "Friendly and outgoing, Miya has a great nose and loves to explore.",
-        "vaccinations": "Up to date",
-        "image": "./Corso/Miya.jpg"
-    },
-    {
-        "id": "cc07",
-        "name": "Lexi",
-        "breed": "Cane Corso",
-        "age": "10 weeks",
-        "gender": "Female",
-        "price": 1800,
-        "description": "Beautiful all black puppy with a playful spirit, Lexi is full of energy.",
-        "vaccinations": "Up to date",
-        "image": "./Corso/Lexi.jpg"
-    },
-    {
-        "id": "cc08",
-        "name": "Lucy",
-        "breed": "Cane Corso",
-        "age": "10 weeks",
-        "gender": "Female",
-        "price": 1800,
-        "description": "Beautiful all black puppy with a playful spirit, Lucy is full of Love.",
-        "vaccinations": "Up to date",
-        "image": "./Corso/Lucy.jpg"
-    },
-    {
-        "id": "ab01",
-        "name": "Brutus",
-        "breed": "American Bully",
-        "age": "10 weeks",
-        "gender": "Male",
-        "price": 2000,
-        "description": "Confident and friendly, a true gentle giant. Great family protector.",
-        "vaccinations": "Up to date",
-        "image": "./Bully/ins_link_CpAFGY9oyjV_0.jpg"
-    },
-     {
-        "id": "ab02",
-        "name": "Xena",
-        "breed": "American Bully",
-        "age": "9 weeks",
-        "gender": "Female",
-        "price": 2200,
-        "description": "Loyal and courageous with a heart of gold. Loves to cuddle.",
-        "vaccinations": "Up to date",
-        "image": "./Bully/ins_link_CpAFGY9oyjV_1.jpg"
-    },
-    {
-        "id": "fr01",
-        "name": "Gaston",
-        "breed": "French Bulldog",
-        "age": "8 weeks",
-        "gender": "Male",
-        "price": 2500,
-        "description": "Charming and playful with an irresistible personality. Loves attention.",
-        "vaccinations": "Up to date",
-        "image": "./frenchie/sample.jpg"
-    },
-    {
-        "id": "st01",
-        "name": "Rocky",
-        "breed": "Staffy",
-        "age": "12 weeks",
-        "gender": "Male",
-        "price": 1200,
-        "description": "Energetic and brave, an excellent companion for an active family.",
-        "vaccinations": "Up to date",
-        "image": "./Staffy/Screenshot_20250805-002514.png"
-    }
-];
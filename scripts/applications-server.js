@@ -0,0 +1,222 @@
+/**
+ * Paws & Tails - Local Applications Server
+ * Serves the site together with the /api/applications store the order form, tracking
+ * page, admin inbox and review form share, keeping applications in data/applications.json.
+ * It stands in for a real backend, so those features work without writing one.
+ *
+ * Usage (from the repository root, no dependencies needed):
+ *   npm start
+ *
+ * then open http://localhost:8080/Available.html. HOST and PORT override the address.
+ *
+ * Anyone who can reach the server can list every application, so it listens on this
+ * machine only. Put your own authentication in front of it before exposing it.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const SERVER_CONFIG = {
+    host: process.env.HOST || '127.0.0.1',
+    port: Number(process.env.PORT) || 8080,
+    apiPath: '/api/applications', // Keep in sync with APP_CONFIG.applications.endpoint.url
+    storeFile: path.join(ROOT, 'data', 'applications.json'),
+    maxBodyBytes: 1024 * 1024,
+    contentTypes: {
+        '.html': 'text/html; charset=utf-8',
+        '.css': 'text/css; charset=utf-8',
+        '.js': 'text/javascript; charset=utf-8',
+        '.json': 'application/json; charset=utf-8',
+        '.svg': 'image/svg+xml',
+        '.jpg': 'image/jpeg',
+        '.jpeg': 'image/jpeg',
+        '.png': 'image/png',
+        '.webp': 'image/webp',
+        '.avif': 'image/avif',
+        '.gif': 'image/gif',
+        '.ico': 'image/x-icon'
+    }
+};
+
+/**
+ * Read every stored application
+ * @param {string} storeFile - Path to the JSON store
+ * @returns {Array<Object>} Applications, empty before the first one arrives
+ */
+function readStore(storeFile) {
+    if (!fs.existsSync(storeFile)) return [];
+    
+    const applications = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+    if (!Array.isArray(applications)) {
+        throw new Error(`${storeFile} must hold a JSON array`);
+    }
+    return applications;
+}
+
+/**
+ * Replace the stored applications, writing a temporary file first so a crash
+ * never leaves half a store behind
+ * @param {string} storeFile - Path to the JSON store
+ * @param {Array<Object>} applications - Every application
+ */
+function writeStore(storeFile, applications) {
+    const temporary = `${storeFile}.tmp`;
+    
+    fs.writeFileSync(temporary, JSON.stringify(applications, null, 4) + '\n');
+    fs.renameSync(temporary, storeFile);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': SERVER_CONFIG.contentTypes['.json'], 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > SERVER_CONFIG.maxBodyBytes) {
+                reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('Request body must be JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Answer the applications API: GET lists every application, PUT {reference}
+ * stores one, and GET {reference}?email= returns one only to the email on it
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ * @param {string} storeFile - Path to the JSON store
+ */
+async function handleApi(req, res, url, storeFile) {
+    const reference = decodeURIComponent(url.pathname.slice(SERVER_CONFIG.apiPath.length + 1));
+    const matches = application => String(application.reference).toUpperCase() === reference.toUpperCase();
+    
+    if (req.method === 'GET' && !reference) {
+        sendJson(res, 200, readStore(storeFile));
+        return;
+    }
+    
+    if (req.method === 'GET') {
+        const email = (url.searchParams.get('email') || '').trim().toLowerCase();
+        const application = readStore(storeFile).find(matches);
+        const contact = (application && application.application && application.application.contact) || {};
+        
+        if (email && String(contact.email || '').trim().toLowerCase() === email) {
+            sendJson(res, 200, application);
+        } else {
+            sendJson(res, 404, { error: 'Application not found' });
+        }
+        return;
+    }
+    
+    if (req.method === 'PUT' && reference) {
+        const application = await readJsonBody(req);
+        
+        if (!application || typeof application !== 'object' || application.reference !== reference) {
+            sendJson(res, 400, { error: 'The body must be the application stored under this reference' });
+            return;
+        }
+        
+        writeStore(storeFile, [...readStore(storeFile).filter(item => !matches(item)), application]);
+        sendJson(res, 200, application);
+        return;
+    }
+    
+    sendJson(res, 405, { error: `${req.method} is not supported here` });
+}
+
+/**
+ * Serve a file from the repository, keeping the store, dotfiles and node_modules private
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ * @param {string} storeFile - Path to the JSON store
+ */
+function serveStatic(res, url, storeFile) {
+    const pathname = decodeURIComponent(url.pathname === '/' ? '/landing.html' : url.pathname);
+    const file = path.join(ROOT, pathname);
+    const segments = path.relative(ROOT, file).split(path.sep);
+    const isPrivate = [storeFile, SERVER_CONFIG.storeFile].includes(file) || segments[0] === '..' || segments[0] === 'node_modules' ||
+        segments.some(segment => segment.startsWith('.'));
+    
+    if (isPrivate || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+    }
+    
+    res.writeHead(200, { 'Content-Type': SERVER_CONFIG.contentTypes[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+}
+
+/**
+ * Create the server
+ * @param {Object} options - { storeFile } to keep applications somewhere else
+ * @returns {http.Server} Server, not yet listening
+ */
+function createServer({ storeFile = SERVER_CONFIG.storeFile } = {}) {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost/');
+        
+        try {
+            if (url.pathname === SERVER_CONFIG.apiPath || url.pathname.startsWith(`${SERVER_CONFIG.apiPath}/`)) {
+                await handleApi(req, res, url, storeFile);
+            } else if (req.method === 'GET' || req.method === 'HEAD') {
+                serveStatic(res, url, storeFile);
+            } else {
+                sendJson(res, 405, { error: `${req.method} is not supported here` });
+            }
+        } catch (error) {
+            console.error('❌ Request failed:', req.method, url.pathname, error);
+            if (!res.headersSent) sendJson(res, error.status || 500, { error: error.message });
+        }
+    });
+}
+
+/**
+ * Start the server
+ */
+function main() {
+    const { host, port, storeFile } = SERVER_CONFIG;
+    
+    createServer().listen(port, host, () => {
+        console.log(`🐾 Paws & Tails running at http://${host === '127.0.0.1' ? 'localhost' : host}:${port}/`);
+        console.log(`📄 Applications are stored in ${path.relative(ROOT, storeFile)}`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { createServer };
@@ -0,0 +1,58 @@
+/**
+ * Paws & Tails - Image Index Build
+ * Lists the photos in each breed folder so the admin console can offer them
+ * in its image picker (a static site can't list directories at runtime).
+ *
+ * Usage (from the repository root, no dependencies needed):
+ *   npm run build:image-index
+ *
+ * Re-run after adding or removing photos in a breed folder.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const INDEX_CONFIG = {
+    folders: ['Corso', 'Bully', 'Staffy', 'frenchie'], // Keep in sync with APP_CONFIG.admin.imageFolders
+    extensions: ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.gif'],
+    output: 'data/images.json'
+};
+
+/**
+ * List the photos in one breed folder
+ * @param {string} folder - Folder name relative to the repository root
+ * @returns {string[]} Image paths in catalog form, e.g. "./Corso/photo.jpg"
+ */
+function listImages(folder) {
+    const directory = path.join(ROOT, folder);
+    
+    if (!fs.existsSync(directory)) {
+        console.warn(`⚠️ ${folder}/ not found, skipping`);
+        return [];
+    }
+    
+    return fs.readdirSync(directory)
+        .filter(file => INDEX_CONFIG.extensions.includes(path.extname(file).toLowerCase()))
+        .sort((a, b) => a.localeCompare(b))
+        .map(file => `./${folder}/${file}`);
+}
+
+/**
+ * Build the index and write it to the data folder
+ */
+function main() {
+    // No timestamp, so re-running without photo changes leaves the committed file untouched
+    const index = { folders: {} };
+    
+    INDEX_CONFIG.folders.forEach(folder => {
+        index.folders[folder] = listImages(folder);
+        console.log(`🖼️ ${folder}: ${index.folders[folder].length} image(s)`);
+    });
+    
+    fs.writeFileSync(path.join(ROOT, INDEX_CONFIG.output), JSON.stringify(index, null, 4) + '\n');
+    console.log(`📄 Image index written to ${INDEX_CONFIG.output}`);
+}
+
+main();
@@ -0,0 +1,159 @@
+/**
+ * Paws & Tails - Responsive Image Build
+ * Generates resized AVIF/WebP variants and blur placeholders for every photo
+ * referenced in the puppy catalog, plus the manifest main.js reads at runtime.
+ *
+ * Usage (from the repository root, after `npm install`):
+ *   npm run build:images [-- --force]
+ *
+ * Existing variants newer than their source photo are kept unless --force is given.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const BUILD_CONFIG = {
+    catalog: 'data/puppies.json',
+    outputDir: 'images/optimized',
+    manifest: 'images/optimized/manifest.json',
+    widths: [320, 640, 960], // Cards are ~250px tall; 960 covers 3x phones and the order summary
+    formats: {
+        avif: { quality: 50 },
+        webp: { quality: 72 }
+    },
+    placeholder: {
+        width: 24, // Scaled up and blurred by the browser, so tiny is fine
+        quality: 40
+    }
+};
+
+/**
+ * Collect every image path referenced by the catalog
+ * @param {Array} puppies - Catalog records
+ * @returns {string[]} Unique image paths as written in the catalog
+ */
+function collectImages(puppies) {
+    const images = new Set();
+    
+    puppies.forEach(puppy => {
+        if (puppy.image) images.add(puppy.image);
+        (Array.isArray(puppy.images) ? puppy.images : []).forEach(image => images.add(image));
+    });
+    
+    // Remote images can't be processed locally
+    return Array.from(images).filter(image => !/^(https?:)?\/\//.test(image));
+}
+
+/**
+ * Normalize a catalog image path to a repo-relative POSIX path
+ * @param {string} image - Path as written in the catalog, e.g. "./Corso/photo.jpg"
+ * @returns {string} Relative path, e.g. "Corso/photo.jpg"
+ */
+function toRelativePath(image) {
+    return path.posix.normalize(image.replace(/^\.\//, ''));
+}
+
+/**
+ * Check whether an output file is missing or older than its source
+ * @param {string} source - Absolute source path
+ * @param {string} output - Absolute output path
+ * @param {boolean} force - Rebuild regardless of timestamps
+ * @returns {boolean} True when the output should be written
+ */
+function isStale(source, output, force) {
+    if (force || !fs.existsSync(output)) return true;
+    return fs.statSync(output).mtimeMs < fs.statSync(source).mtimeMs;
+}
+
+/**
+ * Build variants and a placeholder for one photo
+ * @param {string} image - Catalog image path
+ * @param {boolean} force - Rebuild existing variants
+ * @returns {Promise<Object>} Manifest entry
+ */
+async function buildImage(image, force) {
+    const relativePath = toRelativePath(image);
+    const source = path.join(ROOT, relativePath);
+    const { width, height } = await sharp(source).metadata();
+    const parsed = path.posix.parse(relativePath);
+    
+    // Never upscale: keep the widths below the original, plus the original width itself
+    const widths = BUILD_CONFIG.widths.filter(target => target < width);
+    if (widths.length < BUILD_CONFIG.widths.length) widths.push(width);
+    
+    const variants = {};
+    
+    for (const [format, options] of Object.entries(BUILD_CONFIG.formats)) {
+        variants[format] = [];
+        
+        for (const targetWidth of widths) {
+            const outputPath = path.posix.join(BUILD_CONFIG.outputDir, parsed.dir, `${parsed.name}-${targetWidth}.${format}`);
+            const output = path.join(ROOT, outputPath);
+            
+            if (isStale(source, output, force)) {
+                fs.mkdirSync(path.dirname(output), { recursive: true });
+                await sharp(source)
+                    .rotate() // Respect EXIF orientation from phone photos
+                    .resize({ width: targetWidth, withoutEnlargement: true })
+                    .toFormat(format, options)
+                    .toFile(output);
+            }
+            
+            variants[format].push({ width: targetWidth, src: `./${outputPath}` });
+        }
+    }
+    
+    const placeholder = await sharp(source)
+        .rotate()
+        .resize({ width: BUILD_CONFIG.placeholder.width })
+        .webp({ quality: BUILD_CONFIG.placeholder.quality })
+        .toBuffer();
+    
+    return {
+        width,
+        height,
+        placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+        variants
+    };
+}
+
+/**
+ * Build every catalog photo and write the manifest
+ */
+async function main() {
+    const force = process.argv.includes('--force');
+    const puppies = JSON.parse(fs.readFileSync(path.join(ROOT, BUILD_CONFIG.catalog), 'utf8'));
+    const images = collectImages(puppies);
+    const manifest = {
+        generatedAt: new Date().toISOString(),
+        images: {}
+    };
+    let failed = 0;
+    
+    console.log(`🖼️ Building ${images.length} catalog image(s)...`);
+    
+    for (const image of images) {
+        try {
+            // Keyed by the normalized path so "./Corso/a.jpg" and "Corso/a.jpg" match
+            manifest.images[toRelativePath(image)] = await buildImage(image, force);
+            console.log(`✅ ${image}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${image}: ${error.message}`);
+        }
+    }
+    
+    fs.mkdirSync(path.join(ROOT, BUILD_CONFIG.outputDir), { recursive: true });
+    fs.writeFileSync(path.join(ROOT, BUILD_CONFIG.manifest), JSON.stringify(manifest, null, 4) + '\n');
+    
+    console.log(`📄 Manifest written to ${BUILD_CONFIG.manifest} (${Object.keys(manifest.images).length} image(s), ${failed} failed)`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error('❌ Image build failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,193 @@
+/**
+ * Paws & Tails - Service Worker
+ * Precaches the site shell and catalog, caches viewed puppy photos and
+ * keeps pages usable on poor or missing connections
+ */
+
+// Bump when the precache list or caching rules change so old caches are removed
+const CACHE_VERSION = 'v6';
+
+const CACHES = {
+    shell: `paws-tails-shell-${CACHE_VERSION}`,
+    images: `paws-tails-images-${CACHE_VERSION}`,
+    vendor: `paws-tails-vendor-${CACHE_VERSION}`
+};
+
+const PLACEHOLDER_IMAGE = './images/placeholder.svg';
+
+const PRECACHE_URLS = [
+    './landing.html',
+    './Available.html',
+    './Puppy.html',
+    './Orders.html',
+    './testimonials.html',
+    './track.html',
+    './css/main.css',
+    './css/bootstrap/bootstrap.min.css', // Local copy loaded by Orders and Track
+    './js/main.js',
+    './data/puppies.json',
+    './data/litters.json',
+    './data/parents.json',
+    './data/testimonials.json',
+    './data/i18n/en.json',
+    './data/i18n/es.json',
+    PLACEHOLDER_IMAGE
+];
+
+// CDN assets are cached best-effort; a failure here must not block installation
+const VENDOR_URLS = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js'
+];
+
+const VENDOR_HOSTS = ['cdn.jsdelivr.net', 'kit.fontawesome.com', 'ka-f.fontawesome.com'];
+
+// Applications carry applicants' personal details, so they always go to the network
+const API_PATH_PREFIX = '/api/';
+
+// Same-origin files, besides pages, that are safe to serve from the cache
+const CACHEABLE_PATHS = new Set(PRECACHE_URLS.map(url => new URL(url, self.location.href).pathname));
+
+// Oldest photos are evicted beyond this many entries
+const MAX_CACHED_IMAGES = 80;
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(CACHES.shell);
+        await shell.addAll(PRECACHE_URLS);
+        
+        const vendor = await caches.open(CACHES.vendor);
+        await Promise.all(VENDOR_URLS.map(url =>
+            vendor.add(new Request(url, { mode: 'cors' }))
+                .catch(error => console.warn('⚠️ Could not precache', url, error))
+        ));
+        
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const current = Object.values(CACHES);
+        const names = await caches.keys();
+        
+        await Promise.all(names
+            .filter(name => name.startsWith('paws-tails-') && !current.includes(name))
+            .map(name => caches.delete(name)));
+        
+        await self.clients.claim();
+        console.log('📦 Service worker active:', CACHE_VERSION);
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    const isSameOrigin = url.origin === self.location.origin;
+    
+    if (isSameOrigin && url.pathname.startsWith(API_PATH_PREFIX)) {
+        return;
+    }
+    
+    if (request.destination === 'image') {
+        // Remote catalog photos are left to the browser; their opaque responses can't be checked
+        if (isSameOrigin) event.respondWith(cacheFirstImage(request));
+    } else if (isSameOrigin && (request.mode === 'navigate' || CACHEABLE_PATHS.has(url.pathname))) {
+        event.respondWith(networkFirst(request));
+    } else if (VENDOR_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+/**
+ * Serve fresh pages, scripts and catalog data when online, cached copies otherwise
+ * @param {Request} request - Page navigation or precached same-origin GET request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHES.shell);
+    
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            // Pages are cached without their query string so Puppy.html?puppyId=... works offline
+            cache.put(stripSearch(request), response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(stripSearch(request));
+        if (cached) return cached;
+        
+        if (request.mode === 'navigate') {
+            return (await cache.match('./Available.html')) || Response.error();
+        }
+        return Response.error();
+    }
+}
+
+/**
+ * Serve photos from the cache, fetching and storing them on first view
+ * @param {Request} request - Same-origin image request
+ * @returns {Promise<Response>} Image, or the local placeholder when the photo can't be fetched
+ */
+async function cacheFirstImage(request) {
+    const cache = await caches.open(CACHES.images);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            trimCache(cache, MAX_CACHED_IMAGES);
+        }
+        return response;
+    } catch (error) {
+        console.warn('⚠️ Photo unavailable offline:', request.url);
+    }
+    
+    return (await caches.match(PLACEHOLDER_IMAGE)) || Response.error();
+}
+
+/**
+ * Serve CDN assets from the cache and refresh them in the background
+ * @param {Request} request - Cross-origin asset request
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHES.vendor);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    
+    return cached || network;
+}
+
+/**
+ * Remove the oldest entries beyond a limit
+ * @param {Cache} cache - Cache to trim
+ * @param {number} maxEntries - Entries to keep
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+/**
+ * Drop the query string from a request URL
+ * @param {Request} request - Request
+ * @returns {string} URL without search params
+ */
+function stripSearch(request) {
+    const url = new URL(request.url);
+    url.search = '';
+    return url.href;
+}
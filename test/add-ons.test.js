@@ -0,0 +1,76 @@
+/**
+ * Paws & Tails - Add-on Tests
+ * Checkout extras are priced by quantity, and only taxable ones add to the sales tax.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+/**
+ * Load the app with the add-on options rendered as on the order form
+ * @returns {Promise<Object>} Loaded app, with field(id) returning an add-on's input
+ */
+async function loadAddOnForm() {
+    const app = await loadApp({ page: 'Orders.html' });
+    const container = app.window.document.createElement('div');
+    
+    await app.get('I18n').load();
+    app.get('Html').render(container, app.get('APP_CONFIG').addOns.map(addOn => app.get('OrderPage').generateAddOnOption(addOn)));
+    app.window.document.body.appendChild(container);
+    app.field = id => app.window.document.getElementById(`addOn-${id}`);
+    return app;
+}
+
+describe('PricingEngine.calculate with add-ons', () => {
+    const addOns = [
+        { id: 'starter-kit', label: 'Puppy Starter Kit', unitPrice: 149, quantity: 1, taxable: true },
+        { id: 'training', label: 'Training Session', unitPrice: 75, quantity: 3, taxable: false }
+    ];
+
+    it('prices each add-on by quantity and adds them to the subtotal', async () => {
+        const PricingEngine = (await loadApp()).get('PricingEngine');
+        const pricing = PricingEngine.calculate({ puppyPrice: 1500, addOns, state: 'GA', now: new Date() });
+        
+        assert.deepEqual(Array.from(pricing.addOns, item => [item.id, item.total]), [['starter-kit', 149], ['training', 225]]);
+        assert.equal(pricing.addOnsTotal, 374);
+        assert.equal(pricing.subtotal, 1874);
+    });
+
+    it('taxes only the taxable add-ons', async () => {
+        const PricingEngine = (await loadApp()).get('PricingEngine');
+        const pricing = PricingEngine.calculate({ puppyPrice: 1500, addOns, state: 'GA', now: new Date() });
+        
+        assert.equal(pricing.taxableAmount, 1649);
+        assert.equal(pricing.tax, 65.96);
+        assert.equal(pricing.total, 1939.96);
+    });
+});
+
+describe('OrderPage.getSelectedAddOns', () => {
+    it('returns only the checked and counted add-ons', async () => {
+        const app = await loadAddOnForm();
+        app.field('crate').checked = true;
+        app.field('training').value = '2';
+        
+        const selected = app.get('OrderPage').getSelectedAddOns();
+        
+        assert.deepEqual(Array.from(selected, item => [item.id, item.unitPrice, item.quantity, item.taxable]), [
+            ['crate', 120, 1, true],
+            ['training', 75, 2, false]
+        ]);
+    });
+
+    it('keeps quantities between zero and the add-on maximum', async () => {
+        const app = await loadAddOnForm();
+        const OrderPage = app.get('OrderPage');
+        
+        app.field('training').value = '40';
+        assert.equal(OrderPage.getSelectedAddOns()[0].quantity, 6);
+        
+        for (const value of ['-2', '', 'two']) {
+            app.field('training').value = value;
+            assert.equal(OrderPage.getSelectedAddOns().length, 0, JSON.stringify(value));
+        }
+    });
+});
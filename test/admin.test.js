@@ -0,0 +1,47 @@
+/**
+ * Paws & Tails - Admin Console Tests
+ * The console ships disabled until the deployer sets a passphrase hash.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+/**
+ * Load the admin page markup and start the console
+ * @param {string|null} passphraseHash - Hash to configure
+ * @returns {Promise<Object>} Loaded app
+ */
+async function openAdmin(passphraseHash) {
+    const app = await loadApp({ page: 'admin.html', body: '<div id="admin-content"></div>' });
+    app.get('APP_CONFIG').admin.passphraseHash = passphraseHash;
+    await app.get('AdminPage').init();
+    return app;
+}
+
+describe('AdminPage', () => {
+    it('ships without a passphrase hash', async () => {
+        const app = await loadApp();
+        
+        assert.equal(app.get('APP_CONFIG').admin.passphraseHash, null);
+    });
+
+    for (const passphraseHash of [null, '', 'not-a-sha256-digest']) {
+        it(`stays disabled with passphraseHash ${JSON.stringify(passphraseHash)}`, async () => {
+            const app = await openAdmin(passphraseHash);
+            const content = app.window.document.getElementById('admin-content');
+            
+            assert.ok(content.textContent.includes('Admin console disabled'));
+            assert.equal(content.querySelector('#admin-unlock-form'), null);
+            assert.equal(app.get('AdminPage').isUnlocked(), false);
+        });
+    }
+
+    it('asks for the passphrase once a hash is set', async () => {
+        const app = await openAdmin('a'.repeat(64));
+        const content = app.window.document.getElementById('admin-content');
+        
+        assert.ok(content.querySelector('#admin-unlock-form'));
+        assert.equal(app.get('AdminPage').isUnlocked(), false);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Paws & Tails - Age Tests
+ * Ages come from birth dates in completed weeks or calendar months, and every age
+ * between the youngest and oldest filter lands in exactly one age range.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+/**
+ * Build a local date, the way Utils.parseDate reads one
+ * @param {string} value - Date string (YYYY-MM-DD)
+ * @returns {Date} Date at local midnight
+ */
+function date(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+describe('Utils.monthsBetween', () => {
+    it('counts completed calendar months', async () => {
+        const Utils = (await loadApp()).get('Utils');
+        
+        assert.equal(Utils.monthsBetween(date('2026-01-15'), date('2026-03-15')), 2);
+        assert.equal(Utils.monthsBetween(date('2026-01-15'), date('2026-03-14')), 1);
+        assert.equal(Utils.monthsBetween(date('2025-11-20'), date('2026-02-20')), 3);
+    });
+
+    it('does not count a month until its day comes round', async () => {
+        const Utils = (await loadApp()).get('Utils');
+        
+        assert.equal(Utils.monthsBetween(date('2026-01-31'), date('2026-02-28')), 0);
+        assert.equal(Utils.monthsBetween(date('2026-01-31'), date('2026-03-31')), 2);
+    });
+
+    it('never goes negative', async () => {
+        const Utils = (await loadApp()).get('Utils');
+        
+        assert.equal(Utils.monthsBetween(date('2026-05-01'), date('2026-04-01')), 0);
+    });
+});
+
+describe('Utils.getAgeIn', () => {
+    it('counts completed weeks and months from the birth date', async () => {
+        const Utils = (await loadApp()).get('Utils');
+        const puppy = { birthDate: '2026-07-01' };
+        
+        assert.equal(Utils.getAgeIn(puppy, 'weeks', date('2026-08-25')), 7);
+        assert.equal(Utils.getAgeIn(puppy, 'weeks', date('2026-08-26')), 8);
+        assert.equal(Utils.getAgeIn(puppy, 'months', date('2026-09-30')), 2);
+        assert.equal(Utils.getAgeIn(puppy, 'months', date('2026-10-01')), 3);
+    });
+
+    it('ignores the time of day', async () => {
+        const Utils = (await loadApp()).get('Utils');
+        
+        assert.equal(Utils.getAgeIn({ birthDate: '2026-07-01' }, 'weeks', new Date(2026, 7, 25, 23, 59)), 7);
+    });
+
+    it('falls back to the legacy age string', async () => {
+        const Utils = (await loadApp()).get('Utils');
+        
+        assert.equal(Utils.getAgeIn({ age: '10 weeks' }, 'weeks'), 10);
+        assert.equal(Utils.getAgeIn({ age: '4 months' }, 'months'), 4);
+        assert.equal(Utils.getAgeIn({ age: '4 months' }, 'weeks'), 17);
+        assert.equal(Utils.getAgeIn({ age: '13 weeks' }, 'months'), 2);
+        assert.equal(Utils.getAgeIn({}, 'weeks'), 0);
+    });
+});
+
+describe('FilterManager.matchesAgeFilter', () => {
+    /**
+     * Build a puppy born a number of days before today
+     * @param {Object} Utils - Utils module
+     * @param {number} days - Age in days
+     * @returns {Object} Puppy
+     */
+    function bornDaysAgo(Utils, days) {
+        const birthDate = new Date();
+        birthDate.setDate(birthDate.getDate() - days);
+        return { birthDate: Utils.toDateString(birthDate) };
+    }
+
+    it('puts every age from 8 weeks to 7 months in exactly one range', async () => {
+        const app = await loadApp();
+        const Utils = app.get('Utils');
+        const FilterManager = app.get('FilterManager');
+        const ranges = Object.keys(app.get('APP_CONFIG').ageRanges);
+        
+        for (let days = 8 * 7; Utils.getAgeIn(bornDaysAgo(Utils, days), 'months') < 7; days++) {
+            const puppy = bornDaysAgo(Utils, days);
+            const matches = ranges.filter(range => FilterManager.matchesAgeFilter(puppy, range));
+            
+            assert.equal(matches.length, 1, `${days} days old matches ${JSON.stringify(matches)}`);
+        }
+    });
+
+    it('keeps a 13-week-old that is not yet 3 months in the weeks range', async () => {
+        const app = await loadApp();
+        const Utils = app.get('Utils');
+        const FilterManager = app.get('FilterManager');
+        const puppy = { age: '13 weeks' };
+        
+        assert.equal(Utils.getAgeIn(puppy, 'months'), 2);
+        assert.equal(FilterManager.matchesAgeFilter(puppy, '8-12 weeks'), true);
+        assert.equal(FilterManager.matchesAgeFilter(puppy, '3-6 months'), false);
+    });
+
+    it('leaves puppies outside every range out of both', async () => {
+        const app = await loadApp();
+        const FilterManager = app.get('FilterManager');
+        
+        for (const age of ['7 weeks', '7 months']) {
+            assert.equal(FilterManager.matchesAgeFilter({ age }, '8-12 weeks'), false, age);
+            assert.equal(FilterManager.matchesAgeFilter({ age }, '3-6 months'), false, age);
+            assert.equal(FilterManager.matchesAgeFilter({ age }, 'all'), true, age);
+        }
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Paws & Tails - Local Applications Server Tests
+ * The stand-in server keeps applications in a JSON file and only shows one to the email on it.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./helpers/load-app');
+const { createServer } = require('../scripts/applications-server');
+
+const APPLICATION = {
+    type: 'order',
+    reference: 'PT-261019-K3F9',
+    puppy: { id: 'cc01', name: 'Rocco', breed: 'Cane Corso' },
+    application: { contact: { firstName: 'Ann', lastName: 'Lee', email: 'ann@example.com' } }
+};
+
+describe('Local applications server', () => {
+    let server;
+    let baseUrl;
+    let storeFile;
+
+    before(async () => {
+        // Inside data/ like the real store, so the test can check it isn't served
+        storeFile = path.join(ROOT, 'data', `applications.test-${process.pid}.json`);
+        server = createServer({ storeFile });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(storeFile, { force: true });
+    });
+
+    /**
+     * Store an application the way ApplicationStore's endpoint adapter does
+     * @param {Object} application - Application to store
+     * @returns {Promise<Response>} Response
+     */
+    function put(application) {
+        return fetch(`${baseUrl}/api/applications/${encodeURIComponent(application.reference)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(application)
+        });
+    }
+
+    it('lists nothing before the first application arrives', async () => {
+        const response = await fetch(`${baseUrl}/api/applications`);
+        
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), []);
+    });
+
+    it('stores an application in the JSON file and replaces it on the next put', async () => {
+        assert.equal((await put(APPLICATION)).status, 200);
+        assert.equal((await put({ ...APPLICATION, status: 'review' })).status, 200);
+        
+        const stored = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+        assert.equal(stored.length, 1);
+        assert.equal(stored[0].status, 'review');
+        assert.deepEqual(await (await fetch(`${baseUrl}/api/applications`)).json(), stored);
+    });
+
+    it('finds an application only with the email on it', async () => {
+        const find = email => fetch(`${baseUrl}/api/applications/pt-261019-k3f9?email=${encodeURIComponent(email)}`);
+        
+        const found = await find('ann@example.com');
+        assert.equal(found.status, 200);
+        assert.equal((await found.json()).reference, APPLICATION.reference);
+        assert.equal((await find('someone@example.com')).status, 404);
+        assert.equal((await fetch(`${baseUrl}/api/applications/${APPLICATION.reference}`)).status, 404);
+    });
+
+    it('rejects a body stored under another reference', async () => {
+        const response = await fetch(`${baseUrl}/api/applications/PT-OTHER`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(APPLICATION)
+        });
+        
+        assert.equal(response.status, 400);
+    });
+
+    it('serves the site but not the store, dotfiles or node_modules', async () => {
+        const status = async pathname => (await fetch(`${baseUrl}${pathname}`)).status;
+        
+        assert.equal(await status('/Available.html'), 200);
+        assert.equal(await status('/data/puppies.json'), 200);
+        assert.equal(await status(`/data/${path.basename(storeFile)}`), 404);
+        assert.equal(await status('/.gitignore'), 404);
+        assert.equal(await status('/node_modules/jsdom/package.json'), 404);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Paws & Tails - Catalog Tests
+ * Feed records are validated one by one, and a failed fetch falls back to the last good copy.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const PUPPY = {
+    id: 'cc01',
+    name: 'Rocco',
+    breed: 'Cane Corso',
+    birthDate: '2026-08-03',
+    gender: 'Male',
+    status: 'available',
+    price: 1500,
+    images: ['./Corso/Lexi.jpg']
+};
+
+/**
+ * Copy a value out of the jsdom window, so strict deep equality doesn't trip over its prototypes
+ * @param {*} value - Value from the app
+ * @returns {*} Plain copy
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+describe('CatalogManager.validateRecord', () => {
+    it('accepts a complete record, with or without the optional fields', async () => {
+        const CatalogManager = (await loadApp()).get('CatalogManager');
+        const { id, name, breed, gender, price } = PUPPY;
+        
+        assert.deepEqual(plain(CatalogManager.validateRecord(PUPPY)), []);
+        assert.deepEqual(plain(CatalogManager.validateRecord({ id, name, breed, gender, price })), []);
+    });
+
+    it('rejects anything that is not an object', async () => {
+        const CatalogManager = (await loadApp()).get('CatalogManager');
+        
+        for (const record of [null, 'cc01', [PUPPY]]) {
+            assert.deepEqual(plain(CatalogManager.validateRecord(record)), ['record is not an object']);
+        }
+    });
+
+    it('names each problem with a record', async () => {
+        const CatalogManager = (await loadApp()).get('CatalogManager');
+        const errors = CatalogManager.validateRecord({
+            ...PUPPY,
+            name: ' ',
+            price: -1,
+            gender: 'male',
+            status: 'adopted',
+            birthDate: 'last spring',
+            images: ['./Corso/Lexi.jpg', '']
+        });
+        
+        assert.deepEqual(plain(errors), [
+            'missing name',
+            'price must be a non-negative number',
+            'unknown gender "male"',
+            'unknown status "adopted"',
+            'invalid birthDate "last spring"',
+            'images must be a list of paths'
+        ]);
+    });
+
+    it('accepts statuses in any case', async () => {
+        const CatalogManager = (await loadApp()).get('CatalogManager');
+        
+        assert.deepEqual(plain(CatalogManager.validateRecord({ ...PUPPY, status: 'Reserved' })), []);
+    });
+
+    it('checks parent IDs and health records', async () => {
+        const CatalogManager = (await loadApp()).get('CatalogManager');
+        const errors = CatalogManager.validateRecord({ ...PUPPY, sireId: '', health: { microchip: 'abc' } });
+        
+        assert.deepEqual(plain(errors), ['invalid sireId', 'invalid microchip "abc"']);
+    });
+});
+
+describe('CatalogManager.validate', () => {
+    it('keeps valid records and reports the rest by position', async () => {
+        const CatalogManager = (await loadApp()).get('CatalogManager');
+        const { valid, invalid } = CatalogManager.validate([PUPPY, { ...PUPPY, price: 'call' }, { ...PUPPY, id: 'cc02' }, PUPPY]);
+        
+        assert.deepEqual(plain(valid.map(puppy => puppy.id)), ['cc01', 'cc02']);
+        assert.deepEqual(plain(invalid), [
+            { index: 1, id: 'cc01', errors: ['price must be a non-negative number'] },
+            { index: 3, id: 'cc01', errors: ['duplicate id "cc01"'] }
+        ]);
+    });
+});
+
+describe('CatalogManager.load', () => {
+    /**
+     * Load the app with a catalog feed that answers with the given response
+     * @param {Object} response - { ok, status, json }
+     * @returns {Promise<Object>} Loaded app
+     */
+    function loadWithFeed(response) {
+        return loadApp({ fetch: async () => response });
+    }
+
+    it('caches the feed and falls back to it when the next fetch fails', async () => {
+        const online = await loadWithFeed({ ok: true, status: 200, json: async () => [PUPPY] });
+        await online.get('CatalogManager').load();
+        const cached = online.window.localStorage.getItem(online.get('APP_CONFIG').catalog.cacheKey);
+        
+        const offline = await loadWithFeed({ ok: false, status: 503 });
+        offline.window.localStorage.setItem(offline.get('APP_CONFIG').catalog.cacheKey, cached);
+        const CatalogManager = offline.get('CatalogManager');
+        const puppies = await CatalogManager.load();
+        
+        assert.deepEqual(plain(puppies.map(puppy => puppy.id)), ['cc01']);
+        assert.equal(CatalogManager.source, 'cache');
+    });
+
+    it('fails when there is no cached copy, and can be retried', async () => {
+        const app = await loadWithFeed({ ok: false, status: 503 });
+        const CatalogManager = app.get('CatalogManager');
+        
+        await assert.rejects(CatalogManager.load(), /status 503/);
+        assert.equal(CatalogManager.loadPromise, null);
+    });
+
+    it('rejects a feed that is not an array', async () => {
+        const app = await loadWithFeed({ ok: true, status: 200, json: async () => ({ puppies: [PUPPY] }) });
+        
+        await assert.rejects(app.get('CatalogManager').load(), /must be a JSON array/);
+    });
+});
+
+describe('CatalogManager.renderLoadError', () => {
+    it('binds the retry button without an inline handler', async () => {
+        const app = await loadApp();
+        const container = app.window.document.createElement('div');
+        
+        app.get('CatalogManager').renderLoadError(container);
+        
+        assert.ok(container.querySelector('button'));
+        assert.equal(container.querySelector('[onclick]'), null);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Paws & Tails - Filter History Tests
+ * Back should undo a filter choice, not replay every keystroke or slider step.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadApp, ROOT } = require('./helpers/load-app');
+
+const PAGE = fs.readFileSync(path.join(ROOT, 'Available.html'), 'utf8');
+const BODY = PAGE.slice(PAGE.indexOf('>', PAGE.indexOf('<body')) + 1, PAGE.indexOf('</body>')).replace(/<script[\s\S]*?<\/script>/g, '');
+
+/**
+ * Load the available puppies page with filtering undebounced
+ * @returns {Promise<Object>} Loaded app, with settle() to let the filters run
+ */
+async function loadAvailablePage() {
+    const app = await loadApp({ page: 'Available.html', body: BODY });
+    
+    app.get('APP_CONFIG').search.debounceWait = 0;
+    await app.get('I18n').load();
+    await app.get('AvailablePage').init();
+    app.settle = () => new Promise(resolve => setTimeout(resolve, 10));
+    return app;
+}
+
+/**
+ * Set a control's value and fire the event the user would
+ * @param {Object} app - Loaded app
+ * @param {string} id - Control id
+ * @param {string} value - New value
+ * @param {string} type - Event type
+ */
+function setControl(app, id, value, type) {
+    const element = app.window.document.getElementById(id);
+    element.value = value;
+    element.dispatchEvent(new app.window.Event(type, { bubbles: true }));
+}
+
+describe('AvailablePage filter history', () => {
+    it('updates the current entry while searching and dragging the price sliders', async () => {
+        const app = await loadAvailablePage();
+        const { history, location } = app.window;
+        const length = history.length;
+        
+        for (const query of ['c', 'co', 'cor', 'corso']) {
+            setControl(app, 'search-filter', query, 'input');
+            await app.settle();
+        }
+        
+        const slider = app.window.document.getElementById('price-max-filter');
+        setControl(app, 'price-max-filter', String(Number(slider.max) - Number(slider.step || 1)), 'input');
+        await app.settle();
+        
+        assert.equal(history.length, length);
+        assert.match(location.search, /corso/);
+    });
+
+    it('adds an entry for each discrete filter change', async () => {
+        const app = await loadAvailablePage();
+        const { history } = app.window;
+        const length = history.length;
+        
+        setControl(app, 'gender-filter', 'Female', 'change');
+        await app.settle();
+        
+        assert.equal(history.length, length + 1);
+        assert.match(app.window.location.search, /gender=Female/);
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Paws & Tails - Health Record Tests
+ * Vaccination status follows the core puppy series for the puppy's age, with a few days' grace.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const BIRTH_DATE = '2026-07-01';
+
+/**
+ * Build a local date the given number of days after the birth date
+ * @param {number} days - Age in days
+ * @returns {Date} Date at local midnight
+ */
+function atAge(days) {
+    return new Date(2026, 6, 1 + days);
+}
+
+/**
+ * Build a puppy with vaccine records
+ * @param {Array<string>} names - Vaccine given for each dose, in order
+ * @returns {Object} Puppy
+ */
+function puppyWithVaccines(names) {
+    return {
+        birthDate: BIRTH_DATE,
+        health: {
+            records: names.map((name, index) => ({ type: 'vaccine', name, date: `2026-08-${String(10 + index).padStart(2, '0')}` }))
+        }
+    };
+}
+
+describe('HealthManager.getVaccinationStatus', () => {
+    it('is unknown without structured records', async () => {
+        const HealthManager = (await loadApp()).get('HealthManager');
+        
+        assert.equal(HealthManager.getVaccinationStatus({ birthDate: BIRTH_DATE }, atAge(60)), 'unknown');
+        assert.equal(HealthManager.getVaccinationStatus({ birthDate: BIRTH_DATE, health: {} }, atAge(60)), 'unknown');
+    });
+
+    it('counts a dose as missed only once the grace days have passed', async () => {
+        const HealthManager = (await loadApp()).get('HealthManager');
+        const puppy = puppyWithVaccines([]);
+        
+        assert.equal(HealthManager.getVaccinationStatus(puppy, atAge(6 * 7 + 2)), 'current');
+        assert.equal(HealthManager.getVaccinationStatus(puppy, atAge(6 * 7 + 3)), 'overdue');
+    });
+
+    it('is current while every dose due so far has been given', async () => {
+        const HealthManager = (await loadApp()).get('HealthManager');
+        
+        assert.equal(HealthManager.getVaccinationStatus(puppyWithVaccines(['DHPP']), atAge(8 * 7)), 'current');
+        assert.equal(HealthManager.getVaccinationStatus(puppyWithVaccines(['DHPP', 'DHPP']), atAge(10 * 7)), 'current');
+        assert.equal(HealthManager.getVaccinationStatus(puppyWithVaccines(['DHPP']), atAge(10 * 7)), 'overdue');
+    });
+
+    it('only counts doses of the vaccine that is due', async () => {
+        const HealthManager = (await loadApp()).get('HealthManager');
+        
+        assert.equal(HealthManager.getVaccinationStatus(puppyWithVaccines(['Bordetella']), atAge(8 * 7)), 'overdue');
+    });
+
+    it('is complete once the whole core series has been given', async () => {
+        const HealthManager = (await loadApp()).get('HealthManager');
+        const puppy = puppyWithVaccines(['DHPP', 'DHPP', 'DHPP', 'DHPP', 'Rabies']);
+        
+        assert.equal(HealthManager.getVaccinationStatus(puppy, atAge(17 * 7)), 'complete');
+        assert.equal(HealthManager.getVaccinationStatus(puppyWithVaccines(['DHPP', 'DHPP', 'DHPP', 'DHPP']), atAge(17 * 7)), 'overdue');
+    });
+});
+
+describe('HealthManager.getVaccinationSummary', () => {
+    it('keeps the free-text note for listings without records', async () => {
+        const app = await loadApp();
+        await app.get('I18n').load();
+        
+        const summary = app.get('HealthManager').getVaccinationSummary({ birthDate: BIRTH_DATE, vaccinations: 'First shots done' });
+        
+        assert.equal(summary.label, 'First shots done');
+    });
+});
+
+describe('HealthManager.validate', () => {
+    it('accepts a complete health record', async () => {
+        const HealthManager = (await loadApp()).get('HealthManager');
+        const health = {
+            microchip: '985141000123401',
+            records: [{ type: 'deworming', name: 'Pyrantel', date: '2026-08-17', nextDue: '2026-08-31' }],
+            vetChecks: [{ date: '2026-09-28', result: 'Healthy' }]
+        };
+        
+        assert.equal(HealthManager.validate(health).length, 0);
+    });
+
+    it('names each problem with a health record', async () => {
+        const HealthManager = (await loadApp()).get('HealthManager');
+        const errors = HealthManager.validate({
+            microchip: '123',
+            records: [{ type: 'surgery', name: 'Spay', date: '2026-08-17' }, { type: 'vaccine', name: 'DHPP' }],
+            vetChecks: [{ date: '2026-09-28' }]
+        });
+        
+        assert.deepEqual(Array.from(errors), [
+            'invalid microchip "123"',
+            'health record #0 has unknown type "surgery"',
+            'health record #1 needs a name and date',
+            'vet check #0 needs a date and result'
+        ]);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Paws & Tails - Test Helper
+ * Loads js/main.js into a jsdom window so its modules can be exercised from node:test.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const MAIN_SCRIPT = fs.readFileSync(path.join(ROOT, 'js', 'main.js'), 'utf8');
+
+/**
+ * Serve repository files the way a static host would
+ * @param {string} url - Requested URL
+ * @returns {Promise<Object>} Minimal fetch Response
+ */
+async function fetchRepoFile(url) {
+    const file = path.join(ROOT, decodeURIComponent(new URL(url, 'http://localhost/').pathname));
+    
+    if (!fs.existsSync(file)) {
+        return { ok: false, status: 404, json: async () => { throw new Error('Not found'); } };
+    }
+    
+    const text = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(text), text: async () => text };
+}
+
+/**
+ * Build a minimal fetch Response with a JSON body
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON body
+ * @returns {Object} Minimal fetch Response
+ */
+function respond(status, body) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+/**
+ * Answer requests to the applications store endpoint from memory, the way the shared
+ * server would: GET lists, PUT {url}/{reference} replaces one, and GET {url}/{reference}
+ * only returns an application to the email on it
+ * @param {Map} stored - Applications by reference
+ * @param {string} url - Requested URL under /api/applications
+ * @param {Object} options - fetch options
+ * @returns {Object} Minimal fetch Response
+ */
+function answerApplicationsStore(stored, url, options = {}) {
+    const { pathname, searchParams } = new URL(url, 'http://localhost/');
+    const reference = decodeURIComponent(pathname.split('/').slice(3).join('/'));
+    
+    if (options.method === 'PUT') {
+        stored.set(reference, JSON.parse(options.body));
+        return respond(200, {});
+    }
+    if (!reference) return respond(200, [...stored.values()]);
+    
+    const record = stored.get(reference);
+    const contact = (record && record.application && record.application.contact) || {};
+    return contact.email && contact.email.toLowerCase() === searchParams.get('email') ?
+        respond(200, record) : respond(404, {});
+}
+
+/**
+ * Create a window with main.js loaded. The page controller is not started, so
+ * tests call the modules they need directly.
+ * @param {Object} options - { page, body, fetch }
+ * @returns {Promise<Object>} { window, get } where get(name) returns a top-level binding
+ */
+async function loadApp({ page = 'index.html', body = '', fetch = fetchRepoFile } = {}) {
+    const dom = new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`, {
+        url: `http://localhost/${page}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+    
+    // Wait for DOMContentLoaded to pass so main.js doesn't start the page controller
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    
+    window.fetch = fetch;
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    // Top-level bindings of an eval'd script stay in its scope, so read them from inside it
+    window.eval(`${MAIN_SCRIPT}\n;window.__paws = name => eval(name);`);
+    
+    return { window, get: name => window.__paws(name) };
+}
+
+module.exports = { loadApp, fetchRepoFile, respond, answerApplicationsStore, ROOT };
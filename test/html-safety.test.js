@@ -0,0 +1,154 @@
+/**
+ * Paws & Tails - Safe Templating Tests
+ * Hostile catalog values must render as text, never as markup or script.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadApp, ROOT } = require('./helpers/load-app');
+
+const PAYLOADS = [
+    '"><img src=x onerror=alert(1)>',
+    "' onmouseover='alert(1)",
+    '` onfocus=`alert(1)',
+    '</textarea><script>alert(1)</script>'
+];
+
+const CATALOG = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'puppies.json'), 'utf8'));
+
+/**
+ * Find anything in a rendered tree that a payload could have injected. The
+ * renderers' own placeholder onerror handlers are fine; the payloads' alert() is not.
+ * @param {Element} root - Rendered container
+ * @returns {string[]} Descriptions of injected elements and attributes
+ */
+function findInjections(root) {
+    const found = [];
+    
+    root.querySelectorAll('script, iframe, object, embed').forEach(element => found.push(`<${element.localName}>`));
+    root.querySelectorAll('img[src="x"]').forEach(() => found.push('<img src="x">'));
+    root.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes)
+            .filter(attribute => /[`'"]/.test(attribute.name) ||
+                (attribute.name.startsWith('on') && attribute.value.includes('alert')))
+            .forEach(attribute => found.push(`${element.localName}[${attribute.name}]`));
+    });
+    
+    return found;
+}
+
+/**
+ * Build a catalog record with hostile name, description and image
+ * @param {string} payload - Hostile value
+ * @returns {Object} Puppy record
+ */
+function hostilePuppy(payload) {
+    return {
+        ...CATALOG[0],
+        name: `Rocco ${payload}`,
+        description: `Sweet ${payload}`,
+        image: `./Corso/${payload}.jpg`,
+        images: [`./Corso/${payload}-2.jpg`]
+    };
+}
+
+describe('Html', () => {
+    let app;
+
+    before(async () => {
+        app = await loadApp();
+    });
+    
+    for (const payload of PAYLOADS) {
+        it(`escapes ${JSON.stringify(payload)} in text and quoted attributes`, () => {
+            const Html = app.get('Html');
+            const container = app.window.document.createElement('div');
+            
+            Html.render(container, Html.safe`
+                <p title="${payload}" data-value='${payload}'>${payload}</p>
+                <textarea>${payload}</textarea>
+            `);
+            
+            assert.deepEqual(findInjections(container), []);
+            assert.equal(container.querySelectorAll('*').length, 2);
+            
+            const paragraph = container.querySelector('p');
+            assert.equal(paragraph.textContent, payload);
+            assert.equal(paragraph.getAttribute('title'), payload);
+            assert.equal(paragraph.dataset.value, payload);
+            assert.equal(container.querySelector('textarea').value, payload);
+        });
+    }
+
+    it('keeps nested fragments and escapes arrays of values', () => {
+        const Html = app.get('Html');
+        const container = app.window.document.createElement('div');
+        
+        Html.render(container, Html.safe`<ul>${PAYLOADS.map(payload => Html.safe`<li>${payload}</li>`)}</ul>`);
+        
+        assert.deepEqual(findInjections(container), []);
+        assert.deepEqual(Array.from(container.querySelectorAll('li'), item => item.textContent), PAYLOADS);
+    });
+
+    it('refuses plain strings', () => {
+        const Html = app.get('Html');
+        const container = app.window.document.createElement('div');
+        
+        assert.throws(() => Html.render(container, PAYLOADS[0]), app.window.TypeError);
+        assert.equal(container.innerHTML, '');
+    });
+});
+
+describe('Catalog renderers', () => {
+    let app;
+
+    before(async () => {
+        app = await loadApp({ page: 'Orders.html' });
+    });
+    
+    for (const payload of PAYLOADS) {
+        describe(`with ${JSON.stringify(payload)}`, () => {
+            const puppy = hostilePuppy(payload);
+
+            it('AvailablePage.createPuppyCard renders the values inert', () => {
+                const card = app.get('AvailablePage').createPuppyCard(puppy);
+                
+                assert.deepEqual(findInjections(card), []);
+                assert.equal(card.querySelector('.card-title').textContent.trim(), puppy.name);
+                assert.ok(card.textContent.includes(puppy.description));
+                
+                const image = card.querySelector('img');
+                assert.equal(image.getAttribute('src'), puppy.images[0]);
+                assert.equal(image.getAttribute('alt'), puppy.name);
+            });
+
+            it('OrderPage.generateOrderForm renders the values inert', () => {
+                const Html = app.get('Html');
+                const OrderPage = app.get('OrderPage');
+                const container = app.window.document.createElement('div');
+                
+                Html.render(container, OrderPage.generateOrderForm(puppy));
+                
+                assert.deepEqual(findInjections(container), []);
+                assert.equal(container.querySelector('input[name="puppy_name"]').value, puppy.name);
+            });
+
+            it('OrderPage.generateOrderSummary renders the values inert', () => {
+                const Html = app.get('Html');
+                const OrderPage = app.get('OrderPage');
+                const container = app.window.document.createElement('div');
+                
+                Html.render(container, OrderPage.generateOrderSummary(puppy));
+                
+                assert.deepEqual(findInjections(container), []);
+                assert.equal(container.querySelector('.card-title').textContent, puppy.name);
+                
+                const image = container.querySelector('img');
+                assert.equal(image.getAttribute('src'), puppy.images[0]);
+                assert.equal(image.getAttribute('alt'), puppy.name);
+            });
+        });
+    }
+});
@@ -0,0 +1,64 @@
+/**
+ * Paws & Tails - Listing Photo Tests
+ * Listings with only an images list show their first photo, not the placeholder.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const PUPPY = {
+    id: 'cc99',
+    name: 'Nova',
+    breed: 'Cane Corso',
+    gender: 'Female',
+    price: 1800,
+    birthDate: '2026-08-01',
+    images: ['./Corso/Lexi.jpg', './Corso/Lucy.jpg']
+};
+
+/**
+ * Load the app with translations and the image manifest ready
+ * @returns {Promise<Object>} Loaded app, with render(fragment) returning the first <img> src
+ */
+async function loadListingApp() {
+    const app = await loadApp();
+    
+    await Promise.all([app.get('I18n').load(), app.get('ImageManager').load()]);
+    app.render = fragment => {
+        const container = app.window.document.createElement('div');
+        app.get('Html').render(container, fragment);
+        return container.querySelector('img').getAttribute('src');
+    };
+    return app;
+}
+
+describe('Listing photos', () => {
+    it('uses the first of a listing\'s images on the puppy card', async () => {
+        const app = await loadListingApp();
+        const card = app.get('AvailablePage').createPuppyCard(PUPPY);
+        
+        assert.equal(card.querySelector('img').getAttribute('src'), './Corso/Lexi.jpg');
+    });
+
+    it('uses it in the order summary', async () => {
+        const app = await loadListingApp();
+        
+        assert.equal(app.render(app.get('OrderPage').generateOrderSummary(PUPPY)), './Corso/Lexi.jpg');
+    });
+
+    it('uses it in the compare table', async () => {
+        const app = await loadListingApp();
+        
+        assert.equal(app.render(app.get('AvailablePage').generateCompareTable([PUPPY])), './Corso/Lexi.jpg');
+    });
+
+    it('falls back to the single image field, then to the placeholder', async () => {
+        const app = await loadListingApp();
+        const Utils = app.get('Utils');
+        const { images, ...withoutImages } = PUPPY;
+        
+        assert.equal(Utils.getCoverImage({ ...withoutImages, image: './Corso/Miya.jpg' }), './Corso/Miya.jpg');
+        assert.equal(Utils.getCoverImage(withoutImages), app.get('APP_CONFIG').images.placeholder);
+    });
+});
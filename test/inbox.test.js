@@ -0,0 +1,97 @@
+/**
+ * Paws & Tails - Application Inbox Tests
+ * Approving an application reserves the puppy and tells the puppy's other applicants.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, fetchRepoFile, answerApplicationsStore } = require('./helpers/load-app');
+
+/**
+ * Build an order for a puppy
+ * @param {string} reference - Order reference
+ * @param {string} puppyId - Catalog ID
+ * @param {string} firstName - Applicant's first name
+ * @returns {Object} Order payload
+ */
+function buildOrder(reference, puppyId, firstName) {
+    return {
+        type: 'order',
+        reference,
+        submittedAt: new Date().toISOString(),
+        puppy: { id: puppyId, name: puppyId === 'cc01' ? 'Rocco' : 'Kane', breed: 'Cane Corso' },
+        application: { contact: { firstName, lastName: 'Lee', email: `${firstName.toLowerCase()}@example.com` } }
+    };
+}
+
+/**
+ * Open the unlocked admin console with orders already in the shared store
+ * @param {Array<Object>} orders - Orders to store first
+ * @returns {Promise<Object>} Loaded app, with the store in app.stored
+ */
+async function openInbox(orders) {
+    const stored = new Map();
+    const app = await loadApp({
+        page: 'admin.html',
+        body: '<div id="admin-content"></div>',
+        fetch: async (url, options = {}) => url.startsWith('/api/applications') ?
+            answerApplicationsStore(stored, url, options) : fetchRepoFile(url)
+    });
+    const config = app.get('APP_CONFIG');
+    
+    config.admin.passphraseHash = 'a'.repeat(64);
+    app.window.sessionStorage.setItem(config.admin.sessionKey, config.admin.passphraseHash);
+    app.window.confirm = () => true;
+    
+    for (const order of orders) {
+        await app.get('ApplicationStore').add(order);
+    }
+    await app.get('AdminPage').init();
+    
+    app.stored = stored;
+    app.record = id => app.get('AdminPage').records.find(record => record.id === id);
+    return app;
+}
+
+describe('ApplicationInbox.changeStatus', () => {
+    it('reserves the puppy and tells the other applicant when one is approved', async () => {
+        const app = await openInbox([buildOrder('PT-A', 'cc01', 'Ann'), buildOrder('PT-B', 'cc01', 'Ben')]);
+        const ApplicationInbox = app.get('ApplicationInbox');
+        
+        await ApplicationInbox.changeStatus(ApplicationInbox.findByReference('PT-A'), 'approved');
+        
+        assert.equal(app.record('cc01').status, 'reserved');
+        assert.equal(app.stored.get('PT-A').status, 'approved');
+        
+        const other = app.stored.get('PT-B');
+        assert.equal(other.status, 'new');
+        assert.deepEqual(Array.from(other.messages, message => [message.kind, message.params.name]), [['reserved-elsewhere', 'Rocco']]);
+        assert.equal(ApplicationInbox.findByReference('PT-B').messages.length, 1);
+        assert.equal(app.stored.get('PT-A').messages.length, 0);
+    });
+
+    it('leaves a puppy that isn\'t available alone', async () => {
+        const app = await openInbox([buildOrder('PT-A', 'cc02', 'Ann')]);
+        const ApplicationInbox = app.get('ApplicationInbox');
+        const AdminPage = app.get('AdminPage');
+        Object.assign(app.record('cc02'), { status: 'sold' });
+        
+        await ApplicationInbox.changeStatus(ApplicationInbox.findByReference('PT-A'), 'approved');
+        
+        assert.equal(app.stored.get('PT-A').status, 'approved');
+        assert.equal(app.record('cc02').status, 'sold');
+        assert.equal(AdminPage.hasUnsavedChanges, false);
+        assert.equal(await AdminPage.reservePuppy('cc02'), null);
+    });
+
+    it('neither reserves nor notifies when an application is declined', async () => {
+        const app = await openInbox([buildOrder('PT-A', 'cc01', 'Ann'), buildOrder('PT-B', 'cc01', 'Ben')]);
+        const ApplicationInbox = app.get('ApplicationInbox');
+        
+        await ApplicationInbox.changeStatus(ApplicationInbox.findByReference('PT-A'), 'declined');
+        
+        assert.equal(app.stored.get('PT-A').status, 'declined');
+        assert.equal(app.record('cc01').status, 'available');
+        assert.equal(app.stored.get('PT-B').messages.length, 0);
+    });
+});
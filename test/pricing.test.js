@@ -0,0 +1,116 @@
+/**
+ * Paws & Tails - Pricing Tests
+ * The order total adds sales tax and plan fees, and the deposit and schedule always add back up to it.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const NOW = new Date(2026, 9, 19);
+
+/**
+ * Load the app with the shipped pricing config
+ * @returns {Promise<Object>} PricingEngine
+ */
+async function loadPricing() {
+    return (await loadApp()).get('PricingEngine');
+}
+
+/**
+ * Sum a schedule's payments in cents
+ * @param {Array<Object>} schedule - Payments from buildSchedule
+ * @returns {number} Total in cents
+ */
+function totalCents(schedule) {
+    return schedule.reduce((total, payment) => total + Math.round(payment.amount * 100), 0);
+}
+
+describe('PricingEngine.calculate', () => {
+    it('taxes the puppy but not shipping, and takes the deposit off the total', async () => {
+        const PricingEngine = await loadPricing();
+        const pricing = PricingEngine.calculate({ puppyPrice: 1500, shipping: 150, state: 'ga', now: NOW });
+        
+        assert.equal(pricing.taxRate, 0.04);
+        assert.equal(pricing.taxableAmount, 1500);
+        assert.equal(pricing.tax, 60);
+        assert.equal(pricing.subtotal, 1650);
+        assert.equal(pricing.total, 1710);
+        assert.equal(pricing.deposit, 300);
+        assert.equal(pricing.balance, 1410);
+    });
+
+    it('charges no tax in states it isn\'t configured for', async () => {
+        const PricingEngine = await loadPricing();
+        
+        assert.equal(PricingEngine.calculate({ puppyPrice: 1500, state: 'CA', now: NOW }).tax, 0);
+        assert.equal(PricingEngine.calculate({ puppyPrice: 1500, now: NOW }).tax, 0);
+    });
+
+    it('never asks for a deposit above the total', async () => {
+        const PricingEngine = await loadPricing();
+        const pricing = PricingEngine.calculate({ puppyPrice: 200, now: NOW });
+        
+        assert.equal(pricing.deposit, 200);
+        assert.equal(pricing.balance, 0);
+        assert.equal(pricing.schedule.length, 1);
+    });
+
+    it('adds the plan fee and falls back to paying in full for an unknown plan', async () => {
+        const PricingEngine = await loadPricing();
+        
+        assert.equal(PricingEngine.calculate({ puppyPrice: 1500, planId: 'three-month', now: NOW }).total, 1525);
+        
+        const pricing = PricingEngine.calculate({ puppyPrice: 1500, planId: 'weekly', now: NOW });
+        assert.equal(pricing.plan.id, 'full');
+        assert.equal(pricing.total, 1500);
+    });
+
+    it('rounds tax to whole cents', async () => {
+        const PricingEngine = await loadPricing();
+        
+        assert.equal(PricingEngine.calculate({ puppyPrice: 1499.99, state: 'NC', now: NOW }).tax, 71.25);
+    });
+});
+
+describe('PricingEngine.buildSchedule', () => {
+    it('takes the deposit now and the balance at pickup when paying in full', async () => {
+        const PricingEngine = await loadPricing();
+        const schedule = PricingEngine.buildSchedule(300, 1410, { id: 'full', installments: 1 }, NOW);
+        
+        assert.deepEqual(Array.from(schedule, payment => [payment.type, payment.amount, payment.dueDate]), [
+            ['deposit', 300, NOW],
+            ['balance', 1410, null]
+        ]);
+    });
+
+    it('spaces installments by the plan interval', async () => {
+        const PricingEngine = await loadPricing();
+        const schedule = PricingEngine.buildSchedule(300, 1410, { installments: 2, intervalDays: 30 }, NOW);
+        
+        assert.deepEqual(Array.from(schedule, payment => [payment.type, payment.amount]), [
+            ['deposit', 300],
+            ['installment', 705],
+            ['installment', 705]
+        ]);
+        assert.equal(schedule[1].dueDate.getTime(), new Date(2026, 10, 18).getTime());
+        assert.equal(schedule[2].dueDate.getTime(), new Date(2026, 11, 18).getTime());
+    });
+
+    it('puts the rounding remainder on the last installment', async () => {
+        const PricingEngine = await loadPricing();
+        const schedule = PricingEngine.buildSchedule(300, 1435, { installments: 3, intervalDays: 30 }, NOW);
+        
+        assert.deepEqual(Array.from(schedule.slice(1), payment => payment.amount), [478.33, 478.33, 478.34]);
+        assert.equal(totalCents(schedule), 173500);
+    });
+
+    it('adds back up to the total for every plan', async () => {
+        const PricingEngine = await loadPricing();
+        
+        for (const planId of ['full', 'two-month', 'three-month']) {
+            const pricing = PricingEngine.calculate({ puppyPrice: 2333.33, shipping: 99.99, state: 'TN', planId, now: NOW });
+            assert.equal(totalCents(pricing.schedule), Math.round(pricing.total * 100), planId);
+        }
+    });
+});
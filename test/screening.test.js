@@ -0,0 +1,119 @@
+/**
+ * Paws & Tails - Screening Tests
+ * Applications are scored only on the questions the applicant was asked, and red flags override the score.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const STRONG = {
+    homeType: 'house',
+    homeOwnership: 'own',
+    breedExperience: 'same-breed',
+    fencedYard: 'yes-6ft',
+    youngestChild: 'none',
+    petTypes: 'none',
+    hoursAlone: 'home',
+    airConditioning: 'yes',
+    trainingPlan: 'professional',
+    guardianExperience: 'guardian'
+};
+
+const AVERAGE = {
+    homeType: 'apartment',
+    homeOwnership: 'rent',
+    breedExperience: 'other-breeds',
+    fencedYard: 'yes-4ft',
+    youngestChild: '5-12',
+    petTypes: 'none',
+    hoursAlone: 'under-4',
+    trainingPlan: 'classes',
+    guardianExperience: 'large-breed'
+};
+
+/**
+ * Load the app with the shipped screening config
+ * @returns {Promise<Object>} ScreeningManager
+ */
+async function loadScreening() {
+    return (await loadApp()).get('ScreeningManager');
+}
+
+describe('ScreeningManager.evaluate', () => {
+    it('rates a strong application low risk with a full score', async () => {
+        const ScreeningManager = await loadScreening();
+        const result = ScreeningManager.evaluate(STRONG, 'Cane Corso');
+        
+        assert.equal(result.score, 17);
+        assert.equal(result.maxScore, 17);
+        assert.equal(result.risk, 'low');
+        assert.equal(result.flags.length, 0);
+    });
+
+    it('sends a middling application for review', async () => {
+        const ScreeningManager = await loadScreening();
+        const result = ScreeningManager.evaluate(AVERAGE, 'Cane Corso');
+        
+        assert.equal(result.score, 5);
+        assert.equal(result.risk, 'medium');
+    });
+
+    it('rates a low score high risk', async () => {
+        const ScreeningManager = await loadScreening();
+        const result = ScreeningManager.evaluate({ ...AVERAGE, breedExperience: 'first-dog', hoursAlone: 'over-8' }, 'Cane Corso');
+        
+        assert.equal(result.score, -1);
+        assert.equal(result.risk, 'high');
+    });
+
+    it('makes a red flag high risk whatever the score', async () => {
+        const ScreeningManager = await loadScreening();
+        const result = ScreeningManager.evaluate({ ...STRONG, fencedYard: 'no' }, 'Cane Corso');
+        
+        assert.equal(result.score, 12);
+        assert.equal(result.risk, 'high');
+        assert.deepEqual(Array.from(result.flags, flag => [flag.name, flag.value]), [['fencedYard', 'no']]);
+    });
+
+    it('only raises the red flags configured for the breed', async () => {
+        const ScreeningManager = await loadScreening();
+        const result = ScreeningManager.evaluate({ ...STRONG, fencedYard: 'no' }, 'French Bulldog');
+        
+        assert.equal(result.flags.length, 0);
+        assert.notEqual(result.risk, 'high');
+    });
+
+    it('scores breed-specific questions only for their breeds', async () => {
+        const ScreeningManager = await loadScreening();
+        const corso = ScreeningManager.evaluate({ ...STRONG, airConditioning: 'no' }, 'Cane Corso');
+        const frenchie = ScreeningManager.evaluate({ ...STRONG, airConditioning: 'no' }, 'French Bulldog');
+        
+        assert.equal(corso.score, 17);
+        assert.equal(corso.risk, 'low');
+        assert.equal(frenchie.maxScore, 15);
+        assert.equal(frenchie.score, 11);
+        assert.deepEqual(Array.from(frenchie.flags, flag => flag.name), ['airConditioning']);
+    });
+
+    it('ignores answers to follow-up questions the applicant wasn\'t shown', async () => {
+        const ScreeningManager = await loadScreening();
+        const withCats = ScreeningManager.evaluate({ ...STRONG, petTypes: 'cats', sameSexDog: 'yes' }, 'Cane Corso');
+        const withDogs = ScreeningManager.evaluate({ ...STRONG, petTypes: 'dogs', sameSexDog: 'yes' }, 'Cane Corso');
+        
+        assert.equal(withCats.score, 17);
+        assert.equal(withDogs.score, 15);
+    });
+});
+
+describe('ScreeningManager.getQuestions', () => {
+    it('asks each breed its own questions in each step', async () => {
+        const ScreeningManager = await loadScreening();
+        const names = (breed, step) => Array.from(ScreeningManager.getQuestions(breed, step), question => question.name);
+        
+        assert.ok(names('Cane Corso', 'experience').includes('guardianExperience'));
+        assert.equal(names('French Bulldog', 'experience').includes('guardianExperience'), false);
+        assert.ok(names('French Bulldog', 'household').includes('airConditioning'));
+        assert.equal(names('French Bulldog', 'household').includes('sameSexDog'), false);
+    });
+});
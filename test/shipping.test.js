@@ -0,0 +1,83 @@
+/**
+ * Paws & Tails - Shipping Tests
+ * Delivery is priced by the buyer's ZIP code zone, and methods a zone doesn't offer stay unavailable.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+describe('ShippingCalculator.normalizePostalCode', () => {
+    it('accepts five-digit ZIPs and ZIP+4', async () => {
+        const ShippingCalculator = (await loadApp()).get('ShippingCalculator');
+        
+        assert.equal(ShippingCalculator.normalizePostalCode(' 30301 '), '30301');
+        assert.equal(ShippingCalculator.normalizePostalCode('30301-1234'), '30301');
+        assert.equal(ShippingCalculator.normalizePostalCode('303011234'), '30301');
+    });
+
+    it('rejects anything else', async () => {
+        const ShippingCalculator = (await loadApp()).get('ShippingCalculator');
+        
+        for (const value of ['3030', '303012', 'ABCDE', '', undefined]) {
+            assert.equal(ShippingCalculator.normalizePostalCode(value), null, String(value));
+        }
+    });
+});
+
+describe('ShippingCalculator.findZone', () => {
+    it('matches single prefixes and prefix ranges, inclusive at both ends', async () => {
+        const ShippingCalculator = (await loadApp()).get('ShippingCalculator');
+        const zoneOf = zip => ShippingCalculator.findZone(zip).id;
+        
+        assert.equal(zoneOf('30000'), 'local');
+        assert.equal(zoneOf('30399'), 'local');
+        assert.equal(zoneOf('31101'), 'local');
+        assert.equal(zoneOf('30401'), 'regional');
+        assert.equal(zoneOf('27001'), 'regional');
+        assert.equal(zoneOf('19701'), 'extended');
+    });
+
+    it('puts ZIPs no zone lists in the catch-all zone', async () => {
+        const ShippingCalculator = (await loadApp()).get('ShippingCalculator');
+        
+        assert.equal(ShippingCalculator.findZone('90210').id, 'national');
+        assert.equal(ShippingCalculator.findZone('10001').id, 'national');
+    });
+
+    it('finds no zone for an invalid ZIP', async () => {
+        const ShippingCalculator = (await loadApp()).get('ShippingCalculator');
+        
+        assert.equal(ShippingCalculator.findZone('3030'), null);
+    });
+});
+
+describe('ShippingCalculator.getQuote', () => {
+    it('prices pickup without a zone', async () => {
+        const ShippingCalculator = (await loadApp()).get('ShippingCalculator');
+        
+        assert.deepEqual({ ...ShippingCalculator.getQuote('pickup', null) }, { available: true, rate: 0, crateFee: 0, total: 0 });
+    });
+
+    it('adds the carrier crate fee to the zone rate', async () => {
+        const ShippingCalculator = (await loadApp()).get('ShippingCalculator');
+        const regional = ShippingCalculator.findZone('30401');
+        
+        assert.deepEqual({ ...ShippingCalculator.getQuote('standard', regional) }, { available: true, rate: 150, crateFee: 0, total: 150 });
+        assert.deepEqual({ ...ShippingCalculator.getQuote('flightNanny', regional) }, { available: true, rate: 450, crateFee: 75, total: 525 });
+    });
+
+    it('leaves methods unavailable where the zone has no rate for them', async () => {
+        const ShippingCalculator = (await loadApp()).get('ShippingCalculator');
+        
+        assert.equal(ShippingCalculator.getQuote('flightNanny', ShippingCalculator.findZone('30301')).available, false);
+        assert.equal(ShippingCalculator.getQuote('handDelivery', ShippingCalculator.findZone('90210')).available, false);
+    });
+
+    it('needs a zone for zone-priced methods, and knows only configured methods', async () => {
+        const ShippingCalculator = (await loadApp()).get('ShippingCalculator');
+        
+        assert.equal(ShippingCalculator.getQuote('standard', null).available, false);
+        assert.equal(ShippingCalculator.getQuote('drone', ShippingCalculator.findZone('30301')).available, false);
+    });
+});
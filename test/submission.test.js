@@ -0,0 +1,285 @@
+/**
+ * Paws & Tails - Submission Tests
+ * Every transport keeps a copy of the submission in the shared store for the inbox and tracking page.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, fetchRepoFile, respond, answerApplicationsStore } = require('./helpers/load-app');
+
+/**
+ * Load the app with a fake server answering POSTs and a shared applications store
+ * @param {string} adapter - Submission adapter to configure
+ * @param {Object} response - { status, body } returned to POSTs
+ * @returns {Promise<Object>} Loaded app, with the POSTed bodies in app.posted and the store in app.stored
+ */
+async function loadWithServer(adapter, response = { status: 200, body: {} }) {
+    const posted = [];
+    const app = await loadApp({
+        page: 'Orders.html',
+        fetch: async (url, options = {}) => {
+            if (url.startsWith('/api/applications')) return answerApplicationsStore(app.stored, url, options);
+            if (options.method !== 'POST') return fetchRepoFile(url);
+            
+            posted.push(JSON.parse(options.body));
+            return respond(response.status, response.body);
+        }
+    });
+    
+    Object.assign(app.get('APP_CONFIG').submission, { adapter });
+    app.get('APP_CONFIG').submission.retry.delay = 0;
+    app.posted = posted;
+    app.stored = new Map();
+    return app;
+}
+
+/**
+ * Build a minimal order payload
+ * @param {Object} app - Loaded app
+ * @returns {Object} Order payload
+ */
+function buildOrder(app) {
+    return {
+        type: 'order',
+        reference: app.get('SubmissionManager').generateReference(),
+        submittedAt: new Date().toISOString(),
+        puppy: { id: 'cc01', name: 'Rocco', breed: 'Cane Corso' },
+        application: { contact: { firstName: 'Ann', lastName: 'Lee', email: 'ann@example.com' } }
+    };
+}
+
+describe('Submission defaults', () => {
+    it('ships with a transport that reaches the breeder', async () => {
+        const app = await loadApp();
+        const { adapter, mailto } = app.get('APP_CONFIG').submission;
+        
+        assert.notEqual(adapter, 'mock');
+        assert.ok(app.get('SubmissionManager').adapters[adapter], `"${adapter}" is a known adapter`);
+        if (adapter === 'mailto') assert.match(mailto.address, /^[^@\s]+@[^@\s]+\.[a-z]+$/i);
+    });
+
+    it('ships storing applications on the bundled local server', async () => {
+        const app = await loadApp();
+        const { adapter, endpoint } = app.get('APP_CONFIG').applications;
+        
+        assert.equal(adapter, 'endpoint');
+        assert.equal(endpoint.url, '/api/applications');
+        assert.equal(app.get('ApplicationStore').isEnabled(), true);
+    });
+
+    it('turns the store off when the adapter is cleared', async () => {
+        const app = await loadApp();
+        app.get('APP_CONFIG').applications.adapter = null;
+        
+        assert.equal(app.get('ApplicationStore').isEnabled(), false);
+        await assert.rejects(app.get('ApplicationStore').list(), /No applications store is configured/);
+    });
+
+    it('refuses the mock adapter on a deployed site', async () => {
+        const app = await loadWithServer('mock');
+        const SubmissionManager = app.get('SubmissionManager');
+        SubmissionManager.isLocalHost = () => false;
+        
+        await assert.rejects(SubmissionManager.submit(buildOrder(app)), /only runs on localhost/);
+        assert.equal((await app.get('ApplicationStore').list()).length, 0);
+    });
+
+    it('keeps applicant details out of the console', async () => {
+        const app = await loadWithServer('mock');
+        app.get('APP_CONFIG').submission.mock.delay = 0;
+        const logged = [];
+        app.window.console.log = (...args) => logged.push(args);
+        
+        await app.get('SubmissionManager').submit(buildOrder(app));
+        
+        assert.equal(logged.some(args => args.some(arg => JSON.stringify(arg).includes('ann@example.com'))), false);
+    });
+});
+
+describe('SubmissionManager.submit', () => {
+    for (const adapter of ['formspree', 'endpoint', 'mock']) {
+        it(`records ${adapter} submissions in the applications store`, async () => {
+            const app = await loadWithServer(adapter);
+            app.get('APP_CONFIG').submission.mock.delay = 0;
+            const payload = buildOrder(app);
+            
+            const result = await app.get('SubmissionManager').submit(payload);
+            
+            assert.equal(result.recorded, true);
+            const stored = await app.get('ApplicationStore').lookup(payload.reference, 'ann@example.com');
+            assert.ok(stored, 'the order can be looked up');
+            assert.equal(stored.status, 'new');
+        });
+    }
+
+    it('stores a mailto order with its screening result before the draft opens', async () => {
+        const app = await loadWithServer('mailto');
+        const mailto = app.get('SubmissionManager').adapters.mailto;
+        const payload = { ...buildOrder(app), screening: { score: -4, maxScore: 20, risk: 'high', flags: [{ name: 'fencedYard', value: 'no' }] } };
+        let storedFirst = false;
+        mailto.submit = async () => {
+            storedFirst = app.stored.has(payload.reference);
+            return { reference: payload.reference, via: 'mailto', delivered: false };
+        };
+        
+        const result = await app.get('SubmissionManager').submit(payload);
+        
+        assert.equal(result.delivered, false);
+        assert.equal(result.recorded, true);
+        assert.equal(storedFirst, true);
+        
+        const stored = app.stored.get(payload.reference);
+        assert.equal(stored.via, 'mailto');
+        assert.equal(stored.screening.risk, 'high');
+        assert.deepEqual(stored.screening.flags, [{ name: 'fencedYard', value: 'no' }]);
+    });
+
+    it('records the reference the endpoint assigns', async () => {
+        const app = await loadWithServer('endpoint', { status: 201, body: { reference: 'SRV-0001' } });
+        const payload = buildOrder(app);
+        
+        const result = await app.get('SubmissionManager').submit(payload);
+        
+        assert.equal(result.reference, 'SRV-0001');
+        assert.ok(await app.get('ApplicationStore').lookup('SRV-0001', 'ann@example.com'));
+        assert.equal(await app.get('ApplicationStore').lookup(payload.reference, 'ann@example.com'), null);
+    });
+
+    it('records nothing when the transport rejects the submission', async () => {
+        const app = await loadWithServer('formspree', { status: 422, body: { error: 'Invalid email' } });
+        const payload = buildOrder(app);
+        
+        await assert.rejects(app.get('SubmissionManager').submit(payload), /Invalid email/);
+        assert.equal((await app.get('ApplicationStore').list()).length, 0);
+    });
+
+    it('sends but records nothing while no applications store is configured', async () => {
+        const app = await loadWithServer('formspree');
+        app.get('APP_CONFIG').applications.adapter = null;
+        
+        const result = await app.get('SubmissionManager').submit(buildOrder(app));
+        
+        assert.equal(result.delivered, true);
+        assert.equal(result.recorded, false);
+        assert.equal(app.posted.length, 1);
+        assert.equal(app.stored.size, 0);
+    });
+
+    it('still reports a sent submission when the store is unavailable', async () => {
+        const app = await loadWithServer('formspree');
+        app.get('ApplicationStore').add = async () => { throw new Error('Storage full'); };
+        
+        const result = await app.get('SubmissionManager').submit(buildOrder(app));
+        
+        assert.equal(result.delivered, true);
+        assert.equal(result.recorded, false);
+        assert.equal(app.posted.length, 1);
+    });
+});
+
+describe('SubmissionManager.buildMailtoUrl', () => {
+    it('leaves the screening score and flags out of the applicant\'s draft', async () => {
+        const app = await loadApp();
+        const payload = {
+            ...buildOrder(app),
+            screening: { score: -4, maxScore: 20, risk: 'high', flags: [{ name: 'fencedYard', value: 'no' }] }
+        };
+        
+        const body = decodeURIComponent(app.get('SubmissionManager').buildMailtoUrl(payload, 'kennel@example.com').split('&body=')[1]);
+        
+        assert.ok(body.includes(payload.reference));
+        assert.ok(body.includes('ann@example.com'));
+        assert.doesNotMatch(body, /screening|score|flag|high risk/i);
+    });
+});
+
+describe('Order confirmation', () => {
+    /**
+     * Submit an order and render the confirmation screen for it
+     * @param {Object} app - Loaded app
+     * @returns {Promise<Object>} { payload, result, link } with the Track link, if shown
+     */
+    async function confirmOrder(app) {
+        const OrderPage = app.get('OrderPage');
+        const payload = buildOrder(app);
+        const result = await app.get('SubmissionManager').submit(payload);
+        
+        OrderPage.selectedPuppy = app.get('CatalogManager').findById('cc01') || payload.puppy;
+        OrderPage.elements.orderContent = app.window.document.createElement('div');
+        app.window.document.body.appendChild(OrderPage.elements.orderContent);
+        app.window.scrollTo = () => {};
+        OrderPage.renderConfirmation(payload, result);
+        
+        return { payload, result, link: OrderPage.elements.orderContent.querySelector('a[href^="track.html"]') };
+    }
+
+    it('links a formspree order to the tracking page, which finds it', async () => {
+        const app = await loadWithServer('formspree');
+        await app.get('CatalogManager').load();
+        const { result, link } = await confirmOrder(app);
+        
+        assert.ok(link, 'the Track link is shown');
+        assert.equal(link.getAttribute('href'), `track.html?ref=${encodeURIComponent(result.reference)}`);
+        
+        const content = app.window.document.createElement('div');
+        content.id = 'track-content';
+        app.window.document.body.appendChild(content);
+        await app.get('TrackingPage').init();
+        
+        const form = app.window.document.getElementById('trackingForm');
+        form.elements.reference.value = result.reference;
+        form.elements.email.value = 'ann@example.com';
+        form.dispatchEvent(new app.window.Event('submit', { cancelable: true }));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        
+        assert.equal(app.window.document.getElementById('trackError').textContent, '');
+        assert.ok(app.window.document.getElementById('trackResult').textContent.includes(result.reference));
+    });
+
+    it('hides the Track link for a mailto draft', async () => {
+        const app = await loadWithServer('mailto');
+        
+        const { result, link } = await confirmOrder(app);
+        
+        assert.equal(result.delivered, false);
+        assert.equal(link, null);
+    });
+
+    it('hides the Track link when the order could not be recorded', async () => {
+        const app = await loadWithServer('formspree');
+        app.get('ApplicationStore').add = async () => { throw new Error('Storage full'); };
+        
+        const { result, link } = await confirmOrder(app);
+        
+        assert.equal(result.delivered, true);
+        assert.equal(link, null);
+    });
+
+    it('hides the Track link and turns tracking off without an applications store', async () => {
+        const app = await loadWithServer('formspree');
+        app.get('APP_CONFIG').applications.adapter = null;
+        await app.get('I18n').load();
+        
+        const { link } = await confirmOrder(app);
+        
+        assert.equal(link, null);
+        
+        const content = app.window.document.createElement('div');
+        content.id = 'track-content';
+        app.window.document.body.appendChild(content);
+        await app.get('TrackingPage').init();
+        
+        assert.equal(app.window.document.getElementById('trackingForm'), null);
+        assert.match(content.textContent, /isn't available yet/);
+    });
+
+    it('hides the Track link while an order waits offline', async () => {
+        const app = await loadWithServer('formspree');
+        Object.defineProperty(app.window.navigator, 'onLine', { value: false, configurable: true });
+        
+        const { result, link } = await confirmOrder(app);
+        
+        assert.equal(result.queued, true);
+        assert.equal(link, null);
+    });
+});
@@ -0,0 +1,45 @@
+/**
+ * Paws & Tails - Terms Tests
+ * The terms modal quotes the deposit the order form actually charges.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const TERMS = '<p data-i18n="terms.deposit.text" id="termsDepositText">A non-refundable deposit is required.</p>';
+
+/**
+ * Load the order page, translate it and fill in the deposit terms
+ * @param {Object} options - { amount, lang } to configure
+ * @returns {Promise<string>} Deposit terms text
+ */
+async function renderTerms({ amount, lang = 'en' }) {
+    const app = await loadApp({ page: `Orders.html?lang=${lang}`, body: TERMS });
+    const I18n = app.get('I18n');
+    const OrderPage = app.get('OrderPage');
+    
+    app.get('APP_CONFIG').pricing.deposit.amount = amount;
+    await I18n.load();
+    I18n.translatePage();
+    OrderPage.cacheElements();
+    OrderPage.renderDepositTerms();
+    
+    return OrderPage.elements.depositTerms.textContent;
+}
+
+describe('OrderPage.renderDepositTerms', () => {
+    it('quotes the configured deposit', async () => {
+        const text = await renderTerms({ amount: 450 });
+        
+        assert.match(text, /deposit of \$450\.00 is required/);
+        assert.doesNotMatch(text, /300|\{amount\}/);
+    });
+
+    it('quotes it in Spanish too', async () => {
+        const text = await renderTerms({ amount: 450, lang: 'es' });
+        
+        assert.match(text, /depósito no reembolsable de .*450/);
+        assert.doesNotMatch(text, /300|\{amount\}/);
+    });
+});
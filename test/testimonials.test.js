@@ -0,0 +1,104 @@
+/**
+ * Paws & Tails - Testimonial Submission Tests
+ * Reviews are verified against the order status the breeder sets in the shared applications store.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, fetchRepoFile, respond, answerApplicationsStore } = require('./helpers/load-app');
+
+const FORM_SECTION = '<section><div id="testimonial-form-container"></div></section>';
+
+/**
+ * Load the testimonials page with a shared applications store holding one order
+ * @returns {Promise<Object>} Loaded app, with the POSTed bodies in app.posted and the order in app.order
+ */
+async function loadReviewApp() {
+    const posted = [];
+    const stored = new Map();
+    const app = await loadApp({
+        page: 'testimonials.html',
+        body: FORM_SECTION,
+        fetch: async (url, options = {}) => {
+            if (url.startsWith('/api/applications')) return answerApplicationsStore(stored, url, options);
+            if (options.method !== 'POST') return fetchRepoFile(url);
+            
+            posted.push(JSON.parse(options.body));
+            return respond(200, {});
+        }
+    });
+    
+    Object.assign(app.get('APP_CONFIG').submission, { adapter: 'formspree' });
+    await app.get('I18n').load();
+    
+    app.order = await app.get('ApplicationStore').add({
+        type: 'order',
+        reference: 'PT-261019-K3F9',
+        submittedAt: new Date().toISOString(),
+        puppy: { id: 'cc01', name: 'Rocco', breed: 'Cane Corso' },
+        application: { contact: { firstName: 'Ann', lastName: 'Lee', email: 'ann@example.com' } }
+    });
+    app.posted = posted;
+    return app;
+}
+
+/**
+ * Render the review form, fill it in and submit it
+ * @param {Object} app - Loaded app
+ * @param {string} email - Email to verify the order with
+ * @returns {Promise<string>} Error shown on the form, or '' when none
+ */
+async function submitReview(app, email) {
+    const TestimonialsPage = app.get('TestimonialsPage');
+    TestimonialsPage.cacheElements();
+    TestimonialsPage.renderForm();
+    
+    const form = app.window.document.getElementById('testimonialForm');
+    form.elements.reference.value = app.order.reference;
+    form.elements.email.value = email;
+    form.elements.author.value = 'The Lee Family';
+    form.elements.rating.value = '5';
+    form.elements.text.value = 'Rocco settled in from day one.';
+    form.elements.consent.checked = true;
+    
+    await TestimonialsPage.handleSubmit({ preventDefault() {}, target: form });
+    
+    const error = app.window.document.getElementById('testimonialError');
+    return error ? error.textContent : '';
+}
+
+describe('TestimonialsPage review form', () => {
+    it('is offered on a default install', async () => {
+        const app = await loadApp({ page: 'testimonials.html', body: FORM_SECTION });
+        const TestimonialsPage = app.get('TestimonialsPage');
+        
+        TestimonialsPage.cacheElements();
+        TestimonialsPage.renderForm();
+        
+        assert.ok(app.window.document.getElementById('testimonialForm'));
+        assert.equal(app.window.document.querySelector('section').classList.contains('d-none'), false);
+    });
+
+    it('turns a review away until the breeder marks the order completed', async () => {
+        const app = await loadReviewApp();
+        const I18n = app.get('I18n');
+        
+        assert.equal(await submitReview(app, 'ann@example.com'), I18n.t('testimonials.form.notYet'));
+        assert.equal(app.posted.length, 0);
+        
+        await app.get('ApplicationStore').setStatus(app.order, 'completed');
+        
+        assert.equal(await submitReview(app, 'Ann@Example.com'), '');
+        assert.equal(app.posted.length, 1);
+        assert.equal(app.posted[0].type, 'testimonial');
+        assert.equal(app.posted[0].orderReference, app.order.reference);
+    });
+
+    it('does not verify a review with someone else\'s email', async () => {
+        const app = await loadReviewApp();
+        await app.get('ApplicationStore').setStatus(app.order, 'completed');
+        
+        assert.equal(await submitReview(app, 'someone@example.com'), app.get('I18n').t('tracking.notFound'));
+        assert.equal(app.posted.length, 0);
+    });
+});
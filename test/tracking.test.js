@@ -0,0 +1,176 @@
+/**
+ * Paws & Tails - Tracking Page Tests
+ * Applicants find their own application by reference and email, and see its payments, go-home date and messages.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, fetchRepoFile, answerApplicationsStore } = require('./helpers/load-app');
+
+const NOW = new Date(2026, 9, 19);
+
+const ORDER = {
+    type: 'order',
+    reference: 'PT-261019-K3F9',
+    submittedAt: '2026-10-19T10:00:00.000Z',
+    puppy: { id: 'cc01', name: 'Rocco', breed: 'Cane Corso' },
+    application: { contact: { firstName: 'Ann', lastName: 'Lee', email: 'ann@example.com' } },
+    pricing: {
+        schedule: [
+            { type: 'deposit', amount: 300, dueDate: '2026-10-19T00:00:00.000Z' },
+            { type: 'installment', amount: 705, dueDate: '2026-11-18T00:00:00.000Z' },
+            { type: 'installment', amount: 705, dueDate: '2026-12-18T00:00:00.000Z' }
+        ]
+    }
+};
+
+/**
+ * Load the tracking page with the shared store holding the given records
+ * @param {Array<Object>} records - Stored applications
+ * @returns {Promise<Object>} Loaded app, with lookup(reference, email) submitting the form
+ */
+async function loadTracking(records = [ORDER]) {
+    const stored = new Map(records.map(record => [record.reference, record]));
+    const app = await loadApp({
+        page: 'track.html',
+        body: '<div id="track-content"></div>',
+        fetch: async (url, options = {}) => url.startsWith('/api/applications') ?
+            answerApplicationsStore(stored, url, options) : fetchRepoFile(url)
+    });
+    const TrackingPage = app.get('TrackingPage');
+    
+    await app.get('I18n').load();
+    await TrackingPage.init();
+    
+    app.lookup = async (reference, email) => {
+        const form = app.window.document.getElementById('trackingForm');
+        form.elements.reference.value = reference;
+        form.elements.email.value = email;
+        await TrackingPage.handleSubmit({ preventDefault() {}, target: form });
+        
+        return {
+            error: app.window.document.getElementById('trackError').textContent,
+            result: app.window.document.getElementById('trackResult').textContent
+        };
+    };
+    return app;
+}
+
+/**
+ * Render a fragment and return the element holding it
+ * @param {Object} app - Loaded app
+ * @param {Object} fragment - HTML fragment
+ * @returns {HTMLElement} Container
+ */
+function render(app, fragment) {
+    const container = app.window.document.createElement('div');
+    app.get('Html').render(container, fragment);
+    return container;
+}
+
+describe('TrackingPage lookup', () => {
+    it('finds an application by reference and email, whatever their case', async () => {
+        const app = await loadTracking();
+        
+        const { error, result } = await app.lookup(' pt-261019-k3f9 ', 'Ann@Example.com');
+        
+        assert.equal(error, '');
+        assert.ok(result.includes(ORDER.reference));
+        assert.ok(result.includes('Rocco'));
+    });
+
+    it('finds nothing when the email doesn\'t match the reference', async () => {
+        const app = await loadTracking();
+        
+        const { error, result } = await app.lookup(ORDER.reference, 'someone@example.com');
+        
+        assert.equal(error, app.get('I18n').t('tracking.notFound'));
+        assert.equal(result.trim(), '');
+    });
+
+    it('has nothing to show for a review', async () => {
+        const review = { ...ORDER, type: 'testimonial', reference: 'TS-261019-AB12' };
+        const app = await loadTracking([review]);
+        
+        assert.equal((await app.lookup(review.reference, 'ann@example.com')).error, app.get('I18n').t('tracking.notFound'));
+    });
+
+    it('asks for both the reference and the email', async () => {
+        const app = await loadTracking();
+        
+        assert.equal((await app.lookup(ORDER.reference, ' ')).error, app.get('I18n').t('tracking.required'));
+    });
+});
+
+describe('TrackingPage.getGoHomeDate', () => {
+    const withPreferredDate = preferredDate => ({ ...ORDER, application: { ...ORDER.application, delivery: { preferredDate } } });
+
+    it('is the day the puppy is old enough to leave', async () => {
+        const TrackingPage = (await loadTracking()).get('TrackingPage');
+        const date = TrackingPage.getGoHomeDate(ORDER, { birthDate: '2026-09-01' }, NOW);
+        
+        assert.equal(date.getTime(), new Date(2026, 9, 27).getTime());
+    });
+
+    it('waits for a later preferred date', async () => {
+        const TrackingPage = (await loadTracking()).get('TrackingPage');
+        const date = TrackingPage.getGoHomeDate(withPreferredDate('2026-11-14'), { birthDate: '2026-09-01' }, NOW);
+        
+        assert.equal(date.getTime(), new Date(2026, 10, 14).getTime());
+    });
+
+    it('is never before today', async () => {
+        const TrackingPage = (await loadTracking()).get('TrackingPage');
+        const date = TrackingPage.getGoHomeDate(withPreferredDate('2026-10-01'), { birthDate: '2026-06-01' }, NOW);
+        
+        assert.equal(date.getTime(), NOW.getTime());
+    });
+
+    it('is unknown without a birth date or preferred date', async () => {
+        const TrackingPage = (await loadTracking()).get('TrackingPage');
+        
+        assert.equal(TrackingPage.getGoHomeDate(ORDER, null, NOW), null);
+        assert.equal(TrackingPage.getGoHomeDate(ORDER, { name: 'Rocco' }, NOW), null);
+    });
+});
+
+describe('TrackingPage.generatePayments', () => {
+    /**
+     * Count the payments marked paid for an order in the given status
+     * @param {Object} app - Loaded app
+     * @param {string} status - Application status
+     * @returns {number} Paid payments
+     */
+    function countPaid(app, status) {
+        const container = render(app, app.get('TrackingPage').generatePayments({ ...ORDER, status }));
+        return container.querySelectorAll('.text-success').length;
+    }
+
+    it('marks the deposit paid once it is received, and everything paid once completed', async () => {
+        const app = await loadTracking();
+        
+        assert.equal(countPaid(app, 'approved'), 0);
+        assert.equal(countPaid(app, 'deposit'), 1);
+        assert.equal(countPaid(app, 'completed'), 3);
+    });
+
+    it('shows nothing for an order without a schedule', async () => {
+        const TrackingPage = (await loadTracking()).get('TrackingPage');
+        
+        assert.equal(TrackingPage.generatePayments({ ...ORDER, pricing: {} }), '');
+    });
+});
+
+describe('TrackingPage.formatMessage', () => {
+    it('translates the reserved-elsewhere notice and leaves the breeder\'s own words alone', async () => {
+        const app = await loadTracking();
+        const TrackingPage = app.get('TrackingPage');
+        
+        assert.equal(
+            TrackingPage.formatMessage({ kind: 'reserved-elsewhere', params: { name: 'Rocco' }, text: 'fallback' }),
+            app.get('I18n').t('tracking.message.reservedElsewhere', { name: 'Rocco' })
+        );
+        assert.ok(TrackingPage.formatMessage({ kind: 'reserved-elsewhere', params: { name: 'Rocco' } }).startsWith('Rocco has been reserved'));
+        assert.equal(TrackingPage.formatMessage({ kind: 'message', text: 'See you Saturday!' }), 'See you Saturday!');
+    });
+});
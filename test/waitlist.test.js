@@ -0,0 +1,154 @@
+/**
+ * Paws & Tails - Waitlist Tests
+ * Queue positions come from the server or the shared applications store, never from what one browser has seen.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, fetchRepoFile, answerApplicationsStore } = require('./helpers/load-app');
+
+/**
+ * Load the app with an endpoint answering waitlist POSTs
+ * @param {Object} body - JSON the endpoint responds with
+ * @returns {Promise<Object>} Loaded app
+ */
+async function loadWithEndpoint(body) {
+    const app = await loadApp({
+        page: 'Available.html',
+        fetch: async (url, options = {}) => {
+            if (options.method !== 'POST') return fetchRepoFile(url);
+            return { ok: true, status: 201, json: async () => body };
+        }
+    });
+    
+    app.get('APP_CONFIG').submission.adapter = 'endpoint';
+    await Promise.all([app.get('I18n').load(), app.get('LitterManager').load()]);
+    return app;
+}
+
+/**
+ * Load the app with the default mailto submissions and a shared applications store
+ * @returns {Promise<Object>} Loaded app, with the store in app.stored
+ */
+async function loadWithStore() {
+    const stored = new Map();
+    const app = await loadApp({
+        page: 'Available.html',
+        fetch: async (url, options = {}) => url.startsWith('/api/applications') ?
+            answerApplicationsStore(stored, url, options) : fetchRepoFile(url)
+    });
+    
+    await Promise.all([app.get('I18n').load(), app.get('LitterManager').load()]);
+    app.stored = stored;
+    return app;
+}
+
+/**
+ * Join a litter's waitlist and render the confirmation
+ * @param {Object} app - Loaded app
+ * @param {Object} overrides - { email, litter } to sign up someone else or for another litter
+ * @returns {Promise<Object>} { payload, result, text } with the confirmation text
+ */
+async function joinAndConfirm(app, { email = 'ann@example.com', litter = app.get('LitterManager').litters[0] } = {}) {
+    const AvailablePage = app.get('AvailablePage');
+    const values = { name: 'Ann Lee', email, phone: '', breed: litter.breed, gender: '', notes: '' };
+    const { payload, result } = await app.get('WaitlistManager').join(values, litter);
+    
+    AvailablePage.elements.waitlistContent = app.window.document.createElement('div');
+    AvailablePage.renderWaitlistConfirmation(payload, result);
+    
+    return { payload, result, text: AvailablePage.elements.waitlistContent.textContent.replace(/\s+/g, ' ') };
+}
+
+describe('WaitlistManager', () => {
+    it('does not invent a queue position', async () => {
+        const app = await loadWithEndpoint({});
+        const { payload, result, text } = await joinAndConfirm(app);
+        
+        assert.equal('queuePosition' in payload, false);
+        assert.equal(result.queuePosition, undefined);
+        assert.doesNotMatch(text, /#\d/);
+        assert.match(text, /in queue order/);
+    });
+
+    it('shows the position the server assigns', async () => {
+        const app = await loadWithEndpoint({ reference: 'WL-SRV-1', queuePosition: 3 });
+        const { result, text } = await joinAndConfirm(app);
+        
+        assert.equal(result.queuePosition, 3);
+        assert.match(text, /You're #3 for/);
+        assert.ok(text.includes('WL-SRV-1'));
+    });
+
+    it('does not number repeat signups from the same browser', async () => {
+        const app = await loadWithEndpoint({});
+        await joinAndConfirm(app);
+        const { text } = await joinAndConfirm(app);
+        
+        assert.doesNotMatch(text, /#\d/);
+    });
+});
+
+describe('WaitlistManager with the shared store', () => {
+    it('numbers families in the order they signed up', async () => {
+        const app = await loadWithStore();
+        const first = await joinAndConfirm(app);
+        const second = await joinAndConfirm(app, { email: 'ben@example.com' });
+        
+        assert.equal(first.result.queuePosition, 1);
+        assert.equal(second.result.queuePosition, 2);
+        assert.match(second.text, /You're #2 for/);
+        assert.equal(second.result.delivered, false);
+    });
+
+    it('keeps a family\'s first place when they sign up again', async () => {
+        const app = await loadWithStore();
+        await joinAndConfirm(app);
+        await joinAndConfirm(app, { email: 'ben@example.com' });
+        
+        assert.equal((await joinAndConfirm(app, { email: 'Ann@Example.com' })).result.queuePosition, 1);
+    });
+
+    it('counts each litter\'s queue separately', async () => {
+        const app = await loadWithStore();
+        const [first, second] = app.get('LitterManager').litters;
+        await joinAndConfirm(app, { litter: first });
+        
+        assert.equal((await joinAndConfirm(app, { email: 'ben@example.com', litter: second })).result.queuePosition, 1);
+    });
+
+    it('leaves declined signups out of the queue', async () => {
+        const app = await loadWithStore();
+        const { payload } = await joinAndConfirm(app);
+        await app.get('ApplicationStore').setStatus(app.stored.get(payload.reference), 'declined');
+        
+        assert.equal((await joinAndConfirm(app, { email: 'ben@example.com' })).result.queuePosition, 1);
+    });
+});
+
+describe('AvailablePage.updateWaitlistQueueInfo', () => {
+    /**
+     * Render the waitlist form for a litter and read its queue note
+     * @param {Object} app - Loaded app
+     * @param {Object} litter - Litter to choose
+     * @returns {string} Note text
+     */
+    function readQueueInfo(app, litter) {
+        const AvailablePage = app.get('AvailablePage');
+        
+        AvailablePage.elements.waitlistContent = app.window.document.createElement('div');
+        app.window.document.body.append(AvailablePage.elements.waitlistContent);
+        AvailablePage.renderWaitlistForm({ litterId: litter.id });
+        return app.window.document.getElementById('waitlistQueueInfo').textContent.trim();
+    }
+
+    it('reads the reserved count and backup note from the translations', async () => {
+        const app = await loadWithEndpoint({});
+        const I18n = app.get('I18n');
+        const [open, full] = ['lit-cc-2611', 'lit-ab-2612'].map(id => app.get('LitterManager').findById(id));
+        Object.assign(full, { reservations: full.expectedCount });
+        
+        assert.equal(readQueueInfo(app, open), I18n.t('litter.reservedSentence', { reserved: 3, count: 8 }));
+        assert.equal(readQueueInfo(app, full), I18n.t('litter.reservedWithBackup', { reserved: 6, count: 6 }));
+    });
+});